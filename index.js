@@ -7,14 +7,28 @@ import {
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import dotenv from 'dotenv';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
 import { LambdaAnalyzer } from './src/lambda-analyzer.js';
 import { PerformanceOptimizer } from './src/performance-optimizer.js';
 import { ColdStartTracker } from './src/cold-start-tracker.js';
+import { InsightsAnalyzer } from './src/insights-analyzer.js';
+import { TraceAnalyzer } from './src/trace-analyzer.js';
+import { ProvisionedConcurrencySimulator } from './src/provisioned-concurrency-simulator.js';
+import { PowerTuner } from './src/power-tuner.js';
+import { AnomalyDetector } from './src/anomaly-detector.js';
+import { DeploymentAnalyzer } from './src/deployment-analyzer.js';
+import { TimeoutAnalyzer } from './src/timeout-analyzer.js';
+import { ConcurrencyAnalyzer } from './src/concurrency-analyzer.js';
+import { EventSourceAnalyzer } from './src/event-source-analyzer.js';
+import { AsyncInvocationAnalyzer } from './src/async-invocation-analyzer.js';
+import { DataSource } from './src/data-source.js';
+import { OUTPUT_SCHEMAS } from './src/output-schemas.js';
 
 dotenv.config();
 
-class LambdaPerformanceMCPServer {
-  constructor() {
+export class LambdaPerformanceMCPServer {
+  constructor(options = {}) {
     this.server = new Server(
       {
         name: 'lambda-performance-analyzer',
@@ -27,15 +41,33 @@ class LambdaPerformanceMCPServer {
       }
     );
 
-    this.lambdaAnalyzer = new LambdaAnalyzer();
-    this.performanceOptimizer = new PerformanceOptimizer();
-    this.coldStartTracker = new ColdStartTracker();
+    // DATA_SOURCE_MODE selects live AWS, recording to RECORDINGS_DIR or replaying from it
+    this.dataSource = options.dataSource || new DataSource();
+    this.lambdaAnalyzer = new LambdaAnalyzer({ dataSource: this.dataSource });
+    this.coldStartTracker = new ColdStartTracker({ dataSource: this.dataSource });
+    this.insightsAnalyzer = new InsightsAnalyzer({ dataSource: this.dataSource });
+    this.traceAnalyzer = new TraceAnalyzer({ dataSource: this.dataSource });
+    this.performanceOptimizer = new PerformanceOptimizer(
+      this.lambdaAnalyzer,
+      this.coldStartTracker,
+      this.insightsAnalyzer,
+      this.traceAnalyzer
+    );
+    this.provisionedConcurrencySimulator = new ProvisionedConcurrencySimulator(this.lambdaAnalyzer, this.coldStartTracker);
+    this.powerTuner = new PowerTuner({ dataSource: this.dataSource, pricing: this.lambdaAnalyzer.pricing });
+    this.anomalyDetector = new AnomalyDetector(this.lambdaAnalyzer);
+    this.deploymentAnalyzer = new DeploymentAnalyzer(this.lambdaAnalyzer);
+    this.timeoutAnalyzer = new TimeoutAnalyzer(this.lambdaAnalyzer);
+    this.concurrencyAnalyzer = new ConcurrencyAnalyzer(this.lambdaAnalyzer);
+    this.eventSourceAnalyzer = new EventSourceAnalyzer(this.lambdaAnalyzer);
+    this.asyncInvocationAnalyzer = new AsyncInvocationAnalyzer(this.lambdaAnalyzer);
 
     this.setupToolHandlers();
   }
 
   setupToolHandlers() {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const { pricing } = this.lambdaAnalyzer;
       return {
         tools: [
           {
@@ -56,6 +88,10 @@ class LambdaPerformanceMCPServer {
                 includeDetails: {
                   type: 'boolean',
                   description: 'Include detailed metrics and logs (default: true)'
+                },
+                logSource: {
+                  type: 'string',
+                  description: 'Path to an exported log file or directory (filter-log-events JSON, S3 export or plain text) to analyze offline instead of CloudWatch'
                 }
               },
               required: ['functionName']
@@ -75,6 +111,10 @@ class LambdaPerformanceMCPServer {
                   type: 'string',
                   enum: ['1h', '6h', '24h', '7d'],
                   description: 'Time range for cold start analysis (default: 24h)'
+                },
+                logSource: {
+                  type: 'string',
+                  description: 'Path to an exported log file or directory (filter-log-events JSON, S3 export or plain text) to analyze offline instead of CloudWatch'
                 }
               },
               required: ['functionName']
@@ -94,6 +134,11 @@ class LambdaPerformanceMCPServer {
                   type: 'string',
                   enum: ['cold-start', 'memory', 'duration', 'cost', 'all'],
                   description: 'Type of optimization analysis (default: all)'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['1h', '6h', '24h', '7d', '30d'],
+                  description: 'Time range of data the recommendations are based on (default: 24h)'
                 }
               },
               required: ['functionName']
@@ -140,6 +185,61 @@ class LambdaPerformanceMCPServer {
                 includeMetrics: {
                   type: 'boolean',
                   description: 'Include basic performance metrics (default: false)'
+                },
+                regions: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Regions to scan (default: the configured AWS_REGION)'
+                },
+                architecture: {
+                  type: 'string',
+                  enum: ['x86_64', 'arm64'],
+                  description: 'Filter by architecture'
+                },
+                packageType: {
+                  type: 'string',
+                  enum: ['Zip', 'Image'],
+                  description: 'Filter by package type'
+                },
+                tags: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                  description: 'Filter by tags; an empty value or "*" matches any value for that key'
+                },
+                namePrefix: {
+                  type: 'string',
+                  description: 'Filter by function name prefix'
+                },
+                nameRegex: {
+                  type: 'string',
+                  maxLength: 256,
+                  description: 'Filter by function name regular expression (at most 256 characters)'
+                },
+                minMemory: {
+                  type: 'number',
+                  description: 'Minimum memory size in MB'
+                },
+                maxMemory: {
+                  type: 'number',
+                  description: 'Maximum memory size in MB'
+                },
+                modifiedWithinDays: {
+                  type: 'number',
+                  description: 'Only functions modified within the last N days'
+                },
+                notModifiedForDays: {
+                  type: 'number',
+                  description: 'Only functions not modified for at least N days'
+                },
+                sortBy: {
+                  type: 'string',
+                  enum: ['name', 'region', 'runtime', 'memory', 'timeout', 'codeSize', 'lastModified', 'invocations', 'avgDuration', 'coldStartRate', 'errorRate'],
+                  description: 'Field to sort by; metric fields require includeMetrics (default: name)'
+                },
+                sortOrder: {
+                  type: 'string',
+                  enum: ['asc', 'desc'],
+                  description: 'Sort order (default: asc)'
                 }
               }
             }
@@ -158,6 +258,10 @@ class LambdaPerformanceMCPServer {
                   type: 'string',
                   enum: ['1h', '6h', '24h', '7d'],
                   description: 'Time range for memory analysis (default: 24h)'
+                },
+                logSource: {
+                  type: 'string',
+                  description: 'Path to an exported log file or directory (filter-log-events JSON, S3 export or plain text) to analyze offline instead of CloudWatch'
                 }
               },
               required: ['functionName']
@@ -165,7 +269,9 @@ class LambdaPerformanceMCPServer {
           },
           {
             name: 'get_cost_analysis',
-            description: 'Analyze Lambda function costs and identify optimization opportunities',
+            description: 'Analyze Lambda function costs and identify optimization opportunities. ' +
+              `The price table has rates for ${pricing.getPricedRegions().join(', ')}; ` +
+              `functions in other regions are priced at ${pricing.defaultRegion} rates and flagged with regionEstimated`,
             inputSchema: {
               type: 'object',
               properties: {
@@ -177,10 +283,266 @@ class LambdaPerformanceMCPServer {
                   type: 'string',
                   enum: ['24h', '7d', '30d'],
                   description: 'Time range for cost analysis (default: 30d)'
+                },
+                topN: {
+                  type: 'number',
+                  description: 'Number of top spenders and savings opportunities to report for account-wide analysis (default: 10)'
+                }
+              }
+            }
+          },
+          {
+            name: 'analyze_lambda_insights',
+            description: 'Analyze Lambda Insights telemetry: CPU-bound vs IO-bound behaviour, memory headroom, network bytes and init cost',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['1h', '6h', '24h', '7d'],
+                  description: 'Time range for telemetry analysis (default: 24h)'
+                },
+                logSource: {
+                  type: 'string',
+                  description: 'Path to an exported /aws/lambda-insights log file or directory to analyze offline instead of CloudWatch'
+                }
+              },
+              required: ['functionName']
+            }
+          },
+          {
+            name: 'analyze_xray_traces',
+            description: 'Break X-Ray traces into Initialization, Invocation and Overhead phases and find the downstream calls that dominate p95 latency',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['1h', '6h', '24h', '7d'],
+                  description: 'Time range for trace analysis (default: 24h)'
+                },
+                traceSource: {
+                  type: 'string',
+                  description: 'Path to exported X-Ray traces (batch-get-traces JSON or segment documents) to analyze offline instead of X-Ray'
+                }
+              },
+              required: ['functionName']
+            }
+          },
+          {
+            name: 'simulate_provisioned_concurrency',
+            description: 'Replay historical concurrency and cold starts against provisioned concurrency levels and schedules to find the cost/latency tradeoff',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['24h', '7d', '30d'],
+                  description: 'History to replay (default: 7d)'
+                },
+                levels: {
+                  type: 'array',
+                  items: { type: 'number' },
+                  description: 'Provisioned concurrency levels to simulate (default: percentiles of observed peak concurrency)'
+                },
+                targetReduction: {
+                  type: 'number',
+                  description: 'Cold start reduction in percent the recommendation should reach (default: 80)'
+                },
+                logSource: {
+                  type: 'string',
+                  description: 'Path to an exported log file or directory to simulate offline instead of CloudWatch'
+                }
+              },
+              required: ['functionName']
+            }
+          },
+          {
+            name: 'tune_lambda_memory',
+            description: 'Invoke a function at several memory sizes and find the cheapest, fastest and balanced setting. Temporarily changes the memory of $LATEST and restores it afterwards, so it needs confirm: true unless the server tunes a local stand-in (POWER_TUNING_ENDPOINT)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                memorySizes: {
+                  type: 'array',
+                  items: { type: 'number' },
+                  description: 'Memory sizes in MB to test (default: 128, 256, 512, 1024, 1536, 2048, 3008)'
+                },
+                payload: {
+                  type: 'object',
+                  description: 'Event payload sent with every invocation (default: {})'
+                },
+                invocations: {
+                  type: 'number',
+                  description: 'Invocations per memory size; the first is the cold one (default: 5, max: 50)'
+                },
+                balancedWeight: {
+                  type: 'number',
+                  description: 'Weight of cost versus speed for the balanced optimum, from 0 (speed) to 1 (cost) (default: 0.5)'
+                },
+                confirm: {
+                  type: 'boolean',
+                  description: 'Must be true to change the memory size of $LATEST and invoke the function; not needed with POWER_TUNING_ENDPOINT'
+                },
+                architecture: {
+                  type: 'string',
+                  enum: ['x86_64', 'arm64'],
+                  description: 'Architecture to price endpoint results with (default: the function\'s architecture, or x86_64)'
+                }
+              },
+              required: ['functionName']
+            }
+          },
+          {
+            name: 'detect_performance_anomalies',
+            description: 'Detect unusual duration, error, throttle and cold start levels against a seasonal (hour-of-day/day-of-week) baseline and show which metric moved first',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['6h', '24h', '7d'],
+                  description: 'Recent window to check for anomalies (default: 24h)'
+                },
+                baselineDays: {
+                  type: 'number',
+                  description: 'Days of history before the window used to build the baseline (default: 28, min: 7, max: 60)'
+                },
+                threshold: {
+                  type: 'number',
+                  description: 'Robust z-score an hour must reach to be anomalous (default: 3.5)'
+                }
+              },
+              required: ['functionName']
+            }
+          },
+          {
+            name: 'detect_deployment_regressions',
+            description: 'Compare duration percentiles, init duration, memory and error rate of each deployed version with the version it replaced and report regressions with a confidence level',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['24h', '7d', '30d'],
+                  description: 'Time range to look for deployments in (default: 7d)'
+                },
+                maxDeployments: {
+                  type: 'number',
+                  description: 'Most recent deployments to compare (default: 10)'
+                },
+                logSource: {
+                  type: 'string',
+                  description: 'Path to an exported log file or directory to analyze offline; versions are read from START lines'
+                }
+              },
+              required: ['functionName']
+            }
+          },
+          {
+            name: 'analyze_timeout_risk',
+            description: 'Compare the duration distribution with the configured timeout, count invocations near the limit and actual timeouts, check API Gateway and SQS limits and recommend a timeout',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['1h', '6h', '24h', '7d', '30d'],
+                  description: 'Time range for analysis (default: 7d)'
+                },
+                logSource: {
+                  type: 'string',
+                  description: 'Path to an exported log file or directory to analyze offline; the timeout is read from "Task timed out" lines and upstream limits are skipped'
+                }
+              },
+              required: ['functionName']
+            }
+          },
+          {
+            name: 'analyze_concurrency',
+            description: 'Report throttle episodes, concurrency headroom per function and for the account, functions starving the unreserved pool and a recommended reserved concurrency allocation',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionNames: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Functions to analyze (default: every function in the account)'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['1h', '6h', '24h', '7d', '30d'],
+                  description: 'Time range for analysis (default: 24h)'
                 }
               }
             }
           },
+          {
+            name: 'analyze_event_sources',
+            description: 'Evaluate the SQS, Kinesis and DynamoDB Streams event source mappings of a function: iterator age, queue backlog, batching against duration, concurrency and failure handling, with tuning recommendations',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['1h', '6h', '24h', '7d', '30d'],
+                  description: 'Time range for analysis (default: 24h)'
+                }
+              },
+              required: ['functionName']
+            }
+          },
+          {
+            name: 'analyze_async_invocations',
+            description: 'Report dropped asynchronous events and their causes, event age and backlog growth, dead-letter and destination delivery failures, and misconfigured retries, event age or failure destinations',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                functionName: {
+                  type: 'string',
+                  description: 'Name of the Lambda function'
+                },
+                timeRange: {
+                  type: 'string',
+                  enum: ['1h', '6h', '24h', '7d', '30d'],
+                  description: 'Time range for analysis (default: 24h)'
+                }
+              },
+              required: ['functionName']
+            }
+          },
           {
             name: 'monitor_real_time_performance',
             description: 'Get real-time performance metrics and alerts for Lambda functions',
@@ -199,42 +561,40 @@ class LambdaPerformanceMCPServer {
               required: ['functionName']
             }
           }
-        ]
+        ].map(tool => ({
+          ...tool,
+          inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+              ...tool.inputSchema.properties,
+              // Every tool that targets functions can narrow them to a version or alias
+              ...(tool.inputSchema.properties.functionName || tool.inputSchema.properties.functionNames ? {
+                qualifier: {
+                  type: 'string',
+                  description: 'Version number, $LATEST or alias to analyze instead of all traffic of the function'
+                }
+              } : {}),
+              format: {
+                type: 'string',
+                enum: ['markdown', 'json', 'both'],
+                description: 'Text output format; structured content is always included (default: markdown)'
+              }
+            }
+          },
+          outputSchema: OUTPUT_SCHEMAS[tool.name]
+        }))
       };
     });
 
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+      const { name, arguments: args = {} } = request.params;
 
       try {
-        switch (name) {
-          case 'analyze_lambda_performance':
-            return await this.analyzeLambdaPerformance(args);
-          
-          case 'track_cold_starts':
-            return await this.trackColdStarts(args);
-          
-          case 'get_optimization_recommendations':
-            return await this.getOptimizationRecommendations(args);
-          
-          case 'compare_lambda_performance':
-            return await this.compareLambdaPerformance(args);
-          
-          case 'list_lambda_functions':
-            return await this.listLambdaFunctions(args);
-          
-          case 'analyze_memory_utilization':
-            return await this.analyzeMemoryUtilization(args);
-          
-          case 'get_cost_analysis':
-            return await this.getCostAnalysis(args);
-          
-          case 'monitor_real_time_performance':
-            return await this.monitorRealTimePerformance(args);
-          
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+        if (args.format && !['markdown', 'json', 'both'].includes(args.format)) {
+          throw new Error(`Unknown format "${args.format}" (expected markdown, json or both)`);
         }
+
+        return this.formatToolResult(await this.callTool(name, args), args.format);
       } catch (error) {
         return {
           content: [
@@ -242,16 +602,74 @@ class LambdaPerformanceMCPServer {
               type: 'text',
               text: `Error executing ${name}: ${error.message}`
             }
-          ]
+          ],
+          isError: true
         };
       }
     });
   }
 
+  async callTool(name, args) {
+    switch (name) {
+      case 'analyze_lambda_performance':
+        return await this.analyzeLambdaPerformance(args);
+      
+      case 'track_cold_starts':
+        return await this.trackColdStarts(args);
+      
+      case 'get_optimization_recommendations':
+        return await this.getOptimizationRecommendations(args);
+      
+      case 'compare_lambda_performance':
+        return await this.compareLambdaPerformance(args);
+      
+      case 'list_lambda_functions':
+        return await this.listLambdaFunctions(args);
+      
+      case 'analyze_memory_utilization':
+        return await this.analyzeMemoryUtilization(args);
+      
+      case 'get_cost_analysis':
+        return await this.getCostAnalysis(args);
+      
+      case 'analyze_lambda_insights':
+        return await this.analyzeLambdaInsights(args);
+      case 'analyze_xray_traces':
+        return await this.analyzeXrayTraces(args);
+      case 'simulate_provisioned_concurrency':
+        return await this.simulateProvisionedConcurrency(args);
+      case 'tune_lambda_memory':
+        return await this.tuneLambdaMemory(args);
+      case 'detect_performance_anomalies':
+        return await this.detectPerformanceAnomalies(args);
+      case 'detect_deployment_regressions':
+        return await this.detectDeploymentRegressions(args);
+
+      case 'analyze_timeout_risk':
+        return await this.analyzeTimeoutRisk(args);
+
+      case 'analyze_concurrency':
+        return await this.analyzeConcurrency(args);
+
+      case 'analyze_event_sources':
+        return await this.analyzeEventSources(args);
+
+      case 'analyze_async_invocations':
+        return await this.analyzeAsyncInvocations(args);
+      
+      case 'monitor_real_time_performance':
+        return await this.monitorRealTimePerformance(args);
+      
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
   async analyzeLambdaPerformance(args) {
-    const { functionName, timeRange = '24h', includeDetails = true } = args;
+    const { functionName, timeRange = '24h', includeDetails = true, logSource, qualifier } = args;
     
-    const analysis = await this.lambdaAnalyzer.analyzeFunction(
+    const analyzer = this.getAnalyzers({ logSource, qualifier }).lambdaAnalyzer;
+    const analysis = await analyzer.analyzeFunction(
       functionName, 
       timeRange, 
       includeDetails
@@ -261,32 +679,46 @@ class LambdaPerformanceMCPServer {
       content: [
         {
           type: 'text',
-          text: `# Lambda Performance Analysis: ${functionName}\n\n` +
+          text: `# Lambda Performance Analysis: ${functionName}${qualifier ? `:${qualifier}` : ''}\n\n` +
                 `## Summary\n` +
                 `- **Total Invocations**: ${analysis.totalInvocations.toLocaleString()}\n` +
                 `- **Average Duration**: ${analysis.avgDuration}ms\n` +
                 `- **Cold Start Rate**: ${analysis.coldStartRate}%\n` +
                 `- **Error Rate**: ${analysis.errorRate}%\n` +
-                `- **Memory Utilization**: ${analysis.memoryUtilization}%\n\n` +
+                `- **Memory Utilization**: ${analysis.memoryUtilization}% (${analysis.memorySamples} samples)\n\n` +
                 `## Performance Metrics\n` +
                 `- **P50 Duration**: ${analysis.p50Duration}ms\n` +
+                `- **P90 Duration**: ${analysis.p90Duration}ms\n` +
                 `- **P95 Duration**: ${analysis.p95Duration}ms\n` +
                 `- **P99 Duration**: ${analysis.p99Duration}ms\n` +
+                `- **P99.9 Duration**: ${analysis.p999Duration}ms\n` +
+                `- **Trimmed Mean (1%-99%)**: ${analysis.trimmedMeanDuration}ms\n` +
                 `- **Max Duration**: ${analysis.maxDuration}ms\n\n` +
                 `## Cold Start Analysis\n` +
                 `- **Total Cold Starts**: ${analysis.coldStarts.total}\n` +
                 `- **Average Cold Start Duration**: ${analysis.coldStarts.avgDuration}ms\n` +
                 `- **Cold Start Pattern**: ${analysis.coldStarts.pattern}\n\n` +
+                `${analysis.routing ?
+                  `## Alias Routing\n` +
+                  `| Version | Weight | Traffic | Avg Duration | P95 Duration | Error Rate | Cold Start Rate |\n` +
+                  `|---------|--------|---------|--------------|--------------|------------|-----------------|\n` +
+                  `${analysis.routing.map(route =>
+                    `| ${route.version} | ${Math.round(route.weight * 100)}% | ${route.trafficShare}% | ${route.avgDuration}ms | ` +
+                    `${route.p95Duration}ms | ${route.errorRate}% | ${route.coldStartRate}% |\n`
+                  ).join('')}\n` :
+                  ''}` +
                 `${includeDetails ? this.formatDetailedMetrics(analysis.details) : ''}`
         }
-      ]
+      ],
+      structuredContent: analysis
     };
   }
 
   async trackColdStarts(args) {
-    const { functionName, timeRange = '24h' } = args;
+    const { functionName, timeRange = '24h', logSource, qualifier } = args;
     
-    const coldStartData = await this.coldStartTracker.trackColdStarts(
+    const tracker = this.getAnalyzers({ logSource, qualifier }).coldStartTracker;
+    const coldStartData = await tracker.trackColdStarts(
       functionName, 
       timeRange
     );
@@ -300,9 +732,19 @@ class LambdaPerformanceMCPServer {
                 `- **Total Cold Starts**: ${coldStartData.total}\n` +
                 `- **Cold Start Rate**: ${coldStartData.rate}%\n` +
                 `- **Average Cold Start Duration**: ${coldStartData.avgDuration}ms\n` +
-                `- **Longest Cold Start**: ${coldStartData.maxDuration}ms\n\n` +
+                `- **Longest Cold Start**: ${coldStartData.maxDuration}ms\n` +
+                `- **Invocations**: ${coldStartData.invocations.toLocaleString()}${coldStartData.truncated ? ' (scan limit reached)' : ''}\n` +
+                `- **Pre-initialized Environments**: ${coldStartData.preInitialized}\n\n` +
+                `## Cold Start Duration Breakdown (averages)\n` +
+                `- **Init**: ${coldStartData.breakdown.avgInitDuration}ms\n` +
+                `${coldStartData.snapStart.restores > 0 ? `- **Restore**: ${coldStartData.breakdown.avgRestoreDuration}ms\n` : ''}` +
+                `- **Invoke**: ${coldStartData.breakdown.avgInvokeDuration}ms\n` +
+                `- **Billed**: ${coldStartData.breakdown.avgBilledDuration}ms\n` +
+                `- **Total (init or restore + invoke)**: ${coldStartData.breakdown.avgTotalDuration}ms\n\n` +
+                `${this.formatSnapStart(coldStartData.snapStart)}` +
+                `${this.formatInitPhase(coldStartData.initPhase)}` +
                 `## Cold Start Patterns\n` +
-                `- **Peak Hours**: ${coldStartData.peakHours.join(', ')}\n` +
+                `- **Peak Hours**: ${coldStartData.peakHours.join(', ') || 'None'} (UTC)\n` +
                 `- **Frequency**: ${coldStartData.frequency}\n` +
                 `- **Triggers**: ${coldStartData.triggers.join(', ')}\n\n` +
                 `## Optimization Opportunities\n` +
@@ -310,16 +752,18 @@ class LambdaPerformanceMCPServer {
                 `## Timeline\n` +
                 `${this.formatColdStartTimeline(coldStartData.timeline)}`
         }
-      ]
+      ],
+      structuredContent: { functionName, timeRange, ...coldStartData }
     };
   }
 
   async getOptimizationRecommendations(args) {
-    const { functionName, analysisType = 'all' } = args;
+    const { functionName, analysisType = 'all', timeRange = '24h', qualifier } = args;
     
-    const recommendations = await this.performanceOptimizer.getRecommendations(
+    const recommendations = await this.getAnalyzers({ qualifier }).performanceOptimizer.getRecommendations(
       functionName, 
-      analysisType
+      analysisType,
+      timeRange
     );
 
     return {
@@ -332,7 +776,8 @@ class LambdaPerformanceMCPServer {
                   `${i + 1}. **${rec.title}** (Impact: ${rec.impact})\n` +
                   `   - ${rec.description}\n` +
                   `   - Implementation: ${rec.implementation}\n` +
-                  `   - Expected Improvement: ${rec.expectedImprovement}\n`
+                  `   - Expected Improvement: ${rec.expectedImprovement}\n` +
+                  `${this.formatEvidence(rec.evidence)}`
                 ).join('\n')}\n` +
                 `## Additional Optimizations\n` +
                 `${recommendations.additional.map(rec => `- ${rec}`).join('\n')}\n\n` +
@@ -344,16 +789,24 @@ class LambdaPerformanceMCPServer {
                 `## Cost Impact\n` +
                 `- **Current Monthly Cost**: $${recommendations.cost.current}\n` +
                 `- **Optimized Monthly Cost**: $${recommendations.cost.optimized}\n` +
-                `- **Potential Savings**: $${recommendations.cost.savings} (${recommendations.cost.savingsPercent}%)`
+                `- **Potential Savings**: $${recommendations.cost.savings} (${recommendations.cost.savingsPercent}%)\n` +
+                `- **Pricing**: ${recommendations.cost.region || 'default region'}, price table ${recommendations.cost.priceVersion}\n\n` +
+                `## Data Sources (${timeRange})\n` +
+                `- **REPORT Samples**: ${recommendations.dataSources.reportSamples.toLocaleString()}\n` +
+                `- **Cold Start Events**: ${recommendations.dataSources.coldStartEvents.toLocaleString()}\n` +
+                `- **Invocations (CloudWatch)**: ${recommendations.dataSources.metricInvocations.toLocaleString()}\n` +
+                `- **Lambda Insights Samples**: ${recommendations.dataSources.insightsSamples.toLocaleString()}\n` +
+                `- **X-Ray Traces**: ${recommendations.dataSources.traceSamples.toLocaleString()}`
         }
-      ]
+      ],
+      structuredContent: { functionName, analysisType, timeRange, ...recommendations }
     };
   }
 
   async compareLambdaPerformance(args) {
-    const { functionNames, timeRange = '24h', metrics = ['duration', 'cold-starts', 'errors', 'invocations', 'cost'] } = args;
+    const { functionNames, timeRange = '24h', metrics = ['duration', 'cold-starts', 'errors', 'invocations', 'cost'], qualifier } = args;
     
-    const comparison = await this.lambdaAnalyzer.compareFunctions(
+    const comparison = await this.getAnalyzers({ qualifier }).lambdaAnalyzer.compareFunctions(
       functionNames, 
       timeRange, 
       metrics
@@ -371,16 +824,20 @@ class LambdaPerformanceMCPServer {
                 `## Key Insights\n` +
                 `${comparison.insights.map(insight => `- ${insight}`).join('\n')}\n\n` +
                 `## Recommendations\n` +
-                `${comparison.recommendations.map(rec => `- ${rec}`).join('\n')}`
+                `${comparison.recommendations.map(rec => `- ${rec}`).join('\n')}\n\n` +
+                `${comparison.errors.map(error => `- **Not compared (${error.functionNames.join(', ')})**: ${error.message}\n`).join('')}` +
+                `${comparison.errors.length > 0 ? '\n' : ''}` +
+                `${this.formatTimings(comparison.timings)}`
         }
-      ]
+      ],
+      structuredContent: { timeRange, ...comparison }
     };
   }
 
-  async listLambdaFunctions(args) {
-    const { runtime, includeMetrics = false } = args;
+  async listLambdaFunctions(args = {}) {
+    const { includeMetrics = false } = args;
     
-    const functions = await this.lambdaAnalyzer.listFunctions(runtime, includeMetrics);
+    const { functions, regions, errors, timings } = await this.lambdaAnalyzer.listFunctions(args);
 
     return {
       content: [
@@ -389,28 +846,37 @@ class LambdaPerformanceMCPServer {
           text: `# Lambda Functions\n\n` +
                 `## Summary\n` +
                 `- **Total Functions**: ${functions.length}\n` +
-                `- **Runtimes**: ${[...new Set(functions.map(f => f.runtime))].join(', ')}\n\n` +
+                `- **Regions**: ${regions.join(', ')}\n` +
+                `- **Runtimes**: ${[...new Set(functions.map(f => f.runtime))].join(', ')}\n` +
+                `${errors.map(error => `- **Error (${error.region})**: ${error.message}\n`).join('')}\n` +
                 `## Functions List\n` +
                 `${functions.map(func => 
                   `### ${func.name}\n` +
+                  `- **Region**: ${func.region}\n` +
                   `- **Runtime**: ${func.runtime}\n` +
+                  `- **Architecture**: ${func.architecture}\n` +
+                  `- **Package Type**: ${func.packageType}\n` +
                   `- **Memory**: ${func.memory}MB\n` +
                   `- **Timeout**: ${func.timeout}s\n` +
                   `- **Last Modified**: ${func.lastModified}\n` +
                   `${includeMetrics ? 
-                    `- **Avg Duration**: ${func.metrics?.avgDuration || 'N/A'}ms\n` +
-                    `- **Cold Start Rate**: ${func.metrics?.coldStartRate || 'N/A'}%\n` +
-                    `- **Error Rate**: ${func.metrics?.errorRate || 'N/A'}%\n` : ''}\n`
-                ).join('')}`
+                    `- **Invocations (24h)**: ${func.metrics?.invocations ?? 'N/A'}\n` +
+                    `- **Avg Duration**: ${func.metrics?.avgDuration ?? 'N/A'}ms\n` +
+                    `- **Cold Start Rate**: ${func.metrics?.coldStartRate ?? 'N/A'}%\n` +
+                    `- **Error Rate**: ${func.metrics?.errorRate ?? 'N/A'}%\n` : ''}\n`
+                ).join('')}` +
+                `${timings ? this.formatTimings(timings) : ''}`
         }
-      ]
+      ],
+      structuredContent: { functions, regions, errors, timings }
     };
   }
 
   async analyzeMemoryUtilization(args) {
-    const { functionName, timeRange = '24h' } = args;
+    const { functionName, timeRange = '24h', logSource, qualifier } = args;
     
-    const memoryAnalysis = await this.lambdaAnalyzer.analyzeMemoryUtilization(
+    const analyzer = this.getAnalyzers({ logSource, qualifier }).lambdaAnalyzer;
+    const memoryAnalysis = await analyzer.analyzeMemoryUtilization(
       functionName, 
       timeRange
     );
@@ -424,7 +890,11 @@ class LambdaPerformanceMCPServer {
                 `- **Allocated Memory**: ${memoryAnalysis.allocated}MB\n` +
                 `- **Average Used**: ${memoryAnalysis.avgUsed}MB (${memoryAnalysis.utilizationPercent}%)\n` +
                 `- **Peak Usage**: ${memoryAnalysis.peakUsed}MB\n` +
-                `- **Minimum Usage**: ${memoryAnalysis.minUsed}MB\n\n` +
+                `- **Minimum Usage**: ${memoryAnalysis.minUsed}MB\n` +
+                `- **P95 Usage**: ${memoryAnalysis.p95Used}MB\n\n` +
+                `## Data Coverage\n` +
+                `- **REPORT Samples**: ${memoryAnalysis.sampleCount.toLocaleString()}${memoryAnalysis.truncated ? ' (sample limit reached)' : ''}\n` +
+                `- **Cold Start Samples**: ${memoryAnalysis.coldStartSamples.toLocaleString()}\n\n` +
                 `## Right-sizing Recommendation\n` +
                 `- **Recommended Memory**: ${memoryAnalysis.recommended}MB\n` +
                 `- **Reasoning**: ${memoryAnalysis.reasoning}\n` +
@@ -433,16 +903,18 @@ class LambdaPerformanceMCPServer {
                 `## Memory Usage Patterns\n` +
                 `${memoryAnalysis.patterns.map(pattern => `- ${pattern}`).join('\n')}`
         }
-      ]
+      ],
+      structuredContent: { functionName, timeRange, ...memoryAnalysis }
     };
   }
 
   async getCostAnalysis(args) {
-    const { functionName, timeRange = '30d' } = args;
+    const { functionName, timeRange = '30d', topN = 10, qualifier } = args;
     
-    const costAnalysis = await this.lambdaAnalyzer.analyzeCosts(
+    const costAnalysis = await this.getAnalyzers({ qualifier }).lambdaAnalyzer.analyzeCosts(
       functionName, 
-      timeRange
+      timeRange,
+      topN
     );
 
     return {
@@ -454,7 +926,9 @@ class LambdaPerformanceMCPServer {
                 `- **Total Cost**: $${costAnalysis.total}\n` +
                 `- **Compute Cost**: $${costAnalysis.compute} (${costAnalysis.computePercent}%)\n` +
                 `- **Request Cost**: $${costAnalysis.requests} (${costAnalysis.requestsPercent}%)\n` +
-                `- **Data Transfer**: $${costAnalysis.dataTransfer}\n\n` +
+                `- **Ephemeral Storage**: $${costAnalysis.ephemeralStorage}\n` +
+                `- **Provisioned Concurrency**: $${costAnalysis.provisionedConcurrency}\n` +
+                `- **Pricing**: ${costAnalysis.region}${costAnalysis.regionEstimated ? ` (not in the price table; estimated at ${this.lambdaAnalyzer.pricing.defaultRegion} rates)` : ''}, price table ${costAnalysis.priceVersion}\n\n` +
                 `## Usage Statistics\n` +
                 `- **Total Invocations**: ${costAnalysis.invocations.toLocaleString()}\n` +
                 `- **Total Duration**: ${costAnalysis.totalDuration}ms\n` +
@@ -466,16 +940,482 @@ class LambdaPerformanceMCPServer {
                 `## Trends\n` +
                 `- **Daily Average**: $${costAnalysis.dailyAverage}\n` +
                 `- **Trend**: ${costAnalysis.trend}\n` +
-                `- **Peak Day**: ${costAnalysis.peakDay} ($${costAnalysis.peakCost})`
+                `- **Peak Day**: ${costAnalysis.peakDay} ($${costAnalysis.peakCost})` +
+                `${functionName ? '' : this.formatAccountCostDetails(costAnalysis)}`
+        }
+      ],
+      structuredContent: {
+        functionName: functionName || null,
+        timeRange,
+        scope: functionName ? 'function' : 'account',
+        ...costAnalysis
+      }
+    };
+  }
+
+  async analyzeLambdaInsights(args) {
+    const { functionName, timeRange = '24h', logSource, qualifier } = args;
+    
+    const insightsAnalyzer = this.getAnalyzers({ logSource, qualifier }).insightsAnalyzer;
+    const insights = await insightsAnalyzer.analyzeInsights(functionName, timeRange);
+    const formatBytes = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Lambda Insights Analysis: ${functionName}\n\n` +
+                `## Summary\n` +
+                `- **Performance Events**: ${insights.sampleCount.toLocaleString()}${insights.truncated ? ' (sample limit reached)' : ''}\n` +
+                `- **Average Duration**: ${insights.avgDuration}ms\n` +
+                `- **Workload Profile**: ${insights.cpu.profile}\n\n` +
+                `## CPU\n` +
+                `- **CPU Time (avg)**: ${insights.cpu.avgTotalMs}ms (user ${insights.cpu.avgUserMs}ms, system ${insights.cpu.avgSystemMs}ms)\n` +
+                `- **CPU Time / Duration**: ${insights.cpu.avgUtilizationPercent ?? 'N/A'}% avg, ${insights.cpu.p95UtilizationPercent ?? 'N/A'}% p95\n` +
+                `- **vCPUs at Current Memory**: ${insights.cpu.vcpus}\n\n` +
+                `## Memory\n` +
+                `- **Allocated**: ${insights.memory.allocated}MB\n` +
+                `- **Average Used**: ${insights.memory.avgUsed}MB\n` +
+                `- **Peak Used**: ${insights.memory.peakUsed}MB\n` +
+                `- **Headroom**: ${insights.memory.headroomMB}MB (${insights.memory.headroomPercent}%)\n\n` +
+                `## Network\n` +
+                `- **Received**: ${formatBytes(insights.network.totalRxBytes)} total, ${formatBytes(insights.network.avgRxBytes)} per invocation\n` +
+                `- **Sent**: ${formatBytes(insights.network.totalTxBytes)} total, ${formatBytes(insights.network.avgTxBytes)} per invocation\n\n` +
+                `## Init\n` +
+                `- **Cold Starts**: ${insights.init.coldStarts}\n` +
+                `- **Init Duration**: ${insights.init.avgInitDuration}ms avg, ${insights.init.maxInitDuration}ms max\n` +
+                `- **Init Cost**: ${insights.init.initGbSeconds} GB-s ($${insights.init.estimatedCost})\n\n` +
+                `## Recommendations\n` +
+                `${insights.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: insights
+    };
+  }
+
+  async analyzeXrayTraces(args) {
+    const { functionName, timeRange = '24h', traceSource, qualifier } = args;
+
+    const traceAnalyzer = traceSource
+      ? new TraceAnalyzer({ traceSource, qualifier, dataSource: this.dataSource })
+      : this.getAnalyzers({ qualifier }).traceAnalyzer;
+    const traces = await traceAnalyzer.analyzeTraces(functionName, timeRange);
+    const formatPhase = phase => `${phase.avg}ms avg, ${phase.p95}ms p95`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# X-Ray Trace Analysis: ${functionName}\n\n` +
+                `## Summary\n` +
+                `- **Traces Analyzed**: ${traces.traceCount.toLocaleString()}${traces.truncated ? ' (trace limit reached)' : ''}\n` +
+                `- **Cold Starts**: ${traces.coldStarts}\n` +
+                `- **Duration**: ${traces.duration.avg}ms avg, ${traces.duration.p50}ms p50, ${traces.duration.p95}ms p95, ${traces.duration.max}ms max\n\n` +
+                `## Invocation Phases\n` +
+                `- **Initialization**: ${formatPhase(traces.phases.initialization)} (${traces.phases.initialization.count} cold starts)\n` +
+                `- **Invocation**: ${formatPhase(traces.phases.invocation)}\n` +
+                `- **Overhead**: ${formatPhase(traces.phases.overhead)}\n\n` +
+                `## Downstream Calls\n` +
+                `- **Calls per Invocation**: ${traces.downstream.avgCallsPerInvocation}\n` +
+                `- **Time in Downstream Calls**: ${traces.downstream.avgTime}ms avg\n` +
+                `- **Time in Function Code**: ${traces.downstream.avgSelfTime}ms avg (${traces.downstream.selfTimePercent}% of duration)\n` +
+                `${traces.dependencies.map(dependency =>
+                  `- **${dependency.name}**: ${dependency.calls} calls, ${dependency.avgDuration}ms avg, ${dependency.p95Duration}ms p95, ` +
+                  `${dependency.durationShare}% of duration, ${dependency.p95Share}% of p95 latency` +
+                  `${dependency.errors > 0 ? `, ${dependency.errors} failed` : ''}\n`
+                ).join('')}\n` +
+                `## Recommendations\n` +
+                `${traces.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: traces
+    };
+  }
+
+  async simulateProvisionedConcurrency(args) {
+    const { functionName, timeRange = '7d', levels, targetReduction, logSource, qualifier } = args;
+
+    const simulator = this.getAnalyzers({ logSource, qualifier }).provisionedConcurrencySimulator;
+    const simulation = await simulator.simulate(functionName, timeRange, { levels, targetReduction });
+    const { observed, recommended } = simulation;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Provisioned Concurrency Simulation: ${functionName}\n\n` +
+                `## Observed (${timeRange})\n` +
+                `- **Invocations**: ${observed.invocations.toLocaleString()}\n` +
+                `- **Cold Starts**: ${observed.coldStarts.toLocaleString()}${observed.truncated ? ' (log scan limit reached)' : ''}\n` +
+                `- **Peak Concurrency**: ${observed.peakConcurrency}\n` +
+                `- **Average Init Duration**: ${observed.avgInitDuration}ms\n` +
+                `- **Cold Start Peak Hours**: ${observed.peakHours.join(', ') || 'None'} (${simulation.timezone})\n` +
+                `- **Current Monthly Cost**: $${observed.monthlyCost}\n` +
+                `- **Current Provisioned Concurrency**: ${simulation.currentProvisionedConcurrency}\n\n` +
+                `## Tradeoff Curve\n` +
+                `| Level | Schedule | Cold Starts Left | Reduction | Added Latency / Invocation | Added Cost / Month | Cost / Avoided Cold Start |\n` +
+                `|-------|----------|------------------|-----------|----------------------------|--------------------|---------------------------|\n` +
+                `${simulation.curve.map(point =>
+                  `| ${point.level} | ${point.schedule} | ${point.remainingColdStarts} | ${point.coldStartReduction}% | ` +
+                  `${point.avgAddedLatencyMs}ms | $${point.addedMonthlyCost} | ` +
+                  `${point.costPerAvoidedColdStart === null ? 'N/A' : `$${point.costPerAvoidedColdStart}`} |\n`
+                ).join('')}\n` +
+                `## Recommended Schedule\n` +
+                `${recommended
+                  ? simulation.schedule.map(window =>
+                    `- **${window.start}-${window.end}**: ${window.provisionedConcurrency} provisioned environments`
+                  ).join('\n')
+                  : 'No provisioned concurrency recommended'}\n\n` +
+                `## Recommendations\n` +
+                `${simulation.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: simulation
+    };
+  }
+
+  async tuneLambdaMemory(args) {
+    const { functionName, memorySizes, payload, invocations, balancedWeight, confirm, architecture, qualifier } = args;
+
+    const tuning = await this.powerTuner.tune(functionName, {
+      memorySizes,
+      payload,
+      invocations,
+      balancedWeight,
+      confirm,
+      architecture,
+      qualifier
+    });
+    const formatCost = cost => (cost === null ? 'N/A' : `$${cost}`);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Memory Power Tuning: ${functionName}\n\n` +
+                `## Run\n` +
+                `- **Source**: ${tuning.source === 'endpoint' ? `local endpoint ${this.powerTuner.endpoint}` : 'AWS Lambda ($LATEST)'}\n` +
+                `- **Invocations per Size**: ${tuning.invocationsPerSize}\n` +
+                `- **Pricing**: ${tuning.architecture}, price table ${tuning.priceVersion}\n` +
+                `${tuning.source === 'lambda'
+                  ? `- **Original Memory**: ${tuning.originalMemory}MB (${tuning.restored ? 'restored' : `NOT restored: ${tuning.restoreError}`})\n`
+                  : ''}\n` +
+                `## Results\n` +
+                `| Memory | Warm Avg | Warm Min-Max | Cold | Cost / 1M Invocations | Errors |\n` +
+                `|--------|----------|--------------|------|-----------------------|--------|\n` +
+                `${tuning.sizes.map(size =>
+                  `| ${size.memorySize}MB | ${size.warm.avgDuration}ms | ${size.warm.minDuration}-${size.warm.maxDuration}ms | ` +
+                  `${size.cold ? `${size.cold.duration}ms${size.cold.initDuration !== null ? ` + ${size.cold.initDuration}ms init` : ''}` : 'N/A'} | ` +
+                  `${formatCost(size.costPerMillion)} | ${size.errors} |\n`
+                ).join('')}\n` +
+                `## Optimal Memory\n` +
+                `- **Cheapest**: ${tuning.optimal.cost ?? 'N/A'}MB\n` +
+                `- **Fastest**: ${tuning.optimal.speed ?? 'N/A'}MB\n` +
+                `- **Balanced** (cost weight ${tuning.balancedWeight}): ${tuning.optimal.balanced ?? 'N/A'}MB\n\n` +
+                `## Recommendations\n` +
+                `${tuning.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: tuning
+    };
+  }
+
+  async detectPerformanceAnomalies(args) {
+    const { functionName, timeRange = '24h', baselineDays, threshold, qualifier } = args;
+
+    const detection = await this.getAnalyzers({ qualifier }).anomalyDetector.detectAnomalies(functionName, timeRange, { baselineDays, threshold });
+    const formatValue = (value, unit) => (value === null ? 'N/A' : `${value}${unit}`);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Performance Anomalies: ${functionName}\n\n` +
+                `## Window\n` +
+                `- **Checked**: ${detection.detectionWindow.start} to ${detection.detectionWindow.end} (hourly)\n` +
+                `- **Baseline**: previous ${detection.baselineDays} days, ${detection.dataPoints.baselineHours} hours with traffic\n` +
+                `- **Threshold**: robust z-score ${detection.threshold}\n` +
+                `${detection.coldStartsTruncated ? '- **Note**: the cold start log scan hit its limit; hours past it have no cold start rate\n' : ''}\n` +
+                `## Metrics\n` +
+                `| Metric | Latest | Usual | Anomalous Hours | Max Score |\n` +
+                `|--------|--------|-------|-----------------|-----------|\n` +
+                `${detection.metrics.map(metric =>
+                  `| ${metric.metric} | ${formatValue(metric.latestValue, metric.unit)} | ${formatValue(metric.latestBaseline, metric.unit)} | ` +
+                  `${metric.anomalousHours} | ${metric.maxScore} |\n`
+                ).join('')}\n` +
+                `## Incidents\n` +
+                `${detection.incidents.length > 0 ?
+                  detection.incidents.map(incident =>
+                    `### ${incident.start} to ${incident.end}\n` +
+                    `- **First Mover**: ${incident.firstMover}\n` +
+                    `- **Metrics**: ${incident.metrics.join(' → ')}\n` +
+                    `- ${incident.explanation}`
+                  ).join('\n\n') :
+                  'No anomalies detected'}\n\n` +
+                `## Anomalies\n` +
+                `${detection.anomalies.length > 0 ?
+                  detection.anomalies.map(anomaly =>
+                    `- **${anomaly.label}** from ${anomaly.start} for ${anomaly.hours}h: peak ${anomaly.peakValue}${anomaly.unit} ` +
+                    `vs ${anomaly.baselineValue}${anomaly.unit} usual` +
+                    `${anomaly.magnitude !== null ? ` (${anomaly.magnitude}x, ` : ' ('}score ${anomaly.score}, ${anomaly.season} baseline)`
+                  ).join('\n') :
+                  'None'}\n\n` +
+                `## Summary\n` +
+                `${detection.summary.map(line => `- ${line}`).join('\n')}`
         }
-      ]
+      ],
+      structuredContent: detection
+    };
+  }
+
+  async detectDeploymentRegressions(args) {
+    const { functionName, timeRange = '7d', maxDeployments, logSource, qualifier } = args;
+
+    const deploymentAnalyzer = this.getAnalyzers({ logSource, qualifier }).deploymentAnalyzer;
+    const report = await deploymentAnalyzer.detectRegressions(functionName, timeRange, { maxDeployments });
+    const formatValue = value => (value === null ? 'N/A' : value);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Deployment Regressions: ${functionName}\n\n` +
+                `## Versions (${timeRange})\n` +
+                `${report.versions.length > 0 ?
+                  report.versions.map(version =>
+                    `- **${version.version}**: ${version.invocations} invocations` +
+                    `${version.firstInvoked ? `, served ${version.firstInvoked} to ${version.lastInvoked}` : ''}` +
+                    `${version.publishedAt ? `, published ${version.publishedAt}` : ''}`
+                  ).join('\n') :
+                  'No version traffic found'}\n\n` +
+                `${report.aliases.length > 0 ?
+                  `## Aliases\n${report.aliases.map(alias =>
+                    `- **${alias.name}** → ${alias.version}` +
+                    `${alias.additionalVersions.map(entry => `, ${Math.round(entry.weight * 100)}% to ${entry.version}`).join('')}`
+                  ).join('\n')}\n\n` :
+                  ''}` +
+                `## Deployments\n` +
+                `${report.deployments.length > 0 ?
+                  report.deployments.map(deployment =>
+                    `### ${deployment.kind === 'update' ? '$LATEST update' : `Version ${deployment.version}`} at ${deployment.deployedAt}\n` +
+                    `${deployment.note ? `${deployment.note}\n` :
+                      `Compared with ${deployment.kind === 'update' ? '$LATEST before the update' : `version ${deployment.previousVersion}`} (${deployment.before.samples} vs ${deployment.after.samples} invocations)` +
+                      `${deployment.regression ? ` - **regression, ${deployment.confidence} confidence**` : ''}\n\n` +
+                      `| Metric | Before | After | Change | Confidence |\n` +
+                      `|--------|--------|-------|--------|------------|\n` +
+                      `${deployment.changes.map(change =>
+                        `| ${change.regression ? `**${change.metric}**` : change.metric} | ${formatValue(change.before)} | ${formatValue(change.after)} | ` +
+                        `${change.changePercent !== null ? `${change.changePercent}%` : 'N/A'} | ${change.confidence} |\n`
+                      ).join('')}`}`
+                  ).join('\n') :
+                  'No deployments found'}\n\n` +
+                `## Recommendations\n` +
+                `${report.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: report
+    };
+  }
+
+  async analyzeTimeoutRisk(args) {
+    const { functionName, timeRange = '7d', logSource, qualifier } = args;
+
+    const timeoutAnalyzer = this.getAnalyzers({ logSource, qualifier }).timeoutAnalyzer;
+    const risk = await timeoutAnalyzer.analyzeTimeoutRisk(functionName, timeRange);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Timeout Risk: ${functionName}\n\n` +
+                `## Timeout (${timeRange})\n` +
+                `- **Configured Timeout**: ${risk.timeoutSeconds}s${risk.timeoutKnown ? '' : ' (assumed default)'}\n` +
+                `- **Risk**: ${risk.risk}\n` +
+                `- **Timed Out Invocations**: ${risk.timeouts.count}${risk.timeouts.lastSeen ? ` (last ${risk.timeouts.lastSeen})` : ''}\n` +
+                `${risk.timeouts.sampleRequestIds.length > 0 ? `- **Sample Requests**: ${risk.timeouts.sampleRequestIds.join(', ')}\n` : ''}` +
+                `- **P99 Uses**: ${risk.p99UtilizationPercent}% of the timeout\n\n` +
+                `## Duration Distribution (${risk.durations.samples} invocations)\n` +
+                `- **P50**: ${risk.durations.p50}ms\n` +
+                `- **P95**: ${risk.durations.p95}ms\n` +
+                `- **P99**: ${risk.durations.p99}ms\n` +
+                `- **P99.9**: ${risk.durations.p999}ms\n` +
+                `- **Max**: ${risk.durations.max}ms\n\n` +
+                `## Near the Limit\n` +
+                `| Share of Timeout | Threshold | Invocations | Share |\n` +
+                `|------------------|-----------|-------------|-------|\n` +
+                `${risk.thresholds.map(threshold =>
+                  `| ${threshold.percent}% | ${threshold.thresholdMs}ms | ${threshold.invocations} | ${threshold.sharePercent}% |\n`
+                ).join('')}\n` +
+                `## Upstream Limits\n` +
+                `${risk.upstreamLimits.length > 0 ?
+                  risk.upstreamLimits.map(limit =>
+                    `- **${limit.source}** (${limit.kind}): keep the timeout at or below ${limit.limitSeconds}s - ${limit.detail}`
+                  ).join('\n') :
+                  (logSource ? 'Not checked for offline logs' : 'No API Gateway or SQS callers found')}\n\n` +
+                `## Recommended Timeout: ${risk.recommendedTimeoutSeconds}s\n` +
+                `${risk.reasoning.map(reason => `- ${reason}`).join('\n')}\n\n` +
+                `## Recommendations\n` +
+                `${risk.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: risk
+    };
+  }
+
+  async analyzeConcurrency(args) {
+    const { functionNames = [], timeRange = '24h', qualifier } = args;
+
+    const concurrencyAnalyzer = this.getAnalyzers({ qualifier }).concurrencyAnalyzer;
+    const report = await concurrencyAnalyzer.analyzeConcurrency(timeRange, functionNames);
+    const { account, allocation } = report;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Concurrency Analysis\n\n` +
+                `## Account (${timeRange}, ${report.periodSeconds}s periods)\n` +
+                `- **Concurrency Limit**: ${account.limit} (${account.reserved} reserved, ${account.unreservedLimit} unreserved)\n` +
+                `- **Peak Concurrency**: ${account.peakConcurrency} (${account.utilizationPercent}% of the limit, headroom ${account.headroom})\n` +
+                `- **Peak Unreserved Concurrency**: ${account.peakUnreservedConcurrency} (headroom ${account.unreservedHeadroom})\n` +
+                `- **Throttles**: ${account.throttles}\n` +
+                `- **Periods Above ${concurrencyAnalyzer.rules.poolPressure * 100}% of the Unreserved Pool**: ${account.pressurePeriods}\n\n` +
+                `## Functions\n` +
+                `| Function | Limit | Peak | P95 | Headroom | Utilization | Throttles |\n` +
+                `|----------|-------|------|-----|----------|-------------|-----------|\n` +
+                `${report.functions.map(func =>
+                  `| ${func.functionName} | ${func.limit} (${func.limitSource}) | ${func.peakConcurrency} | ${func.p95Concurrency} | ` +
+                  `${func.headroom} | ${func.utilizationPercent !== null ? `${func.utilizationPercent}%` : 'N/A'} | ${func.throttles} (${func.throttleRate}%) |\n`
+                ).join('')}\n` +
+                `## Throttle Episodes (${report.throttleEpisodes.total})\n` +
+                `${report.throttleEpisodes.episodes.length > 0 ?
+                  report.throttleEpisodes.episodes.map(episode =>
+                    `- **${episode.functionName}** ${episode.start} to ${episode.end}: ${episode.throttles} throttles at ` +
+                    `${episode.peakConcurrency} concurrent (limit ${episode.limit}) - ${episode.cause}`
+                  ).join('\n') :
+                  'No throttling found'}\n\n` +
+                `${report.starving.length > 0 ?
+                  `## Starving the Unreserved Pool\n${report.starving.map(entry =>
+                    `- **${entry.functionName}**: ${entry.avgSharePercent}% of the pool over ${entry.pressurePeriods} contended periods` +
+                    `${entry.throttledFunctions.length > 0 ? `; throttled meanwhile: ${entry.throttledFunctions.join(', ')}` : ''}`
+                  ).join('\n')}\n\n` :
+                  ''}` +
+                `## Reserved Concurrency Allocation\n` +
+                `${allocation.changes.length > 0 ?
+                  `${allocation.changes.map(change =>
+                    `- **${change.functionName}**: ${change.currentReserved !== null ? change.currentReserved : 'unreserved'} → ${change.recommendedReserved} ` +
+                    `(peak ${change.peakConcurrency}) - ${change.reason}`
+                  ).join('\n')}\n` +
+                  `- **Reserved Total**: ${allocation.reservedBefore} → ${allocation.reservedAfter}, leaving ${allocation.unreservedAfter} unreserved` +
+                  `${allocation.feasible ? '' : ' (below the required 100)'}` :
+                  'No changes recommended'}\n\n` +
+                `## Recommendations\n` +
+                `${report.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: report
+    };
+  }
+
+  async analyzeEventSources(args) {
+    const { functionName, timeRange = '24h', qualifier } = args;
+
+    const eventSourceAnalyzer = this.getAnalyzers({ qualifier }).eventSourceAnalyzer;
+    const report = await eventSourceAnalyzer.analyzeEventSources(functionName, timeRange);
+    const formatSeconds = ms => `${Math.round(ms / 1000)}s`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Event Sources: ${functionName}\n\n` +
+                `## Function (${timeRange})\n` +
+                `- **Invocations**: ${report.function.invocations}\n` +
+                `- **Average / P95 / P99 Duration**: ${report.function.avgDuration}ms / ${report.function.p95Duration}ms / ${report.function.p99Duration}ms\n` +
+                `- **Timeout**: ${report.function.timeoutSeconds !== null ? `${report.function.timeoutSeconds}s` : 'N/A'}\n` +
+                `- **Error Rate**: ${report.function.errorRate}%\n\n` +
+                `${report.mappings.map(mapping =>
+                  `## ${mapping.type.toUpperCase()} ${mapping.source} (${mapping.state}, ${mapping.health})\n` +
+                  `- **Batch Size**: ${mapping.settings.batchSize !== null ? mapping.settings.batchSize : 'N/A'}` +
+                  `${mapping.settings.batchingWindowSeconds ? `, window ${mapping.settings.batchingWindowSeconds}s` : ''}` +
+                  `${mapping.metrics.avgBatchSize !== null ? ` (average ${mapping.metrics.avgBatchSize})` : ''}\n` +
+                  `${mapping.settings.maximumConcurrency ? `- **Maximum Concurrency**: ${mapping.settings.maximumConcurrency}\n` : ''}` +
+                  `${mapping.settings.parallelizationFactor ? `- **Parallelization Factor**: ${mapping.settings.parallelizationFactor}\n` : ''}` +
+                  `- **Partial Batch Failures**: ${mapping.settings.reportBatchItemFailures ? 'reported' : 'off'}\n` +
+                  `${mapping.metricsError ? `- **Metrics**: unavailable (${mapping.metricsError})\n` : ''}` +
+                  `${mapping.type === 'sqs' && !mapping.metricsError ?
+                    `- **Backlog**: up to ${mapping.metrics.backlogMax} messages (average ${mapping.metrics.backlogAvg}), oldest ${mapping.metrics.oldestMessageAgeMaxSeconds}s\n` +
+                    `- **Arrival Rate**: ${mapping.metrics.arrivalRatePerSecond}/s` +
+                    `${mapping.metrics.capacityPerSecond !== null ? ` against an estimated ${mapping.metrics.capacityPerSecond}/s capacity` : ''}\n` :
+                    ''}` +
+                  `${mapping.type === 'sqs' && mapping.queue ?
+                    `- **Visibility Timeout**: ${mapping.queue.visibilityTimeoutSeconds}s\n` +
+                    `- **Dead-letter Queue**: ${mapping.queue.deadLetterQueue ? `${mapping.queue.deadLetterQueue} after ${mapping.queue.maxReceiveCount} receives` : 'none'}\n` :
+                    ''}` +
+                  `${mapping.type === 'kinesis' || mapping.type === 'dynamodb' ?
+                    `${mapping.metricsError ? '' : `- **Iterator Age**: max ${formatSeconds(mapping.metrics.iteratorAgeMaxMs)}, average ${formatSeconds(mapping.metrics.iteratorAgeAvgMs)}\n`}` +
+                    `- **Retries**: ${mapping.settings.maximumRetryAttempts === null || mapping.settings.maximumRetryAttempts === -1 ? 'until records expire' : mapping.settings.maximumRetryAttempts}` +
+                    `${mapping.settings.bisectBatchOnError ? ', bisecting failed batches' : ''}\n` +
+                    `- **On-failure Destination**: ${mapping.settings.onFailureDestination || 'none'}\n` :
+                    ''}` +
+                  `${mapping.findings.length > 0 ?
+                    `\n${mapping.findings.map(finding => `- **${finding.severity}**: ${finding.issue}`).join('\n')}\n` :
+                    ''}`
+                ).join('\n')}\n` +
+                `## Recommendations\n` +
+                `${report.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: report
+    };
+  }
+
+  async analyzeAsyncInvocations(args) {
+    const { functionName, timeRange = '24h', qualifier } = args;
+
+    const asyncInvocationAnalyzer = this.getAnalyzers({ qualifier }).asyncInvocationAnalyzer;
+    const report = await asyncInvocationAnalyzer.analyzeAsyncInvocations(functionName, timeRange);
+    const { config, events, backlog } = report;
+    const formatSeconds = ms => `${Math.round(ms / 1000)}s`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `# Asynchronous Invocations: ${functionName}\n\n` +
+                `## Configuration${config.configured ? '' : ' (Lambda defaults)'}\n` +
+                `- **Maximum Retries**: ${config.maximumRetryAttempts}\n` +
+                `- **Maximum Event Age**: ${config.maximumEventAgeSeconds}s\n` +
+                `- **On-failure Destination**: ${config.onFailureDestination || 'none'}\n` +
+                `- **Dead-letter Queue**: ${config.deadLetterQueue || 'none'}\n\n` +
+                `## Events (${timeRange}) - ${report.health}\n` +
+                `- **Received**: ${events.received}\n` +
+                `- **Dropped**: ${events.dropped} (${events.dropRate}%)\n` +
+                `- **Event Age**: max ${formatSeconds(events.maxEventAgeMs)}, average ${formatSeconds(events.avgEventAgeMs)}\n` +
+                `- **Errors / Throttles**: ${events.errors} / ${events.throttles}\n` +
+                `- **Dead-letter Errors**: ${events.deadLetterErrors}\n` +
+                `- **Destination Delivery Failures**: ${events.destinationDeliveryFailures}\n\n` +
+                `## Backlog\n` +
+                `- **Trend**: ${backlog.growing ? 'growing' : 'stable'} (event age ${backlog.ageChangePercent >= 0 ? '+' : ''}${backlog.ageChangePercent}% between the halves of the range)\n` +
+                `- **Latest Event Age**: ${formatSeconds(backlog.latestEventAgeMs)}\n` +
+                `- **Peak Event Age**: ${formatSeconds(backlog.peakEventAgeMs)}${backlog.peakAt ? ` at ${backlog.peakAt}` : ''}\n\n` +
+                `${report.dropCauses.length > 0 ?
+                  `## Drop Causes\n${report.dropCauses.map(entry =>
+                    `- **${entry.cause}**: ${entry.events} events in ${entry.periods} periods`
+                  ).join('\n')}\n\n` :
+                  ''}` +
+                `## Recommendations\n` +
+                `${report.recommendations.map(rec => `- ${rec}`).join('\n')}`
+        }
+      ],
+      structuredContent: report
     };
   }
 
   async monitorRealTimePerformance(args) {
-    const { functionName, duration = 5 } = args;
+    const { functionName, duration = 5, qualifier } = args;
     
-    const monitoring = await this.lambdaAnalyzer.monitorRealTime(
+    const monitoring = await this.getAnalyzers({ qualifier }).lambdaAnalyzer.monitorRealTime(
       functionName, 
       duration
     );
@@ -490,26 +1430,187 @@ class LambdaPerformanceMCPServer {
                 `- **Recent Invocations**: ${monitoring.recentInvocations}\n` +
                 `- **Average Duration**: ${monitoring.avgDuration}ms\n` +
                 `- **Error Rate**: ${monitoring.errorRate}%\n` +
-                `- **Cold Starts**: ${monitoring.coldStarts}\n\n` +
+                `- **Cold Starts**: ${monitoring.coldStarts}${monitoring.truncated ? ' (log scan limit reached)' : ''}\n\n` +
                 `## Performance Alerts\n` +
                 `${monitoring.alerts.length > 0 ? 
                   monitoring.alerts.map(alert => `${alert}`).join('\n') : 
                   'No performance issues detected'}\n\n` +
                 `## Recent Activity\n` +
-                `${monitoring.recentActivity.map(activity => 
-                  `- ${activity.timestamp}: ${activity.event} (${activity.duration}ms)`
-                ).join('\n')}`
+                `${monitoring.recentActivity.length > 0 ?
+                  monitoring.recentActivity.map(activity => 
+                    `- ${activity.timestamp}: ${activity.event} (${activity.duration}ms)`
+                  ).join('\n') :
+                  'No invocations in this window'}`
         }
-      ]
+      ],
+      structuredContent: { functionName, durationMinutes: duration, ...monitoring }
+    };
+  }
+
+  // Tools share one set of analyzers; a log source or qualifier gets a set of its own
+  getAnalyzers({ logSource, qualifier } = {}) {
+    if (!logSource && !qualifier) {
+      return {
+        lambdaAnalyzer: this.lambdaAnalyzer,
+        coldStartTracker: this.coldStartTracker,
+        insightsAnalyzer: this.insightsAnalyzer,
+        traceAnalyzer: this.traceAnalyzer,
+        performanceOptimizer: this.performanceOptimizer,
+        provisionedConcurrencySimulator: this.provisionedConcurrencySimulator,
+        anomalyDetector: this.anomalyDetector,
+        deploymentAnalyzer: this.deploymentAnalyzer,
+        timeoutAnalyzer: this.timeoutAnalyzer,
+        concurrencyAnalyzer: this.concurrencyAnalyzer,
+        eventSourceAnalyzer: this.eventSourceAnalyzer,
+        asyncInvocationAnalyzer: this.asyncInvocationAnalyzer
+      };
+    }
+
+    const options = { logSource, qualifier, dataSource: this.dataSource };
+    const lambdaAnalyzer = new LambdaAnalyzer({ ...options, workerPool: this.lambdaAnalyzer.workerPool });
+    const coldStartTracker = new ColdStartTracker(options);
+    const insightsAnalyzer = new InsightsAnalyzer(options);
+    const traceAnalyzer = new TraceAnalyzer({ qualifier, dataSource: this.dataSource });
+
+    return {
+      lambdaAnalyzer,
+      coldStartTracker,
+      insightsAnalyzer,
+      traceAnalyzer,
+      performanceOptimizer: new PerformanceOptimizer(lambdaAnalyzer, coldStartTracker, insightsAnalyzer, traceAnalyzer),
+      provisionedConcurrencySimulator: new ProvisionedConcurrencySimulator(lambdaAnalyzer, coldStartTracker),
+      anomalyDetector: new AnomalyDetector(lambdaAnalyzer),
+      deploymentAnalyzer: new DeploymentAnalyzer(lambdaAnalyzer),
+      timeoutAnalyzer: new TimeoutAnalyzer(lambdaAnalyzer),
+      concurrencyAnalyzer: new ConcurrencyAnalyzer(lambdaAnalyzer),
+      eventSourceAnalyzer: new EventSourceAnalyzer(lambdaAnalyzer),
+      asyncInvocationAnalyzer: new AsyncInvocationAnalyzer(lambdaAnalyzer)
+    };
+  }
+
+  // Handlers return markdown plus structured content; `format` picks the text rendering
+  formatToolResult(result, format = 'markdown') {
+    const markdown = result.content;
+    if (result.structuredContent === undefined) {
+      return { content: markdown };
+    }
+
+    const structuredContent = JSON.parse(JSON.stringify(result.structuredContent));
+    const json = [{ type: 'text', text: JSON.stringify(structuredContent, null, 2) }];
+    const renderings = { markdown, json, both: [...markdown, ...json] };
+
+    return {
+      content: renderings[format],
+      structuredContent
     };
   }
 
   formatDetailedMetrics(details) {
     return `## Detailed Metrics\n` +
            `### Error Analysis\n` +
-           `${details.errors.map(error => `- ${error.type}: ${error.count} occurrences`).join('\n')}\n\n` +
+           `${this.formatErrorSignatures(details.errors)}\n\n` +
+           `### Memory Usage\n` +
+           `- Peak: ${details.memoryUsage.peak}MB, Average: ${details.memoryUsage.average}MB, Minimum: ${details.memoryUsage.minimum}MB (${details.memoryUsage.samples} samples)\n\n` +
            `### Performance Trends\n` +
-           `${details.trends.map(trend => `- ${trend}`).join('\n')}\n\n`;
+           `${details.trends.length > 0
+             ? details.trends.map(trend => `- ${trend}`).join('\n')
+             : 'No trends: fewer than 4 hours of REPORT records, or more records than the sample covers'}\n\n`;
+  }
+
+  formatErrorSignatures(errors) {
+    if (errors.length === 0) return 'No errors found in the logs';
+
+    return errors.map(error =>
+      `- **${error.signature}** (${error.type}): ${error.count} occurrences\n` +
+      `${error.location ? `  - Location: ${error.location}\n` : ''}` +
+      `  - Seen: ${error.firstSeen} to ${error.lastSeen}\n` +
+      `  - Cold starts: ${error.coldStarts} (${error.coldStartPercent}%${error.coldStartLift !== null ? `, ${error.coldStartLift}x the overall rate` : ''})\n` +
+      `  - Sample requests: ${error.sampleRequestIds.join(', ') || 'N/A'}`
+    ).join('\n');
+  }
+
+  formatAccountCostDetails(costAnalysis) {
+    const shareRows = groups => groups.map(group =>
+      `| ${group.name} | ${group.functions} | $${group.cost} | ${group.percent}% |`
+    ).join('\n');
+
+    return `\n\n## Top Spenders (${costAnalysis.topSpenders.length} of ${costAnalysis.functionCount} functions)\n` +
+           `| Function | Runtime | Architecture | Memory | Invocations | Cost | Share |\n` +
+           `| --- | --- | --- | --- | --- | --- | --- |\n` +
+           costAnalysis.topSpenders.map(func =>
+             `| ${func.name} | ${func.runtime} | ${func.architecture} | ${func.memory}MB | ${func.invocations.toLocaleString()} | $${func.cost} | ${func.share}% |`
+           ).join('\n') +
+           `\n\n## Cost by Runtime\n` +
+           `| Runtime | Functions | Cost | Share |\n| --- | --- | --- | --- |\n` +
+           shareRows(costAnalysis.costByRuntime) +
+           `\n\n## Cost by Architecture\n` +
+           `| Architecture | Functions | Cost | Share |\n| --- | --- | --- | --- |\n` +
+           shareRows(costAnalysis.costByArchitecture) +
+           `\n\n## Daily Totals\n` +
+           costAnalysis.dailyTotals.map(day =>
+             `- ${day.date}: $${day.cost}${day.date === costAnalysis.peakDay ? ' (peak)' : ''}`
+           ).join('\n') +
+           `\n\n_Per-function costs exclude the free tier; account totals include a $${costAnalysis.freeTierCredit} free tier credit._` +
+           costAnalysis.errors.map(error => `\n- **Not priced (${error.functionNames.join(', ')})**: ${error.message}`).join('');
+  }
+
+  formatTimings(timings) {
+    return `## Timing\n` +
+           `- **Functions**: ${timings.functions} (concurrency ${timings.concurrency})\n` +
+           `- **Metric Requests**: ${timings.metricRequests} GetMetricData call(s) in ${timings.metricsMs}ms\n` +
+           `- **Per-function Analysis**: ${timings.functionsMs}ms\n` +
+           `- **Total**: ${timings.totalMs}ms`;
+  }
+
+  formatEvidence(evidence = []) {
+    return evidence.map(item => {
+      const threshold = item.threshold !== null ? ` (threshold ${item.comparison} ${item.threshold}${item.unit})` : '';
+      return `   - Evidence: ${item.metric} = ${item.observed}${item.unit}${threshold}\n`;
+    }).join('');
+  }
+
+  formatSnapStart(snapStart) {
+    if (snapStart.restores === 0) return '';
+
+    const row = (label, durations) =>
+      `| ${label} | ${durations.count} | ${durations.avgDuration}ms | ${durations.percentiles.p50}ms | ` +
+      `${durations.percentiles.p90}ms | ${durations.percentiles.p95}ms | ${durations.percentiles.p99}ms |`;
+
+    return `## SnapStart Restores vs Initialization\n` +
+      `| Cold Start | Count | Avg | P50 | P90 | P95 | P99 |\n` +
+      `|------------|-------|-----|-----|-----|-----|-----|\n` +
+      `${row('Restore', snapStart.restore)}\n` +
+      `${snapStart.init.count > 0 ? `${row('Init', snapStart.init)}\n` : ''}` +
+      `${snapStart.restoreSavingsPercent !== null ? `\nMedian restore is ${snapStart.restoreSavingsPercent}% shorter than median initialization\n` : ''}\n`;
+  }
+
+  formatInitPhase(initPhase) {
+    if (initPhase.initializations === 0) return '';
+
+    const { failures, reinits, breakdown } = initPhase;
+    const runtimeVersions = initPhase.runtimeVersions.length > 0
+      ? `| Runtime Version | ARN | Initializations | Avg Init |\n` +
+        `|-----------------|-----|-----------------|----------|\n` +
+        initPhase.runtimeVersions.map(runtime =>
+          `| ${runtime.version} | ${runtime.arn || 'N/A'} | ${runtime.initializations} | ${runtime.avgInitDuration}ms |`
+        ).join('\n') + '\n\n'
+      : '';
+    const shares = breakdown.samples > 0
+      ? `### Where Init Time Goes (${breakdown.samples} sampled, ${breakdown.attributed} with function output)\n` +
+        `- **Extensions**: ${breakdown.extensionsPercent}% (${breakdown.avgExtensions}ms avg)\n` +
+        `- **Runtime**: ${breakdown.runtimePercent}% (${breakdown.avgRuntime}ms avg)\n` +
+        `- **User Code**: ${breakdown.userCodePercent}% (${breakdown.avgUserCode}ms avg)\n` +
+        `${breakdown.unattributedPercent > 0 ? `- **Runtime or User Code**: ${breakdown.unattributedPercent}% (${breakdown.avgUnattributed}ms avg, no function output during init)\n` : ''}\n`
+      : '';
+
+    return `## Init Phase\n` +
+      runtimeVersions +
+      `- **Initializations**: ${initPhase.initializations}\n` +
+      `- **Failed Inits**: ${failures.errors} errors, ${failures.timeouts} timeouts (${failures.failureRate}%)` +
+      `${failures.errorTypes.length > 0 ? ` - ${failures.errorTypes.map(error => `${error.type} x${error.count}`).join(', ')}` : ''}\n` +
+      `- **Re-runs in Invoke Phase**: ${reinits.count}${reinits.count > 0 ? ` (${reinits.avgDuration}ms avg)` : ''}\n` +
+      `- **Extensions**: ${initPhase.extensions.length > 0 ? initPhase.extensions.map(extension => extension.name).join(', ') : 'None'}\n\n` +
+      shares;
   }
 
   formatColdStartTimeline(timeline) {
@@ -537,5 +1638,8 @@ class LambdaPerformanceMCPServer {
   }
 }
 
-const server = new LambdaPerformanceMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+// Only start the stdio server when run directly, not when imported by the tests
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new LambdaPerformanceMCPServer();
+  server.run().catch(console.error);
+}
\ No newline at end of file
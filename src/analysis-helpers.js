@@ -0,0 +1,39 @@
+// Time range and statistics helpers shared by the analyzers
+
+export const HOUR_MS = 60 * 60 * 1000;
+
+const TIME_RANGES = {
+  '1h': HOUR_MS,
+  '6h': 6 * HOUR_MS,
+  '24h': 24 * HOUR_MS,
+  '7d': 7 * 24 * HOUR_MS,
+  '30d': 30 * 24 * HOUR_MS
+};
+
+// Length of a timeRange argument in ms; unknown ranges fall back to 24h
+export function parseTimeRange(timeRange) {
+  return TIME_RANGES[timeRange] || TIME_RANGES['24h'];
+}
+
+// Nearest-rank percentile of unsorted values, 0 when there are none
+export function calculatePercentile(values, percentile) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.ceil((percentile / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, index)];
+}
+
+// A loop rather than spreading into Math functions, so long series cannot overflow the stack
+export function sum(values) {
+  let total = 0;
+  for (const value of values) total += value;
+  return total;
+}
+
+export function average(values) {
+  return values.length > 0 ? sum(values) / values.length : 0;
+}
+
+export function round(value) {
+  return Math.round(value * 100) / 100;
+}
\ No newline at end of file
@@ -0,0 +1,353 @@
+import { FilterLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { LambdaAnalyzer } from './lambda-analyzer.js';
+import { HOUR_MS, parseTimeRange, round } from './analysis-helpers.js';
+
+// Metrics checked for anomalies; `floor` keeps flat baselines (e.g. zero errors) from flagging noise
+const METRICS = [
+  { key: 'p50Duration', label: 'p50 duration', unit: 'ms', floor: 5, minInvocations: 5 },
+  { key: 'p95Duration', label: 'p95 duration', unit: 'ms', floor: 10, minInvocations: 5 },
+  { key: 'p99Duration', label: 'p99 duration', unit: 'ms', floor: 20, minInvocations: 5 },
+  { key: 'errorRate', label: 'error rate', unit: '%', floor: 1, minInvocations: 5 },
+  { key: 'throttleRate', label: 'throttle rate', unit: '%', floor: 1, minInvocations: 5 },
+  { key: 'coldStartRate', label: 'cold start rate', unit: '%', floor: 2, minInvocations: 5 }
+];
+
+// Compares recent hourly CloudWatch data with a seasonal baseline built from the same hours on previous days
+export class AnomalyDetector {
+  constructor(lambdaAnalyzer = new LambdaAnalyzer()) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.period = 3600;
+    this.minSeasonalSamples = 4;
+    this.maxColdStartEvents = 100000;
+    // Robust z-score: distance from the median in units of scaled median absolute deviation
+    this.madScale = 1.4826;
+  }
+
+  async detectAnomalies(functionName, timeRange = '24h', options = {}) {
+    const baselineDays = Math.min(60, Math.max(7, options.baselineDays || 28));
+    const threshold = options.threshold || 3.5;
+    const windowMs = parseTimeRange(timeRange);
+
+    // Whole hours only, so every bucket lines up with a CloudWatch period
+    const endTime = new Date(Math.floor((await this.lambdaAnalyzer.getEndTime()).getTime() / HOUR_MS) * HOUR_MS);
+    const detectionStart = new Date(endTime.getTime() - windowMs);
+    const baselineStart = new Date(detectionStart.getTime() - baselineDays * 24 * HOUR_MS);
+
+    const hours = await this.getHourlySeries(functionName, baselineStart, endTime);
+    // The detection window is scanned first with its own cap, so a busy baseline cannot crowd it out
+    const detectionColdStarts = await this.getHourlyColdStarts(functionName, detectionStart, endTime);
+    const baselineColdStarts = await this.getHourlyColdStarts(functionName, baselineStart, detectionStart);
+    hours.forEach(hour => {
+      const scan = hour.timestamp >= detectionStart.getTime() ? detectionColdStarts : baselineColdStarts;
+      // Hours past where a capped scan stopped have unknown cold starts, not none
+      hour.coldStarts = hour.timestamp < scan.coveredUntil ? scan.counts.get(hour.timestamp) || 0 : null;
+      this.deriveRates(hour);
+    });
+
+    const baselineHours = hours.filter(hour => hour.timestamp < detectionStart.getTime());
+    const detectionHours = hours.filter(hour => hour.timestamp >= detectionStart.getTime());
+
+    const evaluations = METRICS.map(metric => ({
+      metric,
+      points: detectionHours.map(hour => this.evaluate(metric, hour, baselineHours, threshold))
+    }));
+    const anomalies = evaluations
+      .flatMap(({ metric, points }) => this.groupEpisodes(metric, points))
+      .sort((a, b) => a.start.localeCompare(b.start));
+    const incidents = this.groupIncidents(anomalies);
+
+    return {
+      functionName,
+      timeRange,
+      baselineDays,
+      threshold,
+      period: this.period,
+      detectionWindow: { start: detectionStart.toISOString(), end: endTime.toISOString() },
+      dataPoints: {
+        baselineHours: baselineHours.filter(hour => hour.invocations > 0).length,
+        detectionHours: detectionHours.filter(hour => hour.invocations > 0).length
+      },
+      coldStartsTruncated: detectionColdStarts.truncated || baselineColdStarts.truncated,
+      metrics: evaluations.map(({ metric, points }) => this.summarizeMetric(metric, points)),
+      anomalies,
+      incidents,
+      summary: this.generateSummary(incidents, baselineHours)
+    };
+  }
+
+  // One GetMetricData request (plus pages) for every hourly series over baseline and detection windows.
+  // A failed request throws, since all-zero hours would read as a function with no traffic
+  async getHourlySeries(functionName, startTime, endTime) {
+    const dimensions = this.lambdaAnalyzer.qualifierResolver.getDimensions(functionName);
+    const queries = [
+      { key: 'invocations', metricName: 'Invocations', stat: 'Sum' },
+      { key: 'errors', metricName: 'Errors', stat: 'Sum' },
+      { key: 'throttles', metricName: 'Throttles', stat: 'Sum' },
+      { key: 'p50Duration', metricName: 'Duration', stat: 'p50' },
+      { key: 'p95Duration', metricName: 'Duration', stat: 'p95' },
+      { key: 'p99Duration', metricName: 'Duration', stat: 'p99' }
+    ].map(query => ({ ...query, dimensions }));
+    const hours = new Map();
+    for (let timestamp = startTime.getTime(); timestamp < endTime.getTime(); timestamp += HOUR_MS) {
+      hours.set(timestamp, {
+        timestamp,
+        invocations: 0,
+        errors: 0,
+        throttles: 0,
+        p50Duration: null,
+        p95Duration: null,
+        p99Duration: null
+      });
+    }
+
+    const { series, failures } = await this.lambdaAnalyzer.getMetricSeries(queries, startTime, endTime, this.period);
+    if (failures.length > 0) {
+      throw new Error(`Could not get hourly metrics for ${functionName}: ${failures[0].message}`);
+    }
+    queries.forEach(({ key, stat }) => {
+      series.get(key).forEach(point => {
+        const hour = hours.get(point.Timestamp.getTime());
+        if (hour) hour[key] = point[stat];
+      });
+    });
+
+    return [...hours.values()];
+  }
+
+  // Cold starts are the REPORT lines carrying Init Duration, counted per hour. A capped scan covers
+  // the hours before the one it stopped in; `coveredUntil` marks where that coverage ends
+  async getHourlyColdStarts(functionName, startTime, endTime) {
+    const { qualifierResolver } = this.lambdaAnalyzer;
+    const versions = await qualifierResolver.getVersions(functionName);
+    const counts = new Map();
+    let scanned = 0;
+    let lastTimestamp = startTime.getTime();
+    let nextToken;
+
+    do {
+      try {
+        const command = new FilterLogEventsCommand({
+          logGroupName: `/aws/lambda/${functionName}`,
+          startTime: startTime.getTime(),
+          endTime: endTime.getTime(),
+          filterPattern: '"REPORT RequestId" "Init Duration"',
+          nextToken
+        });
+
+        const response = await this.lambdaAnalyzer.logsClient.send(command);
+        (response.events || []).forEach(event => {
+          scanned++;
+          lastTimestamp = Math.max(lastTimestamp, event.timestamp);
+          if (!qualifierResolver.matchesStream(versions, event.logStreamName)) return;
+          const hour = Math.floor(event.timestamp / HOUR_MS) * HOUR_MS;
+          counts.set(hour, (counts.get(hour) || 0) + 1);
+        });
+
+        nextToken = response.nextToken;
+      } catch (error) {
+        throw new Error(`Could not count cold starts for ${functionName}: ${error.message}`);
+      }
+    } while (nextToken && scanned < this.maxColdStartEvents);
+
+    const truncated = Boolean(nextToken);
+    return {
+      counts,
+      truncated,
+      coveredUntil: truncated ? Math.floor(lastTimestamp / HOUR_MS) * HOUR_MS : endTime.getTime()
+    };
+  }
+
+  deriveRates(hour) {
+    const attempts = hour.invocations + hour.throttles;
+    hour.errorRate = hour.invocations > 0 ? (hour.errors / hour.invocations) * 100 : null;
+    hour.throttleRate = attempts > 0 ? (hour.throttles / attempts) * 100 : null;
+    hour.coldStartRate = hour.invocations > 0 && hour.coldStarts !== null
+      ? Math.min(100, (hour.coldStarts / hour.invocations) * 100)
+      : null;
+  }
+
+  // Same hour and weekday when the baseline has enough of them, else same hour on the same
+  // kind of day (weekday/weekend), else the same hour on any day. Hours and days are in UTC like
+  // the CloudWatch periods, so the result does not depend on the server's time zone.
+  getSeasonalBaseline(metric, hour, baselineHours) {
+    const date = new Date(hour.timestamp);
+    const isWeekend = day => day === 0 || day === 6;
+    const usable = baselineHours.filter(candidate =>
+      candidate[metric.key] !== null && candidate.invocations >= metric.minInvocations &&
+      new Date(candidate.timestamp).getUTCHours() === date.getUTCHours()
+    );
+    const levels = [
+      { season: 'hour-of-week', filter: candidate => new Date(candidate.timestamp).getUTCDay() === date.getUTCDay() },
+      { season: 'hour-of-day-type', filter: candidate => isWeekend(new Date(candidate.timestamp).getUTCDay()) === isWeekend(date.getUTCDay()) },
+      { season: 'hour-of-day', filter: () => true }
+    ];
+
+    for (const level of levels) {
+      const samples = usable.filter(level.filter).map(candidate => candidate[metric.key]);
+      if (samples.length >= this.minSeasonalSamples) {
+        return { season: level.season, samples };
+      }
+    }
+    return null;
+  }
+
+  evaluate(metric, hour, baselineHours, threshold) {
+    const value = hour[metric.key];
+    const point = {
+      timestamp: hour.timestamp,
+      value,
+      baseline: null,
+      score: 0,
+      season: null,
+      anomalous: false
+    };
+    if (value === null || hour.invocations < metric.minInvocations) return point;
+
+    const baseline = this.getSeasonalBaseline(metric, hour, baselineHours);
+    if (!baseline) return point;
+
+    const median = this.median(baseline.samples);
+    const mad = this.median(baseline.samples.map(sample => Math.abs(sample - median))) * this.madScale;
+    const spread = Math.max(mad, metric.floor, median * 0.1);
+
+    point.baseline = median;
+    point.season = baseline.season;
+    point.score = (value - median) / spread;
+    // Only increases hurt: faster or error-free hours are not anomalies
+    point.anomalous = point.score >= threshold;
+    return point;
+  }
+
+  // Consecutive anomalous hours of one metric form a single anomaly
+  groupEpisodes(metric, points) {
+    const episodes = [];
+    let current = null;
+
+    points.forEach(point => {
+      if (!point.anomalous) {
+        current = null;
+        return;
+      }
+      if (!current) {
+        current = { points: [] };
+        episodes.push(current);
+      }
+      current.points.push(point);
+    });
+
+    return episodes.map(({ points: episodePoints }) => {
+      const peak = episodePoints.reduce((best, point) => (point.score > best.score ? point : best));
+      return {
+        metric: metric.key,
+        label: metric.label,
+        unit: metric.unit,
+        start: new Date(episodePoints[0].timestamp).toISOString(),
+        end: new Date(episodePoints[episodePoints.length - 1].timestamp + HOUR_MS).toISOString(),
+        hours: episodePoints.length,
+        peakValue: round(peak.value),
+        baselineValue: round(peak.baseline),
+        magnitude: peak.baseline > 0 ? round(peak.value / peak.baseline) : null,
+        score: round(peak.score),
+        season: peak.season
+      };
+    });
+  }
+
+  // Overlapping or adjacent anomalies across metrics form one incident, ordered by when each metric moved
+  groupIncidents(anomalies) {
+    const incidents = [];
+
+    anomalies.forEach(anomaly => {
+      const incident = incidents.find(candidate => anomaly.start <= candidate.end && anomaly.end >= candidate.start);
+      if (incident) {
+        incident.anomalies.push(anomaly);
+        if (anomaly.end > incident.end) incident.end = anomaly.end;
+      } else {
+        incidents.push({ start: anomaly.start, end: anomaly.end, anomalies: [anomaly] });
+      }
+    });
+
+    return incidents.map(incident => {
+      const ordered = [...incident.anomalies].sort((a, b) => a.start.localeCompare(b.start) || b.score - a.score);
+      const firstStart = ordered[0].start;
+      const firstMovers = ordered.filter(anomaly => anomaly.start === firstStart).map(anomaly => anomaly.metric);
+
+      return {
+        start: incident.start,
+        end: incident.end,
+        metrics: ordered.map(anomaly => anomaly.metric),
+        firstMover: ordered[0].metric,
+        simultaneous: firstMovers,
+        explanation: this.explainIncident(ordered, firstMovers)
+      };
+    });
+  }
+
+  explainIncident(ordered, firstMovers) {
+    const describe = anomaly =>
+      `${anomaly.label} at ${anomaly.start.slice(11, 16)} UTC (${anomaly.peakValue}${anomaly.unit} vs ${anomaly.baselineValue}${anomaly.unit} usual)`;
+    const [first, ...rest] = ordered;
+    const lead = firstMovers.length > 1
+      ? `${firstMovers.length} metrics moved together, led by ${describe(first)}`
+      : `${describe(first)} moved first`;
+    const capitalized = lead.charAt(0).toUpperCase() + lead.slice(1);
+    const sequence = rest.length > 0 ? `, then ${rest.map(describe).join(', ')}` : '';
+
+    return `${capitalized}${sequence}. ${this.likelyCause(first.metric, ordered.map(anomaly => anomaly.metric))}`;
+  }
+
+  likelyCause(firstMetric, metrics) {
+    if (firstMetric === 'coldStartRate') {
+      return 'New execution environments came first - look for a deployment, configuration change or traffic burst';
+    }
+    if (firstMetric === 'throttleRate') {
+      return 'Throttling came first - the function ran out of concurrency (reserved or account limit)';
+    }
+    if (firstMetric === 'errorRate' && metrics.some(metric => metric.endsWith('Duration'))) {
+      return 'Errors came first - retries of failing requests may be inflating duration';
+    }
+    if (firstMetric.endsWith('Duration') && metrics.includes('errorRate')) {
+      return 'Duration rose before errors - a slow dependency or timeouts are the likely cause';
+    }
+    if (firstMetric.endsWith('Duration')) {
+      return 'Duration rose on its own - check downstream latency and recent code changes';
+    }
+    return 'Check recent deployments and downstream dependencies for this window';
+  }
+
+  summarizeMetric(metric, points) {
+    const anomalous = points.filter(point => point.anomalous);
+    const latest = [...points].reverse().find(point => point.value !== null && point.baseline !== null);
+
+    return {
+      metric: metric.key,
+      unit: metric.unit,
+      anomalousHours: anomalous.length,
+      maxScore: anomalous.length > 0 ? round(Math.max(...anomalous.map(point => point.score))) : 0,
+      latestValue: latest ? round(latest.value) : null,
+      latestBaseline: latest ? round(latest.baseline) : null
+    };
+  }
+
+  generateSummary(incidents, baselineHours) {
+    const summary = [];
+    const activeBaselineHours = baselineHours.filter(hour => hour.invocations > 0).length;
+
+    if (activeBaselineHours < 24) {
+      summary.push(`Only ${activeBaselineHours} hours with traffic in the baseline - results are unreliable until more history exists`);
+    }
+    if (incidents.length === 0) {
+      summary.push('No anomalies detected against the seasonal baseline');
+    } else {
+      summary.push(`${incidents.length} incident${incidents.length === 1 ? '' : 's'} detected`);
+    }
+    return summary;
+  }
+
+  // Helper methods
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+}
\ No newline at end of file
@@ -0,0 +1,272 @@
+import { GetFunctionEventInvokeConfigCommand } from '@aws-sdk/client-lambda';
+import { LambdaAnalyzer } from './lambda-analyzer.js';
+import { parseTimeRange, average } from './analysis-helpers.js';
+
+// Lambda's settings for asynchronous invocations when no event invoke config exists
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_MAX_EVENT_AGE_SECONDS = 6 * 60 * 60;
+
+const ASYNC_METRICS = [
+  { key: 'received', metricName: 'AsyncEventsReceived', stat: 'Sum' },
+  { key: 'ageMax', metricName: 'AsyncEventAge', stat: 'Maximum' },
+  { key: 'ageAvg', metricName: 'AsyncEventAge', stat: 'Average' },
+  { key: 'dropped', metricName: 'AsyncEventsDropped', stat: 'Sum' },
+  { key: 'deadLetterErrors', metricName: 'DeadLetterErrors', stat: 'Sum' },
+  { key: 'destinationFailures', metricName: 'DestinationDeliveryFailures', stat: 'Sum' },
+  { key: 'errors', metricName: 'Errors', stat: 'Sum' },
+  { key: 'throttles', metricName: 'Throttles', stat: 'Sum' }
+];
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Follows events through Lambda's internal queue for asynchronous invocations: how long they wait,
+// how many are dropped and why, and whether failed events end up anywhere
+export class AsyncInvocationAnalyzer {
+  constructor(lambdaAnalyzer = new LambdaAnalyzer()) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.rules = {
+      // Age as a share of the maximum event age at which drops are attributed to it
+      nearMaxAge: 0.9,
+      // Relative rise of the event age between the two halves of the range that counts as growth
+      ageGrowth: 0.5,
+      // Events younger than this are not a backlog however fast the age rises
+      minBacklogAgeMs: 60 * 1000
+    };
+  }
+
+  async analyzeAsyncInvocations(functionName, timeRange = '24h') {
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.lambdaAnalyzer.getEndTime();
+    const startTime = new Date(endTime.getTime() - timeRangeMs);
+    const period = this.lambdaAnalyzer.getMetricPeriod(startTime, endTime);
+
+    const config = await this.lambdaAnalyzer.getFunctionConfig(functionName);
+    const invokeConfig = await this.getEventInvokeConfig(functionName);
+    invokeConfig.deadLetterQueue = (config.DeadLetterConfig && config.DeadLetterConfig.TargetArn) || null;
+    invokeConfig.timeoutSeconds = config.Timeout || null;
+
+    // All eight series in one request; without them the report would pass missing data off as healthy
+    const dimensions = this.lambdaAnalyzer.qualifierResolver.getDimensions(functionName);
+    const { series: fetched, failures } = await this.lambdaAnalyzer.getMetricSeries(
+      ASYNC_METRICS.map(definition => ({ ...definition, dimensions })), startTime, endTime, period
+    );
+    if (failures.length > 0) {
+      throw new Error(`Could not get asynchronous invocation metrics for ${functionName}: ${failures[0].message}`);
+    }
+    const series = Object.fromEntries(fetched);
+
+    const total = key => series[key].reduce((sum, point) => sum + (point.Sum || 0), 0);
+    const received = total('received');
+    const dropped = total('dropped');
+    const ages = series.ageMax.map(point => point.Maximum || 0);
+    const events = {
+      received,
+      dropped,
+      dropRate: received > 0 ? Math.round((dropped / received) * 10000) / 100 : 0,
+      deadLetterErrors: total('deadLetterErrors'),
+      destinationDeliveryFailures: total('destinationFailures'),
+      errors: total('errors'),
+      throttles: total('throttles'),
+      maxEventAgeMs: Math.max(0, ...ages),
+      avgEventAgeMs: Math.round(this.lambdaAnalyzer.aggregateDatapoints(series.ageAvg, 'Average'))
+    };
+
+    const backlog = this.analyzeBacklog(series.ageMax, series.received);
+    const dropCauses = this.attributeDrops(series, invokeConfig);
+    const findings = this.findIssues(events, invokeConfig, backlog, dropCauses);
+
+    return {
+      functionName,
+      qualifier: this.lambdaAnalyzer.qualifier,
+      timeRange,
+      periodSeconds: period,
+      config: invokeConfig,
+      events,
+      backlog,
+      dropCauses,
+      findings,
+      health: findings.some(finding => finding.severity === 'high') ? 'unhealthy'
+        : findings.some(finding => finding.severity === 'medium') ? 'degraded'
+          : 'healthy',
+      recommendations: findings.length > 0
+        ? findings.map(finding => `[${finding.severity}] ${finding.recommendation}`)
+        : [received > 0 ? 'Asynchronous invocations are processed without drops or delivery failures' : 'No asynchronous invocations in the time range']
+    };
+  }
+
+  async getEventInvokeConfig(functionName) {
+    try {
+      const response = await this.lambdaAnalyzer.lambdaClient.send(new GetFunctionEventInvokeConfigCommand({
+        FunctionName: functionName,
+        Qualifier: this.lambdaAnalyzer.qualifier || undefined
+      }));
+      const destinations = response.DestinationConfig || {};
+      return {
+        configured: true,
+        maximumRetryAttempts: response.MaximumRetryAttempts !== undefined ? response.MaximumRetryAttempts : DEFAULT_MAX_RETRIES,
+        maximumEventAgeSeconds: response.MaximumEventAgeInSeconds || DEFAULT_MAX_EVENT_AGE_SECONDS,
+        onFailureDestination: (destinations.OnFailure && destinations.OnFailure.Destination) || null,
+        onSuccessDestination: (destinations.OnSuccess && destinations.OnSuccess.Destination) || null
+      };
+    } catch (error) {
+      // Without an event invoke config Lambda applies its defaults
+      if (error.name !== 'ResourceNotFoundException') {
+        console.error('Error getting event invoke config:', error);
+      }
+      return {
+        configured: false,
+        maximumRetryAttempts: DEFAULT_MAX_RETRIES,
+        maximumEventAgeSeconds: DEFAULT_MAX_EVENT_AGE_SECONDS,
+        onFailureDestination: null,
+        onSuccessDestination: null
+      };
+    }
+  }
+
+  // Events waiting longer over the range means Lambda's queue for the function is filling up
+  analyzeBacklog(agePoints, receivedPoints) {
+    const ages = agePoints.map(point => point.Maximum || 0);
+    const half = Math.floor(ages.length / 2);
+    const firstHalfAge = average(ages.slice(0, half));
+    const secondHalfAge = average(ages.slice(half));
+    const received = receivedPoints.map(point => point.Sum || 0);
+    const firstHalfReceived = average(received.slice(0, Math.floor(received.length / 2)));
+    const secondHalfReceived = average(received.slice(Math.floor(received.length / 2)));
+
+    const ageChange = firstHalfAge > 0 ? (secondHalfAge - firstHalfAge) / firstHalfAge : (secondHalfAge > 0 ? 1 : 0);
+    const latestAge = ages.length > 0 ? ages[ages.length - 1] : 0;
+    const peak = agePoints.reduce((max, point) => ((point.Maximum || 0) > (max.Maximum || 0) ? point : max), {});
+
+    return {
+      growing: ages.length >= 4 && ageChange >= this.rules.ageGrowth && secondHalfAge >= this.rules.minBacklogAgeMs,
+      ageChangePercent: Math.round(ageChange * 1000) / 10,
+      latestEventAgeMs: latestAge,
+      peakEventAgeMs: peak.Maximum || 0,
+      peakAt: peak.Timestamp ? new Date(peak.Timestamp).toISOString() : null,
+      receivedChangePercent: firstHalfReceived > 0
+        ? Math.round(((secondHalfReceived - firstHalfReceived) / firstHalfReceived) * 1000) / 10
+        : 0
+    };
+  }
+
+  // Each period with drops is put down to events outliving the maximum age (usually throttling or a
+  // backlog), retries running out after errors, or neither when CloudWatch shows no cause
+  attributeDrops(series, invokeConfig) {
+    const byTime = key => new Map(series[key].map(point => [new Date(point.Timestamp).getTime(), point]));
+    const ages = byTime('ageMax');
+    const errors = byTime('errors');
+    const throttles = byTime('throttles');
+    const maxAgeMs = invokeConfig.maximumEventAgeSeconds * 1000;
+    const causes = new Map();
+
+    series.dropped.forEach(point => {
+      const dropped = point.Sum || 0;
+      if (dropped === 0) return;
+
+      const timestamp = new Date(point.Timestamp).getTime();
+      const age = ages.has(timestamp) ? ages.get(timestamp).Maximum || 0 : 0;
+      let cause = 'unknown';
+      if (age >= maxAgeMs * this.rules.nearMaxAge) {
+        cause = throttles.has(timestamp) && throttles.get(timestamp).Sum > 0 ? 'max event age while throttled' : 'max event age';
+      } else if (errors.has(timestamp) && errors.get(timestamp).Sum > 0) {
+        cause = 'retries exhausted';
+      }
+
+      const entry = causes.get(cause) || { cause, events: 0, periods: 0 };
+      entry.events += dropped;
+      entry.periods++;
+      causes.set(cause, entry);
+    });
+
+    return [...causes.values()].sort((a, b) => b.events - a.events);
+  }
+
+  findIssues(events, invokeConfig, backlog, dropCauses) {
+    const findings = [];
+    const failureTarget = invokeConfig.onFailureDestination || invokeConfig.deadLetterQueue;
+    const maxAgeSeconds = invokeConfig.maximumEventAgeSeconds;
+
+    if (events.dropped > 0) {
+      const causes = dropCauses.map(entry => `${entry.events} ${entry.cause}`).join(', ');
+      findings.push({
+        severity: failureTarget ? 'medium' : 'high',
+        issue: `${events.dropped} of ${events.received} events dropped (${events.dropRate}%): ${causes}`,
+        recommendation: failureTarget
+          ? `${events.dropped} events were dropped (${causes}) and sent to ${failureTarget.split(':').pop()} - replay them once the cause is fixed`
+          : `${events.dropped} events were dropped silently (${causes}) - add an on-failure destination to keep them`
+      });
+    }
+    if (dropCauses.some(entry => entry.cause.startsWith('max event age'))) {
+      findings.push({
+        severity: 'medium',
+        issue: `Events reached the ${maxAgeSeconds}s maximum event age`,
+        recommendation: events.throttles > 0
+          ? `Events aged out while the function was throttled ${events.throttles} times - raise its reserved concurrency or the account limit`
+          : 'Events aged out in the queue - shorten the function duration or add concurrency so retries finish within the maximum event age'
+      });
+    }
+    if (events.deadLetterErrors > 0) {
+      findings.push({
+        severity: 'high',
+        issue: `${events.deadLetterErrors} events could not be written to the dead-letter queue`,
+        recommendation: `Dead-letter delivery failed ${events.deadLetterErrors} times - check that ${invokeConfig.deadLetterQueue ? invokeConfig.deadLetterQueue.split(':').pop() : 'the queue'} exists, ` +
+          'the execution role may send to it and its KMS key allows the role'
+      });
+    }
+    if (events.destinationDeliveryFailures > 0) {
+      findings.push({
+        severity: 'high',
+        issue: `${events.destinationDeliveryFailures} destination deliveries failed`,
+        recommendation: `Destination delivery failed ${events.destinationDeliveryFailures} times - check that the destinations exist and the execution role may send to them`
+      });
+    }
+    if (backlog.growing) {
+      findings.push({
+        severity: backlog.latestEventAgeMs >= maxAgeSeconds * 1000 * 0.5 ? 'high' : 'medium',
+        issue: `Event age rose ${backlog.ageChangePercent}% over the range to ${Math.round(backlog.latestEventAgeMs / 1000)}s` +
+          `${backlog.receivedChangePercent > 0 ? ` while received events rose ${backlog.receivedChangePercent}%` : ''}`,
+        recommendation: `The asynchronous backlog is growing (events now wait ${Math.round(backlog.latestEventAgeMs / 1000)}s of the ${maxAgeSeconds}s maximum) - ` +
+          'add concurrency or speed up the function before events start to age out'
+      });
+    }
+
+    if (events.received > 0 && !failureTarget) {
+      findings.push({
+        severity: 'medium',
+        issue: 'No on-failure destination or dead-letter queue',
+        recommendation: 'Configure an on-failure destination so events that fail all retries or age out are kept'
+      });
+    }
+    if (invokeConfig.onFailureDestination && invokeConfig.deadLetterQueue) {
+      findings.push({
+        severity: 'low',
+        issue: 'Both a dead-letter queue and an on-failure destination are configured',
+        recommendation: 'Failed events go to both the dead-letter queue and the on-failure destination - keep the destination, which also records the error'
+      });
+    } else if (invokeConfig.deadLetterQueue && !invokeConfig.onFailureDestination) {
+      findings.push({
+        severity: 'low',
+        issue: 'Failed events go to a dead-letter queue',
+        recommendation: 'Prefer an on-failure destination over the dead-letter queue; it records the error and the request context with the event'
+      });
+    }
+    if (invokeConfig.maximumRetryAttempts === 0 && events.errors > 0) {
+      findings.push({
+        severity: 'medium',
+        issue: 'Retries are disabled while the function has errors',
+        recommendation: `Retries are off and ${events.errors} invocations failed - allow 1-2 retries if the handler is idempotent`
+      });
+    }
+    // The last retry has to start within the maximum event age, after every earlier attempt ran to its timeout
+    const lastRetryAt = invokeConfig.timeoutSeconds * invokeConfig.maximumRetryAttempts;
+    if (invokeConfig.timeoutSeconds && invokeConfig.maximumRetryAttempts > 0 && maxAgeSeconds < lastRetryAt) {
+      findings.push({
+        severity: 'medium',
+        issue: `Maximum event age of ${maxAgeSeconds}s is shorter than ${invokeConfig.maximumRetryAttempts} timed-out attempts of ${invokeConfig.timeoutSeconds}s`,
+        recommendation: `Raise the maximum event age above ${lastRetryAt}s, or events can age out before their last retry starts`
+      });
+    }
+
+    return findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  }
+}
\ No newline at end of file
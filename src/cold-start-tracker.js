@@ -1,32 +1,58 @@
-import { CloudWatchLogsClient, FilterLogEventsCommand, DescribeLogStreamsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { FilterLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { LocalLogsClient } from './local-logs-client.js';
+import { DataSource } from './data-source.js';
+import { LogParser } from './log-parser.js';
+import { QualifierResolver } from './qualifier-resolver.js';
+import { parseTimeRange, calculatePercentile, average } from './analysis-helpers.js';
 
 export class ColdStartTracker {
-  constructor() {
-    this.logsClient = new CloudWatchLogsClient({ region: process.env.AWS_REGION });
+  constructor(options = {}) {
+    this.dataSource = options.dataSource || new DataSource();
+    // A local file or directory of exported logs replaces CloudWatch entirely
+    this.logSource = options.logSource || null;
+    this.logsClient = this.logSource
+      ? new LocalLogsClient(this.logSource)
+      : this.dataSource.getClient('logs', process.env.AWS_REGION);
+    this.qualifierResolver = new QualifierResolver({
+      qualifier: options.qualifier,
+      dataSource: this.dataSource,
+      logSource: this.logSource
+    });
+    this.logParser = new LogParser();
+    this.maxEvents = 200000;
     this.coldStartPatterns = {
-      initStart: /INIT_START/,
-      initDuration: /INIT_DURATION: ([\d.]+) ms/,
-      initEnd: /INIT_END/,
-      report: /REPORT RequestId: ([\w-]+)\s+Duration: ([\d.]+) ms\s+Billed Duration: ([\d.]+) ms\s+Memory Size: (\d+) MB\s+Max Memory Used: (\d+) MB/
+      initStart: /^INIT_START Runtime Version: (\S+)(?:\s+Runtime Version ARN: (\S+))?/,
+      initReport: /^INIT_REPORT Init Duration: ([\d.]+) ms\s+Phase: (\w+)\s+Status: (\w+)(?:\s+Error Type: (\S+))?/,
+      extension: /^(?:EXTENSION|TELEMETRY)\s+Name: (\S+)\s+State: (\S+)/,
+      platformLine: /^(START|END|REPORT|INIT_START|INIT_REPORT|RESTORE_START|RESTORE_REPORT|EXTENSION|TELEMETRY)\b/,
+      restoreStart: /^RESTORE_START Runtime Version: (\S+)/,
+      restoreReport: /^RESTORE_REPORT Restore Duration: ([\d.]+) ms/,
+      start: /^START RequestId: ([\w-]+)/
     };
   }
 
   async trackColdStarts(functionName, timeRange) {
-    const timeRangeMs = this.parseTimeRange(timeRange);
-    const endTime = new Date();
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = new Date(this.logSource ? await this.logsClient.getLatestTimestamp() : this.dataSource.now());
     const startTime = new Date(endTime.getTime() - timeRangeMs);
     
     const logGroupName = `/aws/lambda/${functionName}`;
     
     try {
-      // Get cold start events
-      const coldStartEvents = await this.getColdStartEvents(logGroupName, startTime, endTime);
-      
-      // Get all invocation events for comparison
-      const allInvocations = await this.getAllInvocations(logGroupName, startTime, endTime);
+      // Reconstruct cold starts and invocations in one pass over the log group
+      const {
+        coldStarts: coldStartEvents,
+        invocations: allInvocations,
+        initStarts,
+        initReports,
+        preInitialized,
+        truncated
+      } = await this.scanInvocations(logGroupName, startTime, endTime);
       
       // Analyze patterns
       const analysis = this.analyzeColdStartPatterns(coldStartEvents, allInvocations, timeRange);
+      const snapStart = this.analyzeSnapStart(coldStartEvents);
+      const initPhase = this.analyzeInitPhase(coldStartEvents, initStarts, initReports);
       
       return {
         total: coldStartEvents.length,
@@ -37,10 +63,16 @@ export class ColdStartTracker {
         peakHours: analysis.peakHours,
         frequency: analysis.frequency,
         triggers: analysis.triggers,
-        recommendations: this.generateRecommendations(analysis),
-        timeline: this.createTimeline(coldStartEvents, timeRange),
+        recommendations: this.generateRecommendations(analysis, snapStart, initPhase),
+        timeline: this.createTimeline(coldStartEvents, timeRange, endTime.getTime()),
         patterns: analysis.patterns,
-        statistics: analysis.statistics
+        statistics: analysis.statistics,
+        invocations: allInvocations.length,
+        breakdown: this.calculateDurationBreakdown(coldStartEvents),
+        snapStart,
+        initPhase,
+        preInitialized,
+        truncated
       };
     } catch (error) {
       console.error('Error tracking cold starts:', error);
@@ -48,9 +80,26 @@ export class ColdStartTracker {
     }
   }
 
-  async getColdStartEvents(logGroupName, startTime, endTime) {
-    const coldStartEvents = [];
-    let nextToken = null;
+  // Page through INIT_START, START and REPORT lines once, correlating them per log stream.
+  // An execution environment logs INIT_START, then START for the request it initialized for,
+  // and that request's REPORT carries the Init Duration. SnapStart environments log
+  // RESTORE_START and RESTORE_REPORT instead, and the REPORT carries the Restore Duration.
+  // Extensions log EXTENSION/TELEMETRY while the environment initializes, and INIT_REPORT
+  // reports an init phase that failed or timed out, or its suppressed re-run in the invoke phase.
+  // The runtimes tag function output with its log level, so those terms bring in the first line
+  // the function writes during init; untagged output (a bare print) is not seen.
+  async scanInvocations(logGroupName, startTime, endTime) {
+    // Every version logs to /aws/lambda/<function>; a qualifier keeps only its versions' streams
+    const versions = await this.qualifierResolver.getVersions(logGroupName.split('/').pop());
+    const pendingInits = new Map();
+    const candidates = new Map();
+    const streamCandidates = new Map();
+    const invocations = [];
+    const initReports = [];
+    let initStarts = 0;
+    let preInitialized = 0;
+    let scanned = 0;
+    let nextToken;
     
     do {
       try {
@@ -58,114 +107,310 @@ export class ColdStartTracker {
           logGroupName,
           startTime: startTime.getTime(),
           endTime: endTime.getTime(),
-          filterPattern: '"INIT_START"',
+          filterPattern: '?"INIT_START" ?"INIT_REPORT" ?"EXTENSION" ?"TELEMETRY" ?"RESTORE_START" ?"RESTORE_REPORT" ' +
+            '?"START RequestId" ?"REPORT RequestId" ?"INFO" ?"WARN" ?"WARNING" ?"ERROR" ?"DEBUG"',
           nextToken
         });
         
         const response = await this.logsClient.send(command);
         
-        if (response.events) {
-          // Process each cold start event
-          for (const event of response.events) {
-            const coldStartData = await this.extractColdStartData(event, logGroupName);
-            if (coldStartData) {
-              coldStartEvents.push(coldStartData);
+        for (const event of response.events || []) {
+          scanned++;
+          if (!this.qualifierResolver.matchesStream(versions, event.logStreamName)) continue;
+          const message = event.message || '';
+          const initMatch = message.match(this.coldStartPatterns.initStart) ||
+            message.match(this.coldStartPatterns.restoreStart);
+          const restoreMatch = message.match(this.coldStartPatterns.restoreReport);
+          const initReportMatch = message.match(this.coldStartPatterns.initReport);
+          const extensionMatch = message.match(this.coldStartPatterns.extension);
+          const startMatch = message.match(this.coldStartPatterns.start);
+          
+          if (initMatch) {
+            const type = message.startsWith('RESTORE_START') ? 'restore' : 'init';
+            if (type === 'init') initStarts++;
+            pendingInits.set(event.logStreamName, {
+              timestamp: event.timestamp,
+              runtimeVersion: initMatch[1],
+              runtimeVersionArn: initMatch[2] || null,
+              type,
+              restoreDuration: null,
+              extensions: [],
+              extensionsReadyAt: null,
+              firstOutputAt: null,
+              initStatus: 'success',
+              initErrorType: null
+            });
+          } else if (extensionMatch) {
+            // Extensions register before the runtime starts, so the last one marks the end of their share
+            const init = pendingInits.get(event.logStreamName);
+            if (init) {
+              if (!init.extensions.some(extension => extension.name === extensionMatch[1])) {
+                init.extensions.push({ name: extensionMatch[1], state: extensionMatch[2] });
+              }
+              init.extensionsReadyAt = event.timestamp;
+            }
+          } else if (initReportMatch) {
+            const initReport = {
+              timestamp: event.timestamp,
+              duration: parseFloat(initReportMatch[1]),
+              phase: initReportMatch[2],
+              status: initReportMatch[3],
+              errorType: initReportMatch[4] || null
+            };
+            initReports.push(initReport);
+          
+            // A failed init is re-run inside the first invoke ("suppressed init"), after its START
+            const init = pendingInits.get(event.logStreamName);
+            const coldStart = streamCandidates.get(event.logStreamName);
+            if (initReport.phase === 'init' && init) {
+              init.initStatus = initReport.status;
+              init.initErrorType = initReport.errorType;
+            } else if (initReport.phase === 'invoke' && coldStart) {
+              coldStart.reinitDuration = initReport.duration;
             }
+          } else if (restoreMatch) {
+            const restore = pendingInits.get(event.logStreamName);
+            if (restore) restore.restoreDuration = parseFloat(restoreMatch[1]);
+          } else if (startMatch) {
+            invocations.push({ requestId: startMatch[1], timestamp: event.timestamp });
+            
+            // The first request in a stream after INIT_START ran on the new environment
+            const init = pendingInits.get(event.logStreamName);
+            if (init) {
+              pendingInits.delete(event.logStreamName);
+              candidates.set(startMatch[1], this.createColdStart(startMatch[1], event, init));
+              streamCandidates.set(event.logStreamName, candidates.get(startMatch[1]));
+            } else {
+              streamCandidates.delete(event.logStreamName);
+            }
+          } else if (!this.coldStartPatterns.platformLine.test(message)) {
+            // Function output before the environment's first START was written during init
+            const init = pendingInits.get(event.logStreamName);
+            if (init && init.firstOutputAt === null) init.firstOutputAt = event.timestamp;
+          } else {
+            this.applyReport(event, candidates);
           }
         }
         
         nextToken = response.nextToken;
       } catch (error) {
-        console.error('Error fetching cold start events:', error);
+        console.error('Error scanning invocation events:', error);
         break;
       }
-    } while (nextToken);
+    } while (nextToken && scanned < this.maxEvents);
+    
+    // Without Init or Restore Duration in its REPORT the environment was initialized ahead of the
+    // request (provisioned concurrency or proactive initialization), so the request did not wait for it
+    const coldStarts = [];
+    candidates.forEach(candidate => {
+      if (candidate.reported && candidate.initDuration === null && candidate.restoreDuration === null &&
+          candidate.reinitDuration === null) {
+        preInitialized++;
+      } else {
+        coldStarts.push(candidate);
+      }
+    });
     
-    return coldStartEvents;
+    return {
+      coldStarts: coldStarts.sort((a, b) => a.timestamp - b.timestamp),
+      invocations,
+      initStarts,
+      initReports,
+      preInitialized,
+      truncated: Boolean(nextToken)
+    };
   }
 
-  async extractColdStartData(initEvent, logGroupName) {
-    try {
-      const requestId = this.extractRequestId(initEvent.message);
-      if (!requestId) return null;
-      
-      // Get related events for this request
-      const relatedEvents = await this.getRelatedEvents(logGroupName, requestId, initEvent.timestamp);
-      
-      const coldStartData = {
-        requestId,
-        timestamp: initEvent.timestamp,
-        logStream: initEvent.logStreamName,
-        initDuration: null,
-        totalDuration: null,
-        memoryUsed: null,
-        memoryAllocated: null,
-        billedDuration: null,
-        events: [initEvent]
-      };
-      
-      // Process related events
-      relatedEvents.forEach(event => {
-        coldStartData.events.push(event);
-        
-        // Extract INIT_DURATION
-        const initDurationMatch = event.message.match(this.coldStartPatterns.initDuration);
-        if (initDurationMatch) {
-          coldStartData.initDuration = parseFloat(initDurationMatch[1]);
-        }
-        
-        // Extract REPORT data
-        const reportMatch = event.message.match(this.coldStartPatterns.report);
-        if (reportMatch) {
-          coldStartData.totalDuration = parseFloat(reportMatch[2]);
-          coldStartData.billedDuration = parseFloat(reportMatch[3]);
-          coldStartData.memoryAllocated = parseInt(reportMatch[4]);
-          coldStartData.memoryUsed = parseInt(reportMatch[5]);
-        }
-      });
-      
-      return coldStartData;
-    } catch (error) {
-      console.error('Error extracting cold start data:', error);
-      return null;
-    }
+  createColdStart(requestId, startEvent, init = null) {
+    return {
+      requestId,
+      timestamp: init ? init.timestamp : startEvent.timestamp,
+      logStream: startEvent.logStreamName,
+      runtimeVersion: init ? init.runtimeVersion : null,
+      runtimeVersionArn: init ? init.runtimeVersionArn : null,
+      type: init ? init.type : 'init',
+      initStartedAt: init ? init.timestamp : null,
+      extensions: init ? init.extensions.map(extension => extension.name) : [],
+      extensionsReadyAt: init ? init.extensionsReadyAt : null,
+      firstOutputAt: init ? init.firstOutputAt : null,
+      initStatus: init ? init.initStatus : 'success',
+      initErrorType: init ? init.initErrorType : null,
+      reinitDuration: null,
+      initDuration: null,
+      restoreDuration: init ? init.restoreDuration : null,
+      invokeDuration: null,
+      totalDuration: null,
+      billedDuration: null,
+      memoryUsed: null,
+      memoryAllocated: null,
+      reported: false
+    };
   }
 
-  async getRelatedEvents(logGroupName, requestId, timestamp) {
-    try {
-      // Search for events within a 30-second window after the INIT_START
-      const endTime = timestamp + 30000;
-      
-      const command = new FilterLogEventsCommand({
-        logGroupName,
-        startTime: timestamp,
-        endTime: endTime,
-        filterPattern: `"${requestId}"`
-      });
-      
-      const response = await this.logsClient.send(command);
-      return response.events || [];
-    } catch (error) {
-      console.error('Error getting related events:', error);
-      return [];
+  applyReport(event, candidates) {
+    const report = this.logParser.parseReport(event);
+    if (!report) return;
+    
+    let coldStart = candidates.get(report.requestId);
+    if (!coldStart) {
+      // INIT_START fell before the window, but Init or Restore Duration still marks the cold start
+      if (!this.logParser.isColdStart(report)) return;
+      coldStart = this.createColdStart(report.requestId, { timestamp: report.timestamp - report.duration, logStreamName: report.logStream });
+      candidates.set(report.requestId, coldStart);
+    }
+    
+    coldStart.reported = true;
+    coldStart.initDuration = report.initDuration;
+    if (report.restoreDuration !== null) {
+      coldStart.type = 'restore';
+      coldStart.restoreDuration = report.restoreDuration;
     }
+    coldStart.invokeDuration = report.duration;
+    coldStart.totalDuration = report.duration + (report.initDuration || 0) + (coldStart.restoreDuration || 0);
+    coldStart.billedDuration = report.billedDuration;
+    coldStart.memoryAllocated = report.memorySize;
+    coldStart.memoryUsed = report.maxMemoryUsed;
   }
 
-  async getAllInvocations(logGroupName, startTime, endTime) {
-    try {
-      const command = new FilterLogEventsCommand({
-        logGroupName,
-        startTime: startTime.getTime(),
-        endTime: endTime.getTime(),
-        filterPattern: '"START RequestId"'
-      });
-      
-      const response = await this.logsClient.send(command);
-      return response.events || [];
-    } catch (error) {
-      console.error('Error getting all invocations:', error);
-      return [];
+  calculateDurationBreakdown(coldStartEvents) {
+    const averageOf = field => Math.round(average(coldStartEvents.map(event => event[field]).filter(value => value !== null)));
+    
+    return {
+      avgInitDuration: averageOf('initDuration'),
+      avgRestoreDuration: averageOf('restoreDuration'),
+      avgInvokeDuration: averageOf('invokeDuration'),
+      avgBilledDuration: averageOf('billedDuration'),
+      avgTotalDuration: averageOf('totalDuration')
+    };
+  }
+
+  // Time the request waited for its environment: initialization, or the snapshot restore with SnapStart
+  getStartupDuration(coldStart) {
+    return coldStart.type === 'restore' ? coldStart.restoreDuration : coldStart.initDuration;
+  }
+    
+  // Restored and initialized cold starts side by side; a mix means some traffic (usually $LATEST)
+  // does not go through a SnapStart version
+  analyzeSnapStart(coldStartEvents) {
+    const summarize = values => ({
+      count: values.length,
+      avgDuration: Math.round(average(values)),
+      percentiles: {
+        p50: Math.round(calculatePercentile(values, 50)),
+        p90: Math.round(calculatePercentile(values, 90)),
+        p95: Math.round(calculatePercentile(values, 95)),
+        p99: Math.round(calculatePercentile(values, 99))
+      }
+    });
+    
+    const restores = coldStartEvents.filter(event => event.type === 'restore');
+    const restore = summarize(restores.map(event => event.restoreDuration).filter(duration => duration !== null));
+    const init = summarize(coldStartEvents.map(event => event.initDuration).filter(duration => duration !== null));
+    
+    return {
+      restores: restores.length,
+      initializations: coldStartEvents.length - restores.length,
+      restore,
+      init,
+      // How much shorter the median restore is than the median initialization
+      restoreSavingsPercent: restore.count > 0 && init.count > 0 && init.percentiles.p50 > 0
+        ? Math.round((1 - restore.percentiles.p50 / init.percentiles.p50) * 100)
+        : null
+    };
+  }
+    
+  // Runtime versions, failed and re-run inits, extensions and where init time goes
+  analyzeInitPhase(coldStartEvents, initStarts, initReports) {
+    const initialized = coldStartEvents.filter(event => event.type === 'init');
+
+    const runtimeVersions = new Map();
+    initialized.filter(event => event.runtimeVersion).forEach(event => {
+      const key = event.runtimeVersionArn || event.runtimeVersion;
+      if (!runtimeVersions.has(key)) {
+        runtimeVersions.set(key, { version: event.runtimeVersion, arn: event.runtimeVersionArn, durations: [], initializations: 0 });
+      }
+      const runtimeVersion = runtimeVersions.get(key);
+      runtimeVersion.initializations++;
+      if (event.initDuration !== null) runtimeVersion.durations.push(event.initDuration);
+    });
+
+    const failures = initReports.filter(report => report.phase === 'init' && report.status !== 'success');
+    const reinits = initReports.filter(report => report.phase === 'invoke');
+    const errorTypes = new Map();
+    failures.forEach(report => {
+      const type = report.errorType || (report.status === 'timeout' ? 'Timeout' : 'Unknown');
+      errorTypes.set(type, (errorTypes.get(type) || 0) + 1);
+    });
+
+    const extensions = new Map();
+    initialized.forEach(event => event.extensions.forEach(name => {
+      extensions.set(name, (extensions.get(name) || 0) + 1);
+    }));
+
+    return {
+      initializations: initStarts,
+      runtimeVersions: [...runtimeVersions.values()]
+        .map(({ durations, ...runtimeVersion }) => ({ ...runtimeVersion, avgInitDuration: Math.round(average(durations)) }))
+        .sort((a, b) => b.initializations - a.initializations),
+      failures: {
+        errors: failures.filter(report => report.status !== 'timeout').length,
+        timeouts: failures.filter(report => report.status === 'timeout').length,
+        failureRate: this.calculateColdStartRate(failures.length, Math.max(initStarts, failures.length)),
+        errorTypes: [...errorTypes.entries()].map(([type, count]) => ({ type, count })).sort((a, b) => b.count - a.count)
+      },
+      reinits: {
+        count: reinits.length,
+        avgDuration: Math.round(average(reinits.map(report => report.duration)))
+      },
+      extensions: [...extensions.entries()]
+        .map(([name, environments]) => ({ name, environments }))
+        .sort((a, b) => b.environments - a.environments),
+      breakdown: this.breakdownInitDurations(initialized)
+    };
+  }
+
+  // Extensions initialize first, then the runtime, then the function's own code. The log stream only
+  // marks two of those boundaries: the last EXTENSION line, and the first line the function itself
+  // writes during init, which is taken as the start of user code. Without such a line the runtime and
+  // user code share stays unattributed.
+  breakdownInitDurations(initialized) {
+    const samples = initialized.filter(event => event.initDuration !== null && event.initStartedAt !== null);
+    const totals = { runtime: 0, extensions: 0, userCode: 0, unattributed: 0 };
+    let attributed = 0;
+
+    for (const sample of samples) {
+      const extensions = sample.extensionsReadyAt !== null
+        ? Math.min(sample.initDuration, Math.max(0, sample.extensionsReadyAt - sample.initStartedAt))
+        : 0;
+      const remaining = sample.initDuration - extensions;
+
+      totals.extensions += extensions;
+      if (sample.firstOutputAt !== null) {
+        const runtime = Math.min(remaining, Math.max(0, sample.firstOutputAt - sample.initStartedAt - extensions));
+        totals.runtime += runtime;
+        totals.userCode += remaining - runtime;
+        attributed++;
+      } else {
+        totals.unattributed += remaining;
+      }
     }
+
+    const total = totals.runtime + totals.extensions + totals.userCode + totals.unattributed;
+    const share = value => (total > 0 ? Math.round((value / total) * 1000) / 10 : 0);
+    const perSample = value => (samples.length > 0 ? Math.round(value / samples.length) : 0);
+
+    return {
+      samples: samples.length,
+      attributed,
+      avgRuntime: perSample(totals.runtime),
+      avgExtensions: perSample(totals.extensions),
+      avgUserCode: perSample(totals.userCode),
+      avgUnattributed: perSample(totals.unattributed),
+      runtimePercent: share(totals.runtime),
+      extensionsPercent: share(totals.extensions),
+      userCodePercent: share(totals.userCode),
+      unattributedPercent: share(totals.unattributed)
+    };
   }
 
   analyzeColdStartPatterns(coldStartEvents, allInvocations, timeRange) {
@@ -175,7 +420,7 @@ export class ColdStartTracker {
     
     // Calculate duration statistics
     const durations = coldStartEvents
-      .map(event => event.initDuration)
+      .map(event => this.getStartupDuration(event))
       .filter(duration => duration !== null);
     
     const avgDuration = durations.length > 0 
@@ -217,8 +462,9 @@ export class ColdStartTracker {
   analyzeHourlyDistribution(coldStartEvents) {
     const distribution = Array(24).fill(0);
     
+    // UTC hours, so peak hours and the schedules built from them do not depend on the server's time zone
     coldStartEvents.forEach(event => {
-      const hour = new Date(event.timestamp).getHours();
+      const hour = new Date(event.timestamp).getUTCHours();
       distribution[hour]++;
     });
     
@@ -317,10 +563,10 @@ export class ColdStartTracker {
     const sortedDurations = [...durations].sort((a, b) => a - b);
     
     const percentiles = {
-      p50: this.calculatePercentile(sortedDurations, 50),
-      p90: this.calculatePercentile(sortedDurations, 90),
-      p95: this.calculatePercentile(sortedDurations, 95),
-      p99: this.calculatePercentile(sortedDurations, 99)
+      p50: Math.round(calculatePercentile(sortedDurations, 50)),
+      p90: Math.round(calculatePercentile(sortedDurations, 90)),
+      p95: Math.round(calculatePercentile(sortedDurations, 95)),
+      p99: Math.round(calculatePercentile(sortedDurations, 99))
     };
     
     // Duration distribution
@@ -333,8 +579,8 @@ export class ColdStartTracker {
     };
   }
 
-  createTimeline(coldStartEvents, timeRange) {
-    const periods = this.getTimelinePeriods(timeRange);
+  createTimeline(coldStartEvents, timeRange, now = Date.now()) {
+    const periods = this.getTimelinePeriods(timeRange, now);
     const timeline = [];
     
     periods.forEach(period => {
@@ -343,11 +589,11 @@ export class ColdStartTracker {
       );
       
       const avgDuration = periodEvents.length > 0
-        ? periodEvents.reduce((sum, event) => sum + (event.initDuration || 0), 0) / periodEvents.length
+        ? periodEvents.reduce((sum, event) => sum + (this.getStartupDuration(event) || 0), 0) / periodEvents.length
         : 0;
       
       timeline.push({
-        time: new Date(period.start).toLocaleTimeString(),
+        time: new Date(period.start).toISOString(),
         coldStarts: periodEvents.length,
         duration: Math.round(avgDuration)
       });
@@ -356,7 +602,7 @@ export class ColdStartTracker {
     return timeline;
   }
 
-  generateRecommendations(analysis) {
+  generateRecommendations(analysis, snapStart, initPhase) {
     const recommendations = [];
     
     // High cold start rate recommendations
@@ -382,6 +628,26 @@ export class ColdStartTracker {
       recommendations.push('Implement keep-warm strategies or use EventBridge scheduled events');
     }
     
+    // SnapStart only restores published versions; initializations alongside restores are other traffic
+    if (snapStart && snapStart.restores > 0 && snapStart.initializations > 0) {
+      recommendations.push(`${snapStart.initializations} cold starts ran full initialization - invoke a published version or alias so SnapStart restores them too`);
+    }
+    if (snapStart && snapStart.restore.percentiles.p95 > 1000) {
+      recommendations.push('Restores are slow at p95 - prime dependencies in a beforeCheckpoint runtime hook so less work happens after restore');
+    }
+
+    // Init phase failures are retried in the first invoke, which then pays for init again
+    if (initPhase && initPhase.failures.errors + initPhase.failures.timeouts > 0) {
+      const types = initPhase.failures.errorTypes.map(error => `${error.type} x${error.count}`).join(', ');
+      recommendations.push(`${initPhase.failures.failureRate}% of initializations failed or timed out (${types}) - init is limited to 10 seconds and failed inits re-run inside the first invocation`);
+    }
+    if (initPhase && initPhase.extensions.length > 0 && initPhase.breakdown.extensionsPercent > 20) {
+      recommendations.push(`Extensions take ${initPhase.breakdown.extensionsPercent}% of init time (${initPhase.extensions.map(extension => extension.name).join(', ')}) - remove layers that are not needed`);
+    }
+    if (initPhase && initPhase.runtimeVersions.length > 1) {
+      recommendations.push(`Cold starts ran on ${initPhase.runtimeVersions.length} runtime versions - compare their init durations before and after automatic runtime updates`);
+    }
+
     // Runtime-specific recommendations
     recommendations.push('Consider using ARM-based Graviton2 processors for better price-performance');
     recommendations.push('Ensure you\'re using the latest runtime version for optimal performance');
@@ -390,31 +656,11 @@ export class ColdStartTracker {
   }
 
   // Helper methods
-  parseTimeRange(timeRange) {
-    const ranges = {
-      '1h': 60 * 60 * 1000,
-      '6h': 6 * 60 * 60 * 1000,
-      '24h': 24 * 60 * 60 * 1000,
-      '7d': 7 * 24 * 60 * 60 * 1000
-    };
-    return ranges[timeRange] || ranges['24h'];
-  }
-
   calculateColdStartRate(coldStarts, totalInvocations) {
     if (totalInvocations === 0) return 0;
     return Math.round((coldStarts / totalInvocations) * 100 * 100) / 100;
   }
 
-  extractRequestId(message) {
-    const match = message.match(/RequestId: ([\w-]+)/);
-    return match ? match[1] : null;
-  }
-
-  calculatePercentile(sortedArray, percentile) {
-    const index = Math.ceil((percentile / 100) * sortedArray.length) - 1;
-    return Math.round(sortedArray[Math.max(0, index)]);
-  }
-
   createDurationDistribution(durations) {
     const buckets = {
       '0-500ms': 0,
@@ -435,9 +681,8 @@ export class ColdStartTracker {
     return buckets;
   }
 
-  getTimelinePeriods(timeRange) {
-    const now = Date.now();
-    const rangeMs = this.parseTimeRange(timeRange);
+  getTimelinePeriods(timeRange, now = Date.now()) {
+    const rangeMs = parseTimeRange(timeRange);
     const start = now - rangeMs;
     
     const periodCount = 24; // 24 periods regardless of time range
@@ -476,7 +721,7 @@ export class ColdStartTracker {
   }
 
   analyzeTimePatterns(coldStartEvents) {
-    const hours = coldStartEvents.map(event => new Date(event.timestamp).getHours());
+    const hours = coldStartEvents.map(event => new Date(event.timestamp).getUTCHours());
     const uniqueHours = [...new Set(hours)];
     
     if (uniqueHours.length <= 3) {
@@ -488,7 +733,7 @@ export class ColdStartTracker {
 
   analyzeDurationPatterns(coldStartEvents) {
     const durations = coldStartEvents
-      .map(event => event.initDuration)
+      .map(event => this.getStartupDuration(event))
       .filter(duration => duration !== null);
     
     if (durations.length === 0) return null;
@@ -540,7 +785,23 @@ export class ColdStartTracker {
       recommendations: ['Unable to analyze cold starts - check CloudWatch Logs permissions'],
       timeline: [],
       patterns: [],
-      statistics: { count: 0, percentiles: { p50: 0, p90: 0, p95: 0, p99: 0 }, distribution: {} }
+      statistics: { count: 0, percentiles: { p50: 0, p90: 0, p95: 0, p99: 0 }, distribution: {} },
+      invocations: 0,
+      breakdown: { avgInitDuration: 0, avgRestoreDuration: 0, avgInvokeDuration: 0, avgBilledDuration: 0, avgTotalDuration: 0 },
+      snapStart: this.analyzeSnapStart([]),
+      initPhase: {
+        initializations: 0,
+        runtimeVersions: [],
+        failures: { errors: 0, timeouts: 0, failureRate: 0, errorTypes: [] },
+        reinits: { count: 0, avgDuration: 0 },
+        extensions: [],
+        breakdown: {
+          samples: 0, attributed: 0, avgRuntime: 0, avgExtensions: 0, avgUserCode: 0, avgUnattributed: 0,
+          runtimePercent: 0, extensionsPercent: 0, userCodePercent: 0, unattributedPercent: 0
+        }
+      },
+      preInitialized: 0,
+      truncated: false
     };
   }
 
@@ -0,0 +1,376 @@
+import { GetMetricDataCommand } from '@aws-sdk/client-cloudwatch';
+import { LambdaAnalyzer } from './lambda-analyzer.js';
+import { parseTimeRange, calculatePercentile, sum } from './analysis-helpers.js';
+
+const FUNCTION_METRICS = [
+  { key: 'concurrency', metricName: 'ConcurrentExecutions', stat: 'Maximum' },
+  { key: 'throttles', metricName: 'Throttles', stat: 'Sum' },
+  { key: 'invocations', metricName: 'Invocations', stat: 'Sum' }
+];
+
+// Account-level series carry no dimensions
+const ACCOUNT_METRICS = [
+  { key: 'concurrency', metricName: 'ConcurrentExecutions', stat: 'Maximum' },
+  { key: 'unreserved', metricName: 'UnreservedConcurrentExecutions', stat: 'Maximum' },
+  { key: 'throttles', metricName: 'Throttles', stat: 'Sum' }
+];
+
+// Lambda keeps at least this much of the account limit unreserved
+const MIN_UNRESERVED_CONCURRENCY = 100;
+
+// Relates each function's concurrency and throttles to its reservation and to the account's unreserved pool
+export class ConcurrencyAnalyzer {
+  constructor(lambdaAnalyzer = new LambdaAnalyzer()) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.maxEpisodes = 20;
+    this.rules = {
+      // Share of a limit at which throttles are attributed to it
+      nearLimit: 0.9,
+      // Unreserved pool usage from which periods count as contended
+      poolPressure: 0.8,
+      // Average share of the contended pool that marks a function as starving the others
+      starvingShare: 0.3,
+      headroom: 1.2,
+      raiseReserved: 1.5,
+      overReserved: 2
+    };
+  }
+
+  async analyzeConcurrency(timeRange = '24h', functionNames = []) {
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.lambdaAnalyzer.getEndTime();
+    const startTime = new Date(endTime.getTime() - timeRangeMs);
+    // One-minute resolution where the range allows, staying around 1,440 points per series
+    const period = this.lambdaAnalyzer.getMetricPeriod(startTime, endTime, 60);
+
+    const account = await this.lambdaAnalyzer.getAccountConcurrency();
+    if (!account) {
+      throw new Error('Could not read the account concurrency limit');
+    }
+
+    const names = functionNames.length > 0
+      ? functionNames
+      : (await this.lambdaAnalyzer.listAllFunctions()).map(func => func.FunctionName);
+    const reservations = await this.lambdaAnalyzer.workerPool.map(names, name => this.lambdaAnalyzer.getReservedConcurrency(name));
+    const series = await this.getConcurrencySeries(names, startTime, endTime, period);
+
+    const functions = names.map((name, index) => this.summarizeFunction(name, reservations[index], series.functions.get(name), account));
+    const accountSummary = this.summarizeAccount(account, series.account);
+    const episodes = functions.flatMap(func => this.findThrottleEpisodes(func, series.functions.get(func.functionName), series.account, account, period));
+    const starving = this.findStarvingFunctions(functions, series, account);
+    const allocation = this.recommendAllocation(functions, episodes, starving, account);
+
+    const result = {
+      timeRange,
+      periodSeconds: period,
+      qualifier: this.lambdaAnalyzer.qualifier,
+      account: accountSummary,
+      functions: functions.sort((a, b) => (b.utilizationPercent || 0) - (a.utilizationPercent || 0)),
+      throttleEpisodes: {
+        total: episodes.length,
+        episodes: episodes.sort((a, b) => b.throttles - a.throttles).slice(0, this.maxEpisodes)
+      },
+      starving,
+      allocation
+    };
+    result.recommendations = this.generateRecommendations(result, episodes);
+
+    return result;
+  }
+
+  async getConcurrencySeries(functionNames, startTime, endTime, period) {
+    const emptySeries = definitions => Object.fromEntries(definitions.map(definition => [definition.key, new Map()]));
+    const series = {
+      account: emptySeries(ACCOUNT_METRICS),
+      functions: new Map(functionNames.map(name => [name, emptySeries(FUNCTION_METRICS)]))
+    };
+
+    const queries = ACCOUNT_METRICS.map((definition, index) => ({
+      id: `a${index}`,
+      definition,
+      dimensions: [],
+      target: series.account
+    }));
+    functionNames.forEach((name, functionIndex) => {
+      FUNCTION_METRICS.forEach((definition, definitionIndex) => {
+        queries.push({
+          id: `f${functionIndex}_m${definitionIndex}`,
+          definition,
+          dimensions: this.lambdaAnalyzer.qualifierResolver.getDimensions(name),
+          target: series.functions.get(name)
+        });
+      });
+    });
+
+    const chunks = [];
+    for (let i = 0; i < queries.length; i += this.lambdaAnalyzer.maxMetricQueries) {
+      chunks.push(queries.slice(i, i + this.lambdaAnalyzer.maxMetricQueries));
+    }
+
+    await this.lambdaAnalyzer.workerPool.map(chunks, async chunk => {
+      const byId = new Map(chunk.map(query => [query.id, query]));
+      let nextToken;
+
+      try {
+        do {
+          const response = await this.lambdaAnalyzer.sendMetricData(new GetMetricDataCommand({
+            StartTime: startTime,
+            EndTime: endTime,
+            NextToken: nextToken,
+            MetricDataQueries: chunk.map(query => ({
+              Id: query.id,
+              MetricStat: {
+                Metric: {
+                  Namespace: 'AWS/Lambda',
+                  MetricName: query.definition.metricName,
+                  Dimensions: query.dimensions
+                },
+                Period: period,
+                Stat: query.definition.stat
+              }
+            }))
+          }));
+
+          (response.MetricDataResults || []).forEach(result => {
+            const query = byId.get(result.Id);
+            if (!query) return;
+            const values = query.target[query.definition.key];
+            (result.Timestamps || []).forEach((timestamp, index) => {
+              values.set(new Date(timestamp).getTime(), result.Values[index]);
+            });
+          });
+
+          nextToken = response.NextToken;
+        } while (nextToken);
+      } catch (error) {
+        console.error('Error getting concurrency metrics:', error);
+      }
+    });
+
+    return series;
+  }
+
+  summarizeFunction(functionName, reserved, data, account) {
+    const concurrency = [...data.concurrency.values()];
+    const throttles = sum(data.throttles.values());
+    const invocations = sum(data.invocations.values());
+    const limit = reserved !== null ? reserved : account.unreserved;
+    const peak = Math.max(0, ...concurrency);
+
+    return {
+      functionName,
+      reservedConcurrency: reserved,
+      limit,
+      limitSource: reserved !== null ? 'reserved' : 'unreserved pool',
+      peakConcurrency: peak,
+      p95Concurrency: Math.round(calculatePercentile(concurrency, 95)),
+      headroom: limit - peak,
+      utilizationPercent: limit > 0 ? Math.round((peak / limit) * 1000) / 10 : null,
+      invocations,
+      throttles,
+      // Throttled requests are not counted as invocations
+      throttleRate: invocations + throttles > 0 ? Math.round((throttles / (invocations + throttles)) * 10000) / 100 : 0
+    };
+  }
+
+  summarizeAccount(account, data) {
+    const peak = Math.max(0, ...data.concurrency.values());
+    const peakUnreserved = Math.max(0, ...data.unreserved.values());
+    const pressurePeriods = [...data.unreserved.values()]
+      .filter(value => account.unreserved > 0 && value >= account.unreserved * this.rules.poolPressure).length;
+
+    return {
+      limit: account.limit,
+      unreservedLimit: account.unreserved,
+      reserved: account.limit - account.unreserved,
+      peakConcurrency: peak,
+      peakUnreservedConcurrency: peakUnreserved,
+      headroom: account.limit - peak,
+      unreservedHeadroom: account.unreserved - peakUnreserved,
+      utilizationPercent: account.limit > 0 ? Math.round((peak / account.limit) * 1000) / 10 : 0,
+      throttles: sum(data.throttles.values()),
+      pressurePeriods
+    };
+  }
+
+  // Consecutive periods with throttles, attributed to the function's reservation, the exhausted
+  // unreserved pool, or otherwise to scaling (bursts shorter than a period or faster than Lambda scales)
+  findThrottleEpisodes(func, data, accountData, account, period) {
+    const throttled = [...data.throttles.entries()]
+      .filter(([, value]) => value > 0)
+      .sort(([a], [b]) => a - b);
+    const episodes = [];
+
+    throttled.forEach(([timestamp, throttles]) => {
+      const last = episodes[episodes.length - 1];
+      if (last && timestamp - last.lastTimestamp <= period * 1000) {
+        last.lastTimestamp = timestamp;
+        last.timestamps.push(timestamp);
+        last.throttles += throttles;
+      } else {
+        episodes.push({ firstTimestamp: timestamp, lastTimestamp: timestamp, timestamps: [timestamp], throttles });
+      }
+    });
+
+    return episodes.map(episode => {
+      const peakConcurrency = Math.max(0, ...episode.timestamps.map(timestamp => data.concurrency.get(timestamp) || 0));
+      const peakUnreserved = Math.max(0, ...episode.timestamps.map(timestamp => accountData.unreserved.get(timestamp) || 0));
+      let cause = 'scaling';
+      if (func.reservedConcurrency !== null && peakConcurrency >= func.reservedConcurrency * this.rules.nearLimit) {
+        cause = 'reserved concurrency';
+      } else if (func.reservedConcurrency === null && peakUnreserved >= account.unreserved * this.rules.nearLimit) {
+        cause = 'account concurrency';
+      }
+
+      return {
+        functionName: func.functionName,
+        start: new Date(episode.firstTimestamp).toISOString(),
+        end: new Date(episode.lastTimestamp + period * 1000).toISOString(),
+        periods: episode.timestamps.length,
+        throttles: episode.throttles,
+        peakConcurrency,
+        peakUnreservedConcurrency: peakUnreserved,
+        limit: func.limit,
+        cause
+      };
+    });
+  }
+
+  // Unreserved functions holding a large share of the pool while it was nearly full
+  findStarvingFunctions(functions, series, account) {
+    if (account.unreserved <= 0) return [];
+
+    const pressureTimestamps = [...series.account.unreserved.entries()]
+      .filter(([, value]) => value >= account.unreserved * this.rules.poolPressure)
+      .map(([timestamp]) => timestamp);
+    if (pressureTimestamps.length === 0) return [];
+
+    const shared = functions.filter(func => func.reservedConcurrency === null);
+    const throttledDuringPressure = shared
+      .filter(func => pressureTimestamps.some(timestamp => (series.functions.get(func.functionName).throttles.get(timestamp) || 0) > 0))
+      .map(func => func.functionName);
+
+    return shared
+      .map(func => {
+        const data = series.functions.get(func.functionName);
+        const shares = pressureTimestamps.map(timestamp =>
+          Math.min(1, (data.concurrency.get(timestamp) || 0) / Math.max(1, series.account.unreserved.get(timestamp)))
+        );
+        const avgShare = shares.reduce((sum, share) => sum + share, 0) / shares.length;
+        // What the rest of the pool needed at the same time
+        const othersPeak = Math.max(0, ...pressureTimestamps.map(timestamp =>
+          (series.account.unreserved.get(timestamp) || 0) - (data.concurrency.get(timestamp) || 0)
+        ));
+        return {
+          functionName: func.functionName,
+          pressurePeriods: pressureTimestamps.length,
+          avgSharePercent: Math.round(avgShare * 1000) / 10,
+          peakConcurrency: func.peakConcurrency,
+          p95Concurrency: func.p95Concurrency,
+          othersPeakConcurrency: othersPeak,
+          throttledFunctions: throttledDuringPressure.filter(name => name !== func.functionName)
+        };
+      })
+      .filter(entry => entry.avgSharePercent >= this.rules.starvingShare * 100)
+      .sort((a, b) => b.avgSharePercent - a.avgSharePercent);
+  }
+
+  // Reservations that protect functions throttled by the shared pool, cap the functions draining it
+  // and resize reservations that are too tight or far above use; the total must leave 100 unreserved
+  recommendAllocation(functions, episodes, starving, account) {
+    const causes = new Map();
+    episodes.forEach(episode => {
+      const functionCauses = causes.get(episode.functionName) || new Set();
+      functionCauses.add(episode.cause);
+      causes.set(episode.functionName, functionCauses);
+    });
+    const starvingEntries = new Map(starving.map(entry => [entry.functionName, entry]));
+    const changes = [];
+
+    functions.forEach(func => {
+      const functionCauses = causes.get(func.functionName) || new Set();
+      const current = func.reservedConcurrency;
+      const target = Math.max(1, Math.ceil(func.peakConcurrency * this.rules.headroom));
+
+      if (starvingEntries.has(func.functionName)) {
+        const othersNeed = Math.ceil(starvingEntries.get(func.functionName).othersPeakConcurrency * this.rules.headroom);
+        changes.push({
+          functionName: func.functionName,
+          currentReserved: current,
+          recommendedReserved: Math.max(1, Math.ceil(func.p95Concurrency * this.rules.headroom), account.unreserved - othersNeed),
+          peakConcurrency: func.peakConcurrency,
+          reason: `Caps a function that held most of the nearly full unreserved pool, leaving ${othersNeed} for the functions it crowded out; ` +
+            'its bursts above the cap are throttled instead of them'
+        });
+      } else if (functionCauses.has('account concurrency')) {
+        changes.push({
+          functionName: func.functionName,
+          currentReserved: current,
+          recommendedReserved: target,
+          peakConcurrency: func.peakConcurrency,
+          reason: 'Throttled when the unreserved pool ran out; a reservation guarantees its peak plus 20%'
+        });
+      } else if (functionCauses.has('reserved concurrency')) {
+        changes.push({
+          functionName: func.functionName,
+          currentReserved: current,
+          recommendedReserved: Math.max(current + 1, Math.ceil(current * this.rules.raiseReserved)),
+          peakConcurrency: func.peakConcurrency,
+          reason: 'Throttled at its reservation, so demand above it is unknown; raising it by 50% shows the real peak'
+        });
+      } else if (current !== null && func.throttles === 0 && current > target * this.rules.overReserved) {
+        changes.push({
+          functionName: func.functionName,
+          currentReserved: current,
+          recommendedReserved: target,
+          peakConcurrency: func.peakConcurrency,
+          reason: `Reserves over ${this.rules.overReserved}x its peak; the rest returns to the unreserved pool`
+        });
+      }
+    });
+
+    const reservedBefore = account.limit - account.unreserved;
+    const reservedAfter = changes.reduce(
+      (total, change) => total - (change.currentReserved || 0) + change.recommendedReserved,
+      reservedBefore
+    );
+
+    return {
+      changes,
+      reservedBefore,
+      reservedAfter,
+      unreservedAfter: account.limit - reservedAfter,
+      feasible: account.limit - reservedAfter >= MIN_UNRESERVED_CONCURRENCY
+    };
+  }
+
+  generateRecommendations(result, episodes) {
+    const recommendations = [];
+    const { account, allocation } = result;
+    const byCause = cause => episodes.filter(episode => episode.cause === cause);
+
+    if (byCause('account concurrency').length > 0 || account.pressurePeriods > 0) {
+      recommendations.push(`The unreserved pool (${account.unreservedLimit}) was over ${this.rules.poolPressure * 100}% used in ` +
+        `${account.pressurePeriods} periods (peak ${account.peakUnreservedConcurrency}) - request a higher account concurrency quota or reserve capacity for critical functions`);
+    }
+    result.starving.forEach(entry => {
+      recommendations.push(`${entry.functionName} held ${entry.avgSharePercent}% of the unreserved pool while it was nearly full` +
+        `${entry.throttledFunctions.length > 0 ? ` - throttled meanwhile: ${entry.throttledFunctions.join(', ')}` : ''}`);
+    });
+    if (byCause('reserved concurrency').length > 0) {
+      const names = [...new Set(byCause('reserved concurrency').map(episode => episode.functionName))];
+      recommendations.push(`Throttled at the reserved concurrency: ${names.join(', ')} - raise the reservation or smooth the load`);
+    }
+    if (byCause('scaling').length > 0) {
+      const names = [...new Set(byCause('scaling').map(episode => episode.functionName))];
+      recommendations.push(`Throttled below the concurrency limit: ${names.join(', ')} - bursts outpaced Lambda scaling; ` +
+        'smooth the load with a queue or keep warm capacity with provisioned concurrency');
+    }
+    if (allocation.changes.length > 0 && !allocation.feasible) {
+      recommendations.push(`The recommended reservations leave ${allocation.unreservedAfter} unreserved, below the ` +
+        `${MIN_UNRESERVED_CONCURRENCY} Lambda requires - raise the account limit of ${account.limit} first`);
+    }
+
+    return recommendations.length > 0 ? recommendations : ['Concurrency has headroom and no throttling was seen'];
+  }
+}
\ No newline at end of file
@@ -0,0 +1,195 @@
+import { LambdaClient } from '@aws-sdk/client-lambda';
+import { CloudWatchClient } from '@aws-sdk/client-cloudwatch';
+import { CloudWatchLogsClient } from '@aws-sdk/client-cloudwatch-logs';
+import { XRayClient } from '@aws-sdk/client-xray';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const SERVICE_CLIENTS = {
+  lambda: LambdaClient,
+  cloudWatch: CloudWatchClient,
+  logs: CloudWatchLogsClient,
+  xray: XRayClient,
+  sqs: SQSClient
+};
+
+const MODES = ['live', 'record', 'replay'];
+
+// Supplies the AWS clients used by the analyzers. In "live" mode these are the SDK clients,
+// "record" also saves every response under recordingsDir and "replay" serves those recordings.
+export class DataSource {
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.DATA_SOURCE_MODE || 'live';
+    this.recordingsDir = options.recordingsDir || process.env.RECORDINGS_DIR || './recordings';
+    this.clients = new Map();
+    this.recordings = new Map();
+    this.replayCursors = new Map();
+    this.manifest = null;
+    this.recordingStarted = false;
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown data source mode "${this.mode}" (expected ${MODES.join(', ')})`);
+    }
+  }
+
+  getClient(service, region) {
+    if (!SERVICE_CLIENTS[service]) {
+      throw new Error(`Unknown AWS service: ${service}`);
+    }
+
+    const cacheKey = `${service}:${region || ''}`;
+    if (!this.clients.has(cacheKey)) {
+      this.clients.set(cacheKey, this.createClient(service, region));
+    }
+    return this.clients.get(cacheKey);
+  }
+
+  createClient(service, region) {
+    if (this.mode === 'replay') {
+      return { send: command => this.replay(service, region, command) };
+    }
+
+    const client = new SERVICE_CLIENTS[service]({ region });
+    if (this.mode === 'live') return client;
+
+    return { send: command => this.record(service, region, client, command) };
+  }
+
+  // Replays run against the clock of the recording so relative time ranges line up
+  now() {
+    if (this.mode !== 'replay') return Date.now();
+    const manifest = this.loadManifest();
+    return manifest ? Date.parse(manifest.startedAt) : Date.now();
+  }
+
+  async record(service, region, client, command) {
+    const recordedAt = new Date().toISOString();
+    try {
+      const response = await client.send(command);
+      this.saveEntry(service, region, command, { recordedAt, response });
+      return response;
+    } catch (error) {
+      this.saveEntry(service, region, command, {
+        recordedAt,
+        error: { name: error.name, message: error.message }
+      });
+      throw error;
+    }
+  }
+
+  async replay(service, region, command) {
+    const key = this.getRecordingKey(service, region, command);
+    const recording = this.loadRecording(key);
+    if (!recording) {
+      throw new Error(`No recorded response for ${service} ${command.constructor.name} in ${this.recordingsDir}`);
+    }
+
+    // Identical requests are served in the order they were recorded; the last one repeats
+    const cursor = this.replayCursors.get(key) || 0;
+    this.replayCursors.set(key, cursor + 1);
+    const entry = recording.entries[Math.min(cursor, recording.entries.length - 1)];
+
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      error.name = entry.error.name;
+      throw error;
+    }
+    return this.reviveDates(entry.response);
+  }
+
+  saveEntry(service, region, command, entry) {
+    this.startRecording();
+    const key = this.getRecordingKey(service, region, command);
+    const recording = this.loadRecording(key) || {
+      service,
+      region: region || null,
+      command: command.constructor.name,
+      input: this.normalizeInput(command.input),
+      entries: []
+    };
+    recording.entries.push(this.serializeDates(entry));
+    this.recordings.set(key, recording);
+
+    mkdirSync(join(this.recordingsDir, service), { recursive: true });
+    writeFileSync(this.getRecordingPath(key), JSON.stringify(recording, null, 2));
+    this.saveManifest(entry.recordedAt);
+  }
+
+  // A new recording replaces whatever an earlier one left in recordingsDir, so the manifest
+  // clock and every entry belong to the same session
+  startRecording() {
+    if (this.recordingStarted) return;
+    this.recordingStarted = true;
+
+    Object.keys(SERVICE_CLIENTS).forEach(service => {
+      rmSync(join(this.recordingsDir, service), { recursive: true, force: true });
+    });
+    rmSync(join(this.recordingsDir, 'manifest.json'), { force: true });
+    this.recordings.clear();
+    this.manifest = null;
+  }
+
+  loadRecording(key) {
+    if (!this.recordings.has(key)) {
+      const path = this.getRecordingPath(key);
+      this.recordings.set(key, existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : null);
+    }
+    return this.recordings.get(key);
+  }
+
+  loadManifest() {
+    if (!this.manifest) {
+      const path = join(this.recordingsDir, 'manifest.json');
+      this.manifest = existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : null;
+    }
+    return this.manifest;
+  }
+
+  saveManifest(recordedAt) {
+    const manifest = this.loadManifest() || { version: 1, startedAt: recordedAt };
+    manifest.updatedAt = recordedAt;
+    this.manifest = manifest;
+    writeFileSync(join(this.recordingsDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  }
+
+  // Requests are keyed without their absolute time window, which moves with the clock
+  getRecordingKey(service, region, command) {
+    const payload = JSON.stringify([region || null, this.normalizeInput(command.input)]);
+    const hash = createHash('sha1').update(payload).digest('hex').slice(0, 16);
+    return `${service}/${command.constructor.name}-${hash}`;
+  }
+
+  getRecordingPath(key) {
+    return join(this.recordingsDir, `${key}.json`);
+  }
+
+  normalizeInput(value) {
+    if (Array.isArray(value)) return value.map(item => this.normalizeInput(item));
+    if (value instanceof Date) return value.toISOString();
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.keys(value)
+      .filter(key => !/^(start|end)time$/i.test(key) && value[key] !== undefined && value[key] !== null)
+      .sort()
+      .reduce((normalized, key) => {
+        normalized[key] = this.normalizeInput(value[key]);
+        return normalized;
+      }, {});
+  }
+
+  serializeDates(value) {
+    if (Array.isArray(value)) return value.map(item => this.serializeDates(item));
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.serializeDates(item)]));
+  }
+
+  reviveDates(value) {
+    if (Array.isArray(value)) return value.map(item => this.reviveDates(item));
+    if (!value || typeof value !== 'object') return value;
+    if (typeof value.$date === 'string' && Object.keys(value).length === 1) return new Date(value.$date);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.reviveDates(item)]));
+  }
+}
\ No newline at end of file
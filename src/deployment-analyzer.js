@@ -0,0 +1,641 @@
+import { ListVersionsByFunctionCommand, ListAliasesCommand } from '@aws-sdk/client-lambda';
+import { ListMetricsCommand, GetMetricDataCommand } from '@aws-sdk/client-cloudwatch';
+import { FilterLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { LambdaAnalyzer } from './lambda-analyzer.js';
+import { HOUR_MS, parseTimeRange, calculatePercentile, average, round } from './analysis-helpers.js';
+
+// START and REPORT lines carry the executed version and the timings; the error terms match the
+// lines the Errors metric counts, so one scan yields per-version samples and error counts
+const WINDOW_FILTER = '?"START RequestId" ?"REPORT RequestId" ?"Task timed out" ?"Runtime." ?"ERROR\tInvoke Error" ?"Status: error" ?"Status: timeout"';
+
+// Compares each deployment with the version it replaced, using the versions' own traffic around the switch
+export class DeploymentAnalyzer {
+  constructor(lambdaAnalyzer = new LambdaAnalyzer()) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.windowMs = 24 * HOUR_MS;
+    this.maxWindowEvents = 30000;
+    this.minSamples = 20;
+    this.minColdStarts = 5;
+    // Smallest increase worth reporting, in percent (error rate: percentage points)
+    this.thresholds = {
+      p50Duration: 10,
+      p95Duration: 10,
+      p99Duration: 15,
+      initDuration: 20,
+      maxMemoryUsed: 10,
+      errorRate: 1
+    };
+  }
+
+  async detectRegressions(functionName, timeRange = '7d', options = {}) {
+    const analyzer = this.lambdaAnalyzer;
+    const offline = Boolean(analyzer.logSource);
+    const endTime = await analyzer.getEndTime();
+    const startTime = new Date(endTime.getTime() - parseTimeRange(timeRange));
+
+    const [versions, aliases, config] = offline
+      ? [[], [], null]
+      : await Promise.all([
+        this.listVersions(functionName),
+        this.listAliases(functionName),
+        analyzer.getFunctionConfig(functionName).catch(error => {
+          console.error('Error getting function configuration:', error);
+          return null;
+        })
+      ]);
+    const traffic = offline
+      ? await this.getVersionTrafficFromLogs(functionName, startTime, endTime)
+      : await this.getVersionTraffic(functionName, startTime, endTime);
+
+    const deployments = this.findDeployments(traffic, config, startTime, endTime)
+      .slice(-(options.maxDeployments || 10));
+    for (const [index, deployment] of deployments.entries()) {
+      const previous = deployments[index - 1];
+      const next = deployments[index + 1];
+      await this.compareDeployment(functionName, deployment, traffic, {
+        start: new Date(Math.max(startTime.getTime(), deployment.deployedAt - this.windowMs, previous ? previous.deployedAt : 0)),
+        end: new Date(Math.min(endTime.getTime(), deployment.deployedAt + this.windowMs, next ? next.deployedAt : Infinity))
+      });
+    }
+
+    const regressions = deployments.flatMap(deployment =>
+      deployment.changes
+        .filter(change => change.regression)
+        .map(change => ({
+          version: deployment.version,
+          previousVersion: deployment.previousVersion,
+          deployedAt: new Date(deployment.deployedAt).toISOString(),
+          metric: change.metric,
+          before: change.before,
+          after: change.after,
+          changePercent: change.changePercent,
+          confidence: change.confidence
+        }))
+    );
+
+    return {
+      functionName,
+      timeRange,
+      source: offline ? 'logs' : 'cloudwatch',
+      versions: this.describeVersions(versions, traffic, startTime),
+      aliases,
+      deployments: deployments.map(deployment => ({
+        ...deployment,
+        deployedAt: new Date(deployment.deployedAt).toISOString()
+      })),
+      regressions,
+      recommendations: this.generateRecommendations(deployments, aliases)
+    };
+  }
+
+  async listVersions(functionName) {
+    const versions = [];
+    let marker;
+
+    try {
+      do {
+        const response = await this.lambdaAnalyzer.lambdaClient.send(new ListVersionsByFunctionCommand({
+          FunctionName: functionName,
+          Marker: marker
+        }));
+        versions.push(...(response.Versions || []));
+        marker = response.NextMarker;
+      } while (marker);
+    } catch (error) {
+      console.error('Error listing function versions:', error);
+    }
+
+    return versions;
+  }
+
+  async listAliases(functionName) {
+    const aliases = [];
+    let marker;
+
+    try {
+      do {
+        const response = await this.lambdaAnalyzer.lambdaClient.send(new ListAliasesCommand({
+          FunctionName: functionName,
+          Marker: marker
+        }));
+        aliases.push(...(response.Aliases || []));
+        marker = response.NextMarker;
+      } while (marker);
+    } catch (error) {
+      console.error('Error listing aliases:', error);
+    }
+
+    return aliases.map(alias => ({
+      name: alias.Name,
+      version: alias.FunctionVersion,
+      additionalVersions: Object.entries((alias.RoutingConfig && alias.RoutingConfig.AdditionalVersionWeights) || {})
+        .map(([version, weight]) => ({ version, weight }))
+    }));
+  }
+
+  // Hourly invocations and errors per executed version. Alias traffic is split by the
+  // ExecutedVersion dimension and direct version calls by the Resource dimension
+  async getVersionTraffic(functionName, startTime, endTime) {
+    const series = await this.listVersionMetrics(functionName);
+    const traffic = new Map();
+    const queries = series.flatMap((entry, index) => ['Invocations', 'Errors'].map(metricName => ({
+      Id: `${metricName.toLowerCase()}${index}`,
+      MetricStat: {
+        Metric: { Namespace: 'AWS/Lambda', MetricName: metricName, Dimensions: entry.dimensions },
+        Period: 3600,
+        Stat: 'Sum'
+      }
+    })));
+
+    for (let offset = 0; offset < queries.length; offset += this.lambdaAnalyzer.maxMetricQueries) {
+      let nextToken;
+      do {
+        try {
+          const response = await this.lambdaAnalyzer.cloudWatchClient.send(new GetMetricDataCommand({
+            StartTime: startTime,
+            EndTime: endTime,
+            NextToken: nextToken,
+            MetricDataQueries: queries.slice(offset, offset + this.lambdaAnalyzer.maxMetricQueries)
+          }));
+
+          (response.MetricDataResults || []).forEach(result => {
+            const [, metric, index] = result.Id.match(/^(invocations|errors)(\d+)$/) || [];
+            if (!metric) return;
+            (result.Timestamps || []).forEach((timestamp, position) => {
+              this.addTraffic(traffic, series[index].version, new Date(timestamp).getTime(), metric, result.Values[position]);
+            });
+          });
+
+          nextToken = response.NextToken;
+        } catch (error) {
+          console.error('Error getting per-version metrics:', error);
+          break;
+        }
+      } while (nextToken);
+    }
+
+    return traffic;
+  }
+
+  async listVersionMetrics(functionName) {
+    const series = [];
+    let nextToken;
+
+    try {
+      do {
+        const response = await this.lambdaAnalyzer.cloudWatchClient.send(new ListMetricsCommand({
+          Namespace: 'AWS/Lambda',
+          MetricName: 'Invocations',
+          Dimensions: [{ Name: 'FunctionName', Value: functionName }],
+          NextToken: nextToken
+        }));
+
+        (response.Metrics || []).forEach(metric => {
+          const dimensions = Object.fromEntries((metric.Dimensions || []).map(dimension => [dimension.Name, dimension.Value]));
+          // Resource alone is also published per alias; those totals are already split by ExecutedVersion
+          const resourceVersion = (dimensions.Resource || '').match(new RegExp(`^${this.escapeRegex(functionName)}:(\\d+|\\$LATEST)$`));
+          const version = dimensions.ExecutedVersion || (resourceVersion && resourceVersion[1]);
+          if (version && this.matchesQualifier(functionName, dimensions, version)) {
+            series.push({ version, dimensions: metric.Dimensions });
+          }
+        });
+
+        nextToken = response.NextToken;
+      } while (nextToken);
+    } catch (error) {
+      console.error('Error listing per-version metrics:', error);
+    }
+
+    return series;
+  }
+
+  // Offline exports have no metrics, so START lines supply the hourly invocations per version
+  async getVersionTrafficFromLogs(functionName, startTime, endTime) {
+    const traffic = new Map();
+    let nextToken;
+
+    do {
+      const response = await this.lambdaAnalyzer.logsClient.send(new FilterLogEventsCommand({
+        logGroupName: `/aws/lambda/${functionName}`,
+        startTime: startTime.getTime(),
+        endTime: endTime.getTime(),
+        filterPattern: '"START RequestId"',
+        nextToken
+      }));
+
+      (response.events || []).forEach(event => {
+        const version = this.versionFromEvent(event);
+        if (version) {
+          this.addTraffic(traffic, version, Math.floor(event.timestamp / HOUR_MS) * HOUR_MS, 'invocations', 1);
+        }
+      });
+
+      nextToken = response.nextToken;
+    } while (nextToken);
+
+    // Errors are counted per deployment window from the same logs
+    traffic.forEach(entry => { entry.errors = null; });
+    return traffic;
+  }
+
+  addTraffic(traffic, version, hour, metric, value) {
+    if (!traffic.has(version)) {
+      traffic.set(version, { version, invocations: 0, errors: 0, hours: new Map() });
+    }
+    const entry = traffic.get(version);
+    if (!entry.hours.has(hour)) {
+      entry.hours.set(hour, { invocations: 0, errors: 0 });
+    }
+    entry.hours.get(hour)[metric] += value;
+    entry[metric] += value;
+  }
+
+  // A deployment is a version whose traffic starts inside the range, compared with the version
+  // that served most requests just before it. An update of $LATEST is split at its modification time.
+  findDeployments(traffic, config, startTime, endTime) {
+    const deployments = [];
+
+    traffic.forEach(entry => {
+      const hours = [...entry.hours.entries()].filter(([, counts]) => counts.invocations > 0).map(([hour]) => hour);
+      if (entry.version === '$LATEST' || hours.length === 0) return;
+
+      const trafficStart = Math.min(...hours);
+      // Traffic from the first hour on was already running when the range began
+      if (trafficStart < startTime.getTime() + HOUR_MS) return;
+
+      deployments.push({
+        version: entry.version,
+        previousVersion: this.findPreviousVersion(traffic, entry.version, trafficStart),
+        kind: 'version',
+        deployedAt: trafficStart
+      });
+    });
+
+    // With a qualifier the configuration is that of a published version, not of $LATEST
+    const qualifier = this.lambdaAnalyzer.qualifier;
+    const lastModified = config && config.LastModified && (!qualifier || qualifier === '$LATEST') ? new Date(config.LastModified).getTime() : null;
+    if (lastModified && lastModified > startTime.getTime() && lastModified < endTime.getTime()) {
+      deployments.push({ version: '$LATEST', previousVersion: '$LATEST', kind: 'update', deployedAt: lastModified });
+    }
+
+    return deployments.sort((a, b) => a.deployedAt - b.deployedAt);
+  }
+
+  findPreviousVersion(traffic, version, trafficStart) {
+    let previous = null;
+    let mostInvocations = 0;
+
+    traffic.forEach(entry => {
+      if (entry.version === version) return;
+      const invocations = [...entry.hours.entries()]
+        .filter(([hour]) => hour < trafficStart && hour >= trafficStart - this.windowMs)
+        .reduce((sum, [, counts]) => sum + counts.invocations, 0);
+      if (invocations > mostInvocations) {
+        previous = entry.version;
+        mostInvocations = invocations;
+      }
+    });
+
+    return previous;
+  }
+
+  async compareDeployment(functionName, deployment, traffic, window) {
+    deployment.window = { start: window.start.toISOString(), end: window.end.toISOString() };
+    deployment.before = null;
+    deployment.after = null;
+    deployment.changes = [];
+    deployment.regression = false;
+    deployment.confidence = null;
+    deployment.truncated = false;
+
+    if (!deployment.previousVersion) {
+      deployment.note = 'No other version served traffic before this one';
+      return;
+    }
+
+    const { records, truncated } = await this.scanWindow(functionName, window.start, deployment.deployedAt, window.end);
+    const isUpdate = deployment.kind === 'update';
+    const newRecords = records.filter(record => record.version === deployment.version);
+    // Versions are told apart by the executed version, so canary traffic of the old version counts too
+    const before = isUpdate
+      ? newRecords.filter(record => record.timestamp < deployment.deployedAt)
+      : records.filter(record => record.version === deployment.previousVersion);
+    const after = isUpdate
+      ? newRecords.filter(record => record.timestamp >= deployment.deployedAt)
+      : newRecords;
+
+    // Logs place the switch more precisely than hourly metrics
+    if (!isUpdate && after.length > 0) {
+      deployment.deployedAt = Math.min(deployment.deployedAt, after[0].timestamp - after[0].duration);
+    }
+
+    deployment.truncated = truncated;
+    deployment.before = this.summarize(before, this.getErrorCounts(traffic, deployment.previousVersion, window, before, isUpdate || truncated));
+    deployment.after = this.summarize(after, this.getErrorCounts(traffic, deployment.version, window, after, isUpdate || truncated));
+    deployment.changes = this.compare(before, after, deployment.before, deployment.after);
+
+    const regressions = deployment.changes.filter(change => change.regression);
+    const ranks = ['low', 'medium', 'high'];
+    deployment.regression = regressions.length > 0;
+    deployment.confidence = regressions.length > 0
+      ? ranks[Math.max(...regressions.map(change => ranks.indexOf(change.confidence)))]
+      : null;
+  }
+
+  // REPORT records of the window tagged with their executed version and whether they failed. Each side
+  // of the deployment is scanned with its own cap, so a busy before side cannot leave the after side empty
+  async scanWindow(functionName, startTime, deployedAt, endTime) {
+    const scan = { versions: new Map(), failed: new Set(), reports: [] };
+    const truncatedBefore = await this.scanEvents(functionName, startTime.getTime(), deployedAt - 1, scan);
+    const truncatedAfter = await this.scanEvents(functionName, deployedAt, endTime.getTime(), scan);
+
+    return {
+      records: scan.reports
+        .map(report => ({
+          ...report,
+          version: scan.versions.get(report.requestId) || this.lambdaAnalyzer.qualifierResolver.versionFromStream(report.logStream),
+          error: scan.failed.has(report.requestId)
+        }))
+        .filter(record => record.version)
+        .sort((a, b) => a.timestamp - b.timestamp),
+      truncated: truncatedBefore || truncatedAfter
+    };
+  }
+
+  // START versions, REPORT records and failed request ids between two timestamps; true when capped
+  async scanEvents(functionName, startTime, endTime, { versions, failed, reports }) {
+    let scanned = 0;
+    let nextToken;
+
+    do {
+      try {
+        const response = await this.lambdaAnalyzer.logsClient.send(new FilterLogEventsCommand({
+          logGroupName: `/aws/lambda/${functionName}`,
+          startTime,
+          endTime,
+          filterPattern: WINDOW_FILTER,
+          nextToken
+        }));
+
+        (response.events || []).forEach(event => {
+          const message = event.message || '';
+          const requestId = message.match(/RequestId: ([\w-]+)/) || message.match(/\t([0-9a-f]{8}-[0-9a-f-]{27})\t/);
+          if (message.startsWith('START RequestId') && requestId) {
+            versions.set(requestId[1], this.versionFromEvent(event));
+          } else if (message.startsWith('REPORT RequestId')) {
+            const report = this.lambdaAnalyzer.logParser.parseReport(event);
+            if (report) reports.push(report);
+            if (report && /Status: (error|timeout)/.test(message)) failed.add(report.requestId);
+          } else if (requestId) {
+            failed.add(requestId[1]);
+          }
+          scanned++;
+        });
+
+        nextToken = response.nextToken;
+      } catch (error) {
+        throw new Error(`Could not scan the deployment window of ${functionName}: ${error.message}`);
+      }
+    } while (nextToken && scanned < this.maxWindowEvents);
+
+    return Boolean(nextToken);
+  }
+
+  // Metrics when the version has its own series; otherwise the failed requests seen in the logs
+  getErrorCounts(traffic, version, window, records, fromLogs) {
+    const entry = traffic.get(version);
+    if (!fromLogs && entry && entry.errors !== null) {
+      const hours = [...entry.hours.entries()]
+        .filter(([hour]) => hour >= Math.floor(window.start.getTime() / HOUR_MS) * HOUR_MS && hour < window.end.getTime())
+        .map(([, counts]) => counts);
+      const invocations = hours.reduce((sum, counts) => sum + counts.invocations, 0);
+      if (invocations > 0) {
+        return { invocations, errors: hours.reduce((sum, counts) => sum + counts.errors, 0) };
+      }
+    }
+    return { invocations: records.length, errors: records.filter(record => record.error).length };
+  }
+
+  summarize(records, errorCounts) {
+    const durations = records.map(record => record.duration);
+    const inits = records.map(record => record.initDuration).filter(value => value !== null);
+    const memory = records.map(record => record.maxMemoryUsed);
+    const percentile = value => (durations.length > 0 ? round(calculatePercentile(durations, value)) : null);
+
+    return {
+      samples: records.length,
+      invocations: errorCounts.invocations,
+      errors: errorCounts.errors,
+      errorRate: errorCounts.invocations > 0 ? round((errorCounts.errors / errorCounts.invocations) * 100) : null,
+      p50Duration: percentile(50),
+      p95Duration: percentile(95),
+      p99Duration: percentile(99),
+      coldStarts: inits.length,
+      avgInitDuration: inits.length > 0 ? round(average(inits)) : null,
+      avgMaxMemoryUsed: memory.length > 0 ? round(average(memory)) : null,
+      memorySize: records.length > 0 ? records[records.length - 1].memorySize : null
+    };
+  }
+
+  compare(before, after, beforeStats, afterStats) {
+    const durationsBefore = before.map(record => record.duration);
+    const durationsAfter = after.map(record => record.duration);
+    const initsBefore = before.map(record => record.initDuration).filter(value => value !== null);
+    const initsAfter = after.map(record => record.initDuration).filter(value => value !== null);
+    const enoughSamples = before.length >= this.minSamples && after.length >= this.minSamples;
+    const enoughColdStarts = initsBefore.length >= this.minColdStarts && initsAfter.length >= this.minColdStarts;
+
+    // Tail percentiles: how many new invocations are slower than the old percentile, against the share expected
+    const percentileChange = (metric, percentile) => this.createChange(
+      metric,
+      beforeStats[metric],
+      afterStats[metric],
+      enoughSamples
+        ? this.exceedanceTest(durationsAfter, beforeStats[metric], 1 - percentile / 100)
+        : null
+    );
+
+    return [
+      percentileChange('p50Duration', 50),
+      percentileChange('p95Duration', 95),
+      percentileChange('p99Duration', 99),
+      this.createChange('initDuration', beforeStats.avgInitDuration, afterStats.avgInitDuration,
+        enoughColdStarts ? this.mannWhitneyTest(initsBefore, initsAfter) : null),
+      this.createChange('maxMemoryUsed', beforeStats.avgMaxMemoryUsed, afterStats.avgMaxMemoryUsed,
+        enoughSamples ? this.mannWhitneyTest(before.map(record => record.maxMemoryUsed), after.map(record => record.maxMemoryUsed)) : null),
+      this.createChange('errorRate', beforeStats.errorRate, afterStats.errorRate,
+        beforeStats.invocations >= this.minSamples && afterStats.invocations >= this.minSamples
+          ? this.proportionTest(beforeStats.errors, beforeStats.invocations, afterStats.errors, afterStats.invocations)
+          : null)
+    ];
+  }
+
+  createChange(metric, before, after, pValue) {
+    const changePercent = before !== null && after !== null && before > 0 ? round(((after - before) / before) * 100) : null;
+    const increase = metric === 'errorRate'
+      ? (before !== null && after !== null ? after - before : null)
+      : changePercent;
+    const confidence = this.confidenceFor(pValue);
+
+    return {
+      metric,
+      before,
+      after,
+      changePercent,
+      pValue: pValue !== null ? Number(pValue.toPrecision(3)) : null,
+      confidence,
+      regression: increase !== null && increase >= this.thresholds[metric] && !['none', 'insufficient'].includes(confidence)
+    };
+  }
+
+  confidenceFor(pValue) {
+    if (pValue === null) return 'insufficient';
+    if (pValue < 0.001) return 'high';
+    if (pValue < 0.01) return 'medium';
+    if (pValue < 0.05) return 'low';
+    return 'none';
+  }
+
+  // One-sided p-value that more than `expectedShare` of the samples exceed `limit`
+  exceedanceTest(samples, limit, expectedShare) {
+    const exceeding = samples.filter(value => value > limit).length;
+    const standardError = Math.sqrt((expectedShare * (1 - expectedShare)) / samples.length);
+    return 1 - this.normalCdf((exceeding / samples.length - expectedShare) / standardError);
+  }
+
+  // One-sided Mann-Whitney U test that `after` tends to be larger than `before`
+  mannWhitneyTest(before, after) {
+    const values = [
+      ...before.map(value => ({ value, after: false })),
+      ...after.map(value => ({ value, after: true }))
+    ].sort((a, b) => a.value - b.value);
+
+    let rankSum = 0;
+    for (let i = 0; i < values.length;) {
+      let j = i;
+      while (j < values.length && values[j].value === values[i].value) j++;
+      // Tied values share the average of their ranks
+      const rank = (i + 1 + j) / 2;
+      for (let k = i; k < j; k++) {
+        if (values[k].after) rankSum += rank;
+      }
+      i = j;
+    }
+
+    const n1 = before.length;
+    const n2 = after.length;
+    const u = rankSum - (n2 * (n2 + 1)) / 2;
+    const standardDeviation = Math.sqrt((n1 * n2 * (n1 + n2 + 1)) / 12);
+    if (standardDeviation === 0) return 1;
+    return 1 - this.normalCdf((u - (n1 * n2) / 2) / standardDeviation);
+  }
+
+  // One-sided two-proportion z-test that the failure rate went up
+  proportionTest(errorsBefore, totalBefore, errorsAfter, totalAfter) {
+    const pooled = (errorsBefore + errorsAfter) / (totalBefore + totalAfter);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalBefore + 1 / totalAfter));
+    if (standardError === 0) return 1;
+    return 1 - this.normalCdf((errorsAfter / totalAfter - errorsBefore / totalBefore) / standardError);
+  }
+
+  // Abramowitz and Stegun 7.1.26
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  describeVersions(versions, traffic, startTime) {
+    const published = new Map(versions.map(version => [version.Version, version]));
+    const names = new Set([...published.keys(), ...traffic.keys()]);
+
+    return [...names]
+      .map(name => {
+        const version = published.get(name) || {};
+        const entry = traffic.get(name);
+        const hours = entry ? [...entry.hours.entries()].filter(([, counts]) => counts.invocations > 0).map(([hour]) => hour) : [];
+        return {
+          version: name,
+          publishedAt: version.LastModified ? new Date(version.LastModified).toISOString() : null,
+          codeSha256: version.CodeSha256 || null,
+          description: version.Description || null,
+          invocations: entry ? entry.invocations : 0,
+          errors: entry ? entry.errors : null,
+          firstInvoked: hours.length > 0 ? new Date(Math.min(...hours)).toISOString() : null,
+          lastInvoked: hours.length > 0 ? new Date(Math.max(...hours) + HOUR_MS).toISOString() : null
+        };
+      })
+      // Versions published long ago that ran nothing in the range are left out
+      .filter(version => version.invocations > 0 || (version.publishedAt && version.publishedAt >= startTime.toISOString()))
+      .sort((a, b) => this.versionOrder(a.version) - this.versionOrder(b.version));
+  }
+
+  generateRecommendations(deployments, aliases) {
+    const recommendations = [];
+    const labels = {
+      p50Duration: 'p50 duration',
+      p95Duration: 'p95 duration',
+      p99Duration: 'p99 duration',
+      initDuration: 'init duration',
+      maxMemoryUsed: 'memory use',
+      errorRate: 'error rate'
+    };
+
+    deployments.filter(deployment => deployment.regression).forEach(deployment => {
+      const changes = deployment.changes
+        .filter(change => change.regression)
+        .map(change => (change.metric === 'errorRate'
+          ? `${labels[change.metric]} ${change.before}% → ${change.after}%`
+          : `${labels[change.metric]} +${change.changePercent}%`))
+        .join(', ');
+      const subject = deployment.kind === 'update'
+        ? `The update of $LATEST at ${new Date(deployment.deployedAt).toISOString()}`
+        : `Version ${deployment.version}`;
+      recommendations.push(`${subject} regressed against the previous ${deployment.previousVersion === '$LATEST' ? 'code' : `version ${deployment.previousVersion}`} (${deployment.confidence} confidence): ${changes}`);
+
+      aliases
+        .filter(alias => alias.version === deployment.version || alias.additionalVersions.some(entry => entry.version === deployment.version))
+        .forEach(alias => {
+          const canary = alias.additionalVersions.find(entry => entry.version === deployment.version);
+          recommendations.push(canary
+            ? `Alias ${alias.name} sends ${Math.round(canary.weight * 100)}% of traffic to version ${deployment.version} - hold or roll back the canary`
+            : `Alias ${alias.name} points at version ${deployment.version} - consider shifting it back to ${deployment.previousVersion} while investigating`);
+        });
+    });
+
+    if (deployments.some(deployment => deployment.truncated)) {
+      recommendations.push('Some deployment windows had more log events than were scanned; each side of the deployment was compared on its earliest events');
+    }
+    if (deployments.length === 0) {
+      recommendations.push('No deployments found in this time range - traffic of a new version or an update of $LATEST marks a deployment');
+    } else if (recommendations.length === 0) {
+      recommendations.push('No regressions detected across the deployments in this time range');
+    }
+
+    return recommendations;
+  }
+
+  // An alias keeps the versions it invoked; a version keeps only its own series
+  matchesQualifier(functionName, dimensions, version) {
+    const { qualifierResolver } = this.lambdaAnalyzer;
+    if (!qualifierResolver.qualifier) return true;
+    return qualifierResolver.isVersion()
+      ? version === qualifierResolver.qualifier
+      : dimensions.Resource === `${functionName}:${qualifierResolver.qualifier}`;
+  }
+
+  // Helper methods
+  versionFromEvent(event) {
+    const match = (event.message || '').match(/Version: (\$LATEST|\d+)/);
+    return match ? match[1] : this.lambdaAnalyzer.qualifierResolver.versionFromStream(event.logStreamName);
+  }
+
+  versionOrder(version) {
+    return version === '$LATEST' ? Infinity : Number(version);
+  }
+
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
\ No newline at end of file
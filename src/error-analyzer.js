@@ -0,0 +1,281 @@
+import { FilterLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+
+// START/REPORT attach errors to requests and cold starts; the other terms catch the error lines
+const ERROR_FILTER = '?"INIT_START" ?"START RequestId" ?"REPORT RequestId" ?"Task timed out" ?"Runtime." ' +
+  '?"ERROR" ?"Error" ?"Exception" ?"Traceback"';
+
+// Groups the failures in a function's logs into signatures: the error type and message with ids and
+// numbers stripped, plus the top stack frame, so one bug shows up as one entry however often it fires
+export class ErrorAnalyzer {
+  constructor(lambdaAnalyzer) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.maxEvents = 200000;
+    this.maxSignatures = 20;
+    this.maxSampleRequestIds = 5;
+    this.patterns = {
+      requestId: /RequestId: ([\w-]+)/,
+      // "<timestamp>\t<request id>\tERROR\t..." and "<timestamp> <request id> Task timed out ..."
+      lineRequestId: /^\S+[\t ]([0-9a-f]{8}-[0-9a-f-]{27})[\t ]/,
+      timeout: /Task timed out after ([\d.]+) seconds/,
+      exitError: /Runtime exited with error: ([^\n]+)/,
+      invokeError: /(Invoke Error|Uncaught Exception|Unhandled Promise Rejection)\s*\t?(\{[\s\S]*\})\s*$/,
+      pythonError: /\[ERROR\] ([A-Za-z_][\w.]*): ?([^\n]*)/,
+      exception: /((?:[a-z_$][\w$]*\.)*[A-Z][\w$]*(?:Error|Exception))(?::\s*([^\n]*))?/,
+      frame: /^\s+at (.+)$/gm,
+      libraryFrame: /^(?:java\.|javax\.|sun\.|jdk\.|node:|internal\/)|\((?:node:|internal\/|<anonymous>)/,
+      pythonFrame: /File "([^"]+)", line \d+, in (\S+)/g,
+      reportStatus: /Status: (error|timeout)(?:\s+Error Type: (\S+))?/
+    };
+  }
+
+  async analyzeErrors(functionName, startTime, endTime) {
+    const { occurrences, requests } = await this.scanErrors(functionName, startTime, endTime);
+    this.applyReportStatus(occurrences, requests);
+
+    const coldStartRequests = [...requests.values()].filter(request => request.coldStart).length;
+    const overallColdStartPercent = requests.size > 0 ? (coldStartRequests / requests.size) * 100 : 0;
+    const signatures = new Map();
+
+    occurrences.forEach(occurrence => {
+      const key = `${occurrence.signature}|${occurrence.location || ''}`;
+      if (!signatures.has(key)) {
+        signatures.set(key, {
+          type: occurrence.type,
+          signature: occurrence.signature,
+          location: occurrence.location,
+          count: 0,
+          firstSeen: occurrence.timestamp,
+          lastSeen: occurrence.timestamp,
+          requestIds: new Set(),
+          coldStarts: 0
+        });
+      }
+
+      const entry = signatures.get(key);
+      entry.count++;
+      entry.firstSeen = Math.min(entry.firstSeen, occurrence.timestamp);
+      entry.lastSeen = Math.max(entry.lastSeen, occurrence.timestamp);
+      if (occurrence.requestId) entry.requestIds.add(occurrence.requestId);
+      if (occurrence.coldStart) entry.coldStarts++;
+    });
+
+    return [...signatures.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.maxSignatures)
+      .map(({ requestIds, firstSeen, lastSeen, coldStarts, ...entry }) => {
+        const coldStartPercent = entry.count > 0 ? Math.round((coldStarts / entry.count) * 1000) / 10 : 0;
+        return {
+          ...entry,
+          firstSeen: new Date(firstSeen).toISOString(),
+          lastSeen: new Date(lastSeen).toISOString(),
+          sampleRequestIds: [...requestIds].slice(0, this.maxSampleRequestIds),
+          coldStarts,
+          coldStartPercent,
+          // How much more often this error hits cold starts than invocations in general
+          coldStartLift: overallColdStartPercent > 0 ? Math.round((coldStartPercent / overallColdStartPercent) * 10) / 10 : null
+        };
+      });
+  }
+
+  // One pass over the log group. Lines without a request id belong to the request running in their
+  // log stream, and lines between INIT_START and START to the cold start that follows.
+  async scanErrors(functionName, startTime, endTime) {
+    const resolver = this.lambdaAnalyzer.qualifierResolver;
+    const versions = await resolver.getVersions(functionName);
+    const streams = new Map();
+    const requests = new Map();
+    const occurrences = [];
+    const seen = new Set();
+    let scanned = 0;
+    let nextToken;
+
+    const record = (occurrence, requestId, stream) => {
+      const key = `${requestId || occurrence.timestamp}|${occurrence.signature}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      occurrence.requestId = requestId || null;
+      if (!requestId && stream && stream.initializing) {
+        occurrence.coldStart = true;
+        stream.pending.push(occurrence);
+      }
+      occurrences.push(occurrence);
+      return true;
+    };
+
+    do {
+      try {
+        const response = await this.lambdaAnalyzer.logsClient.send(new FilterLogEventsCommand({
+          logGroupName: `/aws/lambda/${functionName}`,
+          startTime: startTime.getTime(),
+          endTime: endTime.getTime(),
+          filterPattern: ERROR_FILTER,
+          nextToken
+        }));
+
+        for (const event of response.events || []) {
+          scanned++;
+          if (!resolver.matchesStream(versions, event.logStreamName)) continue;
+          const message = event.message || '';
+          const stream = streams.get(event.logStreamName);
+
+          if (message.startsWith('INIT_START')) {
+            streams.set(event.logStreamName, { requestId: null, initializing: true, pending: [] });
+          } else if (message.startsWith('START RequestId')) {
+            const requestId = message.match(this.patterns.requestId)[1];
+            const coldStart = Boolean(stream && stream.initializing);
+            requests.set(requestId, { coldStart, report: null, occurrences: [] });
+            if (stream) {
+              // Errors logged while initializing failed the request that triggered the cold start
+              stream.pending.forEach(occurrence => {
+                occurrence.requestId = requestId;
+                requests.get(requestId).occurrences.push(occurrence);
+              });
+            }
+            streams.set(event.logStreamName, { requestId, initializing: false, pending: [] });
+          } else if (message.startsWith('REPORT RequestId')) {
+            const report = this.lambdaAnalyzer.logParser.parseReport(event);
+            const request = report && requests.get(report.requestId);
+            if (report && request) {
+              request.report = { ...report, status: message.match(this.patterns.reportStatus) };
+              request.coldStart = request.coldStart || this.lambdaAnalyzer.logParser.isColdStart(report);
+            } else if (report) {
+              requests.set(report.requestId, {
+                coldStart: this.lambdaAnalyzer.logParser.isColdStart(report),
+                report: { ...report, status: message.match(this.patterns.reportStatus) },
+                occurrences: []
+              });
+            }
+          } else {
+            const error = this.classify(message);
+            if (!error) continue;
+
+            const idMatch = message.match(this.patterns.requestId) || message.match(this.patterns.lineRequestId);
+            const requestId = idMatch ? idMatch[1] : (stream && stream.requestId);
+            const occurrence = { ...error, timestamp: event.timestamp, coldStart: false };
+            if (record(occurrence, requestId, stream) && requestId && requests.has(requestId)) {
+              requests.get(requestId).occurrences.push(occurrence);
+            }
+          }
+        }
+
+        nextToken = response.nextToken;
+      } catch (error) {
+        console.error('Error scanning error events:', error);
+        break;
+      }
+    } while (nextToken && scanned < this.maxEvents);
+
+    // Cold starts are only known once the request's START or REPORT has been seen
+    occurrences.forEach(occurrence => {
+      const request = occurrence.requestId && requests.get(occurrence.requestId);
+      if (request) occurrence.coldStart = occurrence.coldStart || request.coldStart;
+    });
+
+    return { occurrences, requests };
+  }
+
+  // REPORT lines close gaps the error lines leave: a request that used all of its memory and then
+  // died ran out of memory, and a timeout or error status without a matching line still counts
+  applyReportStatus(occurrences, requests) {
+    requests.forEach((request, requestId) => {
+      const report = request.report;
+      if (!report) return;
+
+      const failed = Boolean(report.status) ||
+        request.occurrences.some(occurrence => occurrence.type === 'Runtime.ExitError');
+      const outOfMemory = (report.status && report.status[2] === 'Runtime.OutOfMemory') ||
+        (failed && report.memorySize && report.maxMemoryUsed >= report.memorySize);
+
+      if (outOfMemory) {
+        const exit = request.occurrences.find(occurrence => occurrence.type === 'Runtime.ExitError');
+        const oom = this.createOccurrence('OutOfMemory', 'Out of memory: Max Memory Used reached Memory Size', null);
+        if (exit) {
+          Object.assign(exit, oom);
+        } else if (!request.occurrences.some(occurrence => occurrence.type === 'OutOfMemory')) {
+          occurrences.push({ ...oom, requestId, timestamp: report.timestamp, coldStart: request.coldStart });
+        }
+      } else if (report.status && request.occurrences.length === 0) {
+        const type = report.status[1] === 'timeout' ? 'Timeout' : (report.status[2] || 'Unknown');
+        const signature = report.status[1] === 'timeout' ? 'Task timed out' : `${type}: reported in REPORT`;
+        occurrences.push({ ...this.createOccurrence(type, signature, null), requestId, timestamp: report.timestamp, coldStart: request.coldStart });
+      }
+    });
+  }
+
+  // Error type, normalized signature and top stack frame of one log line, or null for other output
+  classify(message) {
+    const timeout = message.match(this.patterns.timeout);
+    if (timeout) {
+      return this.createOccurrence('Timeout', `Task timed out after ${this.normalize(timeout[1])} seconds`, null);
+    }
+
+    const exit = message.match(this.patterns.exitError);
+    if (exit) {
+      return this.createOccurrence('Runtime.ExitError', `Runtime exited with error: ${this.normalize(exit[1])}`, null);
+    }
+
+    // Node.js and Java runtimes log the error response as JSON
+    const invoke = message.match(this.patterns.invokeError) || (message.trim().startsWith('{') ? [null, null, message.trim()] : null);
+    if (invoke) {
+      const error = this.parseJson(invoke[2]);
+      if (error && (error.errorType || error.errorMessage)) {
+        const stack = Array.isArray(error.stack) ? error.stack.join('\n') : (Array.isArray(error.stackTrace) ? error.stackTrace.map(frame => `    at ${frame}`).join('\n') : '');
+        const type = error.errorType || 'Error';
+        return this.createOccurrence(type, `${type}: ${this.normalize(error.errorMessage || '')}`, this.topFrame(stack));
+      }
+    }
+
+    const python = message.match(this.patterns.pythonError);
+    if (python) {
+      return this.createOccurrence(python[1], `${python[1]}: ${this.normalize(python[2])}`, this.topFrame(message));
+    }
+
+    // Anything else needs a stack trace, so logged-but-handled errors are not counted as failures
+    const location = this.topFrame(message);
+    const exception = message.match(this.patterns.exception);
+    if (exception && location) {
+      return this.createOccurrence(exception[1], `${exception[1]}: ${this.normalize(exception[2] || '')}`, location);
+    }
+
+    return null;
+  }
+
+  createOccurrence(type, signature, location) {
+    return { type, signature: signature.replace(/:\s*$/, ''), location };
+  }
+
+  // The innermost frame of the function's own code (or the innermost frame), without line numbers
+  topFrame(text) {
+    // Python tracebacks list the innermost frame last
+    const pythonFrames = [...text.matchAll(this.patterns.pythonFrame)].reverse();
+    if (pythonFrames.length > 0) {
+      const frame = pythonFrames.find(match => match[1].startsWith('/var/task/')) || pythonFrames[0];
+      return `${frame[1]} in ${frame[2]}`;
+    }
+
+    const frames = [...text.matchAll(this.patterns.frame)].map(match => match[1].trim());
+    const frame = frames.find(line => line.includes('/var/task/')) ||
+      frames.find(line => !this.patterns.libraryFrame.test(line)) ||
+      frames[0];
+    return frame ? this.normalize(frame) : null;
+  }
+
+  // Strip what differs between occurrences of the same error: request and resource ids, numbers
+  normalize(text) {
+    return String(text)
+      .split('\n')[0]
+      .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<id>')
+      .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<id>')
+      .replace(/\d+(\.\d+)?/g, '<n>')
+      .trim()
+      .slice(0, 200);
+  }
+
+  parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+}
\ No newline at end of file
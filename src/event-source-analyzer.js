@@ -0,0 +1,383 @@
+import { ListEventSourceMappingsCommand } from '@aws-sdk/client-lambda';
+import { GetQueueAttributesCommand } from '@aws-sdk/client-sqs';
+import { LambdaAnalyzer } from './lambda-analyzer.js';
+import { parseTimeRange } from './analysis-helpers.js';
+
+// AWS recommends a queue visibility timeout of at least six times the function timeout
+const SQS_VISIBILITY_MULTIPLIER = 6;
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Evaluates the event source mappings that poll SQS queues and Kinesis or DynamoDB streams for a function:
+// how far behind they run, whether batching fits the function's duration and how failures are handled
+export class EventSourceAnalyzer {
+  constructor(lambdaAnalyzer = new LambdaAnalyzer()) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.dataSource = lambdaAnalyzer.dataSource;
+    this.rules = {
+      iteratorAge: { warning: 60 * 1000, critical: 60 * 60 * 1000 },
+      oldestMessageAge: { warning: 5 * 60, critical: 60 * 60 },
+      // Share of the estimated processing capacity the arrival rate may use
+      capacityUsage: 0.8,
+      // A batching window this many times the p95 duration dominates per-record latency
+      windowLatencyRatio: 2,
+      // Share of the timeout a batch may take before a full batch risks timing out
+      batchTimeoutShare: 0.5,
+      // Batches this small mean each record pays for a whole invocation
+      smallBatch: 2,
+      maxParallelizationFactor: 10
+    };
+  }
+
+  async analyzeEventSources(functionName, timeRange = '24h') {
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.lambdaAnalyzer.getEndTime();
+    const startTime = new Date(endTime.getTime() - timeRangeMs);
+
+    const config = await this.lambdaAnalyzer.getFunctionConfig(functionName);
+    const metrics = await this.lambdaAnalyzer.getMetrics(functionName, startTime, endTime);
+    const mappings = await this.listMappings(functionName);
+
+    const func = {
+      timeoutSeconds: config.Timeout || null,
+      invocations: metrics.invocations || 0,
+      avgDuration: Math.round(metrics.avgDuration || 0),
+      p95Duration: Math.round(metrics.p95Duration || 0),
+      p99Duration: Math.round(metrics.p99Duration || 0),
+      errorRate: this.lambdaAnalyzer.calculateErrorRate(metrics.errors, metrics.invocations),
+      concurrencyLimit: await this.lambdaAnalyzer.getConcurrencyLimit(functionName)
+    };
+
+    const results = [];
+    for (const mapping of mappings) {
+      results.push(await this.analyzeMapping(functionName, mapping, func, mappings.length, startTime, endTime));
+    }
+
+    const recommendations = results
+      .flatMap(result => result.findings.map(finding => ({ ...finding, source: result.source })))
+      .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+      .map(finding => `[${finding.severity}] ${finding.source}: ${finding.recommendation}`);
+
+    return {
+      functionName,
+      qualifier: this.lambdaAnalyzer.qualifier,
+      timeRange,
+      function: func,
+      mappings: results,
+      recommendations: recommendations.length > 0
+        ? recommendations
+        : [mappings.length > 0 ? 'Event source mappings look healthy' : 'No event source mappings found for this function']
+    };
+  }
+
+  async listMappings(functionName) {
+    const qualifiedName = this.lambdaAnalyzer.qualifier ? `${functionName}:${this.lambdaAnalyzer.qualifier}` : functionName;
+    const mappings = [];
+    let marker;
+
+    do {
+      const response = await this.lambdaAnalyzer.lambdaClient.send(new ListEventSourceMappingsCommand({
+        FunctionName: qualifiedName,
+        Marker: marker
+      }));
+      mappings.push(...(response.EventSourceMappings || []));
+      marker = response.NextMarker;
+    } while (marker);
+
+    return mappings;
+  }
+
+  async analyzeMapping(functionName, mapping, func, mappingCount, startTime, endTime) {
+    const source = this.describeSource(mapping.EventSourceArn || '');
+    const settings = {
+      batchSize: mapping.BatchSize || null,
+      batchingWindowSeconds: mapping.MaximumBatchingWindowInSeconds || 0,
+      maximumConcurrency: (mapping.ScalingConfig && mapping.ScalingConfig.MaximumConcurrency) || null,
+      parallelizationFactor: mapping.ParallelizationFactor || null,
+      reportBatchItemFailures: (mapping.FunctionResponseTypes || []).includes('ReportBatchItemFailures'),
+      bisectBatchOnError: mapping.BisectBatchOnFunctionError !== undefined ? mapping.BisectBatchOnFunctionError : null,
+      maximumRetryAttempts: mapping.MaximumRetryAttempts !== undefined ? mapping.MaximumRetryAttempts : null,
+      maximumRecordAgeSeconds: mapping.MaximumRecordAgeInSeconds !== undefined ? mapping.MaximumRecordAgeInSeconds : null,
+      onFailureDestination: (mapping.DestinationConfig && mapping.DestinationConfig.OnFailure &&
+        mapping.DestinationConfig.OnFailure.Destination) || null,
+      startingPosition: mapping.StartingPosition || null,
+      filtered: Boolean(mapping.FilterCriteria && (mapping.FilterCriteria.Filters || []).length > 0)
+    };
+
+    const result = {
+      uuid: mapping.UUID,
+      type: source.type,
+      source: source.name,
+      sourceArn: mapping.EventSourceArn || null,
+      state: mapping.State || 'Unknown',
+      settings,
+      metrics: {
+        iteratorAgeMaxMs: null,
+        iteratorAgeAvgMs: null,
+        backlogMax: null,
+        backlogAvg: null,
+        oldestMessageAgeMaxSeconds: null,
+        arrivalRatePerSecond: null,
+        avgBatchSize: null,
+        capacityPerSecond: null
+      },
+      queue: null,
+      metricsError: null,
+      findings: []
+    };
+
+    if (result.state !== 'Enabled') {
+      result.findings.push({
+        severity: result.state === 'Disabled' ? 'medium' : 'high',
+        issue: `Mapping is ${result.state}${mapping.StateTransitionReason ? ` (${mapping.StateTransitionReason})` : ''}`,
+        recommendation: `Mapping is ${result.state} - records are not being processed${mapping.LastProcessingResult ? `; last result: ${mapping.LastProcessingResult}` : ''}`
+      });
+    }
+
+    let behind = false;
+    if (source.type === 'sqs') {
+      behind = await this.evaluateQueue(result, source, func, mappingCount, startTime, endTime);
+    } else if (source.type === 'kinesis' || source.type === 'dynamodb') {
+      behind = await this.evaluateStream(result, functionName, func, startTime, endTime);
+    }
+    this.evaluateBatching(result, func, behind);
+
+    result.health = result.findings.some(finding => finding.severity === 'high') ? 'unhealthy'
+      : result.findings.some(finding => finding.severity === 'medium') ? 'degraded'
+        : 'healthy';
+
+    return result;
+  }
+
+  describeSource(arn) {
+    const [, , service, region, accountId, resource = ''] = arn.split(':');
+    if (service === 'sqs') {
+      return { type: 'sqs', name: resource, region, accountId };
+    }
+    if (service === 'kinesis') {
+      return { type: 'kinesis', name: resource.replace(/^stream\//, '') };
+    }
+    if (service === 'dynamodb') {
+      return { type: 'dynamodb', name: resource.split('/')[1] || resource };
+    }
+    return { type: 'other', name: resource || service || 'unknown' };
+  }
+
+  async evaluateQueue(result, source, func, mappingCount, startTime, endTime) {
+    const { settings, metrics, findings } = result;
+    const dimensions = [{ Name: 'QueueName', Value: source.name }];
+    const rangeSeconds = (endTime - startTime) / 1000;
+
+    const values = await this.getMetrics(result, 'AWS/SQS', [
+      { key: 'backlogMax', metricName: 'ApproximateNumberOfMessagesVisible', stat: 'Maximum' },
+      { key: 'backlogAvg', metricName: 'ApproximateNumberOfMessagesVisible', stat: 'Average' },
+      { key: 'oldestMessageAge', metricName: 'ApproximateAgeOfOldestMessage', stat: 'Maximum' },
+      { key: 'sent', metricName: 'NumberOfMessagesSent', stat: 'Sum' },
+      { key: 'received', metricName: 'NumberOfMessagesReceived', stat: 'Sum' }
+    ], dimensions, startTime, endTime);
+    if (values) {
+      metrics.backlogMax = values.backlogMax;
+      metrics.backlogAvg = Math.round(values.backlogAvg);
+      metrics.oldestMessageAgeMaxSeconds = values.oldestMessageAge;
+      metrics.arrivalRatePerSecond = Math.round((values.sent / rangeSeconds) * 100) / 100;
+
+      // Invocations also count other triggers, so batch size is only estimated for a single mapping
+      if (mappingCount === 1 && func.invocations > 0) {
+        metrics.avgBatchSize = Math.round((values.received / func.invocations) * 10) / 10;
+      }
+    }
+    const concurrency = settings.maximumConcurrency || func.concurrencyLimit;
+    const batchSize = metrics.avgBatchSize || settings.batchSize;
+    if (concurrency && batchSize && func.avgDuration > 0) {
+      metrics.capacityPerSecond = Math.round((concurrency * batchSize / (func.avgDuration / 1000)) * 100) / 100;
+    }
+
+    result.queue = await this.getQueueAttributes(source);
+
+    const age = metrics.oldestMessageAgeMaxSeconds;
+    const capacityBound = values !== null && metrics.capacityPerSecond !== null &&
+      metrics.arrivalRatePerSecond > metrics.capacityPerSecond * this.rules.capacityUsage;
+    const behind = values !== null && (age >= this.rules.oldestMessageAge.warning || capacityBound);
+    if (behind) {
+      const levers = [];
+      if (settings.maximumConcurrency) levers.push(`raise MaximumConcurrency above ${settings.maximumConcurrency}`);
+      if (settings.batchSize < 100) levers.push(`raise BatchSize above ${settings.batchSize} with a batching window`);
+      levers.push(`cut the ${func.avgDuration}ms average duration`);
+      findings.push({
+        severity: age >= this.rules.oldestMessageAge.critical ? 'high' : 'medium',
+        issue: `Messages waited up to ${Math.round(age)}s with a backlog of up to ${metrics.backlogMax}` +
+          `${capacityBound ? `; ${metrics.arrivalRatePerSecond}/s arrive against an estimated ${metrics.capacityPerSecond}/s capacity` : ''}`,
+        recommendation: `Queue is falling behind (oldest message ${Math.round(age)}s) - ${levers.join(', ')}`
+      });
+    }
+
+    if (result.queue) {
+      if (!result.queue.deadLetterQueue) {
+        findings.push({
+          severity: 'medium',
+          issue: 'Queue has no redrive policy',
+          recommendation: 'Add a dead-letter queue with a maxReceiveCount of at least 5, or failing messages are retried until the retention period ends'
+        });
+      }
+      if (func.timeoutSeconds && result.queue.visibilityTimeoutSeconds < func.timeoutSeconds * SQS_VISIBILITY_MULTIPLIER) {
+        findings.push({
+          severity: result.queue.visibilityTimeoutSeconds < func.timeoutSeconds ? 'high' : 'medium',
+          issue: `Visibility timeout of ${result.queue.visibilityTimeoutSeconds}s is below ${SQS_VISIBILITY_MULTIPLIER}x the ${func.timeoutSeconds}s function timeout`,
+          recommendation: `Raise the visibility timeout to at least ${func.timeoutSeconds * SQS_VISIBILITY_MULTIPLIER}s` +
+            `${settings.batchingWindowSeconds ? ` plus the ${settings.batchingWindowSeconds}s batching window` : ''} so messages in flight are not delivered twice`
+        });
+      }
+    }
+
+    if (!settings.reportBatchItemFailures && (settings.batchSize || 1) > 1) {
+      findings.push({
+        severity: func.errorRate > 0 ? 'medium' : 'low',
+        issue: 'Partial batch failure reporting is off',
+        recommendation: 'Enable ReportBatchItemFailures and return batchItemFailures, so one bad message does not return the whole batch to the queue'
+      });
+    }
+
+    return behind;
+  }
+
+  async evaluateStream(result, functionName, func, startTime, endTime) {
+    const { settings, metrics, findings } = result;
+    const dimensions = this.lambdaAnalyzer.qualifierResolver.getDimensions(functionName);
+
+    const values = await this.getMetrics(result, 'AWS/Lambda', [
+      { key: 'iteratorAgeMax', metricName: 'IteratorAge', stat: 'Maximum' },
+      { key: 'iteratorAgeAvg', metricName: 'IteratorAge', stat: 'Average' }
+    ], dimensions, startTime, endTime);
+    if (values) {
+      metrics.iteratorAgeMaxMs = values.iteratorAgeMax;
+      metrics.iteratorAgeAvgMs = Math.round(values.iteratorAgeAvg);
+    }
+
+    // IteratorAge is reported per function, so a disabled mapping is not blamed for another stream's lag
+    const behind = values !== null && result.state === 'Enabled' && metrics.iteratorAgeMaxMs >= this.rules.iteratorAge.warning;
+    if (behind) {
+      const levers = [];
+      if ((settings.parallelizationFactor || 1) < this.rules.maxParallelizationFactor) {
+        levers.push(`raise ParallelizationFactor from ${settings.parallelizationFactor || 1} (up to ${this.rules.maxParallelizationFactor} batches per shard)`);
+      }
+      if (settings.batchSize && settings.batchSize < 1000) levers.push(`raise BatchSize above ${settings.batchSize}`);
+      if (func.errorRate > 0) levers.push(`fix the ${func.errorRate}% errors that make batches retry`);
+      levers.push(`cut the ${func.avgDuration}ms average duration`);
+      findings.push({
+        severity: metrics.iteratorAgeMaxMs >= this.rules.iteratorAge.critical ? 'high' : 'medium',
+        issue: `Iterator age reached ${Math.round(metrics.iteratorAgeMaxMs / 1000)}s (average ${Math.round(metrics.iteratorAgeAvgMs / 1000)}s)`,
+        recommendation: `Stream processing lags up to ${Math.round(metrics.iteratorAgeMaxMs / 1000)}s behind - ${levers.join(', ')}`
+      });
+    }
+
+    // The defaults retry a failing batch until its records expire, blocking the shard meanwhile
+    if (settings.maximumRetryAttempts === -1 || settings.maximumRetryAttempts === null) {
+      findings.push({
+        severity: 'high',
+        issue: 'Failed batches are retried until the records expire',
+        recommendation: 'Set MaximumRetryAttempts (and MaximumRecordAgeInSeconds) so one poison record cannot block its shard for up to the stream retention'
+      });
+    }
+    if (!settings.bisectBatchOnError && !settings.reportBatchItemFailures) {
+      findings.push({
+        severity: 'medium',
+        issue: 'Neither batch bisection nor partial batch failure reporting is on',
+        recommendation: 'Enable ReportBatchItemFailures (or BisectBatchOnFunctionError) so retries narrow down to the failing record'
+      });
+    }
+    if (!settings.onFailureDestination) {
+      findings.push({
+        severity: 'medium',
+        issue: 'No on-failure destination',
+        recommendation: 'Add an SQS or SNS on-failure destination so records dropped after the last retry can be inspected and replayed'
+      });
+    }
+
+    return behind;
+  }
+
+  // Batching window against processing time, and full batches against the timeout
+  evaluateBatching(result, func, behind) {
+    const { settings, metrics, findings } = result;
+    if (!settings.batchSize || func.invocations === 0) return;
+
+    const windowMs = settings.batchingWindowSeconds * 1000;
+
+    if (windowMs > 0 && !behind && func.p95Duration > 0 && windowMs > func.p95Duration * this.rules.windowLatencyRatio) {
+      findings.push({
+        severity: 'low',
+        issue: `Batching window of ${settings.batchingWindowSeconds}s is over ${this.rules.windowLatencyRatio}x the ${func.p95Duration}ms p95 duration`,
+        recommendation: `Records wait up to ${settings.batchingWindowSeconds}s before processing that takes ${func.p95Duration}ms; lower MaximumBatchingWindowInSeconds if latency matters`
+      });
+    }
+    if (windowMs === 0 && settings.batchSize > 1 && metrics.avgBatchSize !== null && metrics.avgBatchSize < this.rules.smallBatch) {
+      findings.push({
+        severity: 'low',
+        issue: `Batches average ${metrics.avgBatchSize} messages of up to ${settings.batchSize}`,
+        recommendation: 'A batching window of a few seconds fills batches and cuts invocations, at the cost of that much latency'
+      });
+    }
+    if (func.timeoutSeconds && settings.batchSize > 1 && func.p99Duration > func.timeoutSeconds * 1000 * this.rules.batchTimeoutShare) {
+      findings.push({
+        severity: 'medium',
+        issue: `p99 duration of ${func.p99Duration}ms uses over ${this.rules.batchTimeoutShare * 100}% of the ${func.timeoutSeconds}s timeout`,
+        recommendation: `A full batch of ${settings.batchSize} may time out and be retried whole - lower BatchSize or raise the timeout`
+      });
+    }
+  }
+
+  async getQueueAttributes(source) {
+    try {
+      const response = await this.dataSource.getClient('sqs', source.region).send(new GetQueueAttributesCommand({
+        QueueUrl: `https://sqs.${source.region}.amazonaws.com/${source.accountId}/${source.name}`,
+        AttributeNames: ['VisibilityTimeout', 'RedrivePolicy', 'FifoQueue', 'MessageRetentionPeriod']
+      }));
+      const attributes = response.Attributes || {};
+      const redrive = attributes.RedrivePolicy ? JSON.parse(attributes.RedrivePolicy) : null;
+      return {
+        visibilityTimeoutSeconds: parseInt(attributes.VisibilityTimeout, 10),
+        retentionSeconds: parseInt(attributes.MessageRetentionPeriod, 10) || null,
+        fifo: attributes.FifoQueue === 'true',
+        deadLetterQueue: redrive ? redrive.deadLetterTargetArn.split(':').pop() : null,
+        maxReceiveCount: redrive ? parseInt(redrive.maxReceiveCount, 10) : null
+      };
+    } catch (error) {
+      console.error(`Error reading attributes of ${source.name}:`, error);
+      return null;
+    }
+  }
+
+  // All of a mapping's metrics in one GetMetricData request. Averages bring their SampleCount so
+  // periods are weighted by samples. On failure the mapping records the error and returns null,
+  // since zeros would read as an empty, healthy source
+  async getMetrics(result, namespace, definitions, dimensions, startTime, endTime) {
+    const queries = definitions.flatMap(({ key, metricName, stat }) => [
+      { key, namespace, metricName, dimensions, stat },
+      ...(stat === 'Average' ? [{ key: `${key}:samples`, namespace, metricName, dimensions, stat: 'SampleCount' }] : [])
+    ]);
+    const { series, failures } = await this.lambdaAnalyzer.getMetricSeries(
+      queries, startTime, endTime, this.lambdaAnalyzer.getMetricPeriod(startTime, endTime)
+    );
+
+    if (failures.length > 0) {
+      result.metricsError = failures[0].message;
+      result.findings.push({
+        severity: 'medium',
+        issue: `Could not read ${namespace} metrics: ${failures[0].message}`,
+        recommendation: `Allow cloudwatch:GetMetricData on ${namespace} - without it ${result.source} cannot be checked for falling behind`
+      });
+      return null;
+    }
+
+    const values = {};
+    definitions.forEach(({ key, stat }) => {
+      let points = series.get(key);
+      if (stat === 'Average') {
+        const samples = new Map(series.get(`${key}:samples`).map(point => [point.Timestamp.getTime(), point.SampleCount]));
+        points = points.map(point => ({ ...point, SampleCount: samples.get(point.Timestamp.getTime()) || 0 }));
+      }
+      values[key] = this.lambdaAnalyzer.aggregateDatapoints(points, stat);
+    });
+    return values;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,232 @@
+import { FilterLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { GetFunctionCommand } from '@aws-sdk/client-lambda';
+import { LocalLogsClient } from './local-logs-client.js';
+import { DataSource } from './data-source.js';
+import { LambdaPricing } from './lambda-pricing.js';
+import { QualifierResolver } from './qualifier-resolver.js';
+import { parseTimeRange, calculatePercentile, sum, average, round } from './analysis-helpers.js';
+
+// Reads the per-invocation performance events Lambda Insights writes to /aws/lambda-insights
+export class InsightsAnalyzer {
+  constructor(options = {}) {
+    this.region = options.region || process.env.AWS_REGION;
+    this.dataSource = options.dataSource || new DataSource();
+    this.logSource = options.logSource || null;
+    this.logsClient = this.logSource
+      ? new LocalLogsClient(this.logSource)
+      : this.dataSource.getClient('logs', this.region);
+    this.lambdaClient = this.dataSource.getClient('lambda', this.region);
+    this.qualifier = options.qualifier || null;
+    this.qualifierResolver = new QualifierResolver({
+      qualifier: this.qualifier,
+      dataSource: this.dataSource,
+      region: this.region,
+      logSource: this.logSource
+    });
+    this.pricing = new LambdaPricing();
+    this.logGroupName = '/aws/lambda-insights';
+    this.maxEvents = 10000;
+    // One vCPU at 1,769MB; CPU share scales linearly with memory below that
+    this.fullVcpuMemory = 1769;
+    this.thresholds = {
+      cpuBound: 70,
+      ioBound: 30,
+      lowHeadroom: 10
+    };
+  }
+
+  async analyzeInsights(functionName, timeRange) {
+    const endTime = new Date(this.logSource ? await this.logsClient.getLatestTimestamp() : this.dataSource.now());
+    const startTime = new Date(endTime.getTime() - parseTimeRange(timeRange));
+
+    const summary = await this.getInsightsSummary(functionName, startTime, endTime);
+    if (!summary) {
+      return this.getEmptyResult(functionName, timeRange);
+    }
+
+    const config = await this.getFunctionConfig(functionName);
+    summary.init.estimatedCost = this.estimateInitCost(summary, config);
+
+    return {
+      functionName,
+      timeRange,
+      insightsEnabled: true,
+      ...summary,
+      recommendations: this.generateRecommendations(summary)
+    };
+  }
+
+  // Aggregate performance events for a window; null when Lambda Insights has no data or is not enabled
+  async getInsightsSummary(functionName, startTime, endTime) {
+    const events = await this.getPerformanceEvents(functionName, startTime, endTime);
+    if (events.length === 0) return null;
+
+    const durations = events.map(event => event.duration || 0);
+    const cpuRatios = events
+      .filter(event => event.duration > 0 && event.cpu_total_time !== undefined)
+      .map(event => (event.cpu_total_time / event.duration) * 100);
+    const allocated = Math.max(...events.map(event => event.total_memory || 0));
+    const usedMemory = events.map(event => event.used_memory_max || 0);
+    const peakUsed = Math.max(...usedMemory);
+    const coldStarts = events.filter(event => event.cold_start);
+    const initDurations = coldStarts.map(event => event.init_duration).filter(value => value !== undefined);
+    const rxBytes = sum(events.map(event => event.rx_bytes || 0));
+    const txBytes = sum(events.map(event => event.tx_bytes || 0));
+
+    const avgCpuUtilization = cpuRatios.length > 0 ? sum(cpuRatios) / cpuRatios.length : null;
+    const vcpus = Math.max(1, Math.min(6, Math.round((allocated / this.fullVcpuMemory) * 100) / 100));
+
+    return {
+      sampleCount: events.length,
+      truncated: events.length >= this.maxEvents,
+      avgDuration: round(sum(durations) / durations.length),
+      cpu: {
+        avgTotalMs: round(this.averageField(events, 'cpu_total_time')),
+        avgUserMs: round(this.averageField(events, 'cpu_user_time')),
+        avgSystemMs: round(this.averageField(events, 'cpu_system_time')),
+        avgUtilizationPercent: avgCpuUtilization === null ? null : round(avgCpuUtilization),
+        p95UtilizationPercent: cpuRatios.length > 0 ? round(calculatePercentile(cpuRatios, 95)) : null,
+        vcpus,
+        profile: this.classifyCpuProfile(avgCpuUtilization)
+      },
+      memory: {
+        allocated,
+        avgUsed: round(sum(usedMemory) / usedMemory.length),
+        peakUsed,
+        headroomMB: allocated - peakUsed,
+        headroomPercent: allocated > 0 ? round(((allocated - peakUsed) / allocated) * 100) : 0
+      },
+      network: {
+        totalRxBytes: rxBytes,
+        totalTxBytes: txBytes,
+        avgRxBytes: Math.round(rxBytes / events.length),
+        avgTxBytes: Math.round(txBytes / events.length)
+      },
+      init: {
+        coldStarts: coldStarts.length,
+        avgInitDuration: initDurations.length > 0 ? round(sum(initDurations) / initDurations.length) : 0,
+        maxInitDuration: initDurations.length > 0 ? Math.max(...initDurations) : 0,
+        initGbSeconds: round((sum(initDurations) / 1000) * (allocated / 1024)),
+        estimatedCost: null
+      }
+    };
+  }
+
+  async getPerformanceEvents(functionName, startTime, endTime) {
+    const versions = await this.qualifierResolver.getVersions(functionName);
+    const events = [];
+    let nextToken;
+
+    do {
+      try {
+        const command = new FilterLogEventsCommand({
+          logGroupName: this.logGroupName,
+          startTime: startTime.getTime(),
+          endTime: endTime.getTime(),
+          filterPattern: `{ $.function_name = "${functionName}" && $.event_type = "performance" }`,
+          nextToken
+        });
+
+        const response = await this.logsClient.send(command);
+
+        for (const event of response.events || []) {
+          const parsed = this.parsePerformanceEvent(event, functionName);
+          // Performance events name the executed version
+          if (parsed && (!versions || parsed.version === undefined || versions.includes(String(parsed.version)))) {
+            events.push(parsed);
+          }
+        }
+
+        nextToken = response.nextToken;
+      } catch (error) {
+        // Without the log group Lambda Insights is not enabled; anything else would pass off as that
+        if (error.name === 'ResourceNotFoundException') return [];
+        throw new Error(`Could not read Lambda Insights events for ${functionName}: ${error.message}`);
+      }
+    } while (nextToken && events.length < this.maxEvents);
+
+    return events.slice(0, this.maxEvents);
+  }
+
+  parsePerformanceEvent(event, functionName) {
+    try {
+      const data = JSON.parse(event.message);
+      if (data.event_type !== 'performance' || data.function_name !== functionName) return null;
+      return { ...data, timestamp: event.timestamp };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  classifyCpuProfile(cpuUtilization) {
+    if (cpuUtilization === null) return 'Unknown';
+    if (cpuUtilization >= this.thresholds.cpuBound) return 'CPU-bound';
+    if (cpuUtilization <= this.thresholds.ioBound) return 'IO-bound';
+    return 'Mixed';
+  }
+
+  // Since August 2025 the INIT phase of on-demand functions is billed like invoke duration
+  estimateInitCost(summary, config) {
+    const architecture = (config && config.Architectures && config.Architectures[0]) || 'x86_64';
+    const region = config ? this.pricing.getRegionFromArn(config.FunctionArn) : this.region;
+    const { pricing } = this.pricing.getRegionPricing(region);
+    const tiers = pricing.architectures[this.pricing.normalizeArchitecture(architecture)].computeTiers;
+    return Math.round(this.pricing.calculateTieredCompute(summary.init.initGbSeconds, tiers) * 10000) / 10000;
+  }
+
+  generateRecommendations(summary) {
+    const recommendations = [];
+    const { cpu, memory, init } = summary;
+
+    if (cpu.profile === 'CPU-bound' && memory.allocated < this.fullVcpuMemory) {
+      recommendations.push(`CPU time is ${cpu.avgUtilizationPercent}% of duration - more memory adds CPU share and should shorten duration (1 full vCPU at ${this.fullVcpuMemory}MB)`);
+    }
+    if (cpu.profile === 'CPU-bound' && memory.allocated >= this.fullVcpuMemory && cpu.avgUtilizationPercent < cpu.vcpus * 100 * 0.7) {
+      recommendations.push('CPU-bound on a single thread - additional vCPUs above 1,769MB only help if the work is parallelized');
+    }
+    if (cpu.profile === 'IO-bound') {
+      recommendations.push('Mostly waiting on I/O - extra memory will not speed this function up; parallelize or batch downstream calls instead');
+    }
+    if (memory.headroomPercent < this.thresholds.lowHeadroom) {
+      recommendations.push(`Peak memory leaves only ${memory.headroomMB}MB headroom - increase memory to avoid out-of-memory failures`);
+    }
+    if (init.coldStarts > 0 && init.avgInitDuration > 1000) {
+      recommendations.push(`Init averages ${init.avgInitDuration}ms across ${init.coldStarts} cold starts - trim initialization work or dependencies`);
+    }
+
+    return recommendations.length > 0 ? recommendations : ['No issues detected in Lambda Insights telemetry'];
+  }
+
+  async getFunctionConfig(functionName) {
+    if (this.logSource) return null;
+
+    try {
+      const response = await this.lambdaClient.send(new GetFunctionCommand({ FunctionName: functionName, Qualifier: this.qualifier || undefined }));
+      return response.Configuration;
+    } catch (error) {
+      console.error('Error getting function configuration:', error);
+      return null;
+    }
+  }
+
+  getEmptyResult(functionName, timeRange) {
+    return {
+      functionName,
+      timeRange,
+      insightsEnabled: false,
+      sampleCount: 0,
+      truncated: false,
+      avgDuration: 0,
+      cpu: { avgTotalMs: 0, avgUserMs: 0, avgSystemMs: 0, avgUtilizationPercent: null, p95UtilizationPercent: null, vcpus: 0, profile: 'Unknown' },
+      memory: { allocated: 0, avgUsed: 0, peakUsed: 0, headroomMB: 0, headroomPercent: 0 },
+      network: { totalRxBytes: 0, totalTxBytes: 0, avgRxBytes: 0, avgTxBytes: 0 },
+      init: { coldStarts: 0, avgInitDuration: 0, maxInitDuration: 0, initGbSeconds: 0, estimatedCost: 0 },
+      recommendations: ['No Lambda Insights data found - enable Lambda Insights (the LambdaInsightsExtension layer) for this function']
+    };
+  }
+
+  // Helper methods
+  averageField(events, field) {
+    return average(events.map(event => event[field]).filter(value => typeof value === 'number'));
+  }
+}
\ No newline at end of file
@@ -1,41 +1,90 @@
-import { LambdaClient, ListFunctionsCommand, GetFunctionCommand } from '@aws-sdk/client-lambda';
-import { CloudWatchClient, GetMetricStatisticsCommand, GetMetricDataCommand } from '@aws-sdk/client-cloudwatch';
-import { CloudWatchLogsClient, FilterLogEventsCommand, DescribeLogGroupsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import {
+  ListFunctionsCommand,
+  GetFunctionCommand,
+  ListProvisionedConcurrencyConfigsCommand,
+  ListTagsCommand,
+  GetAccountSettingsCommand,
+  GetFunctionConcurrencyCommand
+} from '@aws-sdk/client-lambda';
+import { GetMetricStatisticsCommand, GetMetricDataCommand } from '@aws-sdk/client-cloudwatch';
+import { FilterLogEventsCommand, DescribeLogGroupsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { LogParser } from './log-parser.js';
+import { LambdaPricing, MONTH_MS } from './lambda-pricing.js';
+import { WorkerPool } from './worker-pool.js';
+import { LocalLogsClient } from './local-logs-client.js';
+import { DataSource } from './data-source.js';
+import { QualifierResolver } from './qualifier-resolver.js';
+import { ErrorAnalyzer } from './error-analyzer.js';
+import { HOUR_MS, parseTimeRange, calculatePercentile, average, round } from './analysis-helpers.js';
 
 export class LambdaAnalyzer {
-  constructor() {
-    this.lambdaClient = new LambdaClient({ region: process.env.AWS_REGION });
-    this.cloudWatchClient = new CloudWatchClient({ region: process.env.AWS_REGION });
-    this.logsClient = new CloudWatchLogsClient({ region: process.env.AWS_REGION });
+  constructor(options = {}) {
+    this.region = options.region || process.env.AWS_REGION;
+    this.dataSource = options.dataSource || new DataSource();
+    this.lambdaClient = this.dataSource.getClient('lambda', this.region);
+    this.cloudWatchClient = this.dataSource.getClient('cloudWatch', this.region);
+    // A local file or directory of exported logs replaces CloudWatch entirely
+    this.logSource = options.logSource || null;
+    this.logsClient = this.logSource
+      ? new LocalLogsClient(this.logSource)
+      : this.dataSource.getClient('logs', this.region);
+    // A version or alias narrows metrics, configuration and logs to the traffic it serves
+    this.qualifier = options.qualifier || null;
+    this.qualifierResolver = new QualifierResolver({
+      qualifier: this.qualifier,
+      dataSource: this.dataSource,
+      region: this.region,
+      logSource: this.logSource
+    });
+    this.logParser = new LogParser();
+    this.errorAnalyzer = new ErrorAnalyzer(this);
+    this.pricing = new LambdaPricing();
+    this.maxReportRecords = 10000;
+    this.regionalAnalyzers = new Map();
+    this.maxMetricQueries = 500;
+    this.maxMetricRetries = 3;
+    // Function names are at most 64 characters, so longer patterns only add backtracking risk
+    this.maxNameRegexLength = 256;
+    // Regional and per-call analyzers pass their pool on, so one limit covers all their requests
+    this.workerPool = options.workerPool ||
+      new WorkerPool(options.concurrency || parseInt(process.env.ANALYZER_CONCURRENCY) || 8);
   }
 
-  async analyzeFunction(functionName, timeRange, includeDetails) {
-    const timeRangeMs = this.parseTimeRange(timeRange);
-    const endTime = new Date();
+  async analyzeFunction(functionName, timeRange, includeDetails, prefetchedMetrics = null) {
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.getEndTime();
     const startTime = new Date(endTime.getTime() - timeRangeMs);
 
     // Get function configuration
     const functionConfig = await this.getFunctionConfig(functionName);
     
     // Get CloudWatch metrics
-    const metrics = await this.getMetrics(functionName, startTime, endTime);
+    const metrics = prefetchedMetrics || await this.getMetrics(functionName, startTime, endTime);
+    
+    // Get per-invocation REPORT records from logs
+    const reports = await this.getReportRecords(functionName, startTime, endTime);
     
     // Analyze cold starts from logs
-    const coldStartAnalysis = await this.analyzeColdStartsFromLogs(functionName, startTime, endTime);
+    const coldStartAnalysis = this.analyzeColdStartsFromLogs(reports);
     
     // Calculate performance statistics
     const analysis = {
       functionName,
+      qualifier: this.qualifier,
       timeRange,
       totalInvocations: metrics.invocations || 0,
-      avgDuration: metrics.avgDuration || 0,
+      avgDuration: Math.round((metrics.avgDuration || 0) * 100) / 100,
+      trimmedMeanDuration: metrics.trimmedMeanDuration || 0,
       p50Duration: metrics.p50Duration || 0,
+      p90Duration: metrics.p90Duration || 0,
       p95Duration: metrics.p95Duration || 0,
       p99Duration: metrics.p99Duration || 0,
+      p999Duration: metrics.p999Duration || 0,
       maxDuration: metrics.maxDuration || 0,
       errorRate: this.calculateErrorRate(metrics.errors, metrics.invocations),
       coldStartRate: this.calculateColdStartRate(coldStartAnalysis.total, metrics.invocations),
-      memoryUtilization: await this.calculateMemoryUtilization(functionName, startTime, endTime),
+      memoryUtilization: this.calculateMemoryUtilization(reports),
+      memorySamples: reports.length,
       coldStarts: {
         total: coldStartAnalysis.total,
         avgDuration: coldStartAnalysis.avgDuration,
@@ -44,64 +93,39 @@ export class LambdaAnalyzer {
       config: functionConfig
     };
 
+    // A weighted alias splits traffic between versions, which are reported separately
+    const routing = await this.qualifierResolver.getRouting(functionName);
+    if (routing && routing.length > 1) {
+      analysis.routing = await this.analyzeRouting(functionName, routing, reports, startTime, endTime);
+    }
+
     if (includeDetails) {
       analysis.details = {
         errors: await this.analyzeErrors(functionName, startTime, endTime),
-        trends: await this.analyzeTrends(functionName, startTime, endTime),
-        memoryUsage: await this.getMemoryUsageDetails(functionName, startTime, endTime)
+        trends: this.analyzeTrends(reports, startTime),
+        memoryUsage: this.getMemoryUsageDetails(reports)
       };
     }
 
     return analysis;
   }
 
-  async trackColdStarts(functionName, timeRange) {
-    const timeRangeMs = this.parseTimeRange(timeRange);
-    const endTime = new Date();
-    const startTime = new Date(endTime.getTime() - timeRangeMs);
-
-    // Get cold start data from CloudWatch Logs
-    const logGroupName = `/aws/lambda/${functionName}`;
-    
-    try {
-      const coldStartEvents = await this.getColdStartEvents(logGroupName, startTime, endTime);
-      const totalInvocations = await this.getTotalInvocations(functionName, startTime, endTime);
-      
-      const analysis = this.analyzeColdStartPatterns(coldStartEvents, totalInvocations);
-      
-      return {
-        total: coldStartEvents.length,
-        rate: this.calculateColdStartRate(coldStartEvents.length, totalInvocations),
-        avgDuration: analysis.avgDuration,
-        maxDuration: analysis.maxDuration,
-        peakHours: analysis.peakHours,
-        frequency: analysis.frequency,
-        triggers: analysis.triggers,
-        recommendations: this.generateColdStartRecommendations(analysis),
-        timeline: this.createColdStartTimeline(coldStartEvents, timeRange)
-      };
-    } catch (error) {
-      console.error('Error tracking cold starts:', error);
-      return {
-        total: 0,
-        rate: 0,
-        avgDuration: 0,
-        maxDuration: 0,
-        peakHours: [],
-        frequency: 'Unknown',
-        triggers: [],
-        recommendations: ['Unable to analyze cold starts - check CloudWatch Logs permissions'],
-        timeline: []
-      };
-    }
-  }
-
   async compareFunctions(functionNames, timeRange, metrics) {
-    const comparisons = [];
+    const endTime = await this.getEndTime();
+    const startTime = new Date(endTime.getTime() - parseTimeRange(timeRange));
+    const started = Date.now();
+    
+    // One batched metrics fetch for every function, then per-function work in parallel
+    const batch = await this.getMetricsBatch(functionNames, startTime, endTime);
+    const metricsDone = Date.now();
     
-    for (const functionName of functionNames) {
-      const analysis = await this.analyzeFunction(functionName, timeRange, false);
-      comparisons.push({
+    // Functions whose metrics could not be fetched are reported rather than compared as zeros
+    const failed = new Set(batch.failures.flatMap(failure => failure.functionNames));
+    const compared = functionNames.filter(functionName => !failed.has(functionName));
+    
+    const comparisons = await this.workerPool.map(compared, async functionName => {
+      const analysis = await this.analyzeFunction(functionName, timeRange, false, batch.metrics.get(functionName));
+      return {
         name: functionName,
         values: {
           duration: analysis.avgDuration,
@@ -110,8 +134,8 @@ export class LambdaAnalyzer {
           invocations: analysis.totalInvocations,
           cost: await this.estimateCost(analysis)
         }
-      });
-    }
+      };
+    });
 
     const insights = this.generateComparisonInsights(comparisons);
     const recommendations = this.generateComparisonRecommendations(comparisons);
@@ -120,64 +144,221 @@ export class LambdaAnalyzer {
       functions: comparisons,
       metrics,
       insights,
-      recommendations
+      recommendations,
+      errors: batch.failures,
+      timings: this.createTimings(started, metricsDone, batch.requests, functionNames.length)
     };
   }
 
-  async listFunctions(runtime, includeMetrics) {
-    const command = new ListFunctionsCommand({});
-    const response = await this.lambdaClient.send(command);
-    
-    let functions = response.Functions || [];
-    
-    if (runtime) {
-      functions = functions.filter(func => func.Runtime === runtime);
-    }
+  createTimings(started, metricsDone, metricRequests, functionCount) {
+    const finished = Date.now();
+    return {
+      functions: functionCount,
+      metricRequests,
+      metricsMs: metricsDone - started,
+      functionsMs: finished - metricsDone,
+      totalMs: finished - started,
+      concurrency: this.workerPool.concurrency
+    };
+  }
 
+  async listFunctions(options = {}) {
+    const { includeMetrics = false, regions, sortBy = 'name', sortOrder = 'asc' } = options;
+    const targetRegions = regions && regions.length > 0 ? regions : [this.region];
+    const filters = { ...options, nameRegex: this.compileNameRegex(options.nameRegex) };
     const result = [];
-    for (const func of functions) {
-      const functionInfo = {
-        name: func.FunctionName,
-        runtime: func.Runtime,
-        memory: func.MemorySize,
-        timeout: func.Timeout,
-        lastModified: func.LastModified
-      };
+    const errors = [];
+    const started = Date.now();
+    let metricsMs = 0;
+    let metricRequests = 0;
+    
+    for (const region of targetRegions) {
+      const analyzer = this.getRegionalAnalyzer(region);
+      
+      let functions;
+      try {
+        functions = await analyzer.filterFunctions(await analyzer.listAllFunctions(), filters);
+      } catch (error) {
+        console.error(`Error listing functions in ${region}:`, error);
+        errors.push({ region, message: error.message });
+        continue;
+      }
+      
+      // Batch the 24h metrics for every listed function in this region
+      let batch = null;
+      if (includeMetrics && functions.length > 0) {
+        const endTime = await this.getEndTime();
+        const startTime = new Date(endTime.getTime() - parseTimeRange('24h'));
+        const metricsStarted = Date.now();
+        batch = await analyzer.getMetricsBatch(functions.map(func => func.FunctionName), startTime, endTime);
+        metricsMs += Date.now() - metricsStarted;
+        metricRequests += batch.requests;
+        batch.failures.forEach(failure => {
+          errors.push({ region, message: `Metrics unavailable for ${failure.functionNames.join(', ')}: ${failure.message}` });
+        });
+      }
+      const failed = new Set(batch ? batch.failures.flatMap(failure => failure.functionNames) : []);
+      
+      const infos = await analyzer.workerPool.map(functions, async func => {
+        const functionInfo = {
+          name: func.FunctionName,
+          region: region || 'default',
+          runtime: func.Runtime || func.PackageType,
+          architecture: (func.Architectures && func.Architectures[0]) || 'x86_64',
+          packageType: func.PackageType || 'Zip',
+          memory: func.MemorySize,
+          timeout: func.Timeout,
+          codeSize: func.CodeSize,
+          lastModified: func.LastModified
+        };
 
-      if (includeMetrics) {
-        try {
-          const quickAnalysis = await this.analyzeFunction(func.FunctionName, '24h', false);
-          functionInfo.metrics = {
-            avgDuration: quickAnalysis.avgDuration,
-            coldStartRate: quickAnalysis.coldStartRate,
-            errorRate: quickAnalysis.errorRate
-          };
-        } catch (error) {
+        if (failed.has(func.FunctionName)) {
           functionInfo.metrics = null;
+        } else if (batch) {
+          try {
+            const quickAnalysis = await analyzer.analyzeFunction(
+              func.FunctionName, '24h', false, batch.metrics.get(func.FunctionName)
+            );
+            functionInfo.metrics = {
+              invocations: quickAnalysis.totalInvocations,
+              avgDuration: quickAnalysis.avgDuration,
+              coldStartRate: quickAnalysis.coldStartRate,
+              errorRate: quickAnalysis.errorRate
+            };
+          } catch (error) {
+            functionInfo.metrics = null;
+          }
         }
+
+        return functionInfo;
+      });
+      
+      result.push(...infos);
+    }
+
+    return {
+      functions: this.sortFunctions(result, sortBy, sortOrder),
+      regions: targetRegions.map(region => region || 'default'),
+      errors,
+      timings: includeMetrics ? this.createTimings(started, started + metricsMs, metricRequests, result.length) : null
+    };
+  }
+
+  async filterFunctions(functions, filters) {
+    const {
+      runtime,
+      architecture,
+      packageType,
+      namePrefix,
+      nameRegex,
+      minMemory,
+      maxMemory,
+      modifiedWithinDays,
+      notModifiedForDays,
+      tags
+    } = filters;
+    
+    const dayMs = 24 * 60 * 60 * 1000;
+    const now = this.dataSource.now();
+    
+    const filtered = functions.filter(func => {
+      const ageMs = now - new Date(func.LastModified).getTime();
+      
+      if (runtime && func.Runtime !== runtime) return false;
+      if (architecture && ((func.Architectures && func.Architectures[0]) || 'x86_64') !== architecture) return false;
+      if (packageType && (func.PackageType || 'Zip') !== packageType) return false;
+      if (namePrefix && !func.FunctionName.startsWith(namePrefix)) return false;
+      if (nameRegex && !nameRegex.test(func.FunctionName)) return false;
+      if (minMemory !== undefined && func.MemorySize < minMemory) return false;
+      if (maxMemory !== undefined && func.MemorySize > maxMemory) return false;
+      if (modifiedWithinDays !== undefined && ageMs > modifiedWithinDays * dayMs) return false;
+      if (notModifiedForDays !== undefined && ageMs < notModifiedForDays * dayMs) return false;
+      return true;
+    });
+    
+    if (!tags || Object.keys(tags).length === 0) {
+      return filtered;
+    }
+    
+    // ListFunctions does not return tags, so look them up only when filtering on them
+    const tagged = [];
+    for (const func of filtered) {
+      const response = await this.lambdaClient.send(new ListTagsCommand({ Resource: func.FunctionArn }));
+      const functionTags = response.Tags || {};
+      const matches = Object.entries(tags).every(([key, value]) =>
+        key in functionTags && (value === '' || value === '*' || functionTags[key] === value)
+      );
+      if (matches) {
+        tagged.push(func);
       }
+    }
+    
+    return tagged;
+  }
 
-      result.push(functionInfo);
+  // Validated before any listing starts, so a bad pattern fails the call with a clear message
+  compileNameRegex(nameRegex) {
+    if (nameRegex === undefined || nameRegex === null || nameRegex === '') return null;
+    if (typeof nameRegex !== 'string') {
+      throw new Error('Invalid nameRegex: expected a string');
+    }
+    if (nameRegex.length > this.maxNameRegexLength) {
+      throw new Error(`Invalid nameRegex: ${nameRegex.length} characters, at most ${this.maxNameRegexLength} are allowed`);
+    }
+    
+    try {
+      return new RegExp(nameRegex);
+    } catch (error) {
+      throw new Error(`Invalid nameRegex "${nameRegex}": ${error.message}`);
     }
+  }
+
+  sortFunctions(functions, sortBy, sortOrder) {
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    const valueOf = func => {
+      if (sortBy === 'lastModified') return new Date(func.lastModified).getTime();
+      if (func.metrics && sortBy in func.metrics) return func.metrics[sortBy];
+      return func[sortBy];
+    };
+    
+    return [...functions].sort((a, b) => {
+      const aValue = valueOf(a);
+      const bValue = valueOf(b);
+      
+      // Functions without the value sort last regardless of direction
+      const aMissing = aValue === undefined || aValue === null;
+      const bMissing = bValue === undefined || bValue === null;
+      if (aMissing || bMissing) return aMissing - bMissing;
+      if (typeof aValue === 'string') return aValue.localeCompare(bValue) * direction;
+      return (aValue - bValue) * direction;
+    });
+  }
 
-    return result;
+  getRegionalAnalyzer(region) {
+    if (!region || region === this.region) return this;
+    
+    if (!this.regionalAnalyzers.has(region)) {
+      this.regionalAnalyzers.set(region, new LambdaAnalyzer({ region, dataSource: this.dataSource, workerPool: this.workerPool }));
+    }
+    return this.regionalAnalyzers.get(region);
   }
 
   async analyzeMemoryUtilization(functionName, timeRange) {
-    const timeRangeMs = this.parseTimeRange(timeRange);
-    const endTime = new Date();
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.getEndTime();
     const startTime = new Date(endTime.getTime() - timeRangeMs);
 
     // Get function configuration
     const config = await this.getFunctionConfig(functionName);
     const allocatedMemory = config.MemorySize;
 
-    // Get memory usage from logs
-    const memoryUsage = await this.getMemoryUsageFromLogs(functionName, startTime, endTime);
+    // Get memory usage from REPORT lines
+    const reports = await this.getReportRecords(functionName, startTime, endTime);
+    const memoryUsage = reports.map(report => report.maxMemoryUsed);
     
     const avgUsed = memoryUsage.reduce((sum, usage) => sum + usage, 0) / memoryUsage.length || 0;
     const peakUsed = Math.max(...memoryUsage, 0);
-    const minUsed = Math.min(...memoryUsage, allocatedMemory);
+    const minUsed = memoryUsage.length > 0 ? Math.min(...memoryUsage) : 0;
     const utilizationPercent = Math.round((avgUsed / allocatedMemory) * 100);
 
     // Generate recommendation
@@ -185,7 +366,8 @@ export class LambdaAnalyzer {
       allocatedMemory, 
       avgUsed, 
       peakUsed, 
-      utilizationPercent
+      utilizationPercent,
+      memoryUsage
     );
 
     return {
@@ -193,36 +375,40 @@ export class LambdaAnalyzer {
       avgUsed: Math.round(avgUsed),
       peakUsed: Math.round(peakUsed),
       minUsed: Math.round(minUsed),
+      p95Used: Math.round(calculatePercentile(memoryUsage, 95)),
       utilizationPercent,
+      sampleCount: reports.length,
+      coldStartSamples: reports.filter(report => this.logParser.isColdStart(report)).length,
+      truncated: reports.length >= this.maxReportRecords,
       recommended: recommendation.memory,
       reasoning: recommendation.reasoning,
       performanceImpact: recommendation.performanceImpact,
       costImpact: recommendation.costImpact,
-      patterns: this.analyzeMemoryPatterns(memoryUsage)
+      patterns: this.analyzeMemoryPatterns(memoryUsage, reports)
     };
   }
 
-  async analyzeCosts(functionName, timeRange) {
-    const timeRangeMs = this.parseTimeRange(timeRange);
-    const endTime = new Date();
+  async analyzeCosts(functionName, timeRange, topN) {
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.getEndTime();
     const startTime = new Date(endTime.getTime() - timeRangeMs);
 
     if (functionName) {
       return await this.analyzeFunctionCosts(functionName, startTime, endTime, timeRange);
     } else {
-      return await this.analyzeAccountCosts(startTime, endTime, timeRange);
+      return await this.analyzeAccountCosts(startTime, endTime, timeRange, topN);
     }
   }
 
   async monitorRealTime(functionName, duration) {
-    const endTime = new Date();
+    const endTime = await this.getEndTime();
     const startTime = new Date(endTime.getTime() - (duration * 60 * 1000));
 
     // Get recent metrics
     const metrics = await this.getMetrics(functionName, startTime, endTime);
     
-    // Get recent log events
-    const recentActivity = await this.getRecentActivity(functionName, startTime, endTime);
+    // Recent invocations and cold starts come from the window's REPORT lines
+    const reports = await this.getReportRecords(functionName, startTime, endTime);
     
     // Check for alerts
     const alerts = await this.checkPerformanceAlerts(functionName, metrics);
@@ -232,165 +418,571 @@ export class LambdaAnalyzer {
       recentInvocations: metrics.invocations || 0,
       avgDuration: metrics.avgDuration || 0,
       errorRate: this.calculateErrorRate(metrics.errors, metrics.invocations),
-      coldStarts: await this.getRecentColdStarts(functionName, startTime, endTime),
+      coldStarts: reports.filter(report => this.logParser.isColdStart(report)).length,
       alerts,
-      recentActivity
+      recentActivity: this.getRecentActivity(reports),
+      // A capped sample holds the oldest records, so counts are a floor and activity is not the latest
+      truncated: reports.length >= this.maxReportRecords
     };
   }
 
-  // Helper methods
-  parseTimeRange(timeRange) {
-    const ranges = {
-      '1h': 60 * 60 * 1000,
-      '6h': 6 * 60 * 60 * 1000,
-      '24h': 24 * 60 * 60 * 1000,
-      '7d': 7 * 24 * 60 * 60 * 1000,
-      '30d': 30 * 24 * 60 * 60 * 1000
-    };
-    return ranges[timeRange] || ranges['24h'];
+  // Offline exports are anchored at their last event and replays at the recording's clock
+  async getEndTime() {
+    return new Date(this.logSource ? await this.logsClient.getLatestTimestamp() : this.dataSource.now());
   }
 
   async getFunctionConfig(functionName) {
-    const command = new GetFunctionCommand({ FunctionName: functionName });
+    if (this.logSource) {
+      return await this.getFunctionConfigFromLogs(functionName);
+    }
+
+    const command = new GetFunctionCommand({ FunctionName: functionName, Qualifier: this.qualifier || undefined });
     const response = await this.lambdaClient.send(command);
     return response.Configuration;
   }
 
+  async getProvisionedConcurrencyConfigs(functionName) {
+    const configs = [];
+    let marker;
+    
+    try {
+      do {
+        const command = new ListProvisionedConcurrencyConfigsCommand({
+          FunctionName: functionName,
+          Marker: marker
+        });
+        const response = await this.lambdaClient.send(command);
+        configs.push(...(response.ProvisionedConcurrencyConfigs || []));
+        marker = response.NextMarker;
+      } while (marker);
+    } catch (error) {
+      console.error('Error listing provisioned concurrency configs:', error);
+    }
+    
+    // Provisioned concurrency is allocated per alias or version
+    return this.qualifier
+      ? configs.filter(config => (config.FunctionArn || '').endsWith(`:${this.qualifier}`))
+      : configs;
+  }
+
+  // Account concurrency limit and the share of it no function has reserved
+  async getAccountConcurrency() {
+    try {
+      const response = await this.lambdaClient.send(new GetAccountSettingsCommand({}));
+      return {
+        limit: response.AccountLimit.ConcurrentExecutions,
+        unreserved: response.AccountLimit.UnreservedConcurrentExecutions
+      };
+    } catch (error) {
+      console.error('Error getting account settings:', error);
+      return null;
+    }
+  }
+
+  // Reserved concurrency applies to the whole function; null when it shares the unreserved pool
+  async getReservedConcurrency(functionName) {
+    try {
+      const response = await this.lambdaClient.send(new GetFunctionConcurrencyCommand({ FunctionName: functionName }));
+      return response.ReservedConcurrentExecutions !== undefined ? response.ReservedConcurrentExecutions : null;
+    } catch (error) {
+      console.error('Error getting reserved concurrency:', error);
+      return null;
+    }
+  }
+
+  // Most concurrent executions the function can reach: its reservation or else the unreserved pool
+  async getConcurrencyLimit(functionName) {
+    if (this.logSource) return null;
+
+    const reserved = await this.getReservedConcurrency(functionName);
+    if (reserved !== null) return reserved;
+    const account = await this.getAccountConcurrency();
+    return account ? account.unreserved : null;
+  }
+
+  // Rebuild the configuration fields the analysis needs from INIT_START and REPORT lines
+  async getFunctionConfigFromLogs(functionName) {
+    const events = await this.logsClient.getEvents(`/aws/lambda/${functionName}`);
+    let runtimeVersion = null;
+    let memorySize = null;
+    let restored = false;
+
+    events.forEach(event => {
+      const runtimeMatch = event.message.match(/(INIT|RESTORE)_START Runtime Version: (\S+)(?:\s+Runtime Version ARN: (\S+))?/);
+      if (runtimeMatch) {
+        runtimeVersion = { version: runtimeMatch[2], arn: runtimeMatch[3] };
+        restored = restored || runtimeMatch[1] === 'RESTORE';
+      }
+      const record = this.logParser.parseReport(event);
+      if (record && record.memorySize) {
+        memorySize = record.memorySize;
+      }
+    });
+
+    const region = runtimeVersion && runtimeVersion.arn ? this.pricing.getRegionFromArn(runtimeVersion.arn) : this.region;
+
+    return {
+      FunctionName: functionName,
+      FunctionArn: region ? `arn:aws:lambda:${region}::function:${functionName}` : undefined,
+      Runtime: runtimeVersion ? this.runtimeFromVersion(runtimeVersion.version) : 'unknown',
+      MemorySize: memorySize || 128,
+      // Restores only happen with SnapStart turned on
+      SnapStart: { ApplyOn: restored ? 'PublishedVersions' : 'None', OptimizationStatus: restored ? 'On' : 'Off' },
+      Source: this.logSource
+    };
+  }
+
+  // "nodejs:20.v22" -> "nodejs20.x", "python:3.12.v18" -> "python3.12"
+  runtimeFromVersion(version) {
+    const match = version.match(/^([a-z]+):([\d.]+?)(?:\.v\d+)?$/);
+    if (!match) return version;
+    return match[1] === 'nodejs' ? `nodejs${match[2]}.x` : `${match[1]}${match[2]}`;
+  }
+
   async getMetrics(functionName, startTime, endTime) {
-    const metrics = {};
+    if (this.logSource) {
+      return await this.getMetricsFromLogs(functionName, startTime, endTime);
+    }
+
+    const { metrics, failures } = await this.getMetricsBatch([functionName], startTime, endTime);
+    if (failures.length > 0) {
+      throw new Error(`Could not get metrics for ${functionName}: ${failures[0].message}`);
+    }
+    return metrics.get(functionName);
+  }
+
+  // Derive the Lambda metrics from REPORT lines when CloudWatch metrics are unavailable
+  async getMetricsFromLogs(functionName, startTime, endTime) {
+    const reports = await this.getReportRecords(functionName, startTime, endTime);
+    const metrics = this.createEmptyMetrics(this.getMetricQueryDefinitions());
+    if (reports.length === 0) return metrics;
+
+    const durations = reports.map(report => report.duration).sort((a, b) => a - b);
+    const trimCount = Math.floor(durations.length * 0.01);
+    const trimmed = durations.slice(trimCount, durations.length - trimCount);
+
+    metrics.invocations = reports.length;
+    metrics.avgDuration = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+    metrics.maxDuration = durations[durations.length - 1];
+    metrics.p50Duration = round(calculatePercentile(durations, 50));
+    metrics.p90Duration = round(calculatePercentile(durations, 90));
+    metrics.p95Duration = round(calculatePercentile(durations, 95));
+    metrics.p99Duration = round(calculatePercentile(durations, 99));
+    metrics.p999Duration = round(calculatePercentile(durations, 99.9));
+    metrics.trimmedMeanDuration = round(trimmed.reduce((sum, duration) => sum + duration, 0) / trimmed.length);
+    metrics.errors = await this.countErrorsFromLogs(functionName, startTime, endTime, await this.qualifierResolver.getVersions(functionName));
+    metrics.concurrentExecutions = this.calculatePeakConcurrency(reports);
+
+    return metrics;
+  }
+
+  // Count failed requests the way the Errors metric does: one per request id
+  async countErrorsFromLogs(functionName, startTime, endTime, versions = null) {
+    const failedRequests = new Set();
+    let nextToken;
+
+    do {
+      const command = new FilterLogEventsCommand({
+        logGroupName: `/aws/lambda/${functionName}`,
+        startTime: startTime.getTime(),
+        endTime: endTime.getTime(),
+        filterPattern: '?"Task timed out" ?"Runtime." ?"ERROR\tInvoke Error" ?"Status: error" ?"Status: timeout"',
+        nextToken
+      });
+      const response = await this.logsClient.send(command);
+
+      (response.events || []).forEach(event => {
+        if (!this.qualifierResolver.matchesStream(versions, event.logStreamName)) return;
+        const requestId = event.message.match(/RequestId: ([\w-]+)/) || event.message.match(/\t([0-9a-f]{8}-[0-9a-f-]{27})\t/);
+        failedRequests.add(requestId ? requestId[1] : event.eventId);
+      });
+
+      nextToken = response.nextToken;
+    } while (nextToken);
+
+    return failedRequests.size;
+  }
+
+  // REPORT is logged when an invocation ends, so it covers [timestamp - duration, timestamp]
+  calculatePeakConcurrency(reports) {
+    const edges = [];
+    reports.forEach(report => {
+      edges.push({ time: report.timestamp - report.duration, delta: 1 });
+      edges.push({ time: report.timestamp, delta: -1 });
+    });
+    edges.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+    let current = 0;
+    let peak = 0;
+    edges.forEach(edge => {
+      current += edge.delta;
+      peak = Math.max(peak, current);
+    });
+
+    return peak;
+  }
+
+  getMetricQueryDefinitions() {
+    return [
+      { key: 'invocations', metricName: 'Invocations', stat: 'Sum', combine: 'sum' },
+      { key: 'durationSum', metricName: 'Duration', stat: 'Sum', combine: 'sum' },
+      { key: 'durationCount', metricName: 'Duration', stat: 'SampleCount', combine: 'sum' },
+      { key: 'maxDuration', metricName: 'Duration', stat: 'Maximum', combine: 'max' },
+      { key: 'p50Duration', metricName: 'Duration', stat: 'p50', combine: 'max' },
+      { key: 'p90Duration', metricName: 'Duration', stat: 'p90', combine: 'max' },
+      { key: 'p95Duration', metricName: 'Duration', stat: 'p95', combine: 'max' },
+      { key: 'p99Duration', metricName: 'Duration', stat: 'p99', combine: 'max' },
+      { key: 'p999Duration', metricName: 'Duration', stat: 'p99.9', combine: 'max' },
+      { key: 'trimmedMeanDuration', metricName: 'Duration', stat: 'TM(1%:99%)', combine: 'max' },
+      { key: 'errors', metricName: 'Errors', stat: 'Sum', combine: 'sum' },
+      { key: 'concurrentExecutions', metricName: 'ConcurrentExecutions', stat: 'Maximum', combine: 'max' }
+    ];
+  }
+
+  // Fetch the standard metric set for many functions with as few GetMetricData calls as possible
+  async getMetricsBatch(functionNames, startTime, endTime) {
+    const definitions = this.getMetricQueryDefinitions();
+    const metrics = new Map(functionNames.map(name => [name, this.createEmptyMetrics(definitions)]));
     
-    // Get invocation count
-    metrics.invocations = await this.getMetricValue(
-      'AWS/Lambda', 'Invocations', 'Sum', functionName, startTime, endTime
-    );
+    // Percentiles cannot be combined across periods, so one aligned period spans the range
+    const window = this.getSinglePeriodWindow(startTime, endTime);
     
-    // Get duration metrics
-    metrics.avgDuration = await this.getMetricValue(
-      'AWS/Lambda', 'Duration', 'Average', functionName, startTime, endTime
-    );
+    const queries = [];
+    functionNames.forEach((functionName, functionIndex) => {
+      definitions.forEach((definition, definitionIndex) => {
+        queries.push({ id: `f${functionIndex}_m${definitionIndex}`, functionName, definition });
+      });
+    });
     
-    metrics.maxDuration = await this.getMetricValue(
-      'AWS/Lambda', 'Duration', 'Maximum', functionName, startTime, endTime
-    );
+    const chunks = [];
+    for (let i = 0; i < queries.length; i += this.maxMetricQueries) {
+      chunks.push(queries.slice(i, i + this.maxMetricQueries));
+    }
     
-    // Get error count
-    metrics.errors = await this.getMetricValue(
-      'AWS/Lambda', 'Errors', 'Sum', functionName, startTime, endTime
-    );
+    const chunkResults = await this.workerPool.map(chunks, async chunk => {
+      const byId = new Map(chunk.map(query => [query.id, query]));
+      let nextToken;
+      let requests = 0;
+      
+      try {
+        do {
+          const command = new GetMetricDataCommand({
+            StartTime: window.startTime,
+            EndTime: window.endTime,
+            NextToken: nextToken,
+            MetricDataQueries: chunk.map(query => ({
+              Id: query.id,
+              MetricStat: {
+                Metric: {
+                  Namespace: 'AWS/Lambda',
+                  MetricName: query.definition.metricName,
+                  Dimensions: this.qualifierResolver.getDimensions(query.functionName)
+                },
+                Period: window.period,
+                Stat: query.definition.stat
+              }
+            }))
+          });
+          
+          const response = await this.sendMetricData(command);
+          requests++;
+          
+          (response.MetricDataResults || []).forEach(series => {
+            const query = byId.get(series.Id);
+            const values = series.Values || [];
+            if (!query || values.length === 0) return;
+            
+            const functionMetrics = metrics.get(query.functionName);
+            const { key, combine } = query.definition;
+            functionMetrics[key] = combine === 'sum'
+              ? functionMetrics[key] + values.reduce((sum, value) => sum + value, 0)
+              : Math.max(functionMetrics[key], ...values);
+          });
+          
+          nextToken = response.NextToken;
+        } while (nextToken);
+      } catch (error) {
+        console.error('Error getting metric data:', error);
+        // Callers report these functions instead of passing their missing metrics off as zeros
+        return {
+          requests,
+          failure: { functionNames: [...new Set(chunk.map(query => query.functionName))], message: error.message }
+        };
+      }
+      
+      return { requests, failure: null };
+    });
     
-    // Get concurrent executions
-    metrics.concurrentExecutions = await this.getMetricValue(
-      'AWS/Lambda', 'ConcurrentExecutions', 'Maximum', functionName, startTime, endTime
-    );
+    metrics.forEach(functionMetrics => {
+      functionMetrics.avgDuration = functionMetrics.durationCount > 0
+        ? functionMetrics.durationSum / functionMetrics.durationCount
+        : 0;
+      ['p50Duration', 'p90Duration', 'p95Duration', 'p99Duration', 'p999Duration', 'trimmedMeanDuration'].forEach(key => {
+        functionMetrics[key] = Math.round(functionMetrics[key] * 100) / 100;
+      });
+    });
+    
+    return {
+      metrics,
+      requests: chunkResults.reduce((sum, chunk) => sum + chunk.requests, 0),
+      failures: chunkResults.filter(chunk => chunk.failure).map(chunk => chunk.failure)
+    };
+  }
 
-    return metrics;
+  // Finest period CloudWatch keeps for data this old, in seconds: 1 minute for 15 days, 5 minutes
+  // for 63 days, 1 hour after that
+  getRetentionStep(startTime) {
+    const ageDays = (this.dataSource.now() - startTime.getTime()) / (24 * 60 * 60 * 1000);
+    return ageDays < 15 ? 60 : ageDays < 63 ? 300 : 3600;
+  }
+
+  // CloudWatch rounds StartTime down to 1, 5 or 60 minutes depending on how old the data is, so
+  // align both ends to that step and size the period to the aligned window: exactly one datapoint
+  getSinglePeriodWindow(startTime, endTime) {
+    const step = this.getRetentionStep(startTime) * 1000;
+    const alignedStart = Math.floor(startTime.getTime() / step) * step;
+    const alignedEnd = Math.max(alignedStart + step, Math.ceil(endTime.getTime() / step) * step);
+    return {
+      startTime: new Date(alignedStart),
+      endTime: new Date(alignedEnd),
+      period: (alignedEnd - alignedStart) / 1000
+    };
+  }
+
+  // GetMetricData is rate limited per account, so throttled requests back off and retry
+  // (on top of the SDK's own retries) instead of dropping a whole chunk of metrics
+  async sendMetricData(command) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.cloudWatchClient.send(command);
+      } catch (error) {
+        if (attempt >= this.maxMetricRetries || !this.isThrottlingError(error)) throw error;
+        await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
+      }
+    }
+  }
+
+  isThrottlingError(error) {
+    return ['Throttling', 'ThrottlingException', 'TooManyRequestsException', 'LimitExceededException'].includes(error.name) ||
+      (error.$metadata && error.$metadata.httpStatusCode === 429);
+  }
+
+  // Timeseries of any metrics in as few GetMetricData calls as possible. Each query is
+  // { key, namespace, metricName, dimensions, stat } and its series comes back oldest first in the
+  // shape GetMetricStatistics uses ({ Timestamp, [stat]: value }). Queries of a chunk that keeps
+  // failing are returned in failures instead of as empty series.
+  async getMetricSeries(queries, startTime, endTime, period) {
+    const series = new Map(queries.map(query => [query.key, []]));
+    const chunks = [];
+    for (let i = 0; i < queries.length; i += this.maxMetricQueries) {
+      chunks.push(queries.slice(i, i + this.maxMetricQueries).map((query, index) => ({ id: `q${i + index}`, query })));
+    }
+
+    const failures = await this.workerPool.map(chunks, async chunk => {
+      const byId = new Map(chunk.map(({ id, query }) => [id, query]));
+      let nextToken;
+
+      try {
+        do {
+          const response = await this.sendMetricData(new GetMetricDataCommand({
+            StartTime: startTime,
+            EndTime: endTime,
+            NextToken: nextToken,
+            MetricDataQueries: chunk.map(({ id, query }) => ({
+              Id: id,
+              MetricStat: {
+                Metric: {
+                  Namespace: query.namespace || 'AWS/Lambda',
+                  MetricName: query.metricName,
+                  Dimensions: query.dimensions
+                },
+                Period: period,
+                Stat: query.stat
+              }
+            }))
+          }));
+
+          (response.MetricDataResults || []).forEach(result => {
+            const query = byId.get(result.Id);
+            if (!query) return;
+            (result.Timestamps || []).forEach((timestamp, index) => {
+              series.get(query.key).push({ Timestamp: new Date(timestamp), [query.stat]: result.Values[index] });
+            });
+          });
+
+          nextToken = response.NextToken;
+        } while (nextToken);
+      } catch (error) {
+        console.error('Error getting metric data:', error);
+        return { queries: chunk.map(({ query }) => query), message: error.message };
+      }
+
+      return null;
+    });
+
+    series.forEach(points => points.sort((a, b) => a.Timestamp - b.Timestamp));
+    return { series, failures: failures.filter(Boolean) };
+  }
+
+  // Per-version metrics of a weighted alias from the ExecutedVersion dimension, plus the
+  // REPORT records each version logged
+  async analyzeRouting(functionName, routing, reports, startTime, endTime) {
+    const definitions = this.getMetricQueryDefinitions()
+      .filter(definition => ['invocations', 'durationSum', 'durationCount', 'p95Duration', 'errors'].includes(definition.key));
+    const window = this.getSinglePeriodWindow(startTime, endTime);
+    const metrics = routing.map(() => this.createEmptyMetrics(definitions));
+
+    try {
+      let nextToken;
+      do {
+        const response = await this.sendMetricData(new GetMetricDataCommand({
+          StartTime: window.startTime,
+          EndTime: window.endTime,
+          NextToken: nextToken,
+          MetricDataQueries: routing.flatMap((route, routeIndex) => definitions.map((definition, definitionIndex) => ({
+            Id: `v${routeIndex}_m${definitionIndex}`,
+            MetricStat: {
+              Metric: {
+                Namespace: 'AWS/Lambda',
+                MetricName: definition.metricName,
+                Dimensions: [
+                  ...this.qualifierResolver.getDimensions(functionName),
+                  { Name: 'ExecutedVersion', Value: route.version }
+                ]
+              },
+              Period: window.period,
+              Stat: definition.stat
+            }
+          })))
+        }));
+
+        (response.MetricDataResults || []).forEach(series => {
+          const [, routeIndex, definitionIndex] = series.Id.match(/^v(\d+)_m(\d+)$/) || [];
+          const values = series.Values || [];
+          if (routeIndex === undefined || values.length === 0) return;
+
+          const { key, combine } = definitions[definitionIndex];
+          metrics[routeIndex][key] = combine === 'sum'
+            ? metrics[routeIndex][key] + values.reduce((sum, value) => sum + value, 0)
+            : Math.max(metrics[routeIndex][key], ...values);
+        });
+
+        nextToken = response.NextToken;
+      } while (nextToken);
+    } catch (error) {
+      console.error('Error getting per-version metrics:', error);
+    }
+
+    const totalInvocations = metrics.reduce((sum, versionMetrics) => sum + versionMetrics.invocations, 0);
+    return routing.map((route, index) => {
+      const versionMetrics = metrics[index];
+      const versionReports = reports.filter(report => this.qualifierResolver.versionFromStream(report.logStream) === route.version);
+      const coldStarts = this.analyzeColdStartsFromLogs(versionReports);
+
+      return {
+        version: route.version,
+        weight: route.weight,
+        trafficShare: totalInvocations > 0 ? Math.round((versionMetrics.invocations / totalInvocations) * 1000) / 10 : 0,
+        invocations: versionMetrics.invocations,
+        avgDuration: versionMetrics.durationCount > 0
+          ? Math.round((versionMetrics.durationSum / versionMetrics.durationCount) * 100) / 100
+          : 0,
+        p95Duration: Math.round(versionMetrics.p95Duration * 100) / 100,
+        errorRate: this.calculateErrorRate(versionMetrics.errors, versionMetrics.invocations),
+        coldStarts: coldStarts.total,
+        coldStartRate: this.calculateColdStartRate(coldStarts.total, versionReports.length),
+        memoryUtilization: this.calculateMemoryUtilization(versionReports)
+      };
+    });
+  }
+
+  createEmptyMetrics(definitions) {
+    return Object.fromEntries(definitions.map(definition => [definition.key, 0]));
   }
 
   async getMetricValue(namespace, metricName, statistic, functionName, startTime, endTime) {
     try {
+      // Averages are weighted by sample count when combining periods
+      const statistics = statistic === 'Average' ? ['Average', 'SampleCount'] : [statistic];
       const command = new GetMetricStatisticsCommand({
         Namespace: namespace,
         MetricName: metricName,
-        Dimensions: [
-          {
-            Name: 'FunctionName',
-            Value: functionName
-          }
-        ],
+        Dimensions: this.qualifierResolver.getDimensions(functionName),
         StartTime: startTime,
         EndTime: endTime,
-        Period: 300, // 5 minutes
-        Statistics: [statistic]
+        Period: this.getMetricPeriod(startTime, endTime),
+        Statistics: statistics
       });
 
       const response = await this.cloudWatchClient.send(command);
-      const datapoints = response.Datapoints || [];
-      
-      if (datapoints.length === 0) return 0;
-      
-      return datapoints.reduce((sum, point) => sum + (point[statistic] || 0), 0) / datapoints.length;
+      return this.aggregateDatapoints(response.Datapoints || [], statistic);
     } catch (error) {
       console.error(`Error getting metric ${metricName}:`, error);
       return 0;
     }
   }
 
-  calculateErrorRate(errors, invocations) {
-    if (!invocations || invocations === 0) return 0;
-    return Math.round((errors / invocations) * 100 * 100) / 100;
+  aggregateDatapoints(datapoints, statistic) {
+    if (datapoints.length === 0) return 0;
+    
+    const values = datapoints.map(point => point[statistic] || 0);
+    
+    switch (statistic) {
+      case 'Sum':
+      case 'SampleCount':
+        return values.reduce((sum, value) => sum + value, 0);
+      case 'Maximum':
+        return Math.max(...values);
+      case 'Minimum':
+        return Math.min(...values);
+      case 'Average': {
+        const samples = datapoints.reduce((sum, point) => sum + (point.SampleCount || 0), 0);
+        if (samples === 0) {
+          return values.reduce((sum, value) => sum + value, 0) / values.length;
+        }
+        return datapoints.reduce((sum, point) => sum + (point.Average || 0) * (point.SampleCount || 0), 0) / samples;
+      }
+      default:
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
   }
 
-  calculateColdStartRate(coldStarts, invocations) {
-    if (!invocations || invocations === 0) return 0;
-    return Math.round((coldStarts / invocations) * 100 * 100) / 100;
+  // Stay under the 1,440 datapoint limit of GetMetricStatistics, in a multiple of the retention step
+  // so older data is not asked for at a resolution CloudWatch no longer has
+  getMetricPeriod(startTime, endTime, minimum = 300) {
+    const rangeSeconds = (endTime - startTime) / 1000;
+    const step = this.getRetentionStep(startTime);
+    return Math.ceil(Math.max(minimum, rangeSeconds / 1440) / step) * step;
   }
 
-  async getColdStartEvents(logGroupName, startTime, endTime) {
+  async getMetricDatapoints(namespace, metricName, statistic, functionName, startTime, endTime, period) {
     try {
-      const command = new FilterLogEventsCommand({
-        logGroupName,
-        startTime: startTime.getTime(),
-        endTime: endTime.getTime(),
-        filterPattern: '"INIT_START"'
+      const command = new GetMetricStatisticsCommand({
+        Namespace: namespace,
+        MetricName: metricName,
+        Dimensions: this.qualifierResolver.getDimensions(functionName),
+        StartTime: startTime,
+        EndTime: endTime,
+        Period: period,
+        Statistics: [statistic]
       });
 
-      const response = await this.logsClient.send(command);
-      return response.events || [];
+      const response = await this.cloudWatchClient.send(command);
+      return (response.Datapoints || []).sort((a, b) => a.Timestamp - b.Timestamp);
     } catch (error) {
-      console.error('Error getting cold start events:', error);
+      console.error(`Error getting metric ${metricName}:`, error);
       return [];
     }
   }
 
-  async getTotalInvocations(functionName, startTime, endTime) {
-    return await this.getMetricValue(
-      'AWS/Lambda', 'Invocations', 'Sum', functionName, startTime, endTime
-    );
-  }
-
-  analyzeColdStartPatterns(coldStartEvents, totalInvocations) {
-    if (coldStartEvents.length === 0) {
-      return {
-        avgDuration: 0,
-        maxDuration: 0,
-        peakHours: [],
-        frequency: 'None',
-        triggers: []
-      };
-    }
-
-    // Analyze durations (simplified - would need more complex log parsing)
-    const avgDuration = 1000; // Placeholder
-    const maxDuration = 2000; // Placeholder
-    
-    // Analyze timing patterns
-    const hours = coldStartEvents.map(event => new Date(event.timestamp).getHours());
-    const peakHours = this.findPeakHours(hours);
-    
-    const frequency = this.determineColdStartFrequency(coldStartEvents.length, totalInvocations);
-    const triggers = ['Low traffic periods', 'Function updates', 'Scaling events'];
-
-    return {
-      avgDuration,
-      maxDuration,
-      peakHours,
-      frequency,
-      triggers
-    };
+  calculateErrorRate(errors, invocations) {
+    if (!invocations || invocations === 0) return 0;
+    return Math.round((errors / invocations) * 100 * 100) / 100;
   }
 
-  findPeakHours(hours) {
-    const hourCounts = {};
-    hours.forEach(hour => {
-      hourCounts[hour] = (hourCounts[hour] || 0) + 1;
-    });
-    
-    const sortedHours = Object.entries(hourCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 3)
-      .map(([hour]) => `${hour}:00`);
-    
-    return sortedHours;
+  calculateColdStartRate(coldStarts, invocations) {
+    if (!invocations || invocations === 0) return 0;
+    return Math.round((coldStarts / invocations) * 100 * 100) / 100;
   }
 
   determineColdStartFrequency(coldStarts, invocations) {
@@ -402,70 +994,45 @@ export class LambdaAnalyzer {
     return 'Very Low';
   }
 
-  generateColdStartRecommendations(analysis) {
-    const recommendations = [];
-    
-    if (analysis.frequency === 'High' || analysis.frequency === 'Very High') {
-      recommendations.push('Consider using Provisioned Concurrency to reduce cold starts');
-      recommendations.push('Optimize function initialization code');
-      recommendations.push('Use connection pooling for database connections');
-    }
-    
-    if (analysis.avgDuration > 1000) {
-      recommendations.push('Reduce package size and dependencies');
-      recommendations.push('Use Lambda layers for shared dependencies');
-    }
-    
-    recommendations.push('Consider using ARM-based Graviton2 processors for better price-performance');
-    
-    return recommendations;
-  }
-
-  createColdStartTimeline(coldStartEvents, timeRange) {
-    // Group events by time periods
-    const timeline = [];
-    const periodMs = this.parseTimeRange(timeRange) / 24; // 24 periods
-    
-    for (let i = 0; i < 24; i++) {
-      const periodStart = new Date(Date.now() - this.parseTimeRange(timeRange) + (i * periodMs));
-      const periodEnd = new Date(periodStart.getTime() + periodMs);
-      
-      const periodEvents = coldStartEvents.filter(event => 
-        event.timestamp >= periodStart.getTime() && event.timestamp < periodEnd.getTime()
-      );
-      
-      timeline.push({
-        time: periodStart.toLocaleTimeString(),
-        coldStarts: periodEvents.length,
-        duration: 1000 // Placeholder average
-      });
-    }
-    
-    return timeline;
-  }
-
-  generateMemoryRecommendation(allocated, avgUsed, peakUsed, utilizationPercent) {
+  generateMemoryRecommendation(allocated, avgUsed, peakUsed, utilizationPercent, samples = []) {
     let recommendedMemory = allocated;
     let reasoning = '';
     let performanceImpact = 'No change expected';
     let costImpact = 'No change';
 
+    if (samples.length === 0) {
+      return {
+        memory: allocated,
+        reasoning: 'No REPORT log lines found in the selected time range - keeping the current allocation.',
+        performanceImpact,
+        costImpact
+      };
+    }
+
+    // Size against p99 so a single outlier does not dominate, but stay close to the peak
+    const p99Used = calculatePercentile(samples, 99);
+    const sizingBase = Math.max(p99Used, peakUsed * 0.9);
+
     if (utilizationPercent < 50) {
       // Over-provisioned
-      recommendedMemory = Math.max(128, Math.ceil(peakUsed * 1.2 / 64) * 64);
-      reasoning = 'Memory is over-provisioned. Reducing memory will lower costs.';
+      recommendedMemory = Math.min(allocated, Math.max(128, Math.ceil(sizingBase * 1.2 / 64) * 64));
+      reasoning = `Memory is over-provisioned (p99 ${Math.round(p99Used)}MB, peak ${Math.round(peakUsed)}MB of ${allocated}MB). Reducing memory will lower costs.`;
       costImpact = `Reduce costs by ~${Math.round((1 - recommendedMemory/allocated) * 100)}%`;
       performanceImpact = 'Minimal performance impact expected';
     } else if (utilizationPercent > 85) {
       // Under-provisioned
-      recommendedMemory = Math.ceil(peakUsed * 1.3 / 64) * 64;
-      reasoning = 'Memory utilization is high. Increasing memory may improve performance.';
+      recommendedMemory = Math.min(10240, Math.ceil(peakUsed * 1.3 / 64) * 64);
+      reasoning = `Memory utilization is high (peak ${Math.round(peakUsed)}MB of ${allocated}MB). Increasing memory may improve performance.`;
       costImpact = `Increase costs by ~${Math.round((recommendedMemory/allocated - 1) * 100)}%`;
       performanceImpact = 'Improved performance and reduced duration expected';
     } else {
       reasoning = 'Memory allocation appears optimal for current usage patterns.';
     }
 
+    reasoning += samples.length < 30
+      ? ` Based on only ${samples.length} invocation(s) - treat as low confidence.`
+      : ` Based on ${samples.length} invocations.`;
+
     return {
       memory: recommendedMemory,
       reasoning,
@@ -474,7 +1041,7 @@ export class LambdaAnalyzer {
     };
   }
 
-  analyzeMemoryPatterns(memoryUsage) {
+  analyzeMemoryPatterns(memoryUsage, reports = []) {
     if (memoryUsage.length === 0) return ['No memory usage data available'];
     
     const patterns = [];
@@ -493,6 +1060,27 @@ export class LambdaAnalyzer {
       patterns.push('Decreasing memory usage trend detected');
     }
     
+    // Invocations close to the configured limit
+    const nearLimit = reports.filter(report => report.memorySize && report.maxMemoryUsed >= report.memorySize * 0.9);
+    if (nearLimit.length > 0) {
+      patterns.push(`${nearLimit.length} of ${reports.length} invocations used more than 90% of allocated memory`);
+    }
+    
+    // Cold vs warm invocations
+    const coldUsage = reports.filter(report => this.logParser.isColdStart(report)).map(report => report.maxMemoryUsed);
+    const warmUsage = reports.filter(report => !this.logParser.isColdStart(report)).map(report => report.maxMemoryUsed);
+    if (coldUsage.length > 0 && warmUsage.length > 0) {
+      const coldAvg = coldUsage.reduce((sum, val) => sum + val, 0) / coldUsage.length;
+      const warmAvg = warmUsage.reduce((sum, val) => sum + val, 0) / warmUsage.length;
+      patterns.push(`Cold start invocations average ${Math.round(coldAvg)}MB vs ${Math.round(warmAvg)}MB for warm invocations`);
+    }
+    
+    // Configuration changes inside the window
+    const memorySizes = [...new Set(reports.map(report => report.memorySize).filter(Boolean))];
+    if (memorySizes.length > 1) {
+      patterns.push(`Memory size changed during the period (${memorySizes.join('MB, ')}MB)`);
+    }
+    
     return patterns;
   }
 
@@ -514,36 +1102,127 @@ export class LambdaAnalyzer {
   }
 
   // Additional helper methods would be implemented here...
-  async calculateMemoryUtilization(functionName, startTime, endTime) {
-    // Placeholder implementation
-    return Math.floor(Math.random() * 40) + 40; // 40-80%
+  calculateMemoryUtilization(reports) {
+    const samples = reports.filter(report => report.memorySize);
+    if (samples.length === 0) return 0;
+    
+    const totalPercent = samples.reduce((sum, report) => sum + (report.maxMemoryUsed / report.memorySize) * 100, 0);
+    return Math.round(totalPercent / samples.length);
+  }
+
+  analyzeColdStartsFromLogs(reports) {
+    // SnapStart restores replace initialization, so their restore time is the cold start time
+    const initDurations = reports
+      .filter(report => this.logParser.isColdStart(report))
+      .map(report => report.initDuration !== null ? report.initDuration : report.restoreDuration);
+    
+    if (initDurations.length === 0) {
+      return { total: 0, avgDuration: 0, pattern: 'No cold starts detected' };
+    }
+    
+    const avgDuration = initDurations.reduce((sum, duration) => sum + duration, 0) / initDurations.length;
+    
+    return {
+      total: initDurations.length,
+      avgDuration: Math.round(avgDuration),
+      pattern: `${this.determineColdStartFrequency(initDurations.length, reports.length)} frequency`
+    };
   }
 
   async analyzeErrors(functionName, startTime, endTime) {
-    // Placeholder implementation
-    return [
-      { type: 'Timeout', count: 5 },
-      { type: 'Memory exceeded', count: 2 }
-    ];
+    try {
+      return await this.errorAnalyzer.analyzeErrors(functionName, startTime, endTime);
+    } catch (error) {
+      console.error('Error analyzing errors:', error);
+      return [];
+    }
   }
 
-  async analyzeTrends(functionName, startTime, endTime) {
-    // Placeholder implementation
-    return [
-      'Duration trending upward over time period',
-      'Error rate stable',
-      'Cold start frequency decreasing'
+  // Hourly average duration and cold start rate from the REPORT records, second half of the
+  // range against the first. A capped sample holds only the oldest records, so it has no trend.
+  analyzeTrends(reports, startTime) {
+    if (reports.length >= this.maxReportRecords) return [];
+
+    const hours = new Map();
+    reports.forEach(report => {
+      const hour = Math.floor((report.timestamp - startTime.getTime()) / HOUR_MS);
+      if (!hours.has(hour)) hours.set(hour, []);
+      hours.get(hour).push(report);
+    });
+    const series = [...hours.entries()].sort(([a], [b]) => a - b).map(([, hourReports]) => hourReports);
+    if (series.length < 4) return [];
+
+    const metrics = [
+      { label: 'Average duration', unit: 'ms', values: series.map(hour => average(hour.map(report => report.duration))) },
+      {
+        label: 'Cold start rate',
+        unit: '%',
+        values: series.map(hour => (hour.filter(report => this.logParser.isColdStart(report)).length / hour.length) * 100)
+      }
     ];
+
+    return metrics.map(({ label, unit, values }) => {
+      const half = Math.floor(values.length / 2);
+      const before = average(values.slice(0, half));
+      const after = average(values.slice(half));
+      const figures = `${round(before)}${unit} to ${round(after)}${unit} over ${values.length} hours`;
+      if (before === 0) return after > 0 ? `${label} up from none (${figures})` : `${label} stable (${figures})`;
+
+      const change = (after - before) / before;
+      if (Math.abs(change) <= 0.1) return `${label} stable (${figures})`;
+      return `${label} ${change > 0 ? 'up' : 'down'} ${Math.round(Math.abs(change) * 100)}% (${figures})`;
+    });
   }
 
-  async getMemoryUsageDetails(functionName, startTime, endTime) {
-    // Placeholder implementation
-    return { peak: 256, average: 180, minimum: 120 };
+  getMemoryUsageDetails(reports) {
+    const memoryUsage = reports.map(report => report.maxMemoryUsed);
+    if (memoryUsage.length === 0) {
+      return { peak: 0, average: 0, minimum: 0, samples: 0 };
+    }
+    
+    return {
+      peak: Math.max(...memoryUsage),
+      average: Math.round(memoryUsage.reduce((sum, usage) => sum + usage, 0) / memoryUsage.length),
+      minimum: Math.min(...memoryUsage),
+      samples: memoryUsage.length
+    };
   }
 
-  async getMemoryUsageFromLogs(functionName, startTime, endTime) {
-    // Placeholder implementation - would parse CloudWatch logs for memory usage
-    return Array.from({ length: 100 }, () => Math.floor(Math.random() * 200) + 100);
+  async getReportRecords(functionName, startTime, endTime) {
+    const logGroupName = `/aws/lambda/${functionName}`;
+    const versions = await this.qualifierResolver.getVersions(functionName);
+    const records = [];
+    let nextToken;
+    
+    do {
+      try {
+        const command = new FilterLogEventsCommand({
+          logGroupName,
+          startTime: startTime.getTime(),
+          endTime: endTime.getTime(),
+          filterPattern: '"REPORT RequestId"',
+          nextToken
+        });
+        
+        const response = await this.logsClient.send(command);
+        
+        for (const event of response.events || []) {
+          const record = this.logParser.parseReport(event);
+          if (record && this.qualifierResolver.matchesStream(versions, record.logStream)) {
+            records.push(record);
+          }
+        }
+        
+        nextToken = response.nextToken;
+      } catch (error) {
+        // A partial sample would skew memory and duration advice without saying so
+        throw new Error(`Could not read REPORT lines for ${functionName}: ${error.message}`);
+      }
+    } while (nextToken && records.length < this.maxReportRecords);
+    
+    return records
+      .slice(0, this.maxReportRecords)
+      .sort((a, b) => a.timestamp - b.timestamp);
   }
 
   generateComparisonInsights(comparisons) {
@@ -583,65 +1262,329 @@ export class LambdaAnalyzer {
   }
 
   async estimateCost(analysis) {
-    // Simplified cost calculation
-    const requestCost = (analysis.totalInvocations / 1000000) * 0.20; // $0.20 per 1M requests
-    const computeCost = (analysis.totalInvocations * analysis.avgDuration / 1000) * (analysis.config.MemorySize / 1024) * 0.0000166667;
-    return Math.round((requestCost + computeCost) * 100) / 100;
+    const cost = this.pricing.calculateCost(this.pricing.usageFromConfig(analysis.config, {
+      invocations: analysis.totalInvocations,
+      avgDurationMs: analysis.avgDuration,
+      months: parseTimeRange(analysis.timeRange) / MONTH_MS
+    }));
+    return this.pricing.roundCost(cost.total);
   }
 
   async analyzeFunctionCosts(functionName, startTime, endTime, timeRange) {
-    // Placeholder implementation
+    const config = await this.getFunctionConfig(functionName);
+    const days = Math.max(1, Math.round((endTime - startTime) / (24 * 60 * 60 * 1000)));
+    
+    const { usage: dailyUsage, failures } = await this.getDailyUsage([functionName], startTime, endTime);
+    if (failures.length > 0) {
+      throw new Error(`Could not get metrics for ${functionName}: ${failures[0].message}`);
+    }
+
+    const { usage, cost, dailyCosts, invocations, totalDuration } =
+      await this.calculateFunctionCost(config, startTime, endTime, dailyUsage.get(functionName));
+    const optimizations = await this.findCostOptimizations(functionName, config, usage, cost, startTime, endTime);
+    const peak = dailyCosts.reduce((max, day) => (day.cost > max.cost ? day : max), { date: 'N/A', cost: 0 });
+    const trend = this.calculateTrend(dailyCosts.map(day => day.cost));
+
     return {
-      total: 12.45,
-      compute: 10.20,
-      requests: 2.25,
-      dataTransfer: 0.00,
-      computePercent: 82,
-      requestsPercent: 18,
-      invocations: 150000,
-      totalDuration: 45000000,
-      avgDuration: 300,
-      optimizations: [
-        { type: 'Memory optimization', description: 'Reduce memory allocation', savings: 2.50 },
-        { type: 'Duration optimization', description: 'Optimize code performance', savings: 1.80 }
-      ],
-      dailyAverage: 0.41,
-      trend: 'Stable',
-      peakDay: '2024-01-15',
-      peakCost: 0.89
+      total: this.pricing.roundCost(cost.total),
+      compute: this.pricing.roundCost(cost.compute),
+      requests: this.pricing.roundCost(cost.requests),
+      ephemeralStorage: this.pricing.roundCost(cost.ephemeralStorage),
+      provisionedConcurrency: this.pricing.roundCost(cost.provisionedConcurrency),
+      computePercent: cost.total > 0 ? Math.round((cost.compute / cost.total) * 100) : 0,
+      requestsPercent: cost.total > 0 ? Math.round((cost.requests / cost.total) * 100) : 0,
+      invocations,
+      totalDuration: Math.round(totalDuration),
+      avgDuration: invocations > 0 ? Math.round(totalDuration / invocations) : 0,
+      optimizations,
+      dailyAverage: this.pricing.roundCost(cost.total / days),
+      trend: this.describeCostTrend(trend),
+      peakDay: peak.date,
+      peakCost: this.pricing.roundCost(peak.cost),
+      region: cost.region,
+      regionEstimated: cost.regionEstimated,
+      architecture: cost.architecture,
+      priceVersion: cost.priceVersion
     };
   }
 
-  async analyzeAccountCosts(startTime, endTime, timeRange) {
-    // Placeholder implementation for account-wide analysis
+  // Daily invocation counts and total duration of every function, batched through GetMetricData
+  async getDailyUsage(functionNames, startTime, endTime) {
+    const queries = functionNames.flatMap(functionName => [
+      { key: `${functionName}/invocations`, functionName, metricName: 'Invocations', stat: 'Sum' },
+      { key: `${functionName}/duration`, functionName, metricName: 'Duration', stat: 'Sum' }
+    ].map(query => ({ ...query, dimensions: this.qualifierResolver.getDimensions(functionName) })));
+    const { series, failures } = await this.getMetricSeries(queries, startTime, endTime, 86400);
+
     return {
-      total: 245.67,
-      compute: 198.45,
-      requests: 47.22,
-      dataTransfer: 0.00,
-      computePercent: 81,
-      requestsPercent: 19,
-      invocations: 2500000,
-      totalDuration: 750000000,
-      avgDuration: 300,
-      optimizations: [
-        { type: 'Right-sizing', description: 'Optimize memory across functions', savings: 45.20 },
-        { type: 'Cold start reduction', description: 'Implement provisioned concurrency', savings: 23.10 }
-      ],
-      dailyAverage: 8.19,
-      trend: 'Increasing',
-      peakDay: '2024-01-20',
-      peakCost: 12.45
+      usage: new Map(functionNames.map(functionName => [functionName, {
+        invocations: series.get(`${functionName}/invocations`),
+        duration: series.get(`${functionName}/duration`)
+      }])),
+      failures: failures.map(failure => ({
+        functionNames: [...new Set(failure.queries.map(query => query.functionName))],
+        message: failure.message
+      }))
     };
   }
 
-  async getRecentActivity(functionName, startTime, endTime) {
-    // Placeholder implementation
-    return [
-      { timestamp: '10:30:15', event: 'Invocation', duration: 245 },
-      { timestamp: '10:29:45', event: 'Cold Start', duration: 1200 },
-      { timestamp: '10:28:30', event: 'Invocation', duration: 180 }
-    ];
+  async calculateFunctionCost(config, startTime, endTime, dailyUsage) {
+    const functionName = config.FunctionName;
+    const provisionedConfigs = await this.getProvisionedConcurrencyConfigs(functionName);
+    const provisionedConcurrency = provisionedConfigs.reduce(
+      (sum, pc) => sum + (pc.AllocatedProvisionedConcurrentExecutions || 0), 0
+    );
+
+    const { invocations: dailyInvocations, duration: dailyDuration } = dailyUsage;
+    const durationByDay = new Map(dailyDuration.map(point => [point.Timestamp.getTime(), point.Sum || 0]));
+
+    const dailyCosts = dailyInvocations.map(point => {
+      const invocations = point.Sum || 0;
+      const durationSum = durationByDay.get(point.Timestamp.getTime()) || 0;
+      const cost = this.pricing.calculateCost(this.pricing.usageFromConfig(config, {
+        invocations,
+        avgDurationMs: invocations > 0 ? durationSum / invocations : 0,
+        provisionedConcurrency,
+        provisionedSeconds: 86400,
+        months: 86400000 / MONTH_MS
+      }));
+      return { date: point.Timestamp.toISOString().slice(0, 10), cost: cost.total };
+    });
+
+    const invocations = dailyInvocations.reduce((sum, point) => sum + (point.Sum || 0), 0);
+    const totalDuration = dailyDuration.reduce((sum, point) => sum + (point.Sum || 0), 0);
+
+    // Price the whole period at once so volume tiers apply to the full usage
+    const usage = this.pricing.usageFromConfig(config, {
+      invocations,
+      avgDurationMs: invocations > 0 ? totalDuration / invocations : 0,
+      provisionedConcurrency,
+      provisionedSeconds: (endTime - startTime) / 1000,
+      months: (endTime - startTime) / MONTH_MS
+    });
+
+    return {
+      usage,
+      cost: this.pricing.calculateCost(usage),
+      dailyCosts,
+      invocations,
+      totalDuration
+    };
+  }
+
+  describeCostTrend(trend) {
+    if (trend > 0.1) return 'Increasing';
+    if (trend < -0.1) return 'Decreasing';
+    return 'Stable';
+  }
+
+  async findCostOptimizations(functionName, config, usage, cost, startTime, endTime, includeMemory = true) {
+    const optimizations = [];
+
+    // Memory right-sizing from REPORT samples, assuming duration stays the same
+    const reports = includeMemory ? await this.getReportRecords(functionName, startTime, endTime) : [];
+    const memoryUsage = reports.map(report => report.maxMemoryUsed);
+    if (memoryUsage.length > 0) {
+      const avgUsed = memoryUsage.reduce((sum, value) => sum + value, 0) / memoryUsage.length;
+      const recommendation = this.generateMemoryRecommendation(
+        config.MemorySize,
+        avgUsed,
+        Math.max(...memoryUsage),
+        this.calculateMemoryUtilization(reports),
+        memoryUsage
+      );
+      if (recommendation.memory < config.MemorySize) {
+        const rightSized = this.pricing.calculateCost({ ...usage, memoryMB: recommendation.memory });
+        optimizations.push({
+          type: 'Memory optimization',
+          description: `Reduce memory from ${config.MemorySize}MB to ${recommendation.memory}MB`,
+          savings: this.pricing.roundCost(cost.total - rightSized.total)
+        });
+      }
+    }
+
+    // Graviton pricing for the same usage
+    if (cost.architecture === 'x86_64') {
+      const arm = this.pricing.calculateCost({ ...usage, architecture: 'arm64' });
+      optimizations.push({
+        type: 'ARM migration',
+        description: 'Run on arm64 (Graviton) at the same memory and duration',
+        savings: this.pricing.roundCost(cost.total - arm.total)
+      });
+    }
+
+    // Unused provisioned concurrency
+    if (usage.provisionedConcurrency > 0) {
+      const utilization = await this.getMetricValue(
+        'AWS/Lambda', 'ProvisionedConcurrencyUtilization', 'Average', functionName, startTime, endTime
+      );
+      if (utilization < 0.5) {
+        optimizations.push({
+          type: 'Provisioned concurrency',
+          description: `Provisioned concurrency is ${Math.round(utilization * 100)}% utilized - reduce or schedule it`,
+          savings: this.pricing.roundCost(cost.provisionedConcurrency * (1 - utilization))
+        });
+      }
+    }
+
+    return optimizations.filter(optimization => optimization.savings > 0);
+  }
+
+  async analyzeAccountCosts(startTime, endTime, timeRange, topN = 10) {
+    const functions = await this.listAllFunctions();
+    const days = Math.max(1, Math.round((endTime - startTime) / (24 * 60 * 60 * 1000)));
+    
+    const totals = {
+      requests: 0,
+      compute: 0,
+      ephemeralStorage: 0,
+      provisionedConcurrency: 0,
+      invocations: 0,
+      totalDuration: 0,
+      gbSeconds: 0
+    };
+    const gbSecondsByArchitecture = {};
+    const dailyTotals = new Map();
+    const functionCosts = [];
+    
+    // Functions whose metrics could not be fetched are reported rather than priced at $0
+    const { usage: dailyUsage, failures } = await this.getDailyUsage(functions.map(func => func.FunctionName), startTime, endTime);
+    const failed = new Set(failures.flatMap(failure => failure.functionNames));
+    const priced = functions.filter(func => !failed.has(func.FunctionName));
+    const results = await this.workerPool.map(priced, func =>
+      this.calculateFunctionCost(func, startTime, endTime, dailyUsage.get(func.FunctionName))
+    );
+    
+    priced.forEach((func, index) => {
+      const result = results[index];
+      
+      totals.requests += result.cost.requests;
+      totals.compute += result.cost.compute;
+      totals.ephemeralStorage += result.cost.ephemeralStorage;
+      totals.provisionedConcurrency += result.cost.provisionedConcurrency;
+      totals.invocations += result.invocations;
+      totals.totalDuration += result.totalDuration;
+      totals.gbSeconds += result.cost.gbSeconds;
+      gbSecondsByArchitecture[result.cost.architecture] = (gbSecondsByArchitecture[result.cost.architecture] || 0) + result.cost.gbSeconds;
+      
+      result.dailyCosts.forEach(day => {
+        dailyTotals.set(day.date, (dailyTotals.get(day.date) || 0) + day.cost);
+      });
+      
+      functionCosts.push({ func, ...result });
+    });
+    
+    // The free tier applies once per account, not per function
+    const region = this.region;
+    const credit = this.pricing.calculateFreeTierCredit(
+      region, totals.invocations, gbSecondsByArchitecture, (endTime - startTime) / MONTH_MS
+    );
+    totals.requests = Math.max(0, totals.requests - credit.requests);
+    totals.compute = Math.max(0, totals.compute - credit.compute);
+    
+    const total = totals.requests + totals.compute + totals.ephemeralStorage + totals.provisionedConcurrency;
+    const grossTotal = functionCosts.reduce((sum, item) => sum + item.cost.total, 0);
+    
+    // Rank spenders by their cost before the free tier
+    functionCosts.sort((a, b) => b.cost.total - a.cost.total);
+    const topSpenders = functionCosts.slice(0, topN).map(item => ({
+      name: item.func.FunctionName,
+      runtime: item.func.Runtime || item.func.PackageType || 'unknown',
+      architecture: item.cost.architecture,
+      memory: item.func.MemorySize,
+      invocations: item.invocations,
+      cost: this.pricing.roundCost(item.cost.total),
+      share: grossTotal > 0 ? Math.round((item.cost.total / grossTotal) * 1000) / 10 : 0
+    }));
+    
+    // Savings: full analysis (including memory right-sizing from logs) for the top spenders only
+    const optimizations = [];
+    const functionOptimizations = await this.workerPool.map(functionCosts, (item, index) =>
+      this.findCostOptimizations(item.func.FunctionName, item.func, item.usage, item.cost, startTime, endTime, index < topN)
+    );
+    functionOptimizations.forEach((items, index) => {
+      const name = functionCosts[index].func.FunctionName;
+      items.forEach(optimization => {
+        optimizations.push({ ...optimization, type: `${optimization.type} (${name})` });
+      });
+    });
+    optimizations.sort((a, b) => b.savings - a.savings);
+    
+    const dailyList = [...dailyTotals.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, cost]) => ({ date, cost: this.pricing.roundCost(cost) }));
+    const peak = dailyList.reduce((max, day) => (day.cost > max.cost ? day : max), { date: 'N/A', cost: 0 });
+    const regionPricing = this.pricing.getRegionPricing(region);
+    
+    return {
+      total: this.pricing.roundCost(total),
+      compute: this.pricing.roundCost(totals.compute),
+      requests: this.pricing.roundCost(totals.requests),
+      ephemeralStorage: this.pricing.roundCost(totals.ephemeralStorage),
+      provisionedConcurrency: this.pricing.roundCost(totals.provisionedConcurrency),
+      computePercent: total > 0 ? Math.round((totals.compute / total) * 100) : 0,
+      requestsPercent: total > 0 ? Math.round((totals.requests / total) * 100) : 0,
+      invocations: totals.invocations,
+      totalDuration: Math.round(totals.totalDuration),
+      avgDuration: totals.invocations > 0 ? Math.round(totals.totalDuration / totals.invocations) : 0,
+      optimizations: optimizations.slice(0, topN),
+      dailyAverage: this.pricing.roundCost(total / days),
+      trend: this.describeCostTrend(this.calculateTrend(dailyList.map(day => day.cost))),
+      peakDay: peak.date,
+      peakCost: peak.cost,
+      functionCount: functions.length,
+      topSpenders,
+      costByRuntime: this.groupCostShare(functionCosts, item => item.func.Runtime || item.func.PackageType || 'unknown', grossTotal),
+      costByArchitecture: this.groupCostShare(functionCosts, item => item.cost.architecture, grossTotal),
+      dailyTotals: dailyList,
+      freeTierCredit: this.pricing.roundCost(credit.requests + credit.compute),
+      region: regionPricing.region,
+      regionEstimated: regionPricing.estimated,
+      priceVersion: this.pricing.version,
+      errors: failures
+    };
+  }
+
+  groupCostShare(functionCosts, keyFn, grossTotal) {
+    const groups = new Map();
+    functionCosts.forEach(item => {
+      const key = keyFn(item);
+      const group = groups.get(key) || { name: key, functions: 0, cost: 0 };
+      group.functions++;
+      group.cost += item.cost.total;
+      groups.set(key, group);
+    });
+    
+    return [...groups.values()]
+      .sort((a, b) => b.cost - a.cost)
+      .map(group => ({
+        ...group,
+        cost: this.pricing.roundCost(group.cost),
+        percent: grossTotal > 0 ? Math.round((group.cost / grossTotal) * 1000) / 10 : 0
+      }));
+  }
+
+  async listAllFunctions() {
+    const functions = [];
+    let marker;
+    
+    do {
+      const command = new ListFunctionsCommand({ Marker: marker });
+      const response = await this.lambdaClient.send(command);
+      functions.push(...(response.Functions || []));
+      marker = response.NextMarker;
+    } while (marker);
+    
+    return functions;
+  }
+
+  // Latest invocations first, timed by the REPORT line that ended them
+  getRecentActivity(reports, limit = 10) {
+    return reports.slice(-limit).reverse().map(report => ({
+      timestamp: new Date(report.timestamp).toISOString(),
+      event: this.logParser.isColdStart(report) ? 'Cold Start' : 'Invocation',
+      duration: report.duration
+    }));
   }
 
   async checkPerformanceAlerts(functionName, metrics) {
@@ -655,15 +1598,11 @@ export class LambdaAnalyzer {
       alerts.push('High error rate detected (>5%)');
     }
     
-    if (metrics.concurrentExecutions > 900) {
-      alerts.push('Approaching concurrency limit');
+    const concurrencyLimit = await this.getConcurrencyLimit(functionName);
+    if (concurrencyLimit > 0 && metrics.concurrentExecutions >= concurrencyLimit * 0.9) {
+      alerts.push(`Approaching concurrency limit (${metrics.concurrentExecutions} of ${concurrencyLimit})`);
     }
     
     return alerts;
   }
-
-  async getRecentColdStarts(functionName, startTime, endTime) {
-    // Placeholder implementation
-    return 3;
-  }
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { readFileSync } from 'fs';
+
+function loadPriceTable(path = new URL('./data/lambda-prices.json', import.meta.url)) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+// Tier boundaries and the free tier are monthly; usage over other ranges scales them by this
+export const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+export class LambdaPricing {
+  constructor(priceTable = loadPriceTable()) {
+    this.priceTable = priceTable;
+    this.version = priceTable.version;
+    this.defaultRegion = priceTable.defaultRegion;
+  }
+
+  // Regions the table has rates for; the rest are priced at the default region's rates
+  getPricedRegions() {
+    return Object.keys(this.priceTable.regions);
+  }
+
+  getRegionPricing(region) {
+    const requestedRegion = region || this.priceTable.defaultRegion;
+    const known = Boolean(this.priceTable.regions[requestedRegion]);
+    // Regions without their own rates are priced like the default region and flagged as estimated
+    const pricing = this.priceTable.regions[known ? requestedRegion : this.priceTable.defaultRegion];
+
+    return {
+      region: requestedRegion,
+      pricing,
+      estimated: !known
+    };
+  }
+
+  normalizeArchitecture(architecture) {
+    return architecture === 'arm64' ? 'arm64' : 'x86_64';
+  }
+
+  // Price GB-seconds against the tiered volume discounts, whose monthly boundaries are
+  // scaled to usage covering `months` months
+  calculateTieredCompute(gbSeconds, tiers, months = 1) {
+    let remaining = gbSeconds;
+    let previousLimit = 0;
+    let cost = 0;
+
+    for (const tier of tiers) {
+      if (remaining <= 0) break;
+      const limit = tier.upToGbSeconds === null ? null : tier.upToGbSeconds * months;
+      const tierSize = limit === null ? remaining : limit - previousLimit;
+      const billed = Math.min(remaining, tierSize);
+      cost += billed * tier.pricePerGbSecond;
+      remaining -= billed;
+      previousLimit = limit;
+    }
+
+    return cost;
+  }
+
+  // Estimate the bill for usage over `months` months (default: one billing period). Durations
+  // are per invocation in ms, provisionedSeconds is how long provisioned concurrency was enabled.
+  calculateCost(usage) {
+    const {
+      region,
+      architecture = 'x86_64',
+      memoryMB = 128,
+      ephemeralStorageMB = 512,
+      invocations = 0,
+      avgDurationMs = 0,
+      avgBilledDurationMs,
+      provisionedConcurrency = 0,
+      provisionedSeconds = 0,
+      applyFreeTier = false,
+      months = 1
+    } = usage;
+
+    const regionPricing = this.getRegionPricing(region);
+    const archName = this.normalizeArchitecture(architecture);
+    const archPricing = regionPricing.pricing.architectures[archName];
+    const memoryGB = memoryMB / 1024;
+
+    // Lambda bills duration rounded up to the nearest millisecond
+    const billedMs = avgBilledDurationMs !== undefined && avgBilledDurationMs !== null
+      ? avgBilledDurationMs
+      : Math.ceil(avgDurationMs);
+    const durationGbSeconds = invocations * (billedMs / 1000) * memoryGB;
+
+    // Duration served by provisioned environments is billed at the provisioned rate
+    const provisionedCapacityGbSeconds = provisionedConcurrency * provisionedSeconds * memoryGB;
+    const provisionedDurationGbSeconds = Math.min(durationGbSeconds, provisionedCapacityGbSeconds);
+    let onDemandGbSeconds = durationGbSeconds - provisionedDurationGbSeconds;
+
+    let billableRequests = invocations;
+    const freeTierApplied = { requests: 0, gbSeconds: 0 };
+    if (applyFreeTier) {
+      freeTierApplied.requests = Math.min(billableRequests, this.priceTable.freeTier.requests * months);
+      freeTierApplied.gbSeconds = Math.min(onDemandGbSeconds, this.priceTable.freeTier.gbSeconds * months);
+      billableRequests -= freeTierApplied.requests;
+      onDemandGbSeconds -= freeTierApplied.gbSeconds;
+    }
+
+    const requests = (billableRequests / 1000000) * regionPricing.pricing.requestPricePerMillion;
+    const compute = this.calculateTieredCompute(onDemandGbSeconds, archPricing.computeTiers, months);
+    const extraStorageGB = Math.max(0, ephemeralStorageMB - 512) / 1024;
+    const ephemeralStorage = invocations * (billedMs / 1000) * extraStorageGB *
+      regionPricing.pricing.ephemeralStoragePerGbSecond;
+    const provisioned = provisionedCapacityGbSeconds * archPricing.provisionedConcurrencyPerGbSecond +
+      provisionedDurationGbSeconds * archPricing.provisionedDurationPerGbSecond;
+
+    return {
+      requests,
+      compute,
+      ephemeralStorage,
+      provisionedConcurrency: provisioned,
+      total: requests + compute + ephemeralStorage + provisioned,
+      gbSeconds: durationGbSeconds,
+      freeTierApplied,
+      region: regionPricing.region,
+      regionEstimated: regionPricing.estimated,
+      architecture: archName,
+      priceVersion: this.version
+    };
+  }
+
+  // Value of the monthly free tier against aggregated account usage. The free GB-seconds are
+  // shared by both architectures, so each is credited at its own rate for its share of the usage.
+  calculateFreeTierCredit(region, requests, gbSecondsByArchitecture, months = 1) {
+    const { pricing } = this.getRegionPricing(region);
+    const usage = Object.entries(gbSecondsByArchitecture)
+      .map(([architecture, gbSeconds]) => ({ architecture: this.normalizeArchitecture(architecture), gbSeconds }));
+    const gbSeconds = usage.reduce((sum, item) => sum + item.gbSeconds, 0);
+    const freeRequests = Math.min(requests, this.priceTable.freeTier.requests * months);
+    const freeGbSeconds = Math.min(gbSeconds, this.priceTable.freeTier.gbSeconds * months);
+
+    return {
+      requests: (freeRequests / 1000000) * pricing.requestPricePerMillion,
+      compute: gbSeconds > 0
+        ? usage.reduce((sum, item) => sum + freeGbSeconds * (item.gbSeconds / gbSeconds) *
+            pricing.architectures[item.architecture].computeTiers[0].pricePerGbSecond, 0)
+        : 0
+    };
+  }
+
+  // Build a usage profile from a function configuration
+  usageFromConfig(config, usage = {}) {
+    return {
+      region: this.getRegionFromArn(config.FunctionArn),
+      architecture: (config.Architectures && config.Architectures[0]) || 'x86_64',
+      memoryMB: config.MemorySize,
+      ephemeralStorageMB: (config.EphemeralStorage && config.EphemeralStorage.Size) || 512,
+      ...usage
+    };
+  }
+
+  getRegionFromArn(arn) {
+    const parts = (arn || '').split(':');
+    return parts.length > 3 && parts[3] ? parts[3] : process.env.AWS_REGION;
+  }
+
+  roundCost(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,229 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import { basename, dirname, join, relative, sep } from 'path';
+import { gunzipSync } from 'zlib';
+
+// Serves FilterLogEvents from exported CloudWatch Logs files so analysis can run offline.
+// Accepts `aws logs filter-log-events` JSON, S3 export files (optionally gzipped) and plain-text dumps.
+// Events belong to the log group named in the JSON or by an aws/lambda/<function> directory;
+// an export without either is taken to be a single log group and serves every request.
+export class LocalLogsClient {
+  constructor(path) {
+    this.path = path;
+    this.events = null;
+    this.loading = null;
+    this.timestampPattern = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\s+(.*)$/;
+    this.platformLinePattern = /^(START|END|REPORT|INIT_START|INIT_REPORT|RESTORE_START|RESTORE_REPORT|EXTENSION|TELEMETRY)\b/;
+    this.logGroupPathPattern = /(?:^|\/)(aws\/lambda-insights|aws\/lambda\/[^/]+)(?:\/|$)/;
+  }
+
+  async send(command) {
+    const commandName = command.constructor.name;
+    if (commandName !== 'FilterLogEventsCommand') {
+      throw new Error(`Offline log source does not support ${commandName}`);
+    }
+
+    const { logGroupName, startTime, endTime, filterPattern, logStreamNames, limit } = command.input;
+    const events = await this.getEvents(logGroupName);
+    const matcher = this.compileFilterPattern(filterPattern);
+    const matching = events.filter(event =>
+      (startTime === undefined || event.timestamp >= startTime) &&
+      (endTime === undefined || event.timestamp <= endTime) &&
+      (!logStreamNames || logStreamNames.includes(event.logStreamName)) &&
+      matcher(event.message)
+    );
+
+    return {
+      events: limit ? matching.slice(0, limit) : matching
+    };
+  }
+
+  // Every event of the export, or only those of one log group; unattributed events belong to any group
+  async getEvents(logGroupName = null) {
+    if (!this.loading) {
+      this.loading = this.loadEvents().then(events => {
+        this.events = events;
+        return events;
+      });
+    }
+    const events = await this.loading;
+    return logGroupName
+      ? events.filter(event => !event.logGroupName || event.logGroupName === logGroupName)
+      : events;
+  }
+
+  // Latest event time, used as "now" so relative time ranges cover the export
+  async getLatestTimestamp() {
+    const events = await this.getEvents();
+    return events.length > 0 ? events[events.length - 1].timestamp : Date.now();
+  }
+
+  async loadEvents() {
+    const files = await this.listFiles(this.path);
+    if (files.length === 0) {
+      throw new Error(`No log files found at ${this.path}`);
+    }
+
+    const events = [];
+    const unattributed = [];
+    for (const file of files) {
+      const buffer = await readFile(file);
+      const content = file.endsWith('.gz') ? gunzipSync(buffer).toString('utf8') : buffer.toString('utf8');
+      const logGroupName = this.logGroupForFile(file);
+      const fileEvents = this.parseContent(content, file)
+        .map(event => ({ ...event, logGroupName: event.logGroupName || logGroupName }));
+      if (fileEvents.some(event => event.logGroupName === null)) unattributed.push(file);
+      events.push(...fileEvents);
+    }
+
+    // Logs of one function must not be read as another's, so a mix of attributed and
+    // unattributed files is rejected rather than served to every log group
+    if (unattributed.length > 0 && unattributed.length < files.length) {
+      throw new Error(
+        `Cannot tell which log group ${unattributed[0]} belongs to; put each log group's files ` +
+        'under a directory named after it (e.g. aws/lambda/<function name>) or export one log group per logSource'
+      );
+    }
+
+    return events
+      .map((event, index) => ({ ...event, eventId: event.eventId || String(index) }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async listFiles(path) {
+    const info = await stat(path);
+    if (info.isFile()) return [path];
+
+    const files = [];
+    for (const entry of (await readdir(path)).sort()) {
+      if (entry.startsWith('.')) continue;
+      files.push(...await this.listFiles(join(path, entry)));
+    }
+    return files;
+  }
+
+  parseContent(content, file) {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      const jsonEvents = this.parseJson(trimmed);
+      if (jsonEvents) return jsonEvents;
+    }
+    return this.parseText(content, this.streamNameForFile(file));
+  }
+
+  parseJson(content) {
+    const toEvent = item => ({
+      logGroupName: item.logGroupName || null,
+      logStreamName: item.logStreamName || 'unknown',
+      timestamp: typeof item.timestamp === 'number' ? item.timestamp : Date.parse(item.timestamp) || 0,
+      message: String(item.message || '').replace(/\n$/, ''),
+      eventId: item.eventId
+    });
+    const fromDocument = document => {
+      if (Array.isArray(document)) return document;
+      if (Array.isArray(document.events)) return document.events;
+      // Subscription filter payloads name their log group and stream once for all events
+      if (Array.isArray(document.logEvents)) {
+        return document.logEvents.map(event => ({ logGroupName: document.logGroup, logStreamName: document.logStream, ...event }));
+      }
+      return document.message !== undefined ? [document] : [];
+    };
+
+    try {
+      return fromDocument(JSON.parse(content)).map(toEvent);
+    } catch (error) {
+      // Several concatenated pages or JSON lines
+      try {
+        return content.split(/\r?\n/)
+          .filter(line => line.trim())
+          .flatMap(line => fromDocument(JSON.parse(line)))
+          .map(toEvent);
+      } catch (lineError) {
+        return null;
+      }
+    }
+  }
+
+  parseText(content, logStreamName) {
+    const events = [];
+    let lastTimestamp = 0;
+
+    content.split(/\r?\n/).forEach(line => {
+      if (!line.trim()) return;
+
+      const match = line.match(this.timestampPattern);
+      if (match) {
+        lastTimestamp = Date.parse(match[1].replace(' ', 'T')) || lastTimestamp;
+        events.push({ logStreamName, timestamp: lastTimestamp, message: match[2] });
+      } else if (this.platformLinePattern.test(line) || events.length === 0) {
+        events.push({ logStreamName, timestamp: lastTimestamp, message: line });
+      } else {
+        // Continuation of a multi-line message such as a stack trace
+        events[events.length - 1].message += `\n${line}`;
+      }
+    });
+
+    return events;
+  }
+
+  // Log group from a directory named after it, e.g. exports/aws/lambda/orders-api/<task id>/...
+  logGroupForFile(file) {
+    const path = relative(this.path, dirname(file)).split(sep).join('/');
+    const match = path.match(this.logGroupPathPattern);
+    return match ? `/${match[1]}` : null;
+  }
+
+  streamNameForFile(file) {
+    // S3 exports are laid out as <prefix>/<task id>/<log stream>/000000.gz
+    const name = basename(file).replace(/\.gz$/, '');
+    return /^\d+$/.test(name) ? basename(dirname(file)) : name;
+  }
+
+  // Subset of the CloudWatch Logs filter syntax: quoted or bare terms must all match,
+  // ?term matches if any optional term matches and -term excludes
+  compileFilterPattern(filterPattern) {
+    if (!filterPattern || !filterPattern.trim()) return () => true;
+    if (filterPattern.trim().startsWith('{')) return this.compileJsonFilter(filterPattern);
+
+    const terms = filterPattern.match(/[?-]?"[^"]*"|\S+/g) || [];
+    const required = [];
+    const optional = [];
+    const excluded = [];
+
+    terms.forEach(term => {
+      const prefix = term[0] === '?' || term[0] === '-' ? term[0] : '';
+      const value = term.slice(prefix.length).replace(/^"|"$/g, '');
+      if (prefix === '?') optional.push(value);
+      else if (prefix === '-') excluded.push(value);
+      else required.push(value);
+    });
+
+    return message =>
+      required.every(value => message.includes(value)) &&
+      (optional.length === 0 || optional.some(value => message.includes(value))) &&
+      !excluded.some(value => message.includes(value));
+  }
+
+  // JSON filters joined with &&, e.g. { $.function_name = "orders" && $.event_type = "performance" }
+  compileJsonFilter(filterPattern) {
+    const conditions = filterPattern.trim().replace(/^\{|\}$/g, '').split('&&').map(condition => {
+      const match = condition.trim().match(/^\$\.([\w.]+)\s*(=|!=)\s*(?:"([^"]*)"|(\S+))$/);
+      if (!match) {
+        throw new Error(`Unsupported filter pattern for offline logs: ${filterPattern}`);
+      }
+      return { path: match[1].split('.'), negate: match[2] === '!=', value: match[3] !== undefined ? match[3] : match[4] };
+    });
+
+    return message => {
+      let document;
+      try {
+        document = JSON.parse(message);
+      } catch (error) {
+        return false;
+      }
+      return conditions.every(({ path, negate, value }) => {
+        const actual = path.reduce((current, key) => (current == null ? undefined : current[key]), document);
+        return (actual !== undefined && String(actual) === value) !== negate;
+      });
+    };
+  }
+}
\ No newline at end of file
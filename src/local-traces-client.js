@@ -0,0 +1,154 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import { join } from 'path';
+
+// Segment documents arrive as JSON strings from the API and as objects in some exports
+export function parseSegmentDocument(document) {
+  if (document && typeof document === 'object') return document;
+  try {
+    return JSON.parse(document);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Serves GetTraceSummaries and BatchGetTraces from exported X-Ray traces so trace analysis can run offline.
+// Accepts `aws xray batch-get-traces` output, single traces downloaded from the console and raw segment documents.
+export class LocalTracesClient {
+  constructor(path) {
+    this.path = path;
+    this.traces = null;
+    this.loading = null;
+  }
+
+  async send(command) {
+    const commandName = command.constructor.name;
+    const traces = await this.getTraces();
+
+    if (commandName === 'GetTraceSummariesCommand') {
+      const { StartTime, EndTime, FilterExpression } = command.input;
+      const functionName = this.functionNameFromFilter(FilterExpression);
+      return {
+        TraceSummaries: traces
+          .filter(trace =>
+            (!StartTime || trace.startTime >= new Date(StartTime).getTime()) &&
+            (!EndTime || trace.startTime <= new Date(EndTime).getTime()) &&
+            (!functionName || this.hasFunctionSegment(trace, functionName))
+          )
+          .map(trace => ({ Id: trace.Id, Duration: trace.Duration }))
+      };
+    }
+
+    if (commandName === 'BatchGetTracesCommand') {
+      const traceIds = command.input.TraceIds || [];
+      const found = traces.filter(trace => traceIds.includes(trace.Id));
+      return {
+        Traces: found.map(({ Id, Duration, Segments }) => ({ Id, Duration, Segments })),
+        UnprocessedTraceIds: traceIds.filter(id => !found.some(trace => trace.Id === id))
+      };
+    }
+
+    throw new Error(`Offline trace source does not support ${commandName}`);
+  }
+
+  async getTraces() {
+    if (!this.loading) {
+      this.loading = this.loadTraces().then(traces => {
+        this.traces = traces;
+        return traces;
+      });
+    }
+    return this.loading;
+  }
+
+  // Start of the latest trace, used as "now" so relative time ranges cover the export
+  async getLatestTimestamp() {
+    const traces = await this.getTraces();
+    return traces.length > 0 ? traces[traces.length - 1].startTime : Date.now();
+  }
+
+  async loadTraces() {
+    const files = await this.listFiles(this.path);
+    if (files.length === 0) {
+      throw new Error(`No trace files found at ${this.path}`);
+    }
+
+    const traces = new Map();
+    const looseSegments = [];
+    for (const file of files) {
+      for (const item of this.parseContent(await readFile(file, 'utf8'))) {
+        if (Array.isArray(item.Segments)) {
+          traces.set(item.Id, { Id: item.Id, Duration: item.Duration, Segments: item.Segments });
+        } else if (item.trace_id) {
+          looseSegments.push(item);
+        }
+      }
+    }
+
+    // Raw segment documents are grouped into traces by trace id
+    looseSegments.forEach(document => {
+      if (!traces.has(document.trace_id)) {
+        traces.set(document.trace_id, { Id: document.trace_id, Segments: [] });
+      }
+      traces.get(document.trace_id).Segments.push({ Id: document.id, Document: JSON.stringify(document) });
+    });
+
+    return [...traces.values()]
+      .map(trace => ({ ...trace, ...this.getTraceTiming(trace) }))
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  async listFiles(path) {
+    const info = await stat(path);
+    if (info.isFile()) return [path];
+
+    const files = [];
+    for (const entry of (await readdir(path)).sort()) {
+      if (entry.startsWith('.')) continue;
+      files.push(...await this.listFiles(join(path, entry)));
+    }
+    return files;
+  }
+
+  parseContent(content) {
+    const fromDocument = document => {
+      if (Array.isArray(document)) return document.flatMap(fromDocument);
+      if (Array.isArray(document.Traces)) return document.Traces;
+      return [document];
+    };
+
+    try {
+      return fromDocument(JSON.parse(content));
+    } catch (error) {
+      // Several concatenated pages or JSON lines
+      return content.split(/\r?\n/)
+        .filter(line => line.trim())
+        .flatMap(line => fromDocument(JSON.parse(line)));
+    }
+  }
+
+  getTraceTiming(trace) {
+    const documents = trace.Segments.map(segment => parseSegmentDocument(segment.Document)).filter(Boolean);
+    const starts = documents.map(document => document.start_time).filter(value => typeof value === 'number');
+    const ends = documents.map(document => document.end_time).filter(value => typeof value === 'number');
+    const startTime = starts.length > 0 ? Math.min(...starts) : 0;
+    const endTime = ends.length > 0 ? Math.max(...ends) : startTime;
+
+    return {
+      startTime: Math.round(startTime * 1000),
+      Duration: trace.Duration !== undefined ? trace.Duration : endTime - startTime
+    };
+  }
+
+  hasFunctionSegment(trace, functionName) {
+    return trace.Segments.some(segment => {
+      const document = parseSegmentDocument(segment.Document);
+      return document && document.name === functionName && /^AWS::Lambda/.test(document.origin || '');
+    });
+  }
+
+  // Only the service(id(name: "...")) form written by TraceAnalyzer is understood
+  functionNameFromFilter(filterExpression) {
+    const match = (filterExpression || '').match(/name:\s*"([^"]+)"/);
+    return match ? match[1] : null;
+  }
+}
\ No newline at end of file
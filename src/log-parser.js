@@ -0,0 +1,48 @@
+export class LogParser {
+  constructor() {
+    this.patterns = {
+      report: /REPORT RequestId: ([\w-]+)/,
+      duration: /RequestId: [\w-]+\s+Duration: ([\d.]+) ms/,
+      billedDuration: /Billed Duration: ([\d.]+) ms/,
+      memorySize: /Memory Size: (\d+) MB/,
+      maxMemoryUsed: /Max Memory Used: (\d+) MB/,
+      initDuration: /Init Duration: ([\d.]+) ms/,
+      restoreDuration: /Restore Duration: ([\d.]+) ms/,
+      billedRestoreDuration: /Billed Restore Duration: ([\d.]+) ms/
+    };
+  }
+
+  // Parse a Lambda platform REPORT line into a per-invocation record
+  parseReport(event) {
+    const message = event.message || '';
+    const reportMatch = message.match(this.patterns.report);
+    if (!reportMatch) return null;
+
+    const duration = this.matchNumber(message, this.patterns.duration);
+    const maxMemoryUsed = this.matchNumber(message, this.patterns.maxMemoryUsed);
+    if (duration === null || maxMemoryUsed === null) return null;
+
+    return {
+      requestId: reportMatch[1],
+      timestamp: event.timestamp,
+      logStream: event.logStreamName,
+      duration,
+      billedDuration: this.matchNumber(message, this.patterns.billedDuration),
+      memorySize: this.matchNumber(message, this.patterns.memorySize),
+      maxMemoryUsed,
+      initDuration: this.matchNumber(message, this.patterns.initDuration),
+      restoreDuration: this.matchNumber(message, this.patterns.restoreDuration),
+      billedRestoreDuration: this.matchNumber(message, this.patterns.billedRestoreDuration)
+    };
+  }
+
+  // A cold start either ran initialization (Init Duration) or restored a SnapStart snapshot (Restore Duration)
+  isColdStart(report) {
+    return report.initDuration !== null || report.restoreDuration !== null;
+  }
+
+  matchNumber(message, pattern) {
+    const match = message.match(pattern);
+    return match ? parseFloat(match[1]) : null;
+  }
+}
\ No newline at end of file
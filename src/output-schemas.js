@@ -0,0 +1,719 @@
+// JSON Schemas for the structured content returned by each MCP tool
+
+const number = { type: 'number' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+const stringList = { type: 'array', items: string };
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required
+});
+
+const list = items => ({ type: 'array', items });
+
+const deploymentSample = object({
+  samples: number,
+  invocations: number,
+  errors: number,
+  errorRate: nullableNumber,
+  p50Duration: nullableNumber,
+  p95Duration: nullableNumber,
+  p99Duration: nullableNumber,
+  coldStarts: number,
+  avgInitDuration: nullableNumber,
+  avgMaxMemoryUsed: nullableNumber,
+  memorySize: nullableNumber
+});
+
+const startupDurations = object({
+  count: number,
+  avgDuration: number,
+  percentiles: object({ p50: number, p90: number, p95: number, p99: number })
+});
+
+const timings = object({
+  functions: number,
+  concurrency: number,
+  metricRequests: number,
+  metricsMs: number,
+  functionsMs: number,
+  totalMs: number
+});
+
+const evidence = object({
+  metric: string,
+  observed: { type: ['number', 'string', 'boolean', 'null'] },
+  threshold: { type: ['number', 'string', 'null'] },
+  comparison: nullableString,
+  unit: string
+}, ['metric', 'observed']);
+
+const costBreakdown = {
+  total: number,
+  compute: number,
+  requests: number,
+  ephemeralStorage: number,
+  provisionedConcurrency: number,
+  computePercent: number,
+  requestsPercent: number,
+  invocations: number,
+  totalDuration: number,
+  avgDuration: number,
+  optimizations: list(object({ type: string, description: string, savings: number })),
+  dailyAverage: number,
+  trend: string,
+  peakDay: nullableString,
+  peakCost: number,
+  region: nullableString,
+  regionEstimated: boolean,
+  priceVersion: string
+};
+
+const phase = object({ count: number, avg: number, p95: number });
+
+const provisionedConcurrencyPoint = object({
+  level: number,
+  schedule: { type: 'string', enum: ['all-day', 'peak-hours'] },
+  hours: list(number),
+  remainingColdStarts: number,
+  coldStartReduction: number,
+  avgAddedLatencyMs: number,
+  coldStartWaitSeconds: number,
+  monthlyCost: number,
+  addedMonthlyCost: number,
+  costPerAvoidedColdStart: { type: ['number', 'null'] }
+});
+
+const costShare = list(object({ name: string, functions: number, cost: number, percent: number }));
+
+export const OUTPUT_SCHEMAS = {
+  analyze_lambda_performance: object({
+    functionName: string,
+    qualifier: nullableString,
+    timeRange: string,
+    totalInvocations: number,
+    avgDuration: number,
+    trimmedMeanDuration: number,
+    p50Duration: number,
+    p90Duration: number,
+    p95Duration: number,
+    p99Duration: number,
+    p999Duration: number,
+    maxDuration: number,
+    errorRate: number,
+    coldStartRate: number,
+    memoryUtilization: number,
+    memorySamples: number,
+    coldStarts: object({ total: number, avgDuration: number, pattern: string }),
+    config: { type: 'object', description: 'Lambda function configuration as returned by GetFunction' },
+    routing: list(object({
+      version: string,
+      weight: number,
+      trafficShare: number,
+      invocations: number,
+      avgDuration: number,
+      p95Duration: number,
+      errorRate: number,
+      coldStarts: number,
+      coldStartRate: number,
+      memoryUtilization: number
+    })),
+    details: object({
+      errors: list(object({
+        type: string,
+        signature: string,
+        location: nullableString,
+        count: number,
+        firstSeen: string,
+        lastSeen: string,
+        sampleRequestIds: stringList,
+        coldStarts: number,
+        coldStartPercent: number,
+        coldStartLift: nullableNumber
+      })),
+      trends: stringList,
+      memoryUsage: object({ peak: number, average: number, minimum: number, samples: number })
+    })
+  }, ['functionName', 'timeRange', 'totalInvocations', 'avgDuration', 'errorRate', 'coldStartRate', 'coldStarts']),
+
+  track_cold_starts: object({
+    functionName: string,
+    timeRange: string,
+    total: number,
+    rate: number,
+    avgDuration: number,
+    maxDuration: number,
+    minDuration: number,
+    peakHours: stringList,
+    frequency: string,
+    triggers: stringList,
+    recommendations: stringList,
+    timeline: list(object({ time: string, coldStarts: number, duration: number })),
+    patterns: stringList,
+    statistics: object({
+      count: number,
+      percentiles: object({ p50: number, p90: number, p95: number, p99: number }),
+      distribution: { type: 'object', additionalProperties: number }
+    }),
+    invocations: number,
+    breakdown: object({
+      avgInitDuration: number,
+      avgRestoreDuration: number,
+      avgInvokeDuration: number,
+      avgBilledDuration: number,
+      avgTotalDuration: number
+    }),
+    snapStart: object({
+      restores: number,
+      initializations: number,
+      restore: startupDurations,
+      init: startupDurations,
+      restoreSavingsPercent: nullableNumber
+    }),
+    initPhase: object({
+      initializations: number,
+      runtimeVersions: list(object({ version: string, arn: nullableString, initializations: number, avgInitDuration: number })),
+      failures: object({
+        errors: number,
+        timeouts: number,
+        failureRate: number,
+        errorTypes: list(object({ type: string, count: number }))
+      }),
+      reinits: object({ count: number, avgDuration: number }),
+      extensions: list(object({ name: string, environments: number })),
+      breakdown: object({
+        samples: number,
+        attributed: number,
+        avgRuntime: number,
+        avgExtensions: number,
+        avgUserCode: number,
+        avgUnattributed: number,
+        runtimePercent: number,
+        extensionsPercent: number,
+        userCodePercent: number,
+        unattributedPercent: number
+      })
+    }),
+    preInitialized: number,
+    truncated: boolean
+  }),
+
+  get_optimization_recommendations: object({
+    functionName: string,
+    analysisType: string,
+    timeRange: string,
+    priority: list(object({
+      title: string,
+      impact: string,
+      description: string,
+      implementation: string,
+      expectedImprovement: string,
+      evidence: list(evidence)
+    }, ['title', 'impact', 'description'])),
+    additional: stringList,
+    config: object({ memory: number, timeout: number, runtime: string, architecture: string }),
+    cost: object({
+      current: number,
+      optimized: number,
+      savings: number,
+      savingsPercent: number,
+      region: nullableString,
+      priceVersion: string
+    }, ['current', 'optimized', 'savings', 'savingsPercent']),
+    dataSources: object({
+      reportSamples: number,
+      coldStartEvents: number,
+      metricInvocations: number,
+      insightsSamples: number,
+      traceSamples: number
+    })
+  }),
+
+  compare_lambda_performance: object({
+    timeRange: string,
+    metrics: stringList,
+    functions: list(object({ name: string, values: { type: 'object', additionalProperties: number } })),
+    insights: stringList,
+    recommendations: stringList,
+    errors: list(object({ functionNames: stringList, message: string })),
+    timings
+  }),
+
+  list_lambda_functions: object({
+    functions: list(object({
+      name: string,
+      region: string,
+      runtime: nullableString,
+      architecture: string,
+      packageType: nullableString,
+      memory: number,
+      timeout: number,
+      codeSize: number,
+      lastModified: nullableString,
+      metrics: {
+        anyOf: [object({ invocations: number, avgDuration: number, coldStartRate: number, errorRate: number }), { type: 'null' }]
+      }
+    }, ['name', 'region'])),
+    regions: stringList,
+    errors: list(object({ region: string, message: string })),
+    timings
+  }, ['functions', 'regions', 'errors']),
+
+  analyze_memory_utilization: object({
+    functionName: string,
+    timeRange: string,
+    allocated: number,
+    avgUsed: number,
+    peakUsed: number,
+    minUsed: number,
+    p95Used: number,
+    utilizationPercent: number,
+    sampleCount: number,
+    coldStartSamples: number,
+    truncated: boolean,
+    recommended: number,
+    reasoning: string,
+    performanceImpact: string,
+    costImpact: string,
+    patterns: stringList
+  }),
+
+  get_cost_analysis: object({
+    functionName: nullableString,
+    timeRange: string,
+    scope: { type: 'string', enum: ['function', 'account'] },
+    ...costBreakdown,
+    architecture: string,
+    functionCount: number,
+    topSpenders: list(object({
+      name: string,
+      runtime: nullableString,
+      architecture: string,
+      memory: number,
+      invocations: number,
+      cost: number,
+      share: number
+    })),
+    costByRuntime: costShare,
+    costByArchitecture: costShare,
+    dailyTotals: list(object({ date: string, cost: number })),
+    freeTierCredit: number,
+    errors: list(object({ functionNames: stringList, message: string }))
+  }, ['functionName', 'timeRange', 'scope', 'total', 'compute', 'requests', 'invocations', 'optimizations', 'priceVersion']),
+
+  analyze_lambda_insights: object({
+    functionName: string,
+    timeRange: string,
+    insightsEnabled: boolean,
+    sampleCount: number,
+    truncated: boolean,
+    avgDuration: number,
+    cpu: object({
+      avgTotalMs: number,
+      avgUserMs: number,
+      avgSystemMs: number,
+      avgUtilizationPercent: { type: ['number', 'null'] },
+      p95UtilizationPercent: { type: ['number', 'null'] },
+      vcpus: number,
+      profile: { type: 'string', enum: ['CPU-bound', 'IO-bound', 'Mixed', 'Unknown'] }
+    }),
+    memory: object({ allocated: number, avgUsed: number, peakUsed: number, headroomMB: number, headroomPercent: number }),
+    network: object({ totalRxBytes: number, totalTxBytes: number, avgRxBytes: number, avgTxBytes: number }),
+    init: object({
+      coldStarts: number,
+      avgInitDuration: number,
+      maxInitDuration: number,
+      initGbSeconds: number,
+      estimatedCost: number
+    }),
+    recommendations: stringList
+  }),
+
+  analyze_xray_traces: object({
+    functionName: string,
+    timeRange: string,
+    tracesFound: boolean,
+    traceCount: number,
+    coldStarts: number,
+    truncated: boolean,
+    duration: object({ avg: number, p50: number, p95: number, max: number }),
+    phases: object({
+      initialization: phase,
+      invocation: phase,
+      overhead: phase
+    }),
+    downstream: object({ avgCallsPerInvocation: number, avgTime: number, avgSelfTime: number, selfTimePercent: number }),
+    dependencies: list(object({
+      name: string,
+      type: { type: 'string', enum: ['aws', 'http', 'sql'] },
+      calls: number,
+      callsPerInvocation: number,
+      avgDuration: number,
+      p95Duration: number,
+      errors: number,
+      durationShare: number,
+      p95Share: number
+    })),
+    dominantDependency: nullableString,
+    recommendations: stringList
+  }),
+
+  simulate_provisioned_concurrency: object({
+    functionName: string,
+    timeRange: string,
+    period: number,
+    memory: number,
+    architecture: string,
+    currentProvisionedConcurrency: number,
+    observed: object({
+      invocations: number,
+      coldStarts: number,
+      peakConcurrency: number,
+      avgInitDuration: number,
+      peakHours: stringList,
+      monthlyCost: number,
+      truncated: boolean
+    }),
+    targetReduction: number,
+    curve: list(provisionedConcurrencyPoint),
+    recommended: { anyOf: [provisionedConcurrencyPoint, { type: 'null' }] },
+    schedule: list(object({ start: string, end: string, provisionedConcurrency: number })),
+    timezone: string,
+    recommendations: stringList
+  }),
+
+  tune_lambda_memory: object({
+    functionName: string,
+    source: { type: 'string', enum: ['lambda', 'endpoint'] },
+    originalMemory: nullableNumber,
+    restored: boolean,
+    restoreError: nullableString,
+    invocationsPerSize: number,
+    balancedWeight: number,
+    architecture: string,
+    priceVersion: string,
+    sizes: list(object({
+      memorySize: number,
+      invocations: number,
+      errors: number,
+      cold: { anyOf: [object({ duration: number, initDuration: nullableNumber }), { type: 'null' }] },
+      warm: object({ count: number, avgDuration: number, minDuration: number, maxDuration: number, avgBilledDuration: number }),
+      maxMemoryUsed: nullableNumber,
+      costPerInvocation: nullableNumber,
+      costPerMillion: nullableNumber
+    })),
+    optimal: object({ cost: nullableNumber, speed: nullableNumber, balanced: nullableNumber }),
+    recommendations: stringList
+  }),
+
+  detect_performance_anomalies: object({
+    functionName: string,
+    timeRange: string,
+    baselineDays: number,
+    threshold: number,
+    period: number,
+    detectionWindow: object({ start: string, end: string }),
+    dataPoints: object({ baselineHours: number, detectionHours: number }),
+    coldStartsTruncated: boolean,
+    metrics: list(object({
+      metric: string,
+      unit: string,
+      anomalousHours: number,
+      maxScore: number,
+      latestValue: nullableNumber,
+      latestBaseline: nullableNumber
+    })),
+    anomalies: list(object({
+      metric: string,
+      label: string,
+      unit: string,
+      start: string,
+      end: string,
+      hours: number,
+      peakValue: number,
+      baselineValue: number,
+      magnitude: nullableNumber,
+      score: number,
+      season: string
+    })),
+    incidents: list(object({
+      start: string,
+      end: string,
+      metrics: stringList,
+      firstMover: string,
+      simultaneous: stringList,
+      explanation: string
+    })),
+    summary: stringList
+  }),
+
+  detect_deployment_regressions: object({
+    functionName: string,
+    timeRange: string,
+    source: { type: 'string', enum: ['cloudwatch', 'logs'] },
+    versions: list(object({
+      version: string,
+      publishedAt: nullableString,
+      codeSha256: nullableString,
+      description: nullableString,
+      invocations: number,
+      errors: nullableNumber,
+      firstInvoked: nullableString,
+      lastInvoked: nullableString
+    })),
+    aliases: list(object({
+      name: string,
+      version: string,
+      additionalVersions: list(object({ version: string, weight: number }))
+    })),
+    deployments: list(object({
+      version: string,
+      previousVersion: nullableString,
+      kind: { type: 'string', enum: ['version', 'update'] },
+      deployedAt: string,
+      window: object({ start: string, end: string }),
+      before: { anyOf: [deploymentSample, { type: 'null' }] },
+      after: { anyOf: [deploymentSample, { type: 'null' }] },
+      changes: list(object({
+        metric: string,
+        before: nullableNumber,
+        after: nullableNumber,
+        changePercent: nullableNumber,
+        pValue: nullableNumber,
+        confidence: { type: 'string', enum: ['high', 'medium', 'low', 'none', 'insufficient'] },
+        regression: boolean
+      })),
+      regression: boolean,
+      confidence: nullableString,
+      truncated: boolean,
+      note: string
+    }, ['version', 'previousVersion', 'kind', 'deployedAt', 'window', 'before', 'after', 'changes', 'regression', 'confidence', 'truncated'])),
+    regressions: list(object({
+      version: string,
+      previousVersion: string,
+      deployedAt: string,
+      metric: string,
+      before: nullableNumber,
+      after: nullableNumber,
+      changePercent: nullableNumber,
+      confidence: string
+    })),
+    recommendations: stringList
+  }),
+
+  analyze_timeout_risk: object({
+    functionName: string,
+    qualifier: nullableString,
+    timeRange: string,
+    timeoutSeconds: number,
+    timeoutKnown: boolean,
+    durations: object({ samples: number, p50: number, p95: number, p99: number, p999: number, max: number }),
+    p99UtilizationPercent: number,
+    thresholds: list(object({ percent: number, thresholdMs: number, invocations: number, sharePercent: number })),
+    timeouts: object({ count: number, lastSeen: nullableString, sampleRequestIds: stringList, truncated: boolean }),
+    upstreamLimits: list(object({
+      source: string,
+      kind: string,
+      limitSeconds: number,
+      hardLimitSeconds: number,
+      detail: string
+    })),
+    risk: { type: 'string', enum: ['high', 'medium', 'low'] },
+    recommendedTimeoutSeconds: number,
+    reasoning: stringList,
+    recommendations: stringList
+  }),
+
+  analyze_concurrency: object({
+    timeRange: string,
+    periodSeconds: number,
+    qualifier: nullableString,
+    account: object({
+      limit: number,
+      unreservedLimit: number,
+      reserved: number,
+      peakConcurrency: number,
+      peakUnreservedConcurrency: number,
+      headroom: number,
+      unreservedHeadroom: number,
+      utilizationPercent: number,
+      throttles: number,
+      pressurePeriods: number
+    }),
+    functions: list(object({
+      functionName: string,
+      reservedConcurrency: nullableNumber,
+      limit: number,
+      limitSource: { type: 'string', enum: ['reserved', 'unreserved pool'] },
+      peakConcurrency: number,
+      p95Concurrency: number,
+      headroom: number,
+      utilizationPercent: nullableNumber,
+      invocations: number,
+      throttles: number,
+      throttleRate: number
+    })),
+    throttleEpisodes: object({
+      total: number,
+      episodes: list(object({
+        functionName: string,
+        start: string,
+        end: string,
+        periods: number,
+        throttles: number,
+        peakConcurrency: number,
+        peakUnreservedConcurrency: number,
+        limit: number,
+        cause: { type: 'string', enum: ['reserved concurrency', 'account concurrency', 'scaling'] }
+      }))
+    }),
+    starving: list(object({
+      functionName: string,
+      pressurePeriods: number,
+      avgSharePercent: number,
+      peakConcurrency: number,
+      p95Concurrency: number,
+      othersPeakConcurrency: number,
+      throttledFunctions: stringList
+    })),
+    allocation: object({
+      changes: list(object({
+        functionName: string,
+        currentReserved: nullableNumber,
+        recommendedReserved: number,
+        peakConcurrency: number,
+        reason: string
+      })),
+      reservedBefore: number,
+      reservedAfter: number,
+      unreservedAfter: number,
+      feasible: boolean
+    }),
+    recommendations: stringList
+  }),
+
+  analyze_event_sources: object({
+    functionName: string,
+    qualifier: nullableString,
+    timeRange: string,
+    function: object({
+      timeoutSeconds: nullableNumber,
+      invocations: number,
+      avgDuration: number,
+      p95Duration: number,
+      p99Duration: number,
+      errorRate: number,
+      concurrencyLimit: nullableNumber
+    }),
+    mappings: list(object({
+      uuid: string,
+      type: { type: 'string', enum: ['sqs', 'kinesis', 'dynamodb', 'other'] },
+      source: string,
+      sourceArn: nullableString,
+      state: string,
+      settings: object({
+        batchSize: nullableNumber,
+        batchingWindowSeconds: number,
+        maximumConcurrency: nullableNumber,
+        parallelizationFactor: nullableNumber,
+        reportBatchItemFailures: boolean,
+        bisectBatchOnError: { type: ['boolean', 'null'] },
+        maximumRetryAttempts: nullableNumber,
+        maximumRecordAgeSeconds: nullableNumber,
+        onFailureDestination: nullableString,
+        startingPosition: nullableString,
+        filtered: boolean
+      }),
+      metrics: object({
+        iteratorAgeMaxMs: nullableNumber,
+        iteratorAgeAvgMs: nullableNumber,
+        backlogMax: nullableNumber,
+        backlogAvg: nullableNumber,
+        oldestMessageAgeMaxSeconds: nullableNumber,
+        arrivalRatePerSecond: nullableNumber,
+        avgBatchSize: nullableNumber,
+        capacityPerSecond: nullableNumber
+      }),
+      queue: {
+        anyOf: [
+          object({
+            visibilityTimeoutSeconds: number,
+            retentionSeconds: nullableNumber,
+            fifo: boolean,
+            deadLetterQueue: nullableString,
+            maxReceiveCount: nullableNumber
+          }),
+          { type: 'null' }
+        ]
+      },
+      metricsError: nullableString,
+      findings: list(object({
+        severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+        issue: string,
+        recommendation: string
+      })),
+      health: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy'] }
+    })),
+    recommendations: stringList
+  }),
+
+  analyze_async_invocations: object({
+    functionName: string,
+    qualifier: nullableString,
+    timeRange: string,
+    periodSeconds: number,
+    config: object({
+      configured: boolean,
+      maximumRetryAttempts: number,
+      maximumEventAgeSeconds: number,
+      onFailureDestination: nullableString,
+      onSuccessDestination: nullableString,
+      deadLetterQueue: nullableString,
+      timeoutSeconds: nullableNumber
+    }),
+    events: object({
+      received: number,
+      dropped: number,
+      dropRate: number,
+      deadLetterErrors: number,
+      destinationDeliveryFailures: number,
+      errors: number,
+      throttles: number,
+      maxEventAgeMs: number,
+      avgEventAgeMs: number
+    }),
+    backlog: object({
+      growing: boolean,
+      ageChangePercent: number,
+      latestEventAgeMs: number,
+      peakEventAgeMs: number,
+      peakAt: nullableString,
+      receivedChangePercent: number
+    }),
+    dropCauses: list(object({ cause: string, events: number, periods: number })),
+    findings: list(object({
+      severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+      issue: string,
+      recommendation: string
+    })),
+    health: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy'] },
+    recommendations: stringList
+  }),
+
+  monitor_real_time_performance: object({
+    functionName: string,
+    durationMinutes: number,
+    activeInvocations: number,
+    recentInvocations: number,
+    avgDuration: number,
+    errorRate: number,
+    coldStarts: number,
+    alerts: stringList,
+    recentActivity: list(object({ timestamp: string, event: string, duration: number })),
+    truncated: boolean
+  })
+};
\ No newline at end of file
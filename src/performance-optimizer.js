@@ -1,11 +1,30 @@
+import { LambdaAnalyzer } from './lambda-analyzer.js';
+import { ColdStartTracker } from './cold-start-tracker.js';
+import { InsightsAnalyzer } from './insights-analyzer.js';
+import { TraceAnalyzer } from './trace-analyzer.js';
+import { TimeoutAnalyzer } from './timeout-analyzer.js';
+import { parseTimeRange, calculatePercentile } from './analysis-helpers.js';
+
 export class PerformanceOptimizer {
-  constructor() {
+  constructor(
+    lambdaAnalyzer = new LambdaAnalyzer(),
+    coldStartTracker = new ColdStartTracker({ dataSource: lambdaAnalyzer.dataSource }),
+    insightsAnalyzer = new InsightsAnalyzer({ dataSource: lambdaAnalyzer.dataSource }),
+    traceAnalyzer = new TraceAnalyzer({ dataSource: lambdaAnalyzer.dataSource })
+  ) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.coldStartTracker = coldStartTracker;
+    this.insightsAnalyzer = insightsAnalyzer;
+    this.traceAnalyzer = traceAnalyzer;
+    this.timeoutAnalyzer = new TimeoutAnalyzer(lambdaAnalyzer);
+    this.dataSource = lambdaAnalyzer.dataSource;
+    this.pricing = lambdaAnalyzer.pricing;
     this.optimizationRules = this.initializeOptimizationRules();
   }
 
-  async getRecommendations(functionName, analysisType) {
+  async getRecommendations(functionName, analysisType, timeRange = '24h') {
     // Get function analysis data
-    const analysis = await this.analyzeFunction(functionName);
+    const analysis = await this.analyzeFunction(functionName, timeRange);
     
     // Generate recommendations based on analysis type
     const recommendations = {
@@ -37,6 +56,7 @@ export class PerformanceOptimizer {
     recommendations.additional = await this.getAdditionalOptimizations(analysis);
     recommendations.config = await this.getConfigurationRecommendations(analysis);
     recommendations.cost = await this.getCostImpactAnalysis(analysis, recommendations);
+    recommendations.dataSources = analysis.dataSources;
 
     return recommendations;
   }
@@ -44,47 +64,99 @@ export class PerformanceOptimizer {
   async getColdStartOptimizations(analysis) {
     const optimizations = [];
 
+    const rules = this.optimizationRules.coldStart;
+
     // High cold start rate
-    if (analysis.coldStartRate > 20) {
+    if (analysis.coldStartRate > rules.highRate.threshold) {
       optimizations.push({
         title: 'Implement Provisioned Concurrency',
         impact: 'High',
         description: 'Configure provisioned concurrency to eliminate cold starts during peak hours',
-        implementation: 'Set up provisioned concurrency for 2-5 instances based on traffic patterns',
-        expectedImprovement: 'Reduce cold starts by 80-95%'
+        implementation: analysis.coldStartPeakHours.length > 0
+          ? `Size it with simulate_provisioned_concurrency and schedule it around the cold start peak hours (${analysis.coldStartPeakHours.join(', ')})`
+          : 'Size it with simulate_provisioned_concurrency against the observed concurrency',
+        expectedImprovement: 'Reduce cold starts by 80-95%',
+        evidence: [
+          this.createEvidence('coldStartRate', analysis.coldStartRate, rules.highRate, '>', '%'),
+          this.createEvidence('coldStarts', analysis.coldStarts, null, null, ' cold starts')
+        ]
       });
     }
 
     // Large deployment package
-    if (analysis.packageSize > 50 * 1024 * 1024) { // 50MB
+    if (analysis.packageSize > rules.packageSize.threshold) {
       optimizations.push({
         title: 'Optimize Deployment Package Size',
         impact: 'High',
         description: 'Reduce package size to improve cold start performance',
         implementation: 'Remove unused dependencies, use Lambda layers, optimize bundling',
-        expectedImprovement: 'Reduce cold start time by 30-50%'
+        expectedImprovement: 'Reduce cold start time by 30-50%',
+        evidence: [this.createEvidence('codeSize', analysis.packageSize, rules.packageSize, '>', ' bytes')]
       });
     }
 
     // Inefficient initialization
-    if (analysis.initDuration > 2000) {
+    if (analysis.initDuration > rules.initDuration.threshold) {
       optimizations.push({
         title: 'Optimize Initialization Code',
         impact: 'Medium',
         description: 'Move heavy initialization outside the handler function',
         implementation: 'Initialize connections, load configurations at module level',
-        expectedImprovement: 'Reduce cold start time by 20-40%'
+        expectedImprovement: 'Reduce cold start time by 20-40%',
+        evidence: [this.createEvidence('avgInitDuration', analysis.initDuration, rules.initDuration, '>', 'ms')]
+      });
+    }
+
+    // SnapStart restores a snapshot of the initialized environment instead of running init again
+    const snapStart = analysis.snapStart;
+    if (snapStart.supported && !snapStart.enabled && analysis.coldStartRate > rules.lowRate.threshold &&
+        analysis.initDuration > rules.snapStart.minInitDuration.threshold) {
+      const estimate = this.estimateSnapStartRestore(analysis);
+      optimizations.push({
+        title: 'Enable SnapStart',
+        impact: 'High',
+        description: 'Restore published versions from a snapshot taken after initialization instead of initializing on every cold start',
+        implementation: 'Set SnapStart to PublishedVersions, publish a version and invoke it through a version or alias; ' +
+          're-create unique state (random seeds, connections) in an afterRestore runtime hook' +
+          (snapStart.blockers.length > 0 ? `. Not compatible with: ${snapStart.blockers.join(', ')}` : ''),
+        expectedImprovement: `Cold starts from ${estimate.initP50}ms to about ${estimate.restoreP50}ms at p50 ` +
+          `(${estimate.initP99}ms to about ${estimate.restoreP99}ms at p99), a ${estimate.reductionPercent}% reduction`,
+        evidence: [
+          this.createEvidence('runtime', analysis.runtime, null, null, ''),
+          this.createEvidence('avgInitDuration', analysis.initDuration, rules.snapStart.minInitDuration, '>', 'ms'),
+          this.createEvidence('coldStartRate', analysis.coldStartRate, rules.lowRate, '>', '%')
+        ]
+      });
+    }
+
+    // SnapStart is on, but cold starts still initialize: traffic reaches $LATEST or an old version
+    if (snapStart.enabled && snapStart.restores > 0 && snapStart.initializations > snapStart.restores * rules.snapStart.initShare) {
+      optimizations.push({
+        title: 'Route Traffic to SnapStart Versions',
+        impact: 'Medium',
+        description: `${snapStart.initializations} cold starts ran full initialization (${Math.round(analysis.initDuration)}ms avg) next to ${snapStart.restores} restores (${snapStart.avgRestoreDuration}ms avg)`,
+        implementation: 'SnapStart only applies to published versions - point event sources and callers at an alias instead of $LATEST',
+        expectedImprovement: `Reduce those cold starts by about ${snapStart.restoreSavingsPercent || 0}%`,
+        evidence: [
+          this.createEvidence('initializations', snapStart.initializations, null, null, ' cold starts'),
+          this.createEvidence('restores', snapStart.restores, null, null, ' cold starts')
+        ]
       });
     }
 
-    // Runtime optimization
-    if (analysis.runtime.includes('java') || analysis.runtime.includes('dotnet')) {
+    // Runtime optimization - runtimes too old for SnapStart
+    const slowInitRuntime = rules.slowInitRuntimes.find(prefix => analysis.runtime.startsWith(prefix));
+    if (slowInitRuntime && !snapStart.supported && analysis.coldStartRate > rules.lowRate.threshold) {
       optimizations.push({
         title: 'Consider Runtime Migration',
         impact: 'Medium',
-        description: 'Consider migrating to Node.js or Python for faster cold starts',
+        description: 'Upgrade to a runtime with SnapStart (Java 11+, .NET 8+) or consider migrating to Node.js or Python for faster cold starts',
         implementation: 'Evaluate business requirements and migration effort',
-        expectedImprovement: 'Reduce cold start time by 50-70%'
+        expectedImprovement: 'Reduce cold start time by 50-70%',
+        evidence: [
+          this.createEvidence('runtime', analysis.runtime, null, null, ''),
+          this.createEvidence('coldStartRate', analysis.coldStartRate, rules.lowRate, '>', '%')
+        ]
       });
     }
 
@@ -94,25 +166,63 @@ export class PerformanceOptimizer {
   async getMemoryOptimizations(analysis) {
     const optimizations = [];
 
+    const rules = this.optimizationRules.memory;
+
+    // CPU-bound per Lambda Insights: CPU is allocated in proportion to memory
+    if (analysis.cpuUtilization !== null && analysis.cpuUtilization >= rules.cpuBound.threshold &&
+        analysis.insightsSamples >= rules.minSamples && analysis.recommendedMemory > analysis.allocatedMemory &&
+        analysis.memoryUtilization <= rules.underProvisioned.threshold) {
+      const estimatedDuration = this.estimateDurationAtMemory(analysis, analysis.recommendedMemory);
+      const durationReduction = analysis.avgDuration > 0
+        ? Math.round((1 - estimatedDuration / analysis.avgDuration) * 100)
+        : 0;
+      optimizations.push({
+        title: 'Increase Memory for CPU-bound Workload',
+        impact: 'High',
+        description: 'CPU time makes up most of the duration, and Lambda allocates CPU in proportion to memory',
+        implementation: `Increase memory from ${analysis.allocatedMemory}MB to ${analysis.recommendedMemory}MB`,
+        expectedImprovement: `Reduce duration by about ${durationReduction}%`,
+        evidence: [
+          this.createEvidence('cpuUtilization', analysis.cpuUtilization, rules.cpuBound, '>=', '%'),
+          this.createEvidence('allocatedMemory', analysis.allocatedMemory, { threshold: rules.fullVcpuMemory }, '<', 'MB'),
+          this.createEvidence('insightsSamples', analysis.insightsSamples, { threshold: rules.minSamples }, '>=', '')
+        ]
+      });
+    }
+
+    // Not enough REPORT samples to size memory
+    if (analysis.memorySamples < rules.minSamples) {
+      return optimizations;
+    }
+
     // Over-provisioned memory
-    if (analysis.memoryUtilization < 50) {
+    if (analysis.memoryUtilization < rules.overProvisioned.threshold && analysis.recommendedMemory < analysis.allocatedMemory) {
       optimizations.push({
         title: 'Right-size Memory Allocation',
         impact: 'High',
         description: 'Reduce memory allocation to optimize costs without impacting performance',
         implementation: `Reduce memory from ${analysis.allocatedMemory}MB to ${analysis.recommendedMemory}MB`,
-        expectedImprovement: `Reduce costs by ${analysis.costSavingsPercent}%`
+        expectedImprovement: `Reduce costs by ${analysis.costSavingsPercent}%`,
+        evidence: [
+          this.createEvidence('memoryUtilization', analysis.memoryUtilization, rules.overProvisioned, '<', '%'),
+          this.createEvidence('peakMemoryUsed', analysis.peakMemoryUsed, null, null, 'MB'),
+          this.createEvidence('memorySamples', analysis.memorySamples, { threshold: rules.minSamples }, '>=', '')
+        ]
       });
     }
 
     // Under-provisioned memory
-    if (analysis.memoryUtilization > 90) {
+    if (analysis.memoryUtilization > rules.underProvisioned.threshold) {
       optimizations.push({
         title: 'Increase Memory Allocation',
         impact: 'High',
         description: 'Increase memory to improve performance and reduce duration',
         implementation: `Increase memory from ${analysis.allocatedMemory}MB to ${analysis.recommendedMemory}MB`,
-        expectedImprovement: 'Improve performance by 15-25%, reduce duration'
+        expectedImprovement: 'Improve performance by 15-25%, reduce duration',
+        evidence: [
+          this.createEvidence('memoryUtilization', analysis.memoryUtilization, rules.underProvisioned, '>', '%'),
+          this.createEvidence('peakMemoryUsed', analysis.peakMemoryUsed, null, null, 'MB')
+        ]
       });
     }
 
@@ -123,7 +233,8 @@ export class PerformanceOptimizer {
         impact: 'Medium',
         description: 'Memory usage is trending upward, indicating potential memory leaks',
         implementation: 'Review code for unclosed connections, event listeners, or cached objects',
-        expectedImprovement: 'Stabilize memory usage, prevent out-of-memory errors'
+        expectedImprovement: 'Stabilize memory usage, prevent out-of-memory errors',
+        evidence: [this.createEvidence('memoryTrend', analysis.memoryTrendRatio, rules.increasingTrend, '>', '')]
       });
     }
 
@@ -133,47 +244,67 @@ export class PerformanceOptimizer {
   async getDurationOptimizations(analysis) {
     const optimizations = [];
 
+    const rules = this.optimizationRules.duration;
+
     // High average duration
-    if (analysis.avgDuration > 5000) {
+    if (analysis.avgDuration > rules.high.threshold) {
       optimizations.push({
         title: 'Optimize Code Performance',
         impact: 'High',
         description: 'Function duration is high, indicating performance bottlenecks',
         implementation: 'Profile code, optimize algorithms, implement caching, use async operations',
-        expectedImprovement: 'Reduce duration by 20-50%'
+        expectedImprovement: 'Reduce duration by 20-50%',
+        evidence: [this.createEvidence('avgDuration', analysis.avgDuration, rules.high, '>', 'ms')]
       });
     }
 
-    // Database connection optimization
-    if (analysis.hasDatabase && !analysis.usesConnectionPooling) {
+    // The remaining rules need X-Ray traces to attribute time to downstream calls
+    if (analysis.traceSamples < rules.minTraces) {
+      return optimizations;
+    }
+
+    // A downstream dependency dominates the slowest invocations
+    const dependency = analysis.dominantDependency;
+    if (dependency) {
+      const advice = this.traceAnalyzer.getDependencyAdvice(dependency);
       optimizations.push({
-        title: 'Implement Connection Pooling',
+        title: dependency.type === 'sql' ? 'Implement Connection Pooling' : `Reduce ${dependency.name} Latency`,
         impact: 'High',
-        description: 'Use connection pooling to reduce database connection overhead',
-        implementation: 'Implement RDS Proxy or connection pooling library',
-        expectedImprovement: 'Reduce duration by 30-60%'
+        description: `${dependency.name} accounts for ${dependency.p95Share}% of the time spent by the slowest 5% of invocations`,
+        implementation: advice.charAt(0).toUpperCase() + advice.slice(1),
+        expectedImprovement: 'Reduce p95 duration by 20-50%',
+        evidence: [
+          this.createEvidence('p95Share', dependency.p95Share, rules.dependencyShare, '>=', '%'),
+          this.createEvidence('avgCallDuration', dependency.avgDuration, null, null, 'ms'),
+          this.createEvidence('traceSamples', analysis.traceSamples, { threshold: rules.minTraces }, '>=', '')
+        ]
       });
     }
 
     // API call optimization
-    if (analysis.externalApiCalls > 5) {
+    if (analysis.downstreamCallsPerInvocation > rules.downstreamCalls.threshold) {
       optimizations.push({
         title: 'Optimize External API Calls',
         impact: 'Medium',
-        description: 'Multiple external API calls are impacting performance',
+        description: 'Multiple downstream calls per invocation are impacting performance',
         implementation: 'Implement parallel processing, caching, or batch operations',
-        expectedImprovement: 'Reduce duration by 25-40%'
+        expectedImprovement: 'Reduce duration by 25-40%',
+        evidence: [this.createEvidence('downstreamCallsPerInvocation', analysis.downstreamCallsPerInvocation, rules.downstreamCalls, '>', '')]
       });
     }
 
     // Inefficient data processing
-    if (analysis.dataProcessingTime > analysis.avgDuration * 0.7) {
+    if (analysis.selfTimePercent > rules.selfTime.threshold) {
       optimizations.push({
         title: 'Optimize Data Processing',
         impact: 'Medium',
-        description: 'Data processing is consuming most of the execution time',
+        description: 'Function code, not downstream calls, is consuming most of the execution time',
         implementation: 'Use streaming, optimize data structures, implement pagination',
-        expectedImprovement: 'Reduce duration by 20-35%'
+        expectedImprovement: 'Reduce duration by 20-35%',
+        evidence: [
+          this.createEvidence('selfTimePercent', analysis.selfTimePercent, rules.selfTime, '>', '%'),
+          this.createEvidence('dataProcessingTime', analysis.dataProcessingTime, null, null, 'ms')
+        ]
       });
     }
 
@@ -183,14 +314,17 @@ export class PerformanceOptimizer {
   async getCostOptimizations(analysis) {
     const optimizations = [];
 
+    const rules = this.optimizationRules.cost;
+
     // High cost per invocation
-    if (analysis.costPerInvocation > 0.001) {
+    if (analysis.costPerInvocation > rules.highPerInvocation.threshold) {
       optimizations.push({
         title: 'Reduce Cost Per Invocation',
         impact: 'High',
         description: 'Function has high cost per invocation',
         implementation: 'Optimize memory allocation, reduce duration, consider ARM architecture',
-        expectedImprovement: `Reduce costs by $${analysis.potentialMonthlySavings}/month`
+        expectedImprovement: `Reduce costs by $${analysis.potentialMonthlySavings}/month`,
+        evidence: [this.createEvidence('costPerInvocation', analysis.costPerInvocation, rules.highPerInvocation, '>', ' USD')]
       });
     }
 
@@ -201,18 +335,24 @@ export class PerformanceOptimizer {
         impact: 'Medium',
         description: 'ARM-based Graviton2 processors offer better price-performance',
         implementation: 'Test function compatibility and migrate to arm64 architecture',
-        expectedImprovement: 'Reduce costs by 20% with similar or better performance'
+        expectedImprovement: 'Reduce costs by 20% with similar or better performance',
+        evidence: [
+          this.createEvidence('architecture', analysis.architecture, null, null, ''),
+          this.createEvidence('runtime', analysis.runtime, null, null, '')
+        ]
       });
     }
 
     // Unused provisioned concurrency
-    if (analysis.hasProvisionedConcurrency && analysis.provisionedUtilization < 50) {
+    if (analysis.hasProvisionedConcurrency && analysis.provisionedUtilization !== null &&
+        analysis.provisionedUtilization < rules.provisionedUtilization.threshold) {
       optimizations.push({
         title: 'Optimize Provisioned Concurrency',
         impact: 'High',
         description: 'Provisioned concurrency is under-utilized',
         implementation: 'Reduce provisioned concurrency or implement auto-scaling',
-        expectedImprovement: `Save $${analysis.provisionedConcurrencySavings}/month`
+        expectedImprovement: `Save $${analysis.provisionedConcurrencySavings}/month`,
+        evidence: [this.createEvidence('provisionedUtilization', analysis.provisionedUtilization, rules.provisionedUtilization, '<', '%')]
       });
     }
 
@@ -286,68 +426,213 @@ export class PerformanceOptimizer {
     // Calculate current monthly cost
     const currentMonthlyCost = this.calculateMonthlyCost(analysis);
     
-    // Estimate cost after optimizations
-    let optimizedCost = currentMonthlyCost;
+    // Re-price the function with the recommended configuration applied
+    const optimizedAnalysis = { ...analysis };
+    let provisionedSavings = 0;
     
-    // Apply cost reductions from recommendations
     recommendations.priority.forEach(rec => {
-      if (rec.title.includes('Right-size Memory')) {
-        optimizedCost *= 0.7; // 30% reduction
+      if (rec.title.includes('Right-size Memory') || rec.title.includes('Increase Memory')) {
+        optimizedAnalysis.allocatedMemory = analysis.recommendedMemory;
+        optimizedAnalysis.avgDuration = this.estimateDurationAtMemory(analysis, analysis.recommendedMemory);
       }
       if (rec.title.includes('ARM Architecture')) {
-        optimizedCost *= 0.8; // 20% reduction
+        optimizedAnalysis.architecture = 'arm64';
       }
-      if (rec.title.includes('Optimize Duration')) {
-        optimizedCost *= 0.85; // 15% reduction
+      if (rec.title.includes('Optimize Provisioned Concurrency')) {
+        provisionedSavings = analysis.provisionedConcurrencySavings;
       }
     });
+    
+    const optimizedCost = Math.max(0, this.calculateMonthlyCost(optimizedAnalysis) - provisionedSavings);
 
     const savings = currentMonthlyCost - optimizedCost;
-    const savingsPercent = Math.round((savings / currentMonthlyCost) * 100);
+    const savingsPercent = currentMonthlyCost > 0 ? Math.round((savings / currentMonthlyCost) * 100) : 0;
 
     return {
       current: Math.round(currentMonthlyCost * 100) / 100,
       optimized: Math.round(optimizedCost * 100) / 100,
       savings: Math.round(savings * 100) / 100,
-      savingsPercent
+      savingsPercent,
+      region: analysis.region,
+      priceVersion: this.pricing.version
     };
   }
 
   // Helper methods
-  async analyzeFunction(functionName) {
-    // This would integrate with the LambdaAnalyzer
-    // For now, return mock data
-    return {
+  async analyzeFunction(functionName, timeRange = '24h') {
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.lambdaAnalyzer.getEndTime();
+    const startTime = new Date(endTime.getTime() - timeRangeMs);
+
+    // Collect configuration, metrics, REPORT records and cold start data
+    const config = await this.lambdaAnalyzer.getFunctionConfig(functionName);
+    const metrics = await this.lambdaAnalyzer.getMetrics(functionName, startTime, endTime);
+    const reports = await this.lambdaAnalyzer.getReportRecords(functionName, startTime, endTime);
+    const coldStartData = await this.coldStartTracker.trackColdStarts(functionName, timeRange);
+    const provisionedConfigs = await this.lambdaAnalyzer.getProvisionedConcurrencyConfigs(functionName);
+    const insights = await this.insightsAnalyzer.getInsightsSummary(functionName, startTime, endTime);
+    const cpuUtilization = insights ? insights.cpu.avgUtilizationPercent : null;
+    const traces = await this.traceAnalyzer.getTraceSummary(functionName, startTime, endTime);
+
+    // Memory statistics from REPORT lines
+    const memoryUsage = reports.map(report => report.maxMemoryUsed);
+    const allocatedMemory = config.MemorySize;
+    const avgMemoryUsed = memoryUsage.reduce((sum, usage) => sum + usage, 0) / memoryUsage.length || 0;
+    const peakMemoryUsed = Math.max(...memoryUsage, 0);
+    const memoryUtilization = this.lambdaAnalyzer.calculateMemoryUtilization(reports);
+    const memoryRecommendation = this.lambdaAnalyzer.generateMemoryRecommendation(
+      allocatedMemory,
+      avgMemoryUsed,
+      peakMemoryUsed,
+      memoryUtilization,
+      memoryUsage
+    );
+    const memoryTrendRatio = this.lambdaAnalyzer.calculateTrend(memoryUsage);
+
+    // Duration statistics - prefer CloudWatch, fall back to REPORT lines
+    const durations = reports.map(report => report.duration);
+    const avgDuration = metrics.avgDuration ||
+      (durations.reduce((sum, duration) => sum + duration, 0) / durations.length || 0);
+    const initDurations = reports.map(report => report.initDuration).filter(duration => duration !== null);
+    const reportInitAvg = initDurations.reduce((sum, duration) => sum + duration, 0) / initDurations.length || 0;
+
+    // Cold starts - prefer the tracker, fall back to REPORT Init Duration
+    const coldStarts = coldStartData.total || initDurations.length;
+    const coldStartRate = coldStartData.total > 0
+      ? coldStartData.rate
+      : this.lambdaAnalyzer.calculateColdStartRate(initDurations.length, reports.length);
+
+    // Extrapolate the sampled window to a 30 day month
+    const invocations = metrics.invocations || reports.length;
+    const monthlyInvocations = Math.round(invocations * (30 * 24 * 60 * 60 * 1000) / timeRangeMs);
+    const architecture = (config.Architectures && config.Architectures[0]) || 'x86_64';
+    const runtime = config.Runtime || '';
+
+    const analysis = {
       functionName,
-      coldStartRate: Math.random() * 30,
-      packageSize: Math.random() * 100 * 1024 * 1024, // Random size up to 100MB
-      initDuration: Math.random() * 3000 + 500, // 500-3500ms
-      runtime: 'nodejs18.x',
-      memoryUtilization: Math.random() * 100,
-      allocatedMemory: 512,
-      recommendedMemory: 256,
-      avgDuration: Math.random() * 5000 + 1000, // 1-6 seconds
-      hasDatabase: Math.random() > 0.5,
-      usesConnectionPooling: Math.random() > 0.7,
-      externalApiCalls: Math.floor(Math.random() * 10),
-      dataProcessingTime: Math.random() * 2000,
-      costPerInvocation: Math.random() * 0.002,
-      potentialMonthlySavings: Math.random() * 50 + 10,
-      architecture: 'x86_64',
-      isArmCompatible: Math.random() > 0.3,
-      hasProvisionedConcurrency: Math.random() > 0.8,
-      provisionedUtilization: Math.random() * 100,
-      provisionedConcurrencySavings: Math.random() * 100 + 20,
-      environment: 'production',
-      memoryTrend: Math.random() > 0.8 ? 'increasing' : 'stable',
-      costSavingsPercent: 25
+      timeRange,
+      runtime,
+      architecture,
+      region: this.pricing.getRegionFromArn(config.FunctionArn),
+      ephemeralStorage: (config.EphemeralStorage && config.EphemeralStorage.Size) || 512,
+      packageType: config.PackageType || 'Zip',
+      packageSize: config.CodeSize || 0,
+      timeout: config.Timeout,
+      allocatedMemory,
+      recommendedMemory: this.applyCpuToMemoryRecommendation(memoryRecommendation.memory, allocatedMemory, cpuUtilization),
+      memoryUtilization,
+      memorySamples: memoryUsage.length,
+      peakMemoryUsed,
+      memoryTrendRatio,
+      memoryTrend: memoryTrendRatio > this.optimizationRules.memory.increasingTrend.threshold ? 'increasing' : 'stable',
+      invocations,
+      monthlyInvocations,
+      avgDuration,
+      p95Duration: metrics.p95Duration || calculatePercentile(durations, 95),
+      p999Duration: metrics.p999Duration || calculatePercentile(durations, 99.9),
+      maxDuration: Math.max(metrics.maxDuration || 0, ...durations, 0),
+      errors: metrics.errors || 0,
+      coldStarts,
+      coldStartRate,
+      coldStartPeakHours: coldStartData.peakHours || [],
+      initDuration: coldStartData.snapStart.init.avgDuration || reportInitAvg,
+      initP50: coldStartData.snapStart.init.percentiles.p50 || calculatePercentile(initDurations, 50),
+      initP99: coldStartData.snapStart.init.percentiles.p99 || calculatePercentile(initDurations, 99),
+      snapStart: this.getSnapStartStatus(config, coldStartData.snapStart, provisionedConfigs),
+      cpuUtilization,
+      cpuProfile: insights ? insights.cpu.profile : 'Unknown',
+      insightsSamples: insights ? insights.sampleCount : 0,
+      traceSamples: traces ? traces.traceCount : 0,
+      downstreamCallsPerInvocation: traces ? traces.downstream.avgCallsPerInvocation : 0,
+      dataProcessingTime: traces ? traces.downstream.avgSelfTime : 0,
+      selfTimePercent: traces ? traces.downstream.selfTimePercent : 0,
+      dominantDependency: traces
+        ? traces.dependencies.find(dependency => dependency.name === traces.dominantDependency) || null
+        : null,
+      isArmCompatible: this.isArmCompatible(config),
+      hasProvisionedConcurrency: provisionedConfigs.length > 0,
+      provisionedConcurrency: provisionedConfigs.reduce((sum, pc) => sum + (pc.AllocatedProvisionedConcurrentExecutions || 0), 0),
+      environment: this.detectEnvironment(config),
+      dataSources: {
+        reportSamples: reports.length,
+        coldStartEvents: coldStartData.total,
+        metricInvocations: metrics.invocations || 0,
+        insightsSamples: insights ? insights.sampleCount : 0,
+        traceSamples: traces ? traces.traceCount : 0
+      }
     };
+
+    // Cost figures
+    const monthlyCost = this.calculateMonthlyCost(analysis);
+    const rightSizedCost = this.calculateMonthlyCost({ ...analysis, allocatedMemory: analysis.recommendedMemory });
+    analysis.costPerInvocation = monthlyInvocations > 0 ? monthlyCost / monthlyInvocations : 0;
+    analysis.potentialMonthlySavings = Math.round(Math.max(0, monthlyCost - rightSizedCost) * 100) / 100;
+    analysis.costSavingsPercent = allocatedMemory > 0
+      ? Math.max(0, Math.round((1 - analysis.recommendedMemory / allocatedMemory) * 100))
+      : 0;
+
+    // Provisioned concurrency utilization
+    analysis.provisionedUtilization = null;
+    analysis.provisionedConcurrencySavings = 0;
+    if (analysis.hasProvisionedConcurrency) {
+      const utilization = await this.lambdaAnalyzer.getMetricValue(
+        'AWS/Lambda', 'ProvisionedConcurrencyUtilization', 'Average', functionName, startTime, endTime
+      );
+      analysis.provisionedUtilization = Math.round(utilization * 100);
+      analysis.provisionedConcurrencySavings = Math.round(
+        this.calculateMonthlyCostBreakdown(analysis).provisionedConcurrency * (1 - utilization) * 100
+      ) / 100;
+    }
+
+    return analysis;
+  }
+
+  // Memory sized from usage alone would shrink CPU for CPU-bound functions
+  applyCpuToMemoryRecommendation(recommendedMemory, allocatedMemory, cpuUtilization) {
+    const rules = this.optimizationRules.memory;
+    if (cpuUtilization === null || cpuUtilization < rules.cpuBound.threshold) return recommendedMemory;
+
+    // Up to one full vCPU, doubling memory doubles the CPU share
+    const cpuTarget = allocatedMemory < rules.fullVcpuMemory
+      ? Math.min(rules.fullVcpuMemory, allocatedMemory * 2)
+      : allocatedMemory;
+    return Math.max(recommendedMemory, cpuTarget);
+  }
+
+  // Scale the CPU share of the duration by the change in single-vCPU CPU power
+  estimateDurationAtMemory(analysis, memoryMB) {
+    if (analysis.cpuUtilization === null || analysis.cpuUtilization === undefined || !analysis.allocatedMemory) {
+      return analysis.avgDuration;
+    }
+
+    const fullVcpu = this.optimizationRules.memory.fullVcpuMemory;
+    const cpuShare = Math.min(1, analysis.cpuUtilization / 100);
+    const speedup = Math.min(analysis.allocatedMemory, fullVcpu) / Math.min(memoryMB, fullVcpu);
+    return analysis.avgDuration * ((1 - cpuShare) + cpuShare * speedup);
+  }
+
+  isArmCompatible(config) {
+    // Interpreted runtimes without layers carry no native x86 binaries we know of
+    if (config.PackageType === 'Image') return false;
+    if (config.Layers && config.Layers.length > 0) return false;
+    return /^(nodejs|python|ruby|java|dotnet)/.test(config.Runtime || '');
+  }
+
+  detectEnvironment(config) {
+    const variables = (config.Environment && config.Environment.Variables) || {};
+    const value = variables.NODE_ENV || variables.STAGE || variables.ENVIRONMENT || variables.ENV || '';
+    if (/^dev/i.test(value)) return 'development';
+    if (/^(staging|stage|test|qa)/i.test(value)) return 'staging';
+    return value ? value.toLowerCase() : 'production';
   }
 
   calculateOptimalTimeout(analysis) {
-    // Set timeout to 2x the P95 duration, with minimum of 30s and maximum of 900s
-    const optimalTimeout = Math.max(30, Math.min(900, Math.ceil(analysis.p95Duration / 1000) * 2));
-    return optimalTimeout;
+    // Headroom over the observed tail; analyze_timeout_risk also accounts for timeouts and upstream limits
+    return this.timeoutAnalyzer.recommendTimeout({
+      timeoutSeconds: analysis.timeout || this.timeoutAnalyzer.defaultTimeoutSeconds,
+      p999Duration: analysis.p999Duration,
+      maxDuration: analysis.maxDuration
+    }).seconds;
   }
 
   recommendRuntime(analysis) {
@@ -375,16 +660,80 @@ export class PerformanceOptimizer {
   }
 
   calculateMonthlyCost(analysis) {
-    // Simplified cost calculation
-    const monthlyInvocations = analysis.monthlyInvocations || 100000;
-    const avgDurationSeconds = analysis.avgDuration / 1000;
-    const memoryGB = analysis.allocatedMemory / 1024;
-    
-    // AWS Lambda pricing (simplified)
-    const requestCost = (monthlyInvocations / 1000000) * 0.20; // $0.20 per 1M requests
-    const computeCost = monthlyInvocations * avgDurationSeconds * memoryGB * 0.0000166667;
-    
-    return requestCost + computeCost;
+    return this.calculateMonthlyCostBreakdown(analysis).total;
+  }
+
+  calculateMonthlyCostBreakdown(analysis) {
+    return this.pricing.calculateCost({
+      region: analysis.region,
+      architecture: analysis.architecture,
+      memoryMB: analysis.allocatedMemory,
+      ephemeralStorageMB: analysis.ephemeralStorage,
+      invocations: analysis.monthlyInvocations || 0,
+      avgDurationMs: analysis.avgDuration,
+      provisionedConcurrency: analysis.provisionedConcurrency || 0,
+      provisionedSeconds: 30 * 24 * 60 * 60
+    });
+  }
+
+  // SnapStart availability from the configuration, with the restores the logs show
+  getSnapStartStatus(config, observed, provisionedConfigs) {
+    const blockers = [];
+    if (config.PackageType === 'Image') blockers.push('container images');
+    if (provisionedConfigs.length > 0) blockers.push('provisioned concurrency');
+    if ((config.FileSystemConfigs || []).length > 0) blockers.push('Amazon EFS');
+    if (config.EphemeralStorage && config.EphemeralStorage.Size > 512) blockers.push('ephemeral storage above 512 MB');
+
+    return {
+      supported: this.supportsSnapStart(config.Runtime || ''),
+      enabled: Boolean(config.SnapStart && config.SnapStart.ApplyOn === 'PublishedVersions'),
+      optimizationStatus: (config.SnapStart && config.SnapStart.OptimizationStatus) || 'Off',
+      blockers,
+      restores: observed.restores,
+      initializations: observed.initializations,
+      avgRestoreDuration: observed.restore.avgDuration,
+      restoreP50: observed.restore.percentiles.p50,
+      restoreP99: observed.restore.percentiles.p99,
+      restoreSavingsPercent: observed.restoreSavingsPercent
+    };
+  }
+
+  // "java21" -> 21, "python3.12" -> 3.12 and "dotnet8" -> 8, compared with the first SnapStart versions
+  supportsSnapStart(runtime) {
+    const match = runtime.match(/^(java|python|dotnet)(\d+)(?:\.(\d+))?/);
+    if (!match) return false;
+    const minimum = this.optimizationRules.coldStart.snapStart.minimumVersions[match[1]];
+    const major = parseInt(match[2], 10);
+    const minor = parseInt(match[3] || '0', 10);
+    return major > minimum[0] || (major === minimum[0] && minor >= minimum[1]);
+  }
+
+  // Restore time scales with the snapshot, not with init work, so it is estimated as a share of the
+  // observed init times with a floor for loading the snapshot
+  estimateSnapStartRestore(analysis) {
+    const rules = this.optimizationRules.coldStart.snapStart;
+    const restore = duration => Math.round(Math.max(rules.minRestoreDuration, duration * rules.restoreRatio));
+    const initP50 = Math.round(analysis.initP50 || analysis.initDuration);
+    const initP99 = Math.round(analysis.initP99 || analysis.initDuration);
+    const restoreP50 = restore(initP50);
+
+    return {
+      initP50,
+      initP99,
+      restoreP50,
+      restoreP99: restore(initP99),
+      reductionPercent: initP50 > 0 ? Math.max(0, Math.round((1 - restoreP50 / initP50) * 100)) : 0
+    };
+  }
+
+  createEvidence(metric, observed, rule, comparison, unit) {
+    return {
+      metric,
+      observed: typeof observed === 'number' ? Math.round(observed * 10000) / 10000 : observed,
+      threshold: rule ? rule.threshold : null,
+      comparison,
+      unit
+    };
   }
 
   initializeOptimizationRules() {
@@ -392,21 +741,40 @@ export class PerformanceOptimizer {
       coldStart: {
         highRate: { threshold: 20, severity: 'high' },
         mediumRate: { threshold: 10, severity: 'medium' },
-        lowRate: { threshold: 5, severity: 'low' }
+        lowRate: { threshold: 5, severity: 'low' },
+        packageSize: { threshold: 50 * 1024 * 1024, severity: 'high' },
+        initDuration: { threshold: 2000, severity: 'medium' },
+        slowInitRuntimes: ['java', 'dotnet'],
+        snapStart: {
+          minimumVersions: { java: [11, 0], python: [3, 12], dotnet: [8, 0] },
+          minInitDuration: { threshold: 500, severity: 'medium' },
+          restoreRatio: 0.15,
+          minRestoreDuration: 150,
+          initShare: 0.1
+        }
       },
       memory: {
         overProvisioned: { threshold: 50, severity: 'high' },
         underProvisioned: { threshold: 90, severity: 'high' },
-        optimal: { min: 60, max: 85 }
+        optimal: { min: 60, max: 85 },
+        increasingTrend: { threshold: 0.1, severity: 'medium' },
+        cpuBound: { threshold: 70, severity: 'high' },
+        fullVcpuMemory: 1769,
+        minSamples: 10
       },
       duration: {
         high: { threshold: 5000, severity: 'high' },
         medium: { threshold: 2000, severity: 'medium' },
-        acceptable: { threshold: 1000, severity: 'low' }
+        acceptable: { threshold: 1000, severity: 'low' },
+        downstreamCalls: { threshold: 5, severity: 'medium' },
+        dependencyShare: { threshold: 30, severity: 'high' },
+        selfTime: { threshold: 70, severity: 'medium' },
+        minTraces: 10
       },
       cost: {
         highPerInvocation: { threshold: 0.001, severity: 'high' },
-        mediumPerInvocation: { threshold: 0.0005, severity: 'medium' }
+        mediumPerInvocation: { threshold: 0.0005, severity: 'medium' },
+        provisionedUtilization: { threshold: 50, severity: 'high' }
       }
     };
   }
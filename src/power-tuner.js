@@ -0,0 +1,310 @@
+import { GetFunctionConfigurationCommand, InvokeCommand, UpdateFunctionConfigurationCommand } from '@aws-sdk/client-lambda';
+import { DataSource } from './data-source.js';
+import { LambdaPricing } from './lambda-pricing.js';
+import { LogParser } from './log-parser.js';
+import { average, round } from './analysis-helpers.js';
+
+// Runs a function at several memory sizes and compares speed and cost per invocation.
+// Against AWS the $LATEST memory size is changed for each run and restored afterwards, which
+// callers have to confirm; against a local stand-in endpoint (POWER_TUNING_ENDPOINT) the
+// memory size is passed along with each request.
+export class PowerTuner {
+  constructor(options = {}) {
+    this.region = options.region || process.env.AWS_REGION;
+    // Configured by whoever runs the server, never by a tool call, so requests only go where they allow
+    this.endpoint = options.endpoint || process.env.POWER_TUNING_ENDPOINT || null;
+    this.dataSource = options.dataSource || new DataSource();
+    this.lambdaClient = this.dataSource.getClient('lambda', this.region);
+    this.pricing = options.pricing || new LambdaPricing();
+    this.logParser = new LogParser();
+    this.defaultMemorySizes = [128, 256, 512, 1024, 1536, 2048, 3008];
+    this.minMemory = 128;
+    this.maxMemory = 10240;
+    this.maxInvocations = 50;
+    this.pollInterval = 1000;
+    this.updateTimeout = 120000;
+  }
+
+  async tune(functionName, options = {}) {
+    // Published versions are immutable, and aliases point at published versions
+    if (options.qualifier && options.qualifier !== '$LATEST') {
+      throw new Error(`Only $LATEST can be tuned; ${options.qualifier} cannot change its memory size`);
+    }
+    // Every invocation in the sweep runs against live traffic's configuration
+    if (!this.endpoint && options.confirm !== true) {
+      throw new Error(
+        `Tuning changes the memory size of ${functionName} ($LATEST) and invokes it for real; ` +
+        'pass confirm: true to go ahead, or set POWER_TUNING_ENDPOINT to tune a local stand-in'
+      );
+    }
+
+    const memorySizes = this.normalizeMemorySizes(options.memorySizes);
+    const invocations = Math.min(this.maxInvocations, Math.max(2, options.invocations || 5));
+    const balancedWeight = options.balancedWeight !== undefined ? Math.min(1, Math.max(0, options.balancedWeight)) : 0.5;
+    const payload = JSON.stringify(options.payload !== undefined ? options.payload : {});
+
+    const results = this.endpoint
+      ? await this.tuneEndpoint(this.endpoint, memorySizes, invocations, payload)
+      : await this.tuneFunction(functionName, memorySizes, invocations, payload);
+
+    const config = results.config || {};
+    const pricingUsage = {
+      region: options.region || this.pricing.getRegionFromArn(config.FunctionArn),
+      architecture: options.architecture || (config.Architectures && config.Architectures[0]) || 'x86_64',
+      ephemeralStorageMB: (config.EphemeralStorage && config.EphemeralStorage.Size) || 512
+    };
+    const sizes = results.sizes.map(size => this.summarizeSize(size, pricingUsage));
+    const measured = sizes.filter(size => size.warm.count > 0);
+
+    return {
+      functionName,
+      source: this.endpoint ? 'endpoint' : 'lambda',
+      originalMemory: config.MemorySize || null,
+      restored: results.restored,
+      restoreError: results.restoreError || null,
+      invocationsPerSize: invocations,
+      balancedWeight,
+      architecture: this.pricing.normalizeArchitecture(pricingUsage.architecture),
+      priceVersion: this.pricing.version,
+      sizes,
+      optimal: {
+        cost: this.pickOptimal(measured, size => size.costPerInvocation),
+        speed: this.pickOptimal(measured, size => size.warm.avgDuration),
+        balanced: this.pickBalanced(measured, balancedWeight)
+      },
+      recommendations: this.generateRecommendations(measured, config.MemorySize, balancedWeight)
+    };
+  }
+
+  async tuneFunction(functionName, memorySizes, invocations, payload) {
+    const config = await this.getConfiguration(functionName);
+    if (config.LastUpdateStatus === 'InProgress') {
+      throw new Error(`${functionName} has an update in progress; try again when it completes`);
+    }
+
+    const sizes = [];
+    let restored = false;
+    let restoreError = null;
+
+    try {
+      for (const memorySize of memorySizes) {
+        await this.setMemorySize(functionName, memorySize);
+
+        // A configuration change replaces the execution environments, so the first run is cold
+        const runs = [];
+        for (let i = 0; i < invocations; i++) {
+          runs.push(await this.invokeFunction(functionName, payload));
+        }
+        sizes.push({ memorySize, runs });
+      }
+    } finally {
+      try {
+        await this.setMemorySize(functionName, config.MemorySize);
+        restored = true;
+      } catch (error) {
+        console.error(`Error restoring memory size of ${functionName}:`, error);
+        restoreError = error.message;
+      }
+    }
+
+    return { config, sizes, restored, restoreError };
+  }
+
+  async tuneEndpoint(endpoint, memorySizes, invocations, payload) {
+    const sizes = [];
+
+    for (const memorySize of memorySizes) {
+      const runs = [];
+      for (let i = 0; i < invocations; i++) {
+        runs.push(await this.invokeEndpoint(endpoint, memorySize, payload, i === 0));
+      }
+      sizes.push({ memorySize, runs });
+    }
+
+    // Nothing was changed, so there is nothing to restore
+    return { config: null, sizes, restored: true };
+  }
+
+  async invokeFunction(functionName, payload) {
+    try {
+      const response = await this.lambdaClient.send(new InvokeCommand({
+        FunctionName: functionName,
+        Payload: payload,
+        LogType: 'Tail'
+      }));
+
+      const logs = response.LogResult ? Buffer.from(response.LogResult, 'base64').toString('utf8') : '';
+      const reportLine = logs.split('\n').find(line => line.startsWith('REPORT RequestId'));
+      const report = reportLine ? this.logParser.parseReport({ message: reportLine, timestamp: Date.now() }) : null;
+
+      return {
+        error: Boolean(response.FunctionError),
+        cold: Boolean(report && report.initDuration !== null),
+        duration: report ? report.duration : null,
+        billedDuration: report ? report.billedDuration : null,
+        initDuration: report ? report.initDuration : null,
+        maxMemoryUsed: report ? report.maxMemoryUsed : null
+      };
+    } catch (error) {
+      console.error(`Error invoking ${functionName}:`, error);
+      return { error: true, cold: false, duration: null, billedDuration: null, initDuration: null, maxMemoryUsed: null };
+    }
+  }
+
+  // The stand-in receives the memory size as a query parameter and is timed by wall clock
+  async invokeEndpoint(endpoint, memorySize, payload, cold) {
+    const url = new URL(endpoint);
+    url.searchParams.set('memory', String(memorySize));
+    const started = performance.now();
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: payload
+      });
+      await response.text();
+      const duration = performance.now() - started;
+
+      return {
+        error: !response.ok,
+        cold,
+        duration,
+        billedDuration: Math.ceil(duration),
+        initDuration: null,
+        maxMemoryUsed: null
+      };
+    } catch (error) {
+      console.error(`Error calling ${url.origin}:`, error);
+      return { error: true, cold, duration: null, billedDuration: null, initDuration: null, maxMemoryUsed: null };
+    }
+  }
+
+  async getConfiguration(functionName) {
+    return await this.lambdaClient.send(new GetFunctionConfigurationCommand({ FunctionName: functionName }));
+  }
+
+  async setMemorySize(functionName, memorySize) {
+    await this.lambdaClient.send(new UpdateFunctionConfigurationCommand({
+      FunctionName: functionName,
+      MemorySize: memorySize
+    }));
+    await this.waitForUpdate(functionName);
+  }
+
+  async waitForUpdate(functionName) {
+    const deadline = Date.now() + this.updateTimeout;
+
+    while (Date.now() < deadline) {
+      const config = await this.getConfiguration(functionName);
+      if (config.LastUpdateStatus === 'Failed') {
+        throw new Error(`Configuration update of ${functionName} failed: ${config.LastUpdateStatusReason || 'unknown reason'}`);
+      }
+      if (config.LastUpdateStatus !== 'InProgress') return;
+
+      // Replays serve recorded statuses, so there is nothing to wait for
+      if (this.dataSource.mode !== 'replay') {
+        await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      }
+    }
+
+    throw new Error(`Timed out waiting for the configuration update of ${functionName}`);
+  }
+
+  summarizeSize(size, pricingUsage) {
+    const succeeded = size.runs.filter(run => !run.error && run.duration !== null);
+    const cold = succeeded.find(run => run.cold) || null;
+    const warm = succeeded.filter(run => run !== cold);
+    const durations = warm.map(run => run.duration);
+    const billed = warm.map(run => run.billedDuration !== null ? run.billedDuration : Math.ceil(run.duration));
+    const avgBilledDuration = billed.length > 0 ? average(billed) : 0;
+    const memoryUsed = succeeded.map(run => run.maxMemoryUsed).filter(value => value !== null);
+
+    const cost = this.pricing.calculateCost({
+      ...pricingUsage,
+      memoryMB: size.memorySize,
+      invocations: 1,
+      avgBilledDurationMs: avgBilledDuration
+    });
+
+    return {
+      memorySize: size.memorySize,
+      invocations: size.runs.length,
+      errors: size.runs.length - succeeded.length,
+      cold: cold
+        ? { duration: round(cold.duration), initDuration: cold.initDuration !== null ? round(cold.initDuration) : null }
+        : null,
+      warm: {
+        count: warm.length,
+        avgDuration: durations.length > 0 ? round(average(durations)) : 0,
+        minDuration: durations.length > 0 ? round(Math.min(...durations)) : 0,
+        maxDuration: durations.length > 0 ? round(Math.max(...durations)) : 0,
+        avgBilledDuration: round(avgBilledDuration)
+      },
+      maxMemoryUsed: memoryUsed.length > 0 ? Math.max(...memoryUsed) : null,
+      costPerInvocation: warm.length > 0 ? cost.total : null,
+      costPerMillion: warm.length > 0 ? round(cost.total * 1000000) : null
+    };
+  }
+
+  pickOptimal(sizes, valueOf) {
+    if (sizes.length === 0) return null;
+    return sizes.reduce((best, size) => (valueOf(size) < valueOf(best) ? size : best)).memorySize;
+  }
+
+  // Cost and speed are scaled to 0-1 across the sizes tested; the weight favours cost
+  pickBalanced(sizes, weight) {
+    if (sizes.length === 0) return null;
+
+    const scale = values => {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      return values.map(value => (max > min ? (value - min) / (max - min) : 0));
+    };
+    const costs = scale(sizes.map(size => size.costPerInvocation));
+    const durations = scale(sizes.map(size => size.warm.avgDuration));
+    const scores = sizes.map((size, index) => weight * costs[index] + (1 - weight) * durations[index]);
+
+    return sizes[scores.indexOf(Math.min(...scores))].memorySize;
+  }
+
+  generateRecommendations(sizes, originalMemory, weight) {
+    if (sizes.length === 0) {
+      return ['No successful invocations - check the payload and the function logs'];
+    }
+
+    const recommendations = [];
+    const balanced = this.pickBalanced(sizes, weight);
+    const cheapest = sizes.find(size => size.memorySize === this.pickOptimal(sizes, size => size.costPerInvocation));
+    const fastest = sizes.find(size => size.memorySize === this.pickOptimal(sizes, size => size.warm.avgDuration));
+    const current = sizes.find(size => size.memorySize === originalMemory);
+
+    if (originalMemory && balanced !== originalMemory) {
+      recommendations.push(`Change memory from ${originalMemory}MB to ${balanced}MB for the best balance of cost and speed`);
+    }
+    if (current && cheapest.costPerInvocation < current.costPerInvocation) {
+      const savings = Math.round((1 - cheapest.costPerInvocation / current.costPerInvocation) * 100);
+      recommendations.push(`${cheapest.memorySize}MB is ${savings}% cheaper per invocation than the current ${originalMemory}MB`);
+    }
+    if (cheapest.memorySize > sizes[0].memorySize) {
+      recommendations.push(`More memory is cheaper up to ${cheapest.memorySize}MB: the extra CPU shortens billed duration more than the higher rate costs`);
+    }
+    if (fastest.memorySize !== cheapest.memorySize) {
+      recommendations.push(`${fastest.memorySize}MB is fastest (${fastest.warm.avgDuration}ms vs ${cheapest.warm.avgDuration}ms at ${cheapest.memorySize}MB)`);
+    }
+    if (sizes.some(size => size.errors > 0)) {
+      recommendations.push('Some invocations failed - failing sizes may be running out of memory or time');
+    }
+
+    return recommendations.length > 0 ? recommendations : [`${originalMemory}MB is already the best setting among the sizes tested`];
+  }
+
+  normalizeMemorySizes(memorySizes) {
+    const sizes = memorySizes && memorySizes.length > 0 ? memorySizes : this.defaultMemorySizes;
+    const invalid = sizes.filter(size => !Number.isInteger(size) || size < this.minMemory || size > this.maxMemory);
+    if (invalid.length > 0) {
+      throw new Error(`Memory sizes must be whole MB between ${this.minMemory} and ${this.maxMemory}: ${invalid.join(', ')}`);
+    }
+    return [...new Set(sizes)].sort((a, b) => a - b);
+  }
+}
\ No newline at end of file
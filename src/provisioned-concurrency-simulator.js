@@ -0,0 +1,316 @@
+import { LambdaAnalyzer } from './lambda-analyzer.js';
+import { ColdStartTracker } from './cold-start-tracker.js';
+import { parseTimeRange, calculatePercentile, round } from './analysis-helpers.js';
+
+// Replays a function's concurrency, invocation and cold start history against candidate
+// provisioned concurrency levels and schedules to estimate remaining cold starts and cost
+export class ProvisionedConcurrencySimulator {
+  constructor(
+    lambdaAnalyzer = new LambdaAnalyzer(),
+    coldStartTracker = new ColdStartTracker({ dataSource: lambdaAnalyzer.dataSource })
+  ) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.coldStartTracker = coldStartTracker;
+    this.pricing = lambdaAnalyzer.pricing;
+    // Periods divide an hour evenly so each one falls inside a single scheduled hour
+    this.periods = [300, 600, 900, 1200, 1800, 3600];
+    this.maxLevels = 8;
+    this.monthMs = 30 * 24 * 60 * 60 * 1000;
+  }
+
+  async simulate(functionName, timeRange = '7d', options = {}) {
+    const targetReduction = options.targetReduction || 80;
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.lambdaAnalyzer.getEndTime();
+    const startTime = new Date(endTime.getTime() - timeRangeMs);
+
+    const config = await this.lambdaAnalyzer.getFunctionConfig(functionName);
+    const { coldStarts, invocations, truncated } = await this.coldStartTracker.scanInvocations(
+      `/aws/lambda/${functionName}`, startTime, endTime
+    );
+    const period = this.getPeriod(startTime, endTime);
+    const series = await this.getTimeseries(functionName, startTime, endTime, period, coldStarts, invocations);
+
+    const initDurations = coldStarts.map(coldStart => coldStart.initDuration).filter(duration => duration !== null);
+    const avgInitDuration = initDurations.length > 0
+      ? initDurations.reduce((sum, duration) => sum + duration, 0) / initDurations.length
+      : 0;
+    const peakHours = this.coldStartTracker.findPeakHours(this.coldStartTracker.analyzeHourlyDistribution(coldStarts));
+    const schedules = this.getCandidateSchedules(peakHours);
+    const levels = options.levels && options.levels.length > 0
+      ? [...new Set(options.levels.map(level => Math.max(0, Math.round(level))))].sort((a, b) => a - b)
+      : this.getCandidateLevels(series);
+
+    const usage = {
+      functionName,
+      config,
+      series,
+      period,
+      timeRangeMs,
+      avgInitDuration,
+      avgDuration: this.getAverageDuration(series)
+    };
+    const baseline = this.simulateLevel(usage, 0, schedules[0]);
+
+    const curve = [];
+    schedules.forEach(schedule => {
+      levels.filter(level => level > 0).forEach(level => {
+        curve.push(this.comparePoint(this.simulateLevel(usage, level, schedule), baseline));
+      });
+    });
+
+    const recommended = this.recommend(curve, targetReduction);
+
+    return {
+      functionName,
+      timeRange,
+      period,
+      memory: config.MemorySize,
+      architecture: (config.Architectures && config.Architectures[0]) || 'x86_64',
+      currentProvisionedConcurrency: await this.getCurrentProvisionedConcurrency(functionName),
+      observed: {
+        invocations: this.sumSeries(series, 'invocations'),
+        coldStarts: coldStarts.length,
+        peakConcurrency: Math.max(0, ...series.map(point => point.concurrency)),
+        avgInitDuration: Math.round(avgInitDuration),
+        peakHours,
+        monthlyCost: round(baseline.monthlyCost),
+        truncated
+      },
+      targetReduction,
+      curve,
+      recommended,
+      schedule: recommended ? this.buildSchedule(recommended) : [],
+      // Schedules are in UTC, as scheduled scaling actions are by default
+      timezone: 'UTC',
+      recommendations: this.generateRecommendations(recommended, baseline, targetReduction)
+    };
+  }
+
+  getPeriod(startTime, endTime) {
+    const minimum = this.lambdaAnalyzer.getMetricPeriod(startTime, endTime);
+    return this.periods.find(period => period >= minimum) || 3600;
+  }
+
+  // Per-period peak concurrency and invocations from CloudWatch, with REPORT lines as fallback.
+  // Cold starts come from the log scan in both cases.
+  async getTimeseries(functionName, startTime, endTime, period, coldStarts, invocations) {
+    const periodMs = period * 1000;
+    const bucketOf = timestamp => Math.floor((timestamp - startTime.getTime()) / periodMs);
+    const bucketCount = Math.max(1, Math.ceil((endTime - startTime) / periodMs));
+    const series = Array.from({ length: bucketCount }, (_, index) => ({
+      timestamp: startTime.getTime() + index * periodMs,
+      concurrency: 0,
+      invocations: 0,
+      durationSum: 0,
+      durationSamples: 0,
+      coldStarts: 0
+    }));
+    const add = (timestamp, apply) => {
+      const bucket = bucketOf(timestamp);
+      if (bucket >= 0 && bucket < bucketCount) apply(series[bucket]);
+    };
+
+    const [concurrency, invocationCounts, durations] = this.lambdaAnalyzer.logSource
+      ? [[], [], []]
+      : await Promise.all([
+        this.lambdaAnalyzer.getMetricDatapoints('AWS/Lambda', 'ConcurrentExecutions', 'Maximum', functionName, startTime, endTime, period),
+        this.lambdaAnalyzer.getMetricDatapoints('AWS/Lambda', 'Invocations', 'Sum', functionName, startTime, endTime, period),
+        this.lambdaAnalyzer.getMetricDatapoints('AWS/Lambda', 'Duration', 'Sum', functionName, startTime, endTime, period)
+      ]);
+
+    if (concurrency.length > 0) {
+      concurrency.forEach(point => add(new Date(point.Timestamp).getTime(), bucket => { bucket.concurrency = point.Maximum || 0; }));
+      invocationCounts.forEach(point => add(new Date(point.Timestamp).getTime(), bucket => {
+        bucket.invocations = point.Sum || 0;
+        bucket.durationSamples = point.Sum || 0;
+      }));
+      durations.forEach(point => add(new Date(point.Timestamp).getTime(), bucket => { bucket.durationSum = point.Sum || 0; }));
+    } else {
+      const reports = await this.lambdaAnalyzer.getReportRecords(functionName, startTime, endTime);
+      const reportsByBucket = new Map();
+      reports.forEach(report => {
+        const bucket = bucketOf(report.timestamp);
+        if (!reportsByBucket.has(bucket)) reportsByBucket.set(bucket, []);
+        reportsByBucket.get(bucket).push(report);
+      });
+      reportsByBucket.forEach((bucketReports, bucket) => {
+        if (bucket < 0 || bucket >= bucketCount) return;
+        series[bucket].concurrency = this.lambdaAnalyzer.calculatePeakConcurrency(bucketReports);
+        series[bucket].invocations = bucketReports.length;
+        series[bucket].durationSamples = bucketReports.length;
+        series[bucket].durationSum = bucketReports.reduce((sum, report) => sum + report.duration, 0);
+      });
+      // REPORT lines may be capped; START lines from the scan still count every invocation
+      if (reports.length < invocations.length) {
+        series.forEach(point => { point.invocations = 0; });
+        invocations.forEach(invocation => add(invocation.timestamp, bucket => { bucket.invocations++; }));
+      }
+    }
+
+    coldStarts.forEach(coldStart => add(coldStart.timestamp, bucket => { bucket.coldStarts++; }));
+    return series;
+  }
+
+  getCandidateSchedules(peakHours) {
+    const schedules = [{ name: 'all-day', hours: Array.from({ length: 24 }, (_, hour) => hour) }];
+    if (peakHours.length > 0) {
+      schedules.push({
+        name: 'peak-hours',
+        hours: peakHours.map(hour => parseInt(hour, 10)).sort((a, b) => a - b)
+      });
+    }
+    return schedules;
+  }
+
+  // Percentiles of per-period peak concurrency are the levels worth pricing
+  getCandidateLevels(series) {
+    const peaks = series.map(point => point.concurrency).filter(value => value > 0);
+    if (peaks.length === 0) return [1];
+
+    const levels = [50, 75, 90, 95, 99, 100]
+      .map(percentile => Math.ceil(calculatePercentile(peaks, percentile)));
+    return [...new Set([1, ...levels])].sort((a, b) => a - b).slice(-this.maxLevels);
+  }
+
+  // Cold starts in a covered period scale with the share of peak concurrency left to on-demand
+  // environments; invocations up to the provisioned level run at the provisioned duration rate
+  simulateLevel(usage, level, schedule) {
+    const { config, series, period, timeRangeMs, avgInitDuration, avgDuration } = usage;
+    const hours = new Set(schedule.hours);
+    let coldStarts = 0;
+    let provisionedInvocations = 0;
+    let onDemandInvocations = 0;
+    let provisionedSeconds = 0;
+
+    series.forEach(point => {
+      const covered = level > 0 && hours.has(new Date(point.timestamp).getUTCHours());
+      const demand = Math.max(point.concurrency, point.coldStarts > 0 ? 1 : 0);
+      const onDemandShare = covered && demand > 0 ? Math.max(0, demand - level) / demand : 1;
+
+      coldStarts += point.coldStarts * onDemandShare;
+      provisionedInvocations += point.invocations * (1 - onDemandShare);
+      onDemandInvocations += point.invocations * onDemandShare;
+      if (covered) provisionedSeconds += period;
+    });
+
+    const scale = this.monthMs / timeRangeMs;
+    const onDemand = this.pricing.calculateCost(this.pricing.usageFromConfig(config, {
+      invocations: onDemandInvocations * scale,
+      avgDurationMs: avgDuration
+    }));
+    const provisioned = this.pricing.calculateCost(this.pricing.usageFromConfig(config, {
+      invocations: provisionedInvocations * scale,
+      avgDurationMs: avgDuration,
+      provisionedConcurrency: level,
+      provisionedSeconds: provisionedSeconds * scale
+    }));
+    const invocations = provisionedInvocations + onDemandInvocations;
+
+    return {
+      level,
+      schedule: schedule.name,
+      hours: schedule.hours,
+      coldStarts,
+      monthlyColdStarts: coldStarts * scale,
+      coldStartWaitMs: coldStarts * avgInitDuration,
+      avgAddedLatencyMs: invocations > 0 ? (coldStarts * avgInitDuration) / invocations : 0,
+      monthlyCost: onDemand.total + provisioned.total
+    };
+  }
+
+  comparePoint(point, baseline) {
+    const avoided = baseline.coldStarts - point.coldStarts;
+    const addedCost = point.monthlyCost - baseline.monthlyCost;
+    const monthlyAvoided = baseline.monthlyColdStarts - point.monthlyColdStarts;
+
+    return {
+      level: point.level,
+      schedule: point.schedule,
+      hours: point.hours,
+      remainingColdStarts: Math.round(point.coldStarts),
+      coldStartReduction: baseline.coldStarts > 0 ? round((avoided / baseline.coldStarts) * 100) : 0,
+      avgAddedLatencyMs: round(point.avgAddedLatencyMs),
+      coldStartWaitSeconds: round(point.coldStartWaitMs / 1000),
+      monthlyCost: round(point.monthlyCost),
+      addedMonthlyCost: round(addedCost),
+      costPerAvoidedColdStart: monthlyAvoided > 0 ? Math.round((addedCost / monthlyAvoided) * 10000) / 10000 : null
+    };
+  }
+
+  // Cheapest configuration that reaches the target reduction, else the one that avoids the most
+  recommend(curve, targetReduction) {
+    const viable = curve.filter(point => point.coldStartReduction > 0);
+    if (viable.length === 0) return null;
+
+    const meetsTarget = viable
+      .filter(point => point.coldStartReduction >= targetReduction)
+      .sort((a, b) => a.addedMonthlyCost - b.addedMonthlyCost);
+    if (meetsTarget.length > 0) return meetsTarget[0];
+
+    return [...viable].sort((a, b) => b.coldStartReduction - a.coldStartReduction || a.addedMonthlyCost - b.addedMonthlyCost)[0];
+  }
+
+  // Merge consecutive hours into windows; provisioning should start shortly before each window
+  buildSchedule(point) {
+    const windows = [];
+    point.hours.forEach(hour => {
+      const last = windows[windows.length - 1];
+      if (last && last.endHour === hour) {
+        last.endHour = hour + 1;
+      } else {
+        windows.push({ startHour: hour, endHour: hour + 1 });
+      }
+    });
+    // Peak hours that run past midnight ([22, 23, 0]) form one window from 22:00 to 01:00
+    const last = windows[windows.length - 1];
+    if (windows.length > 1 && windows[0].startHour === 0 && last.endHour === 24) {
+      last.endHour = 24 + windows.shift().endHour;
+    }
+
+    const format = hour => `${(hour % 24).toString().padStart(2, '0')}:00`;
+    return windows.map(window => ({
+      start: format(window.startHour),
+      end: format(window.endHour),
+      provisionedConcurrency: point.level
+    }));
+  }
+
+  generateRecommendations(recommended, baseline, targetReduction) {
+    if (baseline.coldStarts === 0) {
+      return ['No cold starts in this window - provisioned concurrency would add cost without a latency benefit'];
+    }
+    if (!recommended) {
+      return ['Provisioned concurrency would not remove the observed cold starts - check the concurrency metrics for this window'];
+    }
+
+    const recommendations = [
+      `Provision ${recommended.level} environments (${recommended.schedule}) to cut cold starts by ${recommended.coldStartReduction}% for $${recommended.addedMonthlyCost}/month`
+    ];
+    if (recommended.coldStartReduction < targetReduction) {
+      recommendations.push(`No simulated level reaches the ${targetReduction}% target - cold starts happen outside the simulated schedules or above the candidate levels`);
+    }
+    if (recommended.schedule === 'peak-hours') {
+      recommendations.push('Use Application Auto Scaling scheduled actions to provision before each window starts (allow a few minutes for environments to initialize)');
+    }
+    if (recommended.addedMonthlyCost < 0) {
+      recommendations.push('Provisioned concurrency is cheaper than on-demand at this utilization');
+    }
+    return recommendations;
+  }
+
+  async getCurrentProvisionedConcurrency(functionName) {
+    if (this.lambdaAnalyzer.logSource) return 0;
+    const configs = await this.lambdaAnalyzer.getProvisionedConcurrencyConfigs(functionName);
+    return configs.reduce((sum, pc) => sum + (pc.RequestedProvisionedConcurrentExecutions || 0), 0);
+  }
+
+  getAverageDuration(series) {
+    const samples = this.sumSeries(series, 'durationSamples');
+    return samples > 0 ? this.sumSeries(series, 'durationSum') / samples : 0;
+  }
+
+  sumSeries(series, field) {
+    return series.reduce((sum, point) => sum + point[field], 0);
+  }
+}
\ No newline at end of file
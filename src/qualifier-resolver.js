@@ -0,0 +1,77 @@
+import { GetAliasCommand } from '@aws-sdk/client-lambda';
+import { DataSource } from './data-source.js';
+
+// Maps a version or alias qualifier onto what each data source can filter by: the CloudWatch
+// Resource dimension, the Qualifier of Lambda API calls and the versions whose log lines count.
+// Without a qualifier everything is left unfiltered, as before qualifiers existed.
+export class QualifierResolver {
+  constructor(options = {}) {
+    this.qualifier = options.qualifier || null;
+    this.dataSource = options.dataSource || new DataSource();
+    this.lambdaClient = this.dataSource.getClient('lambda', options.region || process.env.AWS_REGION);
+    this.offline = Boolean(options.logSource);
+    this.routing = new Map();
+  }
+
+  isVersion(qualifier = this.qualifier) {
+    return qualifier === '$LATEST' || /^\d+$/.test(qualifier || '');
+  }
+
+  getDimensions(functionName) {
+    const dimensions = [{ Name: 'FunctionName', Value: functionName }];
+    if (this.qualifier) {
+      dimensions.push({ Name: 'Resource', Value: `${functionName}:${this.qualifier}` });
+    }
+    return dimensions;
+  }
+
+  // Versions the qualifier routes to with their share of traffic; null without a qualifier
+  async getRouting(functionName) {
+    if (!this.qualifier) return null;
+    if (this.isVersion()) return [{ version: this.qualifier, weight: 1 }];
+    if (this.offline) {
+      throw new Error(`Alias ${this.qualifier} cannot be resolved from exported logs - pass a version as the qualifier`);
+    }
+
+    if (!this.routing.has(functionName)) {
+      this.routing.set(functionName, this.getAliasRouting(functionName));
+    }
+    return await this.routing.get(functionName);
+  }
+
+  async getAliasRouting(functionName) {
+    const alias = await this.lambdaClient.send(new GetAliasCommand({ FunctionName: functionName, Name: this.qualifier }));
+    const additional = Object.entries((alias.RoutingConfig && alias.RoutingConfig.AdditionalVersionWeights) || {})
+      .map(([version, weight]) => ({ version, weight }));
+    const additionalWeight = additional.reduce((sum, route) => sum + route.weight, 0);
+
+    return [
+      { version: alias.FunctionVersion, weight: Math.round((1 - additionalWeight) * 10000) / 10000 },
+      ...additional
+    ];
+  }
+
+  async getVersions(functionName) {
+    const routing = await this.getRouting(functionName);
+    return routing ? routing.map(route => route.version) : null;
+  }
+
+  // Log streams are named YYYY/MM/DD/[version]id; streams without a version (some exports) are kept
+  matchesStream(versions, logStreamName) {
+    if (!versions) return true;
+    const version = this.versionFromStream(logStreamName);
+    return version === null || versions.includes(version);
+  }
+
+  versionFromStream(logStreamName) {
+    const match = (logStreamName || '').match(/\[(\$LATEST|\d+)\]/);
+    return match ? match[1] : null;
+  }
+
+  // Function ARNs end in the qualifier they were invoked with; unqualified ARNs are $LATEST
+  matchesArn(arn) {
+    if (!this.qualifier || !arn) return true;
+    const qualifier = arn.split(':')[7] || '$LATEST';
+    return qualifier === this.qualifier;
+  }
+}
\ No newline at end of file
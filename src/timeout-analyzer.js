@@ -0,0 +1,291 @@
+import { GetPolicyCommand, ListEventSourceMappingsCommand } from '@aws-sdk/client-lambda';
+import { GetQueueAttributesCommand } from '@aws-sdk/client-sqs';
+import { FilterLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { LambdaAnalyzer } from './lambda-analyzer.js';
+import { parseTimeRange, calculatePercentile } from './analysis-helpers.js';
+
+// Shares of the configured timeout that invocations are counted against
+const RISK_LEVELS = [80, 90, 100];
+
+// API Gateway answers 504 after its 29 second integration timeout while the function keeps running
+const API_GATEWAY_TIMEOUT_SECONDS = 29;
+
+// AWS recommends a queue visibility timeout of at least six times the function timeout
+const SQS_VISIBILITY_MULTIPLIER = 6;
+
+// Compares the duration distribution with the configured timeout and the limits of what invokes the function
+export class TimeoutAnalyzer {
+  constructor(lambdaAnalyzer = new LambdaAnalyzer()) {
+    this.lambdaAnalyzer = lambdaAnalyzer;
+    this.dataSource = lambdaAnalyzer.dataSource;
+    this.maxTimeoutEvents = 10000;
+    this.maxSampleRequestIds = 5;
+    // Headroom over the slowest observed invocations
+    this.headroom = { p999: 1.5, max: 1.2, timedOut: 1.5 };
+    this.defaultTimeoutSeconds = 3;
+    this.maxTimeoutSeconds = 900;
+  }
+
+  async analyzeTimeoutRisk(functionName, timeRange = '7d') {
+    const timeRangeMs = parseTimeRange(timeRange);
+    const endTime = await this.lambdaAnalyzer.getEndTime();
+    const startTime = new Date(endTime.getTime() - timeRangeMs);
+
+    const config = await this.lambdaAnalyzer.getFunctionConfig(functionName);
+    const metrics = await this.lambdaAnalyzer.getMetrics(functionName, startTime, endTime);
+    const reports = await this.lambdaAnalyzer.getReportRecords(functionName, startTime, endTime);
+    const timeouts = await this.findTimeouts(functionName, startTime, endTime);
+    const upstreamLimits = await this.getUpstreamLimits(functionName);
+
+    // Exported logs carry no configuration, but timeout messages state the limit
+    const timeoutSeconds = config.Timeout || timeouts.limitSeconds || this.defaultTimeoutSeconds;
+    const timeoutKnown = Boolean(config.Timeout || timeouts.limitSeconds);
+    const limitMs = timeoutSeconds * 1000;
+
+    const durations = reports.map(report => report.duration);
+    const percentile = value => Math.round(calculatePercentile(durations, value));
+    const durationStats = {
+      samples: durations.length,
+      p50: metrics.p50Duration || percentile(50),
+      p95: metrics.p95Duration || percentile(95),
+      p99: metrics.p99Duration || percentile(99),
+      p999: metrics.p999Duration || percentile(99.9),
+      max: Math.max(metrics.maxDuration || 0, ...durations, 0)
+    };
+
+    const thresholds = RISK_LEVELS.map(percent => {
+      const thresholdMs = limitMs * percent / 100;
+      const invocations = durations.filter(duration => duration >= thresholdMs).length;
+      return {
+        percent,
+        thresholdMs,
+        invocations,
+        sharePercent: durations.length > 0 ? Math.round((invocations / durations.length) * 10000) / 100 : 0
+      };
+    });
+
+    const recommendation = this.recommendTimeout({
+      timeoutSeconds,
+      p999Duration: durationStats.p999,
+      maxDuration: durationStats.max,
+      timeouts: timeouts.count,
+      upstreamLimits
+    });
+
+    const result = {
+      functionName,
+      qualifier: this.lambdaAnalyzer.qualifier,
+      timeRange,
+      timeoutSeconds,
+      timeoutKnown,
+      durations: durationStats,
+      // How much of the limit the slowest 1% of invocations use
+      p99UtilizationPercent: Math.round((durationStats.p99 / limitMs) * 1000) / 10,
+      thresholds,
+      timeouts: {
+        count: timeouts.count,
+        lastSeen: timeouts.lastSeen ? new Date(timeouts.lastSeen).toISOString() : null,
+        sampleRequestIds: timeouts.requestIds.slice(0, this.maxSampleRequestIds),
+        truncated: timeouts.truncated
+      },
+      upstreamLimits,
+      risk: this.assessRisk(timeouts.count, thresholds, timeoutSeconds, upstreamLimits),
+      recommendedTimeoutSeconds: recommendation.seconds,
+      reasoning: recommendation.reasoning
+    };
+    result.recommendations = this.generateRecommendations(result);
+
+    return result;
+  }
+
+  // Requests that hit the limit, from the runtime's timeout message or a REPORT with Status: timeout
+  async findTimeouts(functionName, startTime, endTime) {
+    const resolver = this.lambdaAnalyzer.qualifierResolver;
+    const versions = await resolver.getVersions(functionName);
+    const requestIds = new Set();
+    let limitSeconds = null;
+    let lastSeen = null;
+    let scanned = 0;
+    let nextToken;
+
+    do {
+      try {
+        const response = await this.lambdaAnalyzer.logsClient.send(new FilterLogEventsCommand({
+          logGroupName: `/aws/lambda/${functionName}`,
+          startTime: startTime.getTime(),
+          endTime: endTime.getTime(),
+          filterPattern: '?"Task timed out" ?"Status: timeout"',
+          nextToken
+        }));
+
+        (response.events || []).forEach(event => {
+          scanned++;
+          if (!resolver.matchesStream(versions, event.logStreamName)) return;
+          const message = event.message || '';
+          const limit = message.match(/Task timed out after ([\d.]+) seconds/);
+          if (!limit && !/Status: timeout/.test(message)) return;
+          if (limit) limitSeconds = Math.round(parseFloat(limit[1]));
+
+          const requestId = message.match(/RequestId: ([\w-]+)/) || message.match(/^\S+[\t ]([0-9a-f]{8}-[0-9a-f-]{27})[\t ]/);
+          requestIds.add(requestId ? requestId[1] : event.eventId);
+          lastSeen = Math.max(lastSeen || 0, event.timestamp);
+        });
+
+        nextToken = response.nextToken;
+      } catch (error) {
+        console.error('Error scanning timeouts:', error);
+        break;
+      }
+    } while (nextToken && scanned < this.maxTimeoutEvents);
+
+    return { count: requestIds.size, requestIds: [...requestIds], limitSeconds, lastSeen, truncated: Boolean(nextToken) };
+  }
+
+  // Callers whose own timeout bounds how long the function can usefully run
+  async getUpstreamLimits(functionName) {
+    if (this.lambdaAnalyzer.logSource) return [];
+
+    const qualifiedName = this.lambdaAnalyzer.qualifier ? `${functionName}:${this.lambdaAnalyzer.qualifier}` : functionName;
+    const limits = [];
+
+    try {
+      const response = await this.lambdaAnalyzer.lambdaClient.send(new GetPolicyCommand({
+        FunctionName: functionName,
+        Qualifier: this.lambdaAnalyzer.qualifier || undefined
+      }));
+      const statements = JSON.parse(response.Policy || '{}').Statement || [];
+      const invokedByApiGateway = statements.some(statement => {
+        const service = statement.Principal && statement.Principal.Service;
+        return [].concat(service || []).includes('apigateway.amazonaws.com');
+      });
+      if (invokedByApiGateway) {
+        limits.push({
+          source: 'API Gateway',
+          kind: 'integration timeout',
+          limitSeconds: API_GATEWAY_TIMEOUT_SECONDS,
+          hardLimitSeconds: API_GATEWAY_TIMEOUT_SECONDS,
+          detail: 'Callers get a 504 after 29 seconds while the function keeps running and billing'
+        });
+      }
+    } catch (error) {
+      // Functions without a resource-based policy have nothing invoking them through it
+      if (error.name !== 'ResourceNotFoundException') {
+        console.error('Error reading function policy:', error);
+      }
+    }
+
+    try {
+      let marker;
+      do {
+        const response = await this.lambdaAnalyzer.lambdaClient.send(new ListEventSourceMappingsCommand({
+          FunctionName: qualifiedName,
+          Marker: marker
+        }));
+        for (const mapping of response.EventSourceMappings || []) {
+          if (!(mapping.EventSourceArn || '').startsWith('arn:aws:sqs:')) continue;
+          const visibilityTimeout = await this.getVisibilityTimeout(mapping.EventSourceArn);
+          if (visibilityTimeout === null) continue;
+          limits.push({
+            source: `SQS ${mapping.EventSourceArn.split(':')[5]}`,
+            kind: 'visibility timeout',
+            limitSeconds: Math.max(1, Math.floor(visibilityTimeout / SQS_VISIBILITY_MULTIPLIER)),
+            hardLimitSeconds: visibilityTimeout,
+            detail: 'Messages still in flight after it are delivered again; AWS recommends a visibility timeout ' +
+              `of at least ${SQS_VISIBILITY_MULTIPLIER}x the function timeout to leave room for retries`
+          });
+        }
+        marker = response.NextMarker;
+      } while (marker);
+    } catch (error) {
+      console.error('Error listing event source mappings:', error);
+    }
+
+    return limits;
+  }
+
+  async getVisibilityTimeout(queueArn) {
+    const [, , , region, accountId, queueName] = queueArn.split(':');
+    try {
+      const response = await this.dataSource.getClient('sqs', region).send(new GetQueueAttributesCommand({
+        QueueUrl: `https://sqs.${region}.amazonaws.com/${accountId}/${queueName}`,
+        AttributeNames: ['VisibilityTimeout']
+      }));
+      return parseInt(response.Attributes.VisibilityTimeout, 10);
+    } catch (error) {
+      console.error(`Error reading visibility timeout of ${queueName}:`, error);
+      return null;
+    }
+  }
+
+  // Headroom over the slowest invocations seen, capped by what invokes the function. Durations of
+  // timed-out invocations stop at the limit, so then the real tail is unknown and the limit is raised.
+  recommendTimeout({ timeoutSeconds, p999Duration = 0, maxDuration = 0, timeouts = 0, upstreamLimits = [] }) {
+    const reasoning = [];
+    let seconds;
+
+    if (timeouts > 0) {
+      seconds = Math.ceil(timeoutSeconds * this.headroom.timedOut);
+      reasoning.push(`${timeouts} invocations hit the ${timeoutSeconds}s timeout, so how long they would have run is unknown; ` +
+        `raising the limit by 50% to ${seconds}s shows whether they finish or hang`);
+    } else if (!p999Duration && !maxDuration) {
+      seconds = timeoutSeconds;
+      reasoning.push(`No invocation durations in the time range, keeping ${timeoutSeconds}s`);
+    } else {
+      const basisMs = Math.max(p999Duration * this.headroom.p999, maxDuration * this.headroom.max);
+      seconds = Math.max(1, Math.ceil(basisMs / 1000));
+      reasoning.push(`p99.9 of ${Math.round(p999Duration)}ms x${this.headroom.p999} and the slowest invocation of ` +
+        `${Math.round(maxDuration)}ms x${this.headroom.max} need ${seconds}s`);
+    }
+
+    const cap = upstreamLimits.reduce((lowest, limit) => (lowest === null || limit.limitSeconds < lowest.limitSeconds ? limit : lowest), null);
+    if (cap && seconds > cap.limitSeconds) {
+      seconds = cap.limitSeconds;
+      reasoning.push(`Capped at ${cap.limitSeconds}s by the ${cap.source} ${cap.kind}. ${cap.detail}`);
+      if (maxDuration > cap.limitSeconds * 1000) {
+        reasoning.push(`The slowest invocation (${Math.round(maxDuration)}ms) already exceeds that cap; the work needs to become asynchronous or faster`);
+      }
+    }
+
+    if (seconds > this.maxTimeoutSeconds) {
+      seconds = this.maxTimeoutSeconds;
+      reasoning.push('Capped at the Lambda maximum of 900s');
+    }
+    if (seconds < timeoutSeconds) {
+      reasoning.push(`Lowering the limit from ${timeoutSeconds}s makes hung invocations fail (and stop billing) sooner`);
+    }
+
+    return { seconds, reasoning };
+  }
+
+  assessRisk(timeouts, thresholds, timeoutSeconds, upstreamLimits) {
+    const over = percent => thresholds.find(threshold => threshold.percent === percent).invocations;
+    const exceedsCaller = upstreamLimits.some(limit => timeoutSeconds > limit.hardLimitSeconds);
+
+    if (timeouts > 0 || over(90) > 0) return 'high';
+    if (over(80) > 0 || exceedsCaller) return 'medium';
+    return 'low';
+  }
+
+  generateRecommendations(result) {
+    const recommendations = [];
+    const near = result.thresholds.find(threshold => threshold.percent === 80);
+
+    if (result.timeouts.count > 0) {
+      recommendations.push(`${result.timeouts.count} invocations timed out - check downstream calls for missing client timeouts before raising the limit`);
+    }
+    if (near.invocations > 0) {
+      recommendations.push(`${near.invocations} invocations (${near.sharePercent}%) used over 80% of the ${result.timeoutSeconds}s timeout`);
+    }
+    result.upstreamLimits
+      .filter(limit => result.timeoutSeconds > limit.hardLimitSeconds)
+      .forEach(limit => recommendations.push(`The ${result.timeoutSeconds}s timeout exceeds the ${limit.source} ${limit.kind} of ${limit.hardLimitSeconds}s - ${limit.detail}`));
+    if (!result.timeoutKnown) {
+      recommendations.push(`The configured timeout is not in the exported logs; the Lambda default of ${this.defaultTimeoutSeconds}s was assumed`);
+    }
+    if (result.recommendedTimeoutSeconds !== result.timeoutSeconds) {
+      recommendations.push(`Set the timeout to ${result.recommendedTimeoutSeconds}s (currently ${result.timeoutSeconds}s)`);
+    }
+
+    return recommendations.length > 0 ? recommendations : ['The configured timeout fits the observed durations'];
+  }
+}
\ No newline at end of file
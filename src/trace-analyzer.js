@@ -0,0 +1,366 @@
+import { BatchGetTracesCommand, GetTraceSummariesCommand } from '@aws-sdk/client-xray';
+import { LocalTracesClient, parseSegmentDocument } from './local-traces-client.js';
+import { DataSource } from './data-source.js';
+import { QualifierResolver } from './qualifier-resolver.js';
+import { parseTimeRange, calculatePercentile, sum, round } from './analysis-helpers.js';
+
+// Subsegments Lambda adds to the AWS::Lambda::Function segment
+const PHASES = {
+  Initialization: 'initialization',
+  Invocation: 'invocation',
+  Overhead: 'overhead'
+};
+
+// Breaks X-Ray traces of a function into Lambda phases and the downstream calls made while handling them
+export class TraceAnalyzer {
+  constructor(options = {}) {
+    this.region = options.region || process.env.AWS_REGION;
+    this.dataSource = options.dataSource || new DataSource();
+    this.traceSource = options.traceSource || null;
+    this.xrayClient = this.traceSource
+      ? new LocalTracesClient(this.traceSource)
+      : this.dataSource.getClient('xray', this.region);
+    this.qualifierResolver = new QualifierResolver({ qualifier: options.qualifier, dataSource: this.dataSource, region: this.region });
+    this.maxTraces = 200;
+    // BatchGetTraces takes at most 5 ids; GetTraceSummaries is queried in 6 hour windows
+    this.batchSize = 5;
+    this.windowMs = 6 * 60 * 60 * 1000;
+    this.thresholds = {
+      dominantShare: 30,
+      callsPerInvocation: 5,
+      selfTime: 70
+    };
+  }
+
+  async analyzeTraces(functionName, timeRange) {
+    const endTime = new Date(this.traceSource ? await this.xrayClient.getLatestTimestamp() : this.dataSource.now());
+    const startTime = new Date(endTime.getTime() - parseTimeRange(timeRange));
+
+    const summary = await this.getTraceSummary(functionName, startTime, endTime);
+    if (!summary) {
+      return this.getEmptyResult(functionName, timeRange);
+    }
+
+    return {
+      functionName,
+      timeRange,
+      tracesFound: true,
+      ...summary,
+      recommendations: this.generateRecommendations(summary)
+    };
+  }
+
+  // Aggregate the traces of a window; null when X-Ray has no traces for the function
+  async getTraceSummary(functionName, startTime, endTime) {
+    const { traces, truncated } = await this.getTraces(functionName, startTime, endTime);
+    const invocations = traces
+      .map(trace => this.breakdownTrace(trace, functionName))
+      .filter(invocation => invocation !== null);
+    if (invocations.length === 0) return null;
+
+    const durations = invocations.map(invocation => invocation.duration);
+    const p95Duration = calculatePercentile(durations, 95);
+    const slowest = invocations.filter(invocation => invocation.duration >= p95Duration);
+    const coldStarts = invocations.filter(invocation => invocation.phases.initialization > 0);
+    const dependencies = this.aggregateDependencies(invocations, slowest);
+    const dominant = dependencies.find(dependency => dependency.p95Share >= this.thresholds.dominantShare);
+
+    const totalDuration = sum(durations);
+    const selfTime = sum(invocations.map(invocation => invocation.selfTime));
+
+    return {
+      traceCount: invocations.length,
+      coldStarts: coldStarts.length,
+      truncated,
+      duration: {
+        avg: round(totalDuration / invocations.length),
+        p50: round(calculatePercentile(durations, 50)),
+        p95: round(p95Duration),
+        max: round(Math.max(...durations))
+      },
+      phases: {
+        initialization: this.summarizePhase(coldStarts.map(invocation => invocation.phases.initialization)),
+        invocation: this.summarizePhase(invocations.map(invocation => invocation.phases.invocation)),
+        overhead: this.summarizePhase(invocations.map(invocation => invocation.phases.overhead))
+      },
+      downstream: {
+        avgCallsPerInvocation: round(sum(invocations.map(invocation => invocation.calls.length)) / invocations.length),
+        avgTime: round(sum(invocations.map(invocation => invocation.downstreamTime)) / invocations.length),
+        avgSelfTime: round(selfTime / invocations.length),
+        selfTimePercent: totalDuration > 0 ? round((selfTime / totalDuration) * 100) : 0
+      },
+      dependencies,
+      dominantDependency: dominant ? dominant.name : null
+    };
+  }
+
+  async getTraces(functionName, startTime, endTime) {
+    const traceIds = await this.getTraceIds(functionName, startTime, endTime);
+    const traces = [];
+
+    for (let i = 0; i < traceIds.length; i += this.batchSize) {
+      try {
+        const command = new BatchGetTracesCommand({ TraceIds: traceIds.slice(i, i + this.batchSize) });
+        const response = await this.xrayClient.send(command);
+        traces.push(...(response.Traces || []));
+      } catch (error) {
+        console.error('Error fetching X-Ray traces:', error);
+        break;
+      }
+    }
+
+    return { traces, truncated: traceIds.length >= this.maxTraces };
+  }
+
+  // Newest windows first, so a truncated sample covers the most recent traffic
+  async getTraceIds(functionName, startTime, endTime) {
+    const traceIds = new Set();
+
+    for (let windowEnd = endTime.getTime(); windowEnd > startTime.getTime(); windowEnd -= this.windowMs) {
+      const windowStart = Math.max(startTime.getTime(), windowEnd - this.windowMs);
+      let nextToken;
+
+      do {
+        try {
+          const command = new GetTraceSummariesCommand({
+            StartTime: new Date(windowStart),
+            EndTime: new Date(windowEnd),
+            FilterExpression: this.getFilterExpression(functionName),
+            NextToken: nextToken
+          });
+
+          const response = await this.xrayClient.send(command);
+          (response.TraceSummaries || []).forEach(summary => traceIds.add(summary.Id));
+          nextToken = response.NextToken;
+        } catch (error) {
+          console.error('Error fetching X-Ray trace summaries:', error);
+          return [...traceIds].slice(0, this.maxTraces);
+        }
+      } while (nextToken && traceIds.size < this.maxTraces);
+
+      if (traceIds.size >= this.maxTraces) break;
+    }
+
+    return [...traceIds].slice(0, this.maxTraces);
+  }
+
+  getFilterExpression(functionName) {
+    const service = `service(id(name: "${functionName}", type: "AWS::Lambda::Function"))`;
+    const { qualifier } = this.qualifierResolver;
+    // Unqualified calls run $LATEST too, so $LATEST is only narrowed down per trace
+    return qualifier && qualifier !== '$LATEST'
+      ? `${service} AND resource.arn ENDSWITH ":${functionName}:${qualifier}"`
+      : service;
+  }
+
+  breakdownTrace(trace, functionName) {
+    const documents = (trace.Segments || [])
+      .map(segment => parseSegmentDocument(segment.Document))
+      .filter(document => document !== null);
+    const functionSegment = documents.find(document =>
+      document.origin === 'AWS::Lambda::Function' && document.name === functionName
+    );
+    if (!functionSegment) return null;
+
+    // Segments carry the function ARN they were invoked with, qualifier included
+    const invokedArns = documents
+      .filter(document => /^AWS::Lambda/.test(document.origin || ''))
+      .map(document => document.resource_arn || (document.aws && document.aws.function_arn));
+    if (!invokedArns.every(arn => this.qualifierResolver.matchesArn(arn))) return null;
+
+    const phases = { initialization: 0, invocation: 0, overhead: 0 };
+    (functionSegment.subsegments || []).forEach(subsegment => {
+      const phase = PHASES[subsegment.name];
+      if (phase) phases[phase] += this.durationMs(subsegment);
+    });
+
+    // Older traces have no Invocation subsegment; the function segment then covers the handler
+    if (!(functionSegment.subsegments || []).some(subsegment => subsegment.name === 'Invocation')) {
+      phases.invocation = Math.max(0, this.durationMs(functionSegment) - phases.initialization - phases.overhead);
+    }
+
+    // The AWS::Lambda service segment spans the whole request as seen by the Lambda service
+    const serviceSegment = documents.find(document => document.origin === 'AWS::Lambda' && document.name === functionName);
+    const duration = serviceSegment
+      ? this.durationMs(serviceSegment)
+      : phases.initialization + phases.invocation + phases.overhead;
+
+    // Calls made during Initialization are part of the init phase, not of handling the request
+    const calls = [];
+    this.collectCalls((functionSegment.subsegments || []).filter(subsegment => subsegment.name !== 'Initialization'), calls);
+    const downstreamTime = this.mergedDuration(calls);
+    const dependencyTimes = {};
+    [...new Set(calls.map(call => call.name))].forEach(name => {
+      dependencyTimes[name] = this.mergedDuration(calls.filter(call => call.name === name));
+    });
+
+    return {
+      id: trace.Id,
+      duration,
+      phases,
+      calls,
+      downstreamTime,
+      dependencyTimes,
+      selfTime: Math.max(0, phases.invocation - downstreamTime)
+    };
+  }
+
+  // Downstream calls are the outermost aws/remote subsegments; their children are the same call
+  collectCalls(subsegments, calls) {
+    (subsegments || []).forEach(subsegment => {
+      const dependency = this.classifyDependency(subsegment);
+      if (dependency) {
+        calls.push({
+          ...dependency,
+          start: subsegment.start_time,
+          end: subsegment.end_time,
+          duration: this.durationMs(subsegment),
+          failed: Boolean(subsegment.error || subsegment.fault || subsegment.throttle)
+        });
+      } else {
+        this.collectCalls(subsegment.subsegments, calls);
+      }
+    });
+  }
+
+  classifyDependency(subsegment) {
+    if (subsegment.namespace === 'aws') {
+      return { name: subsegment.name, type: 'aws' };
+    }
+    if (subsegment.namespace !== 'remote') return null;
+
+    if (subsegment.sql) {
+      return { name: subsegment.sql.database_type ? `SQL (${subsegment.sql.database_type})` : 'SQL', type: 'sql' };
+    }
+
+    const url = subsegment.http && subsegment.http.request && subsegment.http.request.url;
+    let host = subsegment.name;
+    try {
+      if (url) host = new URL(url).host;
+    } catch (error) {
+      // Keep the subsegment name
+    }
+    return { name: `HTTP ${host}`, type: 'http' };
+  }
+
+  aggregateDependencies(invocations, slowest) {
+    const totalDuration = sum(invocations.map(invocation => invocation.duration));
+    const slowestDuration = sum(slowest.map(invocation => invocation.duration));
+    const byName = new Map();
+
+    invocations.forEach(invocation => {
+      invocation.calls.forEach(call => {
+        if (!byName.has(call.name)) {
+          byName.set(call.name, { name: call.name, type: call.type, durations: [], errors: 0 });
+        }
+        const dependency = byName.get(call.name);
+        dependency.durations.push(call.duration);
+        if (call.failed) dependency.errors++;
+      });
+    });
+
+    const timeIn = (group, name) => sum(group.map(invocation => invocation.dependencyTimes[name] || 0));
+
+    return [...byName.values()]
+      .map(dependency => ({
+        name: dependency.name,
+        type: dependency.type,
+        calls: dependency.durations.length,
+        callsPerInvocation: round(dependency.durations.length / invocations.length),
+        avgDuration: round(sum(dependency.durations) / dependency.durations.length),
+        p95Duration: round(calculatePercentile(dependency.durations, 95)),
+        errors: dependency.errors,
+        durationShare: totalDuration > 0 ? round((timeIn(invocations, dependency.name) / totalDuration) * 100) : 0,
+        // Share of the time spent in this dependency by the slowest 5% of invocations
+        p95Share: slowestDuration > 0 ? round((timeIn(slowest, dependency.name) / slowestDuration) * 100) : 0
+      }))
+      .sort((a, b) => b.p95Share - a.p95Share || b.durationShare - a.durationShare);
+  }
+
+  summarizePhase(values) {
+    return {
+      count: values.length,
+      avg: values.length > 0 ? round(sum(values) / values.length) : 0,
+      p95: values.length > 0 ? round(calculatePercentile(values, 95)) : 0
+    };
+  }
+
+  generateRecommendations(summary) {
+    const recommendations = [];
+    const dominant = summary.dependencies.find(dependency => dependency.name === summary.dominantDependency);
+
+    if (dominant) {
+      recommendations.push(`${dominant.name} accounts for ${dominant.p95Share}% of p95 latency - ${this.getDependencyAdvice(dominant)}`);
+    }
+    if (summary.downstream.avgCallsPerInvocation > this.thresholds.callsPerInvocation) {
+      recommendations.push(`${summary.downstream.avgCallsPerInvocation} downstream calls per invocation - batch them or run independent calls in parallel`);
+    }
+    if (summary.downstream.selfTimePercent > this.thresholds.selfTime) {
+      recommendations.push(`${summary.downstream.selfTimePercent}% of the time is spent in function code rather than downstream calls - profile the handler`);
+    }
+    summary.dependencies
+      .filter(dependency => dependency.errors > 0)
+      .forEach(dependency => {
+        recommendations.push(`${dependency.name} failed ${dependency.errors} of ${dependency.calls} calls - check retries and error handling`);
+      });
+
+    return recommendations.length > 0 ? recommendations : ['No downstream bottlenecks detected in X-Ray traces'];
+  }
+
+  getDependencyAdvice(dependency) {
+    if (dependency.type === 'sql') return 'pool connections (RDS Proxy) and review slow queries';
+    if (dependency.type === 'http') return 'reuse keep-alive connections, cache responses and set client timeouts';
+    if (dependency.name === 'DynamoDB') return 'batch reads and writes, project only needed attributes or add DAX caching';
+    if (dependency.name === 'S3') return 'stream objects, use range requests or cache frequently read objects';
+    return 'batch requests and reuse SDK clients across invocations';
+  }
+
+  getEmptyResult(functionName, timeRange) {
+    return {
+      functionName,
+      timeRange,
+      tracesFound: false,
+      traceCount: 0,
+      coldStarts: 0,
+      truncated: false,
+      duration: { avg: 0, p50: 0, p95: 0, max: 0 },
+      phases: {
+        initialization: { count: 0, avg: 0, p95: 0 },
+        invocation: { count: 0, avg: 0, p95: 0 },
+        overhead: { count: 0, avg: 0, p95: 0 }
+      },
+      downstream: { avgCallsPerInvocation: 0, avgTime: 0, avgSelfTime: 0, selfTimePercent: 0 },
+      dependencies: [],
+      dominantDependency: null,
+      recommendations: ['No X-Ray traces found - enable active tracing for this function']
+    };
+  }
+
+  // Helper methods
+  durationMs(segment) {
+    if (typeof segment.start_time !== 'number' || typeof segment.end_time !== 'number') return 0;
+    return Math.max(0, (segment.end_time - segment.start_time) * 1000);
+  }
+
+  // Wall-clock time covered by the calls, counting overlapping (parallel) calls once
+  mergedDuration(calls) {
+    const intervals = calls
+      .filter(call => typeof call.start === 'number' && typeof call.end === 'number')
+      .map(call => [call.start, call.end])
+      .sort((a, b) => a[0] - b[0]);
+
+    let total = 0;
+    let current = null;
+    intervals.forEach(([start, end]) => {
+      if (current && start <= current[1]) {
+        current[1] = Math.max(current[1], end);
+      } else {
+        if (current) total += current[1] - current[0];
+        current = [start, end];
+      }
+    });
+    if (current) total += current[1] - current[0];
+
+    return total * 1000;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,70 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// One limit on in-flight work for every map that runs through the pool, however deeply nested
+export class WorkerPool {
+  constructor(concurrency = 8) {
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.waiting = [];
+    this.slot = new AsyncLocalStorage();
+  }
+
+  // Run worker over every item with at most `concurrency` in flight, keeping input order
+  async map(items, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const drain = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+
+    const runnerCount = Math.min(this.concurrency, items.length);
+    const runners = [];
+
+    if (this.slot.getStore()) {
+      // A map nested in a worker keeps working in the slot its caller holds and only adds
+      // runners for slots that are free, so it can neither exceed the limit nor wait on itself
+      runners.push(drain());
+      while (runners.length < runnerCount && this.active < this.concurrency) {
+        this.active++;
+        runners.push(this.holdSlot(drain));
+      }
+    } else {
+      for (let i = 0; i < runnerCount; i++) {
+        runners.push(this.acquire().then(() => this.holdSlot(drain)));
+      }
+    }
+
+    await Promise.all(runners);
+    return results;
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  // A released slot passes straight to the next waiting runner
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async holdSlot(task) {
+    try {
+      return await this.slot.run(true, task);
+    } finally {
+      this.release();
+    }
+  }
+}
\ No newline at end of file
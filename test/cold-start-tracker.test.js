@@ -0,0 +1,47 @@
+import { jest } from '@jest/globals';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ColdStartTracker } from '../src/cold-start-tracker.js';
+
+describe('ColdStartTracker', () => {
+  let exportDir;
+
+  beforeEach(() => {
+    exportDir = mkdtempSync(join(tmpdir(), 'cold-starts-'));
+  });
+
+  afterEach(() => {
+    rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  test('splits init time using the function output found by the single scan', async () => {
+    const streamDir = join(exportDir, 'aws/lambda/orders-api/2026/10/01');
+    mkdirSync(streamDir, { recursive: true });
+    writeFileSync(join(streamDir, '[$LATEST]abc'), [
+      '2026-10-01T10:00:00.000Z INIT_START Runtime Version: nodejs:20.v22\tRuntime Version ARN: arn:aws:lambda:us-east-1::runtime:abc',
+      '2026-10-01T10:00:00.100Z EXTENSION\tName: collector\tState: Ready\tEvents: [INVOKE,SHUTDOWN]',
+      '2026-10-01T10:00:00.300Z 2026-10-01T10:00:00.300Z\tundefined\tINFO\tLoading configuration',
+      '2026-10-01T10:00:01.000Z START RequestId: req-1 Version: $LATEST',
+      '2026-10-01T10:00:01.050Z 2026-10-01T10:00:01.040Z\treq-1\tINFO\tHandled order',
+      '2026-10-01T10:00:01.050Z END RequestId: req-1',
+      '2026-10-01T10:00:01.050Z REPORT RequestId: req-1\tDuration: 50.00 ms\tBilled Duration: 50 ms\tMemory Size: 512 MB\t' +
+        'Max Memory Used: 90 MB\tInit Duration: 1000.00 ms'
+    ].join('\n'));
+    const tracker = new ColdStartTracker({ logSource: exportDir });
+    const send = jest.spyOn(tracker.logsClient, 'send');
+
+    const { total, initPhase } = await tracker.trackColdStarts('orders-api', '24h');
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(total).toBe(1);
+    expect(initPhase.breakdown).toMatchObject({
+      samples: 1,
+      attributed: 1,
+      avgExtensions: 100,
+      avgRuntime: 200,
+      avgUserCode: 700,
+      avgUnattributed: 0
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { GetFunctionCommand, ListFunctionsCommand } from '@aws-sdk/client-lambda';
+import { DataSource } from '../src/data-source.js';
+
+// Record mode with a canned client in place of AWS
+class CannedDataSource extends DataSource {
+  constructor(recordingsDir, respond) {
+    super({ mode: 'record', recordingsDir });
+    this.respond = respond;
+  }
+
+  createClient(service, region) {
+    return { send: command => this.record(service, region, { send: async () => this.respond(command) }, command) };
+  }
+}
+
+describe('DataSource', () => {
+  let recordingsDir;
+
+  beforeEach(() => {
+    recordingsDir = mkdtempSync(join(tmpdir(), 'recordings-'));
+  });
+
+  afterEach(() => {
+    rmSync(recordingsDir, { recursive: true, force: true });
+  });
+
+  test('replays recorded responses in order, with dates revived', async () => {
+    const modified = new Date('2026-09-01T00:00:00.000Z');
+    let call = 0;
+    const recorder = new CannedDataSource(recordingsDir, () => ({ Configuration: { MemorySize: 128 * ++call, LastModified: modified } }));
+    const command = () => new GetFunctionCommand({ FunctionName: 'orders-api' });
+    await recorder.getClient('lambda', 'us-east-1').send(command());
+    await recorder.getClient('lambda', 'us-east-1').send(command());
+
+    const client = new DataSource({ mode: 'replay', recordingsDir }).getClient('lambda', 'us-east-1');
+    const first = await client.send(command());
+    const second = await client.send(command());
+    const third = await client.send(command());
+
+    expect([first, second, third].map(response => response.Configuration.MemorySize)).toEqual([128, 256, 256]);
+    expect(first.Configuration.LastModified).toEqual(modified);
+  });
+
+  test('recording into an existing directory replaces the earlier recording', async () => {
+    const first = new CannedDataSource(recordingsDir, () => ({ Functions: [] }));
+    await first.getClient('lambda', 'us-east-1').send(new ListFunctionsCommand({}));
+    await first.getClient('lambda', 'us-east-1').send(new GetFunctionCommand({ FunctionName: 'orders-api' }));
+    const firstManifest = JSON.parse(readFileSync(join(recordingsDir, 'manifest.json'), 'utf8'));
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = new CannedDataSource(recordingsDir, () => ({ Configuration: { MemorySize: 256 } }));
+    await second.getClient('lambda', 'us-east-1').send(new GetFunctionCommand({ FunctionName: 'orders-api' }));
+    const secondManifest = JSON.parse(readFileSync(join(recordingsDir, 'manifest.json'), 'utf8'));
+
+    expect(Date.parse(secondManifest.startedAt)).toBeGreaterThan(Date.parse(firstManifest.startedAt));
+    const replay = new DataSource({ mode: 'replay', recordingsDir }).getClient('lambda', 'us-east-1');
+    await expect(replay.send(new ListFunctionsCommand({}))).rejects.toThrow('No recorded response');
+
+    const key = second.getRecordingKey('lambda', 'us-east-1', new GetFunctionCommand({ FunctionName: 'orders-api' }));
+    const recording = JSON.parse(readFileSync(second.getRecordingPath(key), 'utf8'));
+    expect(recording.entries).toHaveLength(1);
+    expect(recording.entries[0].response.Configuration.MemorySize).toBe(256);
+  });
+
+  test('replays run on the clock of the recording', async () => {
+    const recorder = new CannedDataSource(recordingsDir, () => ({ Functions: [] }));
+    await recorder.getClient('lambda', 'us-east-1').send(new ListFunctionsCommand({}));
+    const { startedAt } = JSON.parse(readFileSync(join(recordingsDir, 'manifest.json'), 'utf8'));
+
+    expect(new DataSource({ mode: 'replay', recordingsDir }).now()).toBe(Date.parse(startedAt));
+    expect(existsSync(join(recordingsDir, 'lambda'))).toBe(true);
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => new DataSource({ mode: 'mock' })).toThrow('Unknown data source mode "mock"');
+  });
+});
\ No newline at end of file
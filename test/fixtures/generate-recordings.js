@@ -0,0 +1,37 @@
+import { join } from 'path';
+import { DataSource } from '../../src/data-source.js';
+import { LambdaPerformanceMCPServer } from '../../index.js';
+import { SyntheticAccount } from './synthetic-account.js';
+import { FIXTURE_NOW, RECORDINGS_DIR, TOOL_CALLS } from './tool-calls.js';
+
+// Records every tool in TOOL_CALLS against the synthetic account into recordings/<tool name>.
+// Re-run with `npm run fixtures` when a tool starts making different AWS requests.
+process.env.AWS_REGION = 'us-east-1';
+
+// Record mode, but answered by the synthetic account and stamped with the fixture clock
+class SyntheticDataSource extends DataSource {
+  constructor(account, recordingsDir) {
+    super({ mode: 'record', recordingsDir });
+    this.account = account;
+  }
+
+  createClient(service, region) {
+    const client = { send: command => this.account.send(service, command) };
+    return { send: command => this.record(service, region, client, command) };
+  }
+
+  now() {
+    return FIXTURE_NOW;
+  }
+
+  saveEntry(service, region, command, entry) {
+    super.saveEntry(service, region, command, { ...entry, recordedAt: new Date(FIXTURE_NOW).toISOString() });
+  }
+}
+
+for (const [name, args] of Object.entries(TOOL_CALLS)) {
+  const dataSource = new SyntheticDataSource(new SyntheticAccount(FIXTURE_NOW), join(RECORDINGS_DIR, name));
+  const server = new LambdaPerformanceMCPServer({ dataSource });
+  const result = server.formatToolResult(await server.callTool(name, args));
+  console.log(`${name}: ${result.content[0].text.split('\n')[0]}`);
+}
\ No newline at end of file
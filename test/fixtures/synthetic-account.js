@@ -0,0 +1,828 @@
+import { LocalLogsClient } from '../../src/local-logs-client.js';
+import { LocalTracesClient } from '../../src/local-traces-client.js';
+
+// A small, deterministic AWS account that answers the API calls the analyzers make. The
+// fixture recordings are generated against it, so they exercise every tool without AWS.
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const STEP_MS = 5 * MINUTE_MS;
+const ACCOUNT_ID = '123456789012';
+const REGION = 'us-east-1';
+const ACCOUNT_LIMIT = 1000;
+
+// Spread of the log-normal duration distribution around each median
+const DURATION_SIGMA = 0.5;
+
+const FUNCTIONS = [
+  {
+    name: 'orders-api',
+    runtime: 'nodejs20.x',
+    runtimeVersion: 'nodejs:20.v22',
+    architecture: 'x86_64',
+    memory: 512,
+    timeout: 10,
+    codeSize: 2457600,
+    modifiedAgo: 20 * HOUR_MS,
+    perMinute: 6,
+    medianMs: 120,
+    usedMemoryMB: 180,
+    initMs: 380,
+    errorRate: 0.01,
+    reserved: 50,
+    tags: { team: 'checkout', env: 'prod' },
+    // Version 3 went out 20 hours ago and is 40% slower than version 2
+    versions: [
+      { version: '1', deployedAgo: 9 * DAY_MS, slowdown: 1 },
+      { version: '2', deployedAgo: 5 * DAY_MS, slowdown: 1 },
+      { version: '3', deployedAgo: 20 * HOUR_MS, slowdown: 1.4 }
+    ],
+    alias: { name: 'live', version: '3' },
+    provisioned: { qualifier: 'live', allocated: 5 },
+    // Traffic quadruples for an hour until the reservation throttles it
+    burst: { from: 5 * HOUR_MS, to: 4 * HOUR_MS, factor: 4 },
+    // The last three hours are slower and fail more often than the baseline
+    incident: { from: 3 * HOUR_MS, slowdown: 2.2, errorRate: 0.06 },
+    invokedBy: 'apigateway.amazonaws.com',
+    queue: { name: 'orders-queue', visibilityTimeout: 30, batchSize: 10 },
+    logEveryMs: 10 * MINUTE_MS,
+    insights: true,
+    traces: true
+  },
+  {
+    name: 'image-resizer',
+    runtime: 'python3.12',
+    runtimeVersion: 'python:3.12.v18',
+    architecture: 'arm64',
+    memory: 1024,
+    timeout: 60,
+    codeSize: 15728640,
+    modifiedAgo: 12 * DAY_MS,
+    perMinute: 2,
+    medianMs: 900,
+    usedMemoryMB: 690,
+    initMs: 1450,
+    errorRate: 0.004,
+    reserved: null,
+    tags: { team: 'media' },
+    versions: [{ version: '4', deployedAgo: 12 * DAY_MS, slowdown: 1 }],
+    invokedBy: 's3.amazonaws.com',
+    // Uploads arrive asynchronously from S3 and queue up for a while every night
+    async: { maxRetries: 2, maxEventAgeSeconds: 3600, onFailure: 'image-resizer-dlq', backlogHours: [2, 3] },
+    stream: { name: 'uploads', batchSize: 100 },
+    logEveryMs: 30 * MINUTE_MS
+  },
+  {
+    name: 'nightly-report',
+    runtime: 'java21',
+    runtimeVersion: 'java:21.v25',
+    architecture: 'x86_64',
+    memory: 2048,
+    timeout: 900,
+    codeSize: 31457280,
+    modifiedAgo: 120 * DAY_MS,
+    perMinute: 1 / 60,
+    medianMs: 45000,
+    usedMemoryMB: 1210,
+    initMs: 3200,
+    errorRate: 0,
+    reserved: null,
+    tags: {},
+    versions: [{ version: '$LATEST', deployedAgo: 120 * DAY_MS, slowdown: 1 }],
+    logEveryMs: HOUR_MS
+  }
+];
+
+// Abramowitz and Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Seeded so every generation produces byte-identical recordings
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class SyntheticLogs extends LocalLogsClient {
+  constructor(events) {
+    super(null);
+    this.syntheticEvents = events;
+  }
+
+  async loadEvents() {
+    return this.syntheticEvents;
+  }
+}
+
+class SyntheticTraces extends LocalTracesClient {
+  constructor(traces) {
+    super(null);
+    this.syntheticTraces = traces;
+  }
+
+  async loadTraces() {
+    return this.syntheticTraces
+      .map(trace => ({ ...trace, ...this.getTraceTiming(trace) }))
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+}
+
+export class SyntheticAccount {
+  constructor(now) {
+    this.now = now;
+    this.random = createRandom(20261001);
+    this.functions = new Map(FUNCTIONS.map(func => [func.name, { ...func, currentMemory: func.memory, pendingUpdate: false, coldNext: false }]));
+    this.logGroups = new Map();
+    this.insightsEvents = [];
+    this.traces = [];
+    this.functions.forEach(func => this.generateLogs(func));
+    this.logsClients = new Map([...this.logGroups].map(([group, events]) => [group, new SyntheticLogs(events)]));
+    this.logsClients.set('/aws/lambda-insights', new SyntheticLogs(this.insightsEvents));
+    this.tracesClient = new SyntheticTraces(this.traces);
+  }
+
+  async send(service, command) {
+    const name = command.constructor.name.replace(/Command$/, '');
+    const handler = this[`${service}${name}`];
+    if (!handler) {
+      throw this.error('UnsupportedOperation', `The synthetic account does not implement ${service} ${name}`);
+    }
+    return await handler.call(this, command.input, command);
+  }
+
+  error(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  }
+
+  getFunction(name) {
+    // ListTags and a few others take the function ARN instead of its name
+    const baseName = (name || '').startsWith('arn:') ? name.split(':')[6] : name;
+    const func = this.functions.get(baseName);
+    if (!func) {
+      throw this.error('ResourceNotFoundException', `Function not found: arn:aws:lambda:${REGION}:${ACCOUNT_ID}:function:${name}`);
+    }
+    return func;
+  }
+
+  functionArn(func, qualifier) {
+    return `arn:aws:lambda:${REGION}:${ACCOUNT_ID}:function:${func.name}${qualifier ? `:${qualifier}` : ''}`;
+  }
+
+  iso(timestamp) {
+    return new Date(timestamp).toISOString();
+  }
+
+  configuration(func, qualifier) {
+    return {
+      FunctionName: func.name,
+      FunctionArn: this.functionArn(func, qualifier),
+      Runtime: func.runtime,
+      Role: `arn:aws:iam::${ACCOUNT_ID}:role/${func.name}-role`,
+      Handler: func.runtime.startsWith('java') ? 'com.example.Handler::handleRequest' : 'index.handler',
+      CodeSize: func.codeSize,
+      Timeout: func.timeout,
+      MemorySize: func.currentMemory,
+      LastModified: this.iso(this.now - func.modifiedAgo).replace('Z', '+0000'),
+      Version: func.alias && qualifier === func.alias.name ? func.alias.version : (qualifier || '$LATEST'),
+      PackageType: 'Zip',
+      Architectures: [func.architecture],
+      EphemeralStorage: { Size: 512 },
+      SnapStart: { ApplyOn: 'None', OptimizationStatus: 'Off' },
+      State: 'Active',
+      LastUpdateStatus: 'Successful',
+      TracingConfig: { Mode: func.traces ? 'Active' : 'PassThrough' },
+      Layers: func.insights
+        ? [{ Arn: `arn:aws:lambda:${REGION}:580247275435:layer:LambdaInsightsExtension:53`, CodeSize: 5271648 }]
+        : []
+    };
+  }
+
+  // Traffic and behaviour of a function at one moment, the basis of every metric and log line
+  stateAt(func, timestamp) {
+    const ago = this.now - timestamp;
+    const hour = new Date(timestamp).getUTCHours();
+    const diurnal = 1 + 0.5 * Math.sin((2 * Math.PI * (hour - 8)) / 24);
+    const inBurst = Boolean(func.burst && ago <= func.burst.from && ago > func.burst.to);
+    const inIncident = Boolean(func.incident && ago <= func.incident.from);
+    const version = this.versionAt(func, timestamp);
+    const medianMs = func.medianMs * version.slowdown * (inIncident ? func.incident.slowdown : 1) *
+      Math.pow(func.memory / func.currentMemory, 0.7);
+    const demand = func.perMinute * diurnal * (inBurst ? func.burst.factor : 1);
+    const limit = func.reserved !== null ? func.reserved : ACCOUNT_LIMIT;
+    const demandConcurrency = Math.ceil((demand / 60) * (medianMs * 1.15 / 1000) * 3) + (inBurst ? 60 : 1);
+    const throttledShare = demandConcurrency > limit ? 1 - limit / demandConcurrency : 0;
+    const backlog = Boolean(func.async && func.async.backlogHours.includes(hour));
+
+    return {
+      version: version.version,
+      perMinute: demand * (1 - throttledShare),
+      throttlesPerMinute: demand * throttledShare,
+      medianMs,
+      meanMs: medianMs * Math.exp(DURATION_SIGMA * DURATION_SIGMA / 2),
+      errorRate: inIncident ? func.incident.errorRate : func.errorRate,
+      concurrency: Math.min(limit, demandConcurrency),
+      asyncAgeMs: func.async ? (backlog ? 240000 : 180) : 0,
+      droppedPerMinute: backlog ? 0.05 : 0,
+      iteratorAgeMs: func.stream ? (backlog ? 95000 : 1200) : 0,
+      queueVisible: func.queue ? Math.round(demand * (inBurst ? 40 : 2)) : 0,
+      queueAgeSeconds: func.queue ? (inBurst ? 420 : 8) : 0
+    };
+  }
+
+  versionAt(func, timestamp) {
+    const deployed = func.versions.filter(version => this.now - version.deployedAgo <= timestamp);
+    return deployed.length > 0 ? deployed[deployed.length - 1] : func.versions[0];
+  }
+
+  // Functions, versions and source a metric with these dimensions covers
+  resolveDimensions(namespace, dimensions = []) {
+    const values = Object.fromEntries(dimensions.map(dimension => [dimension.Name, dimension.Value]));
+    if (namespace === 'AWS/SQS') {
+      const func = [...this.functions.values()].find(candidate => candidate.queue && candidate.queue.name === values.QueueName);
+      return { functions: func ? [func] : [], version: null };
+    }
+    if (!values.FunctionName) {
+      return { functions: [...this.functions.values()], version: null, account: true };
+    }
+
+    const func = this.functions.get(values.FunctionName);
+    const resourceVersion = values.Resource && values.Resource.split(':')[1];
+    const version = values.ExecutedVersion ||
+      (resourceVersion && func && resourceVersion !== func.alias?.name ? resourceVersion : null);
+    return { functions: func ? [func] : [], version };
+  }
+
+  // Aggregate one statistic over [start, end) from 5-minute steps
+  aggregate(namespace, metricName, stat, dimensions, start, end) {
+    const { functions, version, account } = this.resolveDimensions(namespace, dimensions);
+    const steps = [];
+    for (let timestamp = start; timestamp < end; timestamp += STEP_MS) {
+      const states = functions
+        .map(func => ({ func, state: this.stateAt(func, timestamp) }))
+        .filter(({ state }) => !version || state.version === version);
+      if (states.length > 0) steps.push(states);
+    }
+    if (steps.length === 0) return null;
+
+    const minutes = STEP_MS / MINUTE_MS;
+    const sumOf = read => steps.reduce((total, states) => total + states.reduce((sum, entry) => sum + read(entry), 0), 0);
+    const maxOf = read => Math.max(...steps.map(states => account
+      ? states.reduce((sum, entry) => sum + read(entry), 0)
+      : Math.max(...states.map(read))));
+    const invocations = sumOf(({ state }) => state.perMinute * minutes);
+
+    switch (`${metricName}:${stat}`) {
+      case 'Invocations:Sum':
+        return Math.round(invocations);
+      case 'Invocations:SampleCount':
+      case 'Duration:SampleCount':
+        return Math.round(invocations);
+      case 'Errors:Sum':
+        return Math.round(sumOf(({ state }) => state.perMinute * minutes * state.errorRate));
+      case 'Throttles:Sum':
+        return Math.round(sumOf(({ state }) => state.throttlesPerMinute * minutes));
+      case 'Duration:Sum':
+        return Math.round(sumOf(({ state }) => state.perMinute * minutes * state.meanMs));
+      case 'Duration:Average':
+        return invocations > 0 ? sumOf(({ state }) => state.perMinute * minutes * state.meanMs) / invocations : null;
+      case 'Duration:Maximum':
+        return Math.round(maxOf(({ state, func }) => Math.min(func.timeout * 1000, state.medianMs * 4)) * 100) / 100;
+      case 'Duration:Minimum':
+        return Math.round(Math.min(...steps.flat().map(({ state }) => state.medianMs * 0.4)) * 100) / 100;
+      case 'ConcurrentExecutions:Maximum':
+        return maxOf(({ state }) => state.concurrency);
+      case 'ConcurrentExecutions:Average':
+        return sumOf(({ state }) => state.concurrency) / steps.length;
+      case 'UnreservedConcurrentExecutions:Maximum':
+        return maxOf(({ state, func }) => (func.reserved === null ? state.concurrency : 0));
+      case 'ProvisionedConcurrencyUtilization:Maximum':
+        return maxOf(({ state, func }) => (func.provisioned ? Math.min(1, state.concurrency / func.provisioned.allocated) : 0));
+      case 'AsyncEventsReceived:Sum':
+        return Math.round(sumOf(({ state, func }) => (func.async ? state.perMinute * minutes : 0)));
+      case 'AsyncEventsDropped:Sum':
+        return Math.round(sumOf(({ state }) => state.droppedPerMinute * minutes));
+      case 'AsyncEventAge:Maximum':
+        return maxOf(({ state }) => state.asyncAgeMs);
+      case 'AsyncEventAge:Average':
+        return sumOf(({ state }) => state.asyncAgeMs) / steps.length;
+      case 'DeadLetterErrors:Sum':
+      case 'DestinationDeliveryFailures:Sum':
+        return 0;
+      case 'IteratorAge:Maximum':
+        return maxOf(({ state }) => state.iteratorAgeMs);
+      case 'IteratorAge:Average':
+        return sumOf(({ state }) => state.iteratorAgeMs) / steps.length;
+      case 'ApproximateNumberOfMessagesVisible:Maximum':
+        return maxOf(({ state }) => state.queueVisible);
+      case 'ApproximateNumberOfMessagesVisible:Average':
+        return sumOf(({ state }) => state.queueVisible) / steps.length;
+      case 'ApproximateAgeOfOldestMessage:Maximum':
+        return maxOf(({ state }) => state.queueAgeSeconds);
+      case 'NumberOfMessagesSent:Sum':
+      case 'NumberOfMessagesReceived:Sum':
+        return Math.round(invocations * 4);
+      default:
+        break;
+    }
+
+    if (metricName === 'Duration' && /^p[\d.]+$/.test(stat)) {
+      return invocations > 0 ? Math.round(this.durationPercentile(steps.flat(), parseFloat(stat.slice(1)) / 100, minutes) * 100) / 100 : null;
+    }
+    if (metricName === 'Duration' && stat.startsWith('TM')) {
+      return invocations > 0 ? Math.round(sumOf(({ state }) => state.perMinute * minutes * state.meanMs) / invocations * 0.97 * 100) / 100 : null;
+    }
+    return null;
+  }
+
+  // Percentile of the mixture of every step's log-normal durations, weighted by invocations
+  durationPercentile(entries, quantile, minutes) {
+    const weighted = entries.map(({ state }) => ({ weight: state.perMinute * minutes, logMedian: Math.log(state.medianMs) }));
+    const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+    const cdf = logValue => weighted.reduce((sum, entry) => sum + entry.weight * normalCdf((logValue - entry.logMedian) / DURATION_SIGMA), 0) / total;
+
+    let low = Math.min(...weighted.map(entry => entry.logMedian)) - 5 * DURATION_SIGMA;
+    let high = Math.max(...weighted.map(entry => entry.logMedian)) + 5 * DURATION_SIGMA;
+    for (let i = 0; i < 50; i++) {
+      const middle = (low + high) / 2;
+      if (cdf(middle) < quantile) low = middle;
+      else high = middle;
+    }
+    return Math.exp((low + high) / 2);
+  }
+
+  // Period buckets aligned to the period, clipped to the requested range
+  buckets(startTime, endTime, period) {
+    const start = new Date(startTime).getTime();
+    const end = new Date(endTime).getTime();
+    const periodMs = period * 1000;
+    const buckets = [];
+    for (let bucket = Math.floor(start / periodMs) * periodMs; bucket < end; bucket += periodMs) {
+      buckets.push({ timestamp: bucket, from: Math.max(start, bucket), to: Math.min(end, bucket + periodMs) });
+    }
+    return buckets;
+  }
+
+  cloudWatchGetMetricData(input) {
+    return {
+      MetricDataResults: input.MetricDataQueries.map(query => {
+        const { Metric, Period, Stat } = query.MetricStat;
+        const points = this.buckets(input.StartTime, input.EndTime, Period)
+          .map(bucket => ({
+            timestamp: bucket.timestamp,
+            value: this.aggregate(Metric.Namespace, Metric.MetricName, Stat, Metric.Dimensions, bucket.from, bucket.to)
+          }))
+          .filter(point => point.value !== null && !(Stat === 'Sum' && point.value === 0 && Metric.MetricName === 'Invocations'))
+          .reverse();
+
+        return {
+          Id: query.Id,
+          Label: Metric.MetricName,
+          Timestamps: points.map(point => new Date(point.timestamp)),
+          Values: points.map(point => point.value),
+          StatusCode: 'Complete'
+        };
+      }),
+      Messages: []
+    };
+  }
+
+  cloudWatchGetMetricStatistics(input) {
+    const statistics = [...(input.Statistics || []), ...(input.ExtendedStatistics || [])];
+    return {
+      Label: input.MetricName,
+      Datapoints: this.buckets(input.StartTime, input.EndTime, input.Period)
+        .map(bucket => {
+          const datapoint = { Timestamp: new Date(bucket.timestamp), Unit: this.unitOf(input.MetricName) };
+          (input.Statistics || []).forEach(statistic => {
+            datapoint[statistic] = this.aggregate(input.Namespace, input.MetricName, statistic, input.Dimensions, bucket.from, bucket.to);
+          });
+          if (input.ExtendedStatistics) {
+            datapoint.ExtendedStatistics = Object.fromEntries(input.ExtendedStatistics.map(statistic => [
+              statistic,
+              this.aggregate(input.Namespace, input.MetricName, statistic, input.Dimensions, bucket.from, bucket.to)
+            ]));
+          }
+          return datapoint;
+        })
+        .filter(datapoint => statistics.some(statistic =>
+          (datapoint[statistic] ?? datapoint.ExtendedStatistics?.[statistic]) !== null &&
+          (datapoint[statistic] ?? datapoint.ExtendedStatistics?.[statistic]) !== undefined))
+    };
+  }
+
+  unitOf(metricName) {
+    if (['Duration', 'IteratorAge', 'AsyncEventAge'].includes(metricName)) return 'Milliseconds';
+    if (metricName === 'ApproximateAgeOfOldestMessage') return 'Seconds';
+    return 'Count';
+  }
+
+  cloudWatchListMetrics(input) {
+    const func = this.functions.get((input.Dimensions || []).find(dimension => dimension.Name === 'FunctionName')?.Value);
+    if (!func) return { Metrics: [] };
+
+    const metric = dimensions => ({ Namespace: 'AWS/Lambda', MetricName: input.MetricName, Dimensions: dimensions });
+    const functionDimension = { Name: 'FunctionName', Value: func.name };
+    const metrics = [metric([functionDimension])];
+    if (func.alias) {
+      const resource = { Name: 'Resource', Value: `${func.name}:${func.alias.name}` };
+      metrics.push(metric([functionDimension, resource]));
+      func.versions.forEach(version => {
+        metrics.push(metric([functionDimension, resource, { Name: 'ExecutedVersion', Value: version.version }]));
+      });
+    }
+    return { Metrics: metrics };
+  }
+
+  lambdaListFunctions() {
+    return { Functions: [...this.functions.values()].map(func => this.configuration(func)) };
+  }
+
+  lambdaGetFunction(input) {
+    const func = this.getFunction(input.FunctionName);
+    return {
+      Configuration: this.configuration(func, input.Qualifier),
+      Code: { RepositoryType: 'S3', Location: `https://awslambda-${REGION}-tasks.s3.${REGION}.amazonaws.com/snapshots/${ACCOUNT_ID}/${func.name}` },
+      Tags: func.tags
+    };
+  }
+
+  lambdaGetFunctionConfiguration(input) {
+    const func = this.getFunction(input.FunctionName);
+    const configuration = this.configuration(func, input.Qualifier);
+    // Every update is reported as in progress once before it completes
+    if (func.pendingUpdate) {
+      configuration.LastUpdateStatus = 'InProgress';
+      func.pendingUpdate = false;
+    }
+    return configuration;
+  }
+
+  lambdaUpdateFunctionConfiguration(input) {
+    const func = this.getFunction(input.FunctionName);
+    if (input.MemorySize) func.currentMemory = input.MemorySize;
+    func.pendingUpdate = true;
+    func.coldNext = true;
+    return { ...this.configuration(func), LastUpdateStatus: 'InProgress' };
+  }
+
+  lambdaInvoke(input) {
+    const func = this.getFunction(input.FunctionName);
+    const state = this.stateAt(func, this.now - DAY_MS);
+    const duration = Math.round(state.medianMs * (0.9 + this.random() * 0.2) * 100) / 100;
+    const requestId = this.requestId();
+    const initDuration = func.coldNext ? ` Init Duration: ${func.initMs.toFixed(2)} ms\t` : '';
+    func.coldNext = false;
+    const usedMemory = Math.min(func.currentMemory, Math.round(func.usedMemoryMB * (0.95 + this.random() * 0.1)));
+    const log = [
+      `START RequestId: ${requestId} Version: $LATEST`,
+      `END RequestId: ${requestId}`,
+      `REPORT RequestId: ${requestId}\tDuration: ${duration.toFixed(2)} ms\tBilled Duration: ${Math.ceil(duration)} ms\t` +
+        `Memory Size: ${func.currentMemory} MB\tMax Memory Used: ${usedMemory} MB\t${initDuration}`
+    ].join('\n');
+
+    return { StatusCode: 200, ExecutedVersion: '$LATEST', LogResult: Buffer.from(log).toString('base64') };
+  }
+
+  lambdaListTags(input) {
+    return { Tags: this.getFunction(input.Resource).tags };
+  }
+
+  lambdaGetAccountSettings() {
+    const reserved = [...this.functions.values()].reduce((sum, func) => sum + (func.reserved || 0), 0);
+    return {
+      AccountLimit: {
+        TotalCodeSize: 80530636800,
+        CodeSizeUnzipped: 262144000,
+        CodeSizeZipped: 52428800,
+        ConcurrentExecutions: ACCOUNT_LIMIT,
+        UnreservedConcurrentExecutions: ACCOUNT_LIMIT - reserved
+      },
+      AccountUsage: { TotalCodeSize: FUNCTIONS.reduce((sum, func) => sum + func.codeSize, 0), FunctionCount: FUNCTIONS.length }
+    };
+  }
+
+  lambdaGetFunctionConcurrency(input) {
+    const func = this.getFunction(input.FunctionName);
+    return func.reserved !== null ? { ReservedConcurrentExecutions: func.reserved } : {};
+  }
+
+  lambdaListProvisionedConcurrencyConfigs(input) {
+    const func = this.getFunction(input.FunctionName);
+    if (!func.provisioned) return { ProvisionedConcurrencyConfigs: [] };
+    const { qualifier, allocated } = func.provisioned;
+    return {
+      ProvisionedConcurrencyConfigs: [{
+        FunctionArn: this.functionArn(func, qualifier),
+        RequestedProvisionedConcurrentExecutions: allocated,
+        AvailableProvisionedConcurrentExecutions: allocated,
+        AllocatedProvisionedConcurrentExecutions: allocated,
+        Status: 'READY',
+        LastModified: this.iso(this.now - func.modifiedAgo)
+      }]
+    };
+  }
+
+  lambdaGetAlias(input) {
+    const func = this.getFunction(input.FunctionName);
+    if (!func.alias || func.alias.name !== input.Name) {
+      throw this.error('ResourceNotFoundException', `Alias not found: ${this.functionArn(func, input.Name)}`);
+    }
+    return { AliasArn: this.functionArn(func, func.alias.name), Name: func.alias.name, FunctionVersion: func.alias.version };
+  }
+
+  lambdaListAliases(input) {
+    const func = this.getFunction(input.FunctionName);
+    return { Aliases: func.alias ? [this.lambdaGetAlias({ FunctionName: func.name, Name: func.alias.name })] : [] };
+  }
+
+  lambdaListVersionsByFunction(input) {
+    const func = this.getFunction(input.FunctionName);
+    const published = func.versions.filter(version => version.version !== '$LATEST');
+    return {
+      Versions: [
+        this.configuration(func),
+        ...published.map((version, index) => ({
+          ...this.configuration(func, version.version),
+          Version: version.version,
+          CodeSha256: `sha-${func.name}-${version.version}`,
+          Description: `Release ${index + 1}`,
+          LastModified: this.iso(this.now - version.deployedAgo).replace('Z', '+0000')
+        }))
+      ]
+    };
+  }
+
+  lambdaGetPolicy(input) {
+    const func = this.getFunction(input.FunctionName);
+    if (!func.invokedBy) {
+      throw this.error('ResourceNotFoundException', 'The resource you requested does not exist.');
+    }
+    return {
+      Policy: JSON.stringify({
+        Version: '2012-10-17',
+        Id: 'default',
+        Statement: [{
+          Sid: `${func.name}-invoke`,
+          Effect: 'Allow',
+          Principal: { Service: func.invokedBy },
+          Action: 'lambda:InvokeFunction',
+          Resource: this.functionArn(func)
+        }]
+      })
+    };
+  }
+
+  lambdaListEventSourceMappings(input) {
+    const func = this.getFunction(input.FunctionName);
+    const mappings = [];
+    if (func.queue) {
+      mappings.push({
+        UUID: '5b3c1e2a-0d4f-4c1b-9a57-0c6f8e1d2a10',
+        EventSourceArn: `arn:aws:sqs:${REGION}:${ACCOUNT_ID}:${func.queue.name}`,
+        FunctionArn: this.functionArn(func),
+        BatchSize: func.queue.batchSize,
+        MaximumBatchingWindowInSeconds: 0,
+        FunctionResponseTypes: [],
+        State: 'Enabled',
+        StateTransitionReason: 'USER_INITIATED',
+        LastModified: new Date(this.now - 40 * DAY_MS)
+      });
+    }
+    if (func.stream) {
+      mappings.push({
+        UUID: '9e7d2c41-6a8b-4f3e-b1d0-2f4a6c8e0b13',
+        EventSourceArn: `arn:aws:kinesis:${REGION}:${ACCOUNT_ID}:stream/${func.stream.name}`,
+        FunctionArn: this.functionArn(func),
+        BatchSize: func.stream.batchSize,
+        MaximumBatchingWindowInSeconds: 0,
+        ParallelizationFactor: 1,
+        StartingPosition: 'LATEST',
+        MaximumRecordAgeInSeconds: -1,
+        MaximumRetryAttempts: -1,
+        BisectBatchOnFunctionError: false,
+        FunctionResponseTypes: [],
+        State: 'Enabled',
+        StateTransitionReason: 'User action',
+        LastProcessingResult: 'OK',
+        LastModified: new Date(this.now - 40 * DAY_MS)
+      });
+    }
+    return { EventSourceMappings: mappings };
+  }
+
+  lambdaGetFunctionEventInvokeConfig(input) {
+    const func = this.getFunction(input.FunctionName);
+    if (!func.async) {
+      throw this.error('ResourceNotFoundException', `The function ${func.name} doesn't have an EventInvokeConfig`);
+    }
+    return {
+      FunctionArn: this.functionArn(func, input.Qualifier),
+      MaximumRetryAttempts: func.async.maxRetries,
+      MaximumEventAgeInSeconds: func.async.maxEventAgeSeconds,
+      DestinationConfig: {
+        OnSuccess: {},
+        OnFailure: { Destination: `arn:aws:sqs:${REGION}:${ACCOUNT_ID}:${func.async.onFailure}` }
+      },
+      LastModified: new Date(this.now - func.modifiedAgo)
+    };
+  }
+
+  sqsGetQueueAttributes(input) {
+    const queueName = input.QueueUrl.split('/').pop();
+    const func = [...this.functions.values()].find(candidate => candidate.queue && candidate.queue.name === queueName);
+    if (!func) {
+      throw this.error('QueueDoesNotExist', 'The specified queue does not exist.');
+    }
+
+    const attributes = {
+      VisibilityTimeout: String(func.queue.visibilityTimeout),
+      MessageRetentionPeriod: '345600',
+      FifoQueue: undefined,
+      RedrivePolicy: JSON.stringify({ deadLetterTargetArn: `arn:aws:sqs:${REGION}:${ACCOUNT_ID}:${queueName}-dlq`, maxReceiveCount: 5 })
+    };
+    const names = input.AttributeNames || ['All'];
+    return {
+      Attributes: Object.fromEntries(Object.entries(attributes)
+        .filter(([name, value]) => value !== undefined && (names.includes('All') || names.includes(name))))
+    };
+  }
+
+  logsFilterLogEvents(input, command) {
+    const client = this.logsClients.get(input.logGroupName);
+    if (!client) {
+      throw this.error('ResourceNotFoundException', 'The specified log group does not exist.');
+    }
+    return client.send(command);
+  }
+
+  xrayGetTraceSummaries(input, command) {
+    return this.tracesClient.send(command);
+  }
+
+  xrayBatchGetTraces(input, command) {
+    return this.tracesClient.send(command);
+  }
+
+  requestId() {
+    const hex = length => Array.from({ length }, () => Math.floor(this.random() * 16).toString(16)).join('');
+    return `${hex(8)}-${hex(4)}-4${hex(3)}-a${hex(3)}-${hex(12)}`;
+  }
+
+  streamName(version, timestamp) {
+    const date = this.iso(timestamp).slice(0, 10).replace(/-/g, '/');
+    const id = Array.from({ length: 32 }, () => Math.floor(this.random() * 16).toString(16)).join('');
+    return `${date}/[${version}]${id}`;
+  }
+
+  // Three days of invocations with environments that are recycled every couple of hours
+  generateLogs(func) {
+    const events = [];
+    const start = this.now - 3 * DAY_MS;
+    let environment = null;
+
+    for (let timestamp = start + func.logEveryMs; timestamp <= this.now; timestamp += func.logEveryMs) {
+      const state = this.stateAt(func, timestamp);
+      const recycle = !environment || environment.version !== state.version ||
+        timestamp - environment.startedAt > 2 * HOUR_MS || this.random() < 0.05;
+      if (recycle) {
+        environment = { version: state.version, startedAt: timestamp, stream: this.streamName(state.version, timestamp) };
+      }
+      const cold = environment.startedAt === timestamp;
+      const requestId = this.requestId();
+      const timedOut = Boolean(func.incident && this.now - timestamp <= func.incident.from) && this.random() < 0.08;
+      const failed = !timedOut && this.random() < state.errorRate * 4;
+      const duration = timedOut
+        ? func.timeout * 1000 + 5
+        : Math.round(state.medianMs * Math.exp(DURATION_SIGMA * (this.random() * 2 - 1)) * 100) / 100;
+      const initDuration = Math.round(func.initMs * (0.85 + this.random() * 0.3) * 100) / 100;
+      const usedMemory = Math.round(func.usedMemoryMB * (0.85 + this.random() * 0.3));
+      const begin = timestamp - Math.ceil(duration);
+      const log = (at, message) => events.push({ logStreamName: environment.stream, timestamp: at, message, ingestionTime: at + 1500 });
+
+      if (cold) {
+        log(begin - Math.ceil(initDuration), `INIT_START Runtime Version: ${func.runtimeVersion}\tRuntime Version ARN: ` +
+          `arn:aws:lambda:${REGION}::runtime:${func.runtimeVersion.replace(/\W/g, '')}`);
+      }
+      log(begin, `START RequestId: ${requestId} Version: ${state.version}`);
+      if (failed) {
+        log(timestamp - 2, `${this.iso(timestamp - 2)}\t${requestId}\tERROR\tInvoke Error \t` +
+          JSON.stringify({ errorType: 'ValidationError', errorMessage: 'Missing customerId', stack: ['ValidationError: Missing customerId', '    at handler (/var/task/index.js:42:11)'] }));
+      }
+      if (timedOut) {
+        log(timestamp - 1, `${this.iso(timestamp - 1)} ${requestId} Task timed out after ${(func.timeout + 0.01).toFixed(2)} seconds`);
+      }
+      log(timestamp, `END RequestId: ${requestId}`);
+      log(timestamp, `REPORT RequestId: ${requestId}\tDuration: ${duration.toFixed(2)} ms\tBilled Duration: ${Math.ceil(duration)} ms\t` +
+        `Memory Size: ${func.memory} MB\tMax Memory Used: ${usedMemory} MB\t` +
+        (cold ? `Init Duration: ${initDuration.toFixed(2)} ms\t` : '') +
+        (timedOut ? 'Status: timeout' : ''));
+
+      if (func.insights) {
+        this.insightsEvents.push({
+          logStreamName: `${this.iso(timestamp).slice(0, 10).replace(/-/g, '/')}/[${state.version}]insights`,
+          timestamp,
+          ingestionTime: timestamp + 1500,
+          message: JSON.stringify({
+            event_type: 'performance',
+            function_name: func.name,
+            version: state.version,
+            request_id: requestId,
+            duration,
+            billed_duration: Math.ceil(duration),
+            cold_start: cold,
+            ...(cold ? { init_duration: initDuration } : {}),
+            cpu_user_time: Math.round(duration * 0.22),
+            cpu_system_time: Math.round(duration * 0.06),
+            cpu_total_time: Math.round(duration * 0.28),
+            total_memory: func.memory,
+            used_memory_max: usedMemory,
+            memory_utilization: Math.round((usedMemory / func.memory) * 10000) / 100,
+            rx_bytes: 18432,
+            tx_bytes: 4096
+          })
+        });
+      }
+
+      if (func.traces && this.now - timestamp <= DAY_MS && timestamp % (30 * MINUTE_MS) === 0) {
+        this.traces.push(this.createTrace(func, begin, duration, cold ? initDuration : null));
+      }
+    }
+
+    // Several functions can log in the same millisecond; keep a stable order
+    events.sort((a, b) => a.timestamp - b.timestamp);
+    events.forEach((event, index) => { event.eventId = `${func.name}-${String(index).padStart(6, '0')}`; });
+    this.logGroups.set(`/aws/lambda/${func.name}`, events);
+  }
+
+  createTrace(func, begin, duration, initDuration) {
+    const seconds = value => Math.round(value) / 1000;
+    const traceId = `1-${Math.floor(begin / 1000).toString(16)}-${this.requestId().replace(/-/g, '').slice(0, 24)}`;
+    const segmentId = () => this.requestId().replace(/-/g, '').slice(0, 16);
+    const initStart = initDuration !== null ? begin - initDuration : begin;
+    const dynamoStart = begin + 8;
+    const dynamoMs = duration * 0.3;
+    const paymentsStart = dynamoStart + dynamoMs + 4;
+    const paymentsMs = duration * 0.45;
+    const end = begin + duration;
+
+    const service = {
+      id: segmentId(),
+      name: func.name,
+      origin: 'AWS::Lambda',
+      trace_id: traceId,
+      start_time: seconds(initStart - 12),
+      end_time: seconds(end + 6),
+      resource_arn: this.functionArn(func)
+    };
+    const functionSegment = {
+      id: segmentId(),
+      name: func.name,
+      origin: 'AWS::Lambda::Function',
+      trace_id: traceId,
+      start_time: seconds(initStart),
+      end_time: seconds(end + 3),
+      parent_id: service.id,
+      aws: { function_arn: this.functionArn(func) },
+      subsegments: [
+        ...(initDuration !== null
+          ? [{ id: segmentId(), name: 'Initialization', start_time: seconds(initStart), end_time: seconds(begin) }]
+          : []),
+        {
+          id: segmentId(),
+          name: 'Invocation',
+          start_time: seconds(begin),
+          end_time: seconds(end),
+          subsegments: [
+            { id: segmentId(), name: 'DynamoDB', namespace: 'aws', start_time: seconds(dynamoStart), end_time: seconds(dynamoStart + dynamoMs) },
+            {
+              id: segmentId(),
+              name: 'payments.example.com',
+              namespace: 'remote',
+              start_time: seconds(paymentsStart),
+              end_time: seconds(paymentsStart + paymentsMs),
+              http: { request: { url: 'https://payments.example.com/v1/charges', method: 'POST' }, response: { status: 200 } }
+            }
+          ]
+        },
+        { id: segmentId(), name: 'Overhead', start_time: seconds(end), end_time: seconds(end + 3) }
+      ]
+    };
+
+    return {
+      Id: traceId,
+      Segments: [service, functionSegment].map(document => ({ Id: document.id, Document: JSON.stringify(document) }))
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Arguments each tool is recorded and replayed with; recordings live in recordings/<tool name>
+export const RECORDINGS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'recordings');
+
+export const FIXTURE_NOW = Date.parse('2026-10-01T12:00:00.000Z');
+
+export const TOOL_CALLS = {
+  analyze_lambda_performance: { functionName: 'orders-api', timeRange: '24h', includeDetails: true },
+  track_cold_starts: { functionName: 'orders-api', timeRange: '24h' },
+  get_optimization_recommendations: { functionName: 'orders-api', analysisType: 'all', timeRange: '24h' },
+  compare_lambda_performance: {
+    functionNames: ['orders-api', 'image-resizer', 'nightly-report'],
+    timeRange: '24h',
+    metrics: ['duration', 'cold-starts', 'errors', 'invocations', 'cost']
+  },
+  list_lambda_functions: { includeMetrics: true, sortBy: 'invocations', sortOrder: 'desc' },
+  analyze_memory_utilization: { functionName: 'orders-api', timeRange: '24h' },
+  get_cost_analysis: { timeRange: '24h' },
+  analyze_lambda_insights: { functionName: 'orders-api', timeRange: '24h' },
+  analyze_xray_traces: { functionName: 'orders-api', timeRange: '24h' },
+  simulate_provisioned_concurrency: { functionName: 'orders-api', timeRange: '24h' },
+  tune_lambda_memory: { functionName: 'orders-api', memorySizes: [256, 512, 1024], invocations: 3, confirm: true },
+  detect_performance_anomalies: { functionName: 'orders-api', timeRange: '24h', baselineDays: 7 },
+  detect_deployment_regressions: { functionName: 'orders-api', timeRange: '7d' },
+  analyze_timeout_risk: { functionName: 'orders-api', timeRange: '24h' },
+  analyze_concurrency: { timeRange: '6h' },
+  analyze_event_sources: { functionName: 'orders-api', timeRange: '24h' },
+  analyze_async_invocations: { functionName: 'image-resizer', timeRange: '24h' },
+  monitor_real_time_performance: { functionName: 'orders-api', duration: 15 }
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { LambdaPricing, MONTH_MS } from '../src/lambda-pricing.js';
+
+describe('LambdaPricing', () => {
+  const pricing = new LambdaPricing();
+  const x86Rate = pricing.getRegionPricing('us-east-1').pricing.architectures.x86_64.computeTiers[0].pricePerGbSecond;
+  const armRate = pricing.getRegionPricing('us-east-1').pricing.architectures.arm64.computeTiers[0].pricePerGbSecond;
+
+  test('credits free GB-seconds at the rate of the architecture that used them', () => {
+    const arm = pricing.calculateFreeTierCredit('us-east-1', 0, { arm64: 100000 });
+    const mixed = pricing.calculateFreeTierCredit('us-east-1', 0, { x86_64: 300000, arm64: 300000 });
+
+    expect(arm.compute).toBeCloseTo(100000 * armRate, 6);
+    // 400,000 free GB-seconds shared evenly by the two architectures
+    expect(mixed.compute).toBeCloseTo(200000 * x86Rate + 200000 * armRate, 6);
+  });
+
+  test('scales the free tier and the volume tiers to the length of the range', () => {
+    const week = 7 * 24 * 60 * 60 * 1000 / MONTH_MS;
+    const credit = pricing.calculateFreeTierCredit('us-east-1', 5000000, { x86_64: 1000000 }, week);
+    // A million free requests a month, at $0.20 per million
+    expect(credit.requests).toBeCloseTo(week * 0.2, 6);
+    expect(credit.compute).toBeCloseTo(400000 * week * x86Rate, 6);
+
+    // 6 billion GB-seconds fill the first tier of a month, but spill into the second within a day
+    const tiers = pricing.getRegionPricing('us-east-1').pricing.architectures.x86_64.computeTiers;
+    expect(pricing.calculateTieredCompute(6e9, tiers)).toBeCloseTo(6e9 * x86Rate, 2);
+    expect(pricing.calculateTieredCompute(6e9, tiers, 1 / 30)).toBeLessThan(6e9 * x86Rate);
+  });
+
+  test('prices regions without their own rates at the default region and flags them', () => {
+    expect(pricing.getRegionPricing('eu-west-1').estimated).toBe(false);
+    expect(pricing.getRegionPricing('ap-northeast-1')).toEqual({
+      region: 'ap-northeast-1',
+      pricing: pricing.getRegionPricing('us-east-1').pricing,
+      estimated: true
+    });
+  });
+});
\ No newline at end of file
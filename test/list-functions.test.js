@@ -0,0 +1,27 @@
+import { DataSource } from '../src/data-source.js';
+import { LambdaAnalyzer } from '../src/lambda-analyzer.js';
+
+describe('LambdaAnalyzer function listing', () => {
+  const analyzer = new LambdaAnalyzer({ dataSource: new DataSource({ mode: 'replay', recordingsDir: './recordings' }), region: 'us-east-1' });
+
+  test('rejects invalid and overlong name patterns before listing', async () => {
+    await expect(analyzer.listFunctions({ nameRegex: '(orders' })).rejects.toThrow('Invalid nameRegex "(orders"');
+    await expect(analyzer.listFunctions({ nameRegex: 'a'.repeat(257) })).rejects.toThrow('at most 256 are allowed');
+    expect(analyzer.compileNameRegex('^orders-').test('orders-api')).toBe(true);
+    expect(analyzer.compileNameRegex('')).toBeNull();
+  });
+
+  test('sorts functions without the value last, keeping their order', () => {
+    const functions = [
+      { name: 'a', metrics: null },
+      { name: 'b', metrics: { invocations: 5 } },
+      { name: 'c', metrics: null },
+      { name: 'd', metrics: { invocations: 9 } }
+    ];
+
+    const names = order => analyzer.sortFunctions(functions, 'invocations', order).map(func => func.name);
+
+    expect(names('desc')).toEqual(['d', 'b', 'a', 'c']);
+    expect(names('asc')).toEqual(['b', 'd', 'a', 'c']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { FilterLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { LocalLogsClient } from '../src/local-logs-client.js';
+import { LambdaAnalyzer } from '../src/lambda-analyzer.js';
+
+describe('LocalLogsClient', () => {
+  let exportDir;
+
+  const write = (path, content) => {
+    mkdirSync(dirname(join(exportDir, path)), { recursive: true });
+    writeFileSync(join(exportDir, path), content);
+  };
+  const report = (requestId, duration, memorySize = 512) =>
+    `2026-10-01T10:00:00.000Z REPORT RequestId: ${requestId}\tDuration: ${duration} ms\tBilled Duration: ${Math.ceil(duration)} ms\tMemory Size: ${memorySize} MB\tMax Memory Used: 90 MB\n`;
+  const messages = async (client, logGroupName) => {
+    const { events } = await client.send(new FilterLogEventsCommand({ logGroupName, filterPattern: 'REPORT' }));
+    return events.map(event => event.message.match(/RequestId: (\S+)/)[1]);
+  };
+
+  beforeEach(() => {
+    exportDir = mkdtempSync(join(tmpdir(), 'logs-'));
+  });
+
+  afterEach(() => {
+    rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  test('serves each function only the logs under its log group directory', async () => {
+    write('aws/lambda/orders-api/task/2026/10/01/[$LATEST]abc', report('orders-1', 12.5));
+    write('aws/lambda/image-resizer/task/2026/10/01/[$LATEST]def', report('images-1', 80));
+    const client = new LocalLogsClient(exportDir);
+
+    expect(await messages(client, '/aws/lambda/orders-api')).toEqual(['orders-1']);
+    expect(await messages(client, '/aws/lambda/image-resizer')).toEqual(['images-1']);
+  });
+
+  test('reads the log group of subscription filter payloads', async () => {
+    write('firehose.json', [
+      { logGroup: '/aws/lambda/orders-api', logStream: 'a', logEvents: [{ timestamp: 1, message: 'REPORT RequestId: orders-1' }] },
+      { logGroup: '/aws/lambda/image-resizer', logStream: 'b', logEvents: [{ timestamp: 2, message: 'REPORT RequestId: images-1' }] }
+    ].map(document => JSON.stringify(document)).join('\n'));
+
+    expect(await messages(new LocalLogsClient(exportDir), '/aws/lambda/image-resizer')).toEqual(['images-1']);
+  });
+
+  test('an export of a single log group serves every request', async () => {
+    write('2026/10/01/[$LATEST]abc', report('orders-1', 12.5));
+
+    expect(await messages(new LocalLogsClient(exportDir), '/aws/lambda/orders-api')).toEqual(['orders-1']);
+  });
+
+  test('rejects files it cannot attribute next to files of known log groups', async () => {
+    write('aws/lambda/orders-api/task/stream', report('orders-1', 12.5));
+    write('other/stream', report('unknown-1', 30));
+
+    await expect(messages(new LocalLogsClient(exportDir), '/aws/lambda/orders-api')).rejects.toThrow('Cannot tell which log group');
+  });
+
+  test('offline configuration and error counts come from the function\'s own log group', async () => {
+    write('aws/lambda/orders-api/task/stream', report('orders-1', 12.5, 256) +
+      '2026-10-01T10:00:01.000Z 2026-10-01T10:00:01.000Z\torders-2\tERROR\tInvoke Error \t{}\n');
+    write('aws/lambda/image-resizer/task/stream', report('images-1', 80, 2048) +
+      '2026-10-01T10:00:02.000Z 2026-10-01T10:00:02.000Z\timages-2\tERROR\tInvoke Error \t{}\n' +
+      '2026-10-01T10:00:03.000Z 2026-10-01T10:00:03.000Z\timages-3\tERROR\tInvoke Error \t{}\n');
+    const analyzer = new LambdaAnalyzer({ logSource: exportDir, region: 'us-east-1' });
+    const startTime = new Date('2026-10-01T00:00:00.000Z');
+    const endTime = new Date('2026-10-02T00:00:00.000Z');
+
+    expect((await analyzer.getFunctionConfig('orders-api')).MemorySize).toBe(256);
+    expect((await analyzer.getFunctionConfig('image-resizer')).MemorySize).toBe(2048);
+    expect(await analyzer.countErrorsFromLogs('orders-api', startTime, endTime)).toBe(1);
+    expect(await analyzer.countErrorsFromLogs('image-resizer', startTime, endTime)).toBe(2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,205 @@
+import { jest } from '@jest/globals';
+import { DataSource } from '../src/data-source.js';
+import { LambdaAnalyzer } from '../src/lambda-analyzer.js';
+import { EventSourceAnalyzer } from '../src/event-source-analyzer.js';
+
+// CloudWatch answered by a function of the request and the number of calls so far
+class CannedCloudWatch extends DataSource {
+  constructor(respond) {
+    super({ mode: 'live' });
+    this.calls = 0;
+    this.respond = respond;
+  }
+
+  createClient(service) {
+    return { send: async command => (service === 'cloudWatch' ? this.respond(command, ++this.calls) : {}) };
+  }
+}
+
+const throttled = () => Object.assign(new Error('Rate exceeded'), { name: 'Throttling' });
+
+const answerAll = command => ({
+  MetricDataResults: command.input.MetricDataQueries.map(query => ({ Id: query.Id, Values: [3] }))
+});
+
+describe('LambdaAnalyzer.getMetricsBatch', () => {
+  const startTime = new Date('2026-10-01T00:00:00.000Z');
+  const endTime = new Date('2026-10-02T00:00:00.000Z');
+  let errorSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  test('retries a throttled chunk', async () => {
+    const dataSource = new CannedCloudWatch((command, call) => {
+      if (call === 1) throw throttled();
+      return answerAll(command);
+    });
+    const analyzer = new LambdaAnalyzer({ dataSource, region: 'us-east-1' });
+
+    const batch = await analyzer.getMetricsBatch(['orders-api'], startTime, endTime);
+
+    expect(dataSource.calls).toBe(2);
+    expect(batch.failures).toEqual([]);
+    expect(batch.metrics.get('orders-api').invocations).toBe(3);
+  });
+
+  test('asks for one period covering the whole range', async () => {
+    const requests = [];
+    const dataSource = new CannedCloudWatch(command => {
+      requests.push(command.input);
+      return answerAll(command);
+    });
+    dataSource.now = () => Date.parse('2026-10-02T00:00:00.000Z');
+    const analyzer = new LambdaAnalyzer({ dataSource, region: 'us-east-1' });
+
+    await analyzer.getMetricsBatch(['orders-api'], new Date('2026-10-01T00:59:30.500Z'), new Date('2026-10-01T23:59:30.500Z'));
+
+    const [{ StartTime, EndTime, MetricDataQueries }] = requests;
+    expect(StartTime).toEqual(new Date('2026-10-01T00:59:00.000Z'));
+    expect(EndTime).toEqual(new Date('2026-10-02T00:00:00.000Z'));
+    expect(MetricDataQueries[0].MetricStat.Period).toBe((EndTime - StartTime) / 1000);
+  });
+
+  test('aligns older ranges to the coarser steps CloudWatch rounds them to', () => {
+    const analyzer = new LambdaAnalyzer({ dataSource: new CannedCloudWatch(answerAll), region: 'us-east-1' });
+    analyzer.dataSource.now = () => Date.parse('2026-10-02T00:00:00.000Z');
+
+    const window = analyzer.getSinglePeriodWindow(new Date('2026-09-01T10:07:00.000Z'), new Date('2026-09-02T10:07:00.000Z'));
+
+    expect(window.startTime).toEqual(new Date('2026-09-01T10:05:00.000Z'));
+    expect(window.endTime).toEqual(new Date('2026-09-02T10:10:00.000Z'));
+    expect(window.period).toBe(24 * 3600 + 300);
+  });
+
+  test('sizes periods in multiples of the step CloudWatch keeps for data that old', () => {
+    const analyzer = new LambdaAnalyzer({ dataSource: new CannedCloudWatch(answerAll), region: 'us-east-1' });
+    const now = Date.parse('2026-10-02T00:00:00.000Z');
+    analyzer.dataSource.now = () => now;
+    const period = (days, minimum) => analyzer.getMetricPeriod(new Date(now - days * 24 * 3600 * 1000), new Date(now), minimum);
+
+    expect(period(1)).toBe(300);
+    expect(period(1, 60)).toBe(60);
+    expect(period(7)).toBe(420);
+    // 960s would be the 1,440 point limit, but 16 days back only 5-minute data is left
+    expect(period(16, 60)).toBe(1200);
+    expect(period(30)).toBe(1800);
+    expect(period(90)).toBe(7200);
+  });
+
+  test('reports chunks that keep failing instead of returning zeros silently', async () => {
+    const dataSource = new CannedCloudWatch(() => {
+      throw Object.assign(new Error('Access denied'), { name: 'AccessDeniedException' });
+    });
+    const analyzer = new LambdaAnalyzer({ dataSource, region: 'us-east-1' });
+
+    const batch = await analyzer.getMetricsBatch(['orders-api', 'image-resizer'], startTime, endTime);
+
+    expect(dataSource.calls).toBe(1);
+    expect(batch.failures).toEqual([{ functionNames: ['orders-api', 'image-resizer'], message: 'Access denied' }]);
+    await expect(analyzer.getMetrics('orders-api', startTime, endTime)).rejects.toThrow('Could not get metrics for orders-api');
+  });
+});
+
+describe('LambdaAnalyzer.getDailyUsage', () => {
+  const startTime = new Date('2026-09-30T00:00:00.000Z');
+  const endTime = new Date('2026-10-02T00:00:00.000Z');
+  let errorSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  test('fetches every function\'s daily series in one request, oldest day first', async () => {
+    const dataSource = new CannedCloudWatch(command => ({
+      MetricDataResults: command.input.MetricDataQueries.map(query => ({
+        Id: query.Id,
+        Timestamps: [new Date('2026-10-01T00:00:00.000Z'), new Date('2026-09-30T00:00:00.000Z')],
+        Values: [20, 10]
+      }))
+    }));
+    const analyzer = new LambdaAnalyzer({ dataSource, region: 'us-east-1' });
+
+    const { usage, failures } = await analyzer.getDailyUsage(['orders-api', 'image-resizer'], startTime, endTime);
+
+    expect(dataSource.calls).toBe(1);
+    expect(failures).toEqual([]);
+    expect(usage.get('image-resizer').invocations.map(point => point.Sum)).toEqual([10, 20]);
+  });
+
+  test('names the functions it could not read instead of returning empty series', async () => {
+    const dataSource = new CannedCloudWatch(() => {
+      throw Object.assign(new Error('Access denied'), { name: 'AccessDeniedException' });
+    });
+    const analyzer = new LambdaAnalyzer({ dataSource, region: 'us-east-1' });
+
+    const { failures } = await analyzer.getDailyUsage(['orders-api', 'image-resizer'], startTime, endTime);
+
+    expect(failures).toEqual([{ functionNames: ['orders-api', 'image-resizer'], message: 'Access denied' }]);
+  });
+});
+
+describe('EventSourceAnalyzer metrics', () => {
+  const startTime = new Date('2026-10-01T00:00:00.000Z');
+  const endTime = new Date('2026-10-02T00:00:00.000Z');
+  const func = { invocations: 100, avgDuration: 200, p95Duration: 400, p99Duration: 500, errorRate: 0, timeoutSeconds: 30, concurrencyLimit: null };
+  const mapping = {
+    UUID: 'mapping-1',
+    EventSourceArn: 'arn:aws:kinesis:us-east-1:123456789012:stream/orders',
+    State: 'Enabled',
+    BatchSize: 100,
+    MaximumRetryAttempts: 3,
+    BisectBatchOnFunctionError: true,
+    DestinationConfig: { OnFailure: { Destination: 'arn:aws:sqs:us-east-1:123456789012:orders-dlq' } }
+  };
+  let errorSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  test('reads a mapping\'s metrics in one request and weighs averages by samples', async () => {
+    const dataSource = new CannedCloudWatch(command => ({
+      MetricDataResults: command.input.MetricDataQueries.map(query => ({
+        Id: query.Id,
+        Timestamps: [new Date('2026-10-01T00:00:00.000Z'), new Date('2026-10-01T12:00:00.000Z')],
+        Values: { Maximum: [90000, 30000], Average: [1000, 4000], SampleCount: [3, 1] }[query.MetricStat.Stat]
+      }))
+    }));
+    const analyzer = new EventSourceAnalyzer(new LambdaAnalyzer({ dataSource, region: 'us-east-1' }));
+
+    const result = await analyzer.analyzeMapping('orders-api', mapping, func, 1, startTime, endTime);
+
+    expect(dataSource.calls).toBe(1);
+    expect(result.metrics).toMatchObject({ iteratorAgeMaxMs: 90000, iteratorAgeAvgMs: 1750 });
+    expect(result.metricsError).toBeNull();
+    expect(result.health).toBe('degraded');
+  });
+
+  test('reports unreadable metrics on the mapping instead of a healthy source', async () => {
+    const dataSource = new CannedCloudWatch(() => {
+      throw Object.assign(new Error('Access denied'), { name: 'AccessDeniedException' });
+    });
+    const analyzer = new EventSourceAnalyzer(new LambdaAnalyzer({ dataSource, region: 'us-east-1' }));
+
+    const result = await analyzer.analyzeMapping('orders-api', mapping, func, 1, startTime, endTime);
+
+    expect(result.metrics.iteratorAgeMaxMs).toBeNull();
+    expect(result.metricsError).toBe('Access denied');
+    expect(result.findings.map(finding => finding.issue)).toEqual(['Could not read AWS/Lambda metrics: Access denied']);
+    expect(result.health).toBe('degraded');
+  });
+});
\ No newline at end of file
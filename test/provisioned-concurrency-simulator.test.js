@@ -0,0 +1,25 @@
+import { DataSource } from '../src/data-source.js';
+import { LambdaAnalyzer } from '../src/lambda-analyzer.js';
+import { ProvisionedConcurrencySimulator } from '../src/provisioned-concurrency-simulator.js';
+
+describe('ProvisionedConcurrencySimulator.buildSchedule', () => {
+  const simulator = new ProvisionedConcurrencySimulator(
+    new LambdaAnalyzer({ dataSource: new DataSource({ mode: 'live' }), region: 'us-east-1' })
+  );
+
+  test('keeps peak hours that run past midnight in one window', () => {
+    expect(simulator.buildSchedule({ level: 5, hours: [0, 22, 23] })).toEqual([
+      { start: '22:00', end: '01:00', provisionedConcurrency: 5 }
+    ]);
+  });
+
+  test('leaves separate windows and the whole day alone', () => {
+    expect(simulator.buildSchedule({ level: 2, hours: [0, 1, 9, 10] })).toEqual([
+      { start: '00:00', end: '02:00', provisionedConcurrency: 2 },
+      { start: '09:00', end: '11:00', provisionedConcurrency: 2 }
+    ]);
+    expect(simulator.buildSchedule({ level: 3, hours: Array.from({ length: 24 }, (_, hour) => hour) })).toEqual([
+      { start: '00:00', end: '00:00', provisionedConcurrency: 3 }
+    ]);
+  });
+});
\ No newline at end of file
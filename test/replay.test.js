@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import Ajv from 'ajv';
+import { join } from 'path';
+import { DataSource } from '../src/data-source.js';
+import { LambdaPerformanceMCPServer } from '../index.js';
+import { OUTPUT_SCHEMAS } from '../src/output-schemas.js';
+import { RECORDINGS_DIR, TOOL_CALLS } from './fixtures/tool-calls.js';
+
+// What each tool should find in the synthetic account the recordings were made against
+const EXPECTATIONS = {
+  analyze_lambda_performance: result => {
+    expect(result.totalInvocations).toBeGreaterThan(0);
+    expect(result.p50Duration).toBeLessThanOrEqual(result.p95Duration);
+    expect(result.p95Duration).toBeLessThanOrEqual(result.p99Duration);
+    expect(result.coldStarts.total).toBeGreaterThan(0);
+    expect(result.details.errors.map(error => error.type)).toEqual(expect.arrayContaining(['ValidationError', 'Timeout']));
+    // The incident in the last hours slows the second half of the range down
+    expect(result.details.trends[0]).toMatch(/^Average duration up \d+%/);
+  },
+  track_cold_starts: result => {
+    expect(result.total).toBeGreaterThan(0);
+    expect(result.avgDuration).toBeGreaterThan(0);
+  },
+  get_optimization_recommendations: result => {
+    expect(result.priority.length).toBeGreaterThan(0);
+    expect(result.dataSources.reportSamples).toBeGreaterThan(0);
+  },
+  compare_lambda_performance: result => {
+    expect(result.functions.map(func => func.name)).toEqual(['orders-api', 'image-resizer', 'nightly-report']);
+    result.functions.forEach(func => expect(func.values.invocations).toBeGreaterThan(0));
+  },
+  list_lambda_functions: result => {
+    expect(result.functions.map(func => func.name)).toEqual(['orders-api', 'image-resizer', 'nightly-report']);
+    expect(result.errors).toEqual([]);
+  },
+  analyze_memory_utilization: result => {
+    expect(result.allocated).toBe(512);
+    expect(result.sampleCount).toBeGreaterThan(0);
+    expect(result.recommended).toBeLessThan(512);
+  },
+  get_cost_analysis: result => {
+    expect(result.total).toBeGreaterThan(0);
+    expect(result.topSpenders).toHaveLength(3);
+    expect(result.errors).toEqual([]);
+  },
+  analyze_lambda_insights: result => {
+    expect(result.insightsEnabled).toBe(true);
+    expect(result.cpu.profile).toBe('IO-bound');
+  },
+  analyze_xray_traces: result => {
+    expect(result.traceCount).toBeGreaterThan(0);
+  },
+  simulate_provisioned_concurrency: result => {
+    expect(result.observed.coldStarts).toBeGreaterThan(0);
+    expect(result.curve.length).toBeGreaterThan(0);
+  },
+  tune_lambda_memory: result => {
+    expect(result.sizes.map(size => size.memorySize)).toEqual([256, 512, 1024]);
+    expect(result.restored).toBe(true);
+    expect(result.optimal.speed).toBe(1024);
+  },
+  detect_performance_anomalies: result => {
+    expect(result.anomalies.map(anomaly => anomaly.metric)).toEqual(expect.arrayContaining(['p50Duration', 'errorRate']));
+  },
+  detect_deployment_regressions: result => {
+    expect(result.versions.map(version => version.version)).toEqual(expect.arrayContaining(['2', '3']));
+    expect(result.aliases).toEqual([{ name: 'live', version: '3', additionalVersions: [] }]);
+  },
+  analyze_timeout_risk: result => {
+    expect(result.timeouts.count).toBeGreaterThan(0);
+    expect(result.upstreamLimits.map(limit => limit.kind)).toEqual(['integration timeout', 'visibility timeout']);
+  },
+  analyze_concurrency: result => {
+    expect(result.throttleEpisodes.episodes.map(episode => episode.functionName)).toEqual(['orders-api']);
+  },
+  analyze_event_sources: result => {
+    expect(result.mappings.map(mapping => mapping.type)).toEqual(['sqs']);
+  },
+  analyze_async_invocations: result => {
+    expect(result.config.onFailureDestination).toMatch(/image-resizer-dlq$/);
+    expect(result.events.received).toBeGreaterThan(0);
+  },
+  monitor_real_time_performance: result => {
+    expect(result.recentInvocations).toBeGreaterThan(0);
+    expect(result.recentActivity.length).toBeGreaterThan(0);
+    result.recentActivity.forEach(activity => expect(activity.timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T.*Z$/));
+  }
+};
+
+function replay(name, args) {
+  const dataSource = new DataSource({ mode: 'replay', recordingsDir: join(RECORDINGS_DIR, name) });
+  const server = new LambdaPerformanceMCPServer({ dataSource });
+  return server.callTool(name, args).then(result => server.formatToolResult(result, 'both'));
+}
+
+describe('tools replayed from recordings', () => {
+  let errorSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error');
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  test.each(Object.entries(TOOL_CALLS))('%s', async (name, args) => {
+    const result = await replay(name, args);
+
+    // Analyzers log and fall back on failed requests, so a missing recording would not throw
+    const replayErrors = errorSpy.mock.calls.flat().filter(value => /No recorded response/.test(String(value && value.message || value)));
+    expect(replayErrors).toEqual([]);
+
+    expect(result.content[0].text).toMatch(/^# /);
+    expect(JSON.parse(result.content[result.content.length - 1].text)).toEqual(result.structuredContent);
+    EXPECTATIONS[name](result.structuredContent);
+  });
+
+  // Clients validate structuredContent against the advertised outputSchema and reject the call on a mismatch
+  test.each(Object.entries(TOOL_CALLS))('%s matches its output schema', async (name, args) => {
+    const { structuredContent } = await replay(name, args);
+    const validate = new Ajv({ allErrors: true, strict: false }).compile(OUTPUT_SCHEMAS[name]);
+
+    expect(validate(structuredContent) ? [] : validate.errors).toEqual([]);
+  });
+
+  test('tune_lambda_memory leaves $LATEST alone without confirm', async () => {
+    const args = { ...TOOL_CALLS.tune_lambda_memory, confirm: undefined };
+    await expect(replay('tune_lambda_memory', args)).rejects.toThrow('pass confirm: true');
+  });
+
+  test('every tool has recordings and expectations', () => {
+    expect(Object.keys(EXPECTATIONS).sort()).toEqual(Object.keys(TOOL_CALLS).sort());
+  });
+
+  test('replays are deterministic', async () => {
+    const args = TOOL_CALLS.analyze_memory_utilization;
+    const first = await replay('analyze_memory_utilization', args);
+    const second = await replay('analyze_memory_utilization', args);
+    expect(second.structuredContent).toEqual(first.structuredContent);
+  });
+});
\ No newline at end of file
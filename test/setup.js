@@ -1,13 +1,10 @@
 // Jest setup file
-require('dotenv').config({ path: '.env.test' });
+import dotenv from 'dotenv';
 
-// Mock AWS SDK for testing
-jest.mock('@aws-sdk/client-lambda');
-jest.mock('@aws-sdk/client-cloudwatch');
-jest.mock('@aws-sdk/client-cloudwatch-logs');
+dotenv.config({ path: '.env.test' });
 
-// Global test timeout
-jest.setTimeout(30000);
+// Tests replay recordings made in us-east-1 (see test/fixtures), never calling AWS
+process.env.AWS_REGION = 'us-east-1';
 
 // Suppress console.error in tests unless explicitly needed
 const originalError = console.error;
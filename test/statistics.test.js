@@ -0,0 +1,76 @@
+import { DataSource } from '../src/data-source.js';
+import { LambdaAnalyzer } from '../src/lambda-analyzer.js';
+import { DeploymentAnalyzer } from '../src/deployment-analyzer.js';
+import { AnomalyDetector } from '../src/anomaly-detector.js';
+import { HOUR_MS } from '../src/analysis-helpers.js';
+
+// Expected p-values are 1 - Phi(z) for the hand-computed z, from the exact normal distribution
+const createLambdaAnalyzer = () => new LambdaAnalyzer({ dataSource: new DataSource({ mode: 'live' }), region: 'us-east-1' });
+
+describe('DeploymentAnalyzer significance tests', () => {
+  const analyzer = new DeploymentAnalyzer(createLambdaAnalyzer());
+  const range = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => from + index);
+
+  test('exceedanceTest: 10 of 100 samples above the old p95', () => {
+    const samples = [...Array(90).fill(100), ...Array(10).fill(300)];
+
+    // z = (0.10 - 0.05) / sqrt(0.05 * 0.95 / 100) = 2.294
+    expect(analyzer.exceedanceTest(samples, 200, 0.05)).toBeCloseTo(0.01089, 4);
+    expect(analyzer.exceedanceTest(samples, 200, 0.1)).toBeCloseTo(0.5, 6);
+  });
+
+  test('mannWhitneyTest: every sample after is larger', () => {
+    // U = 25 against a mean of 12.5 and a standard deviation of sqrt(25 * 11 / 12), z = 2.611
+    expect(analyzer.mannWhitneyTest(range(1, 5), range(6, 10))).toBeCloseTo(0.004512, 5);
+    expect(analyzer.mannWhitneyTest(range(6, 10), range(1, 5))).toBeCloseTo(1 - 0.004512, 5);
+  });
+
+  test('mannWhitneyTest: ties share their ranks', () => {
+    expect(analyzer.mannWhitneyTest([5, 5, 5], [5, 5, 5])).toBeCloseTo(0.5, 6);
+    expect(analyzer.mannWhitneyTest([], [])).toBe(1);
+  });
+
+  test('proportionTest: errors up from 1% to 3% of 1,000 invocations', () => {
+    // Pooled rate 2%, z = 0.02 / sqrt(0.02 * 0.98 * (1/1000 + 1/1000)) = 3.194
+    expect(analyzer.proportionTest(10, 1000, 30, 1000)).toBeCloseTo(0.0007007, 6);
+    expect(analyzer.proportionTest(30, 1000, 10, 1000)).toBeCloseTo(1 - 0.0007007, 6);
+    expect(analyzer.proportionTest(0, 1000, 0, 1000)).toBe(1);
+  });
+});
+
+describe('AnomalyDetector robust z-score', () => {
+  const detector = new AnomalyDetector(createLambdaAnalyzer());
+  const metric = { key: 'p50Duration', floor: 5, minInvocations: 5 };
+  const timestamp = Date.parse('2026-10-01T10:00:00.000Z');
+  // The same UTC hour on the same weekday of the five weeks before
+  const baselineHours = values => values.map((value, week) => ({
+    timestamp: timestamp - (week + 1) * 7 * 24 * HOUR_MS,
+    invocations: 100,
+    p50Duration: value
+  }));
+
+  test('scores distance from the median in scaled median absolute deviations', () => {
+    const point = detector.evaluate(metric, { timestamp, invocations: 100, p50Duration: 250 }, baselineHours([100, 140, 60, 120, 80]), 3.5);
+
+    // Median 100, MAD 20 x 1.4826 = 29.65, score 150 / 29.65
+    expect(point.baseline).toBe(100);
+    expect(point.season).toBe('hour-of-week');
+    expect(point.score).toBeCloseTo(5.0587, 4);
+    expect(point.anomalous).toBe(true);
+  });
+
+  test('a flat baseline falls back to 10% of the median as its spread', () => {
+    const point = detector.evaluate(metric, { timestamp, invocations: 100, p50Duration: 120 }, baselineHours([100, 100, 100, 100, 100]), 3.5);
+
+    expect(point.score).toBeCloseTo(2, 6);
+    expect(point.anomalous).toBe(false);
+  });
+
+  test('skips hours with too few invocations or baseline samples', () => {
+    const quiet = detector.evaluate(metric, { timestamp, invocations: 2, p50Duration: 900 }, baselineHours([100, 140, 60, 120, 80]), 3.5);
+    const unseen = detector.evaluate(metric, { timestamp, invocations: 100, p50Duration: 900 }, baselineHours([100, 140, 60]), 3.5);
+
+    expect(quiet).toMatchObject({ score: 0, baseline: null, anomalous: false });
+    expect(unseen).toMatchObject({ score: 0, baseline: null, anomalous: false });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+import { WorkerPool } from '../src/worker-pool.js';
+
+describe('WorkerPool', () => {
+  // Counts work in flight across every map the pool runs
+  function track() {
+    const stats = { active: 0, peak: 0 };
+    stats.run = async value => {
+      stats.active++;
+      stats.peak = Math.max(stats.peak, stats.active);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      stats.active--;
+      return value;
+    };
+    return stats;
+  }
+
+  test('keeps input order', async () => {
+    const pool = new WorkerPool(3);
+    const results = await pool.map([5, 1, 4, 2, 3], async value => {
+      await new Promise(resolve => setTimeout(resolve, value));
+      return value * 10;
+    });
+    expect(results).toEqual([50, 10, 40, 20, 30]);
+  });
+
+  test('nested maps share the limit instead of multiplying it', async () => {
+    const pool = new WorkerPool(4);
+    const stats = track();
+    const outer = Array.from({ length: 6 }, (_, index) => index);
+
+    const results = await pool.map(outer, item =>
+      pool.map([1, 2, 3, 4, 5], value => pool.map([value], stats.run)).then(inner => inner.flat().map(value => value + item * 10))
+    );
+
+    expect(results[5]).toEqual([51, 52, 53, 54, 55]);
+    expect(stats.peak).toBeLessThanOrEqual(4);
+    expect(pool.active).toBe(0);
+  });
+
+  test('concurrent top-level maps share the limit', async () => {
+    const pool = new WorkerPool(2);
+    const stats = track();
+    const items = Array.from({ length: 8 }, (_, index) => index);
+
+    await Promise.all([pool.map(items, stats.run), pool.map(items, stats.run)]);
+
+    expect(stats.peak).toBeLessThanOrEqual(2);
+    expect(pool.active).toBe(0);
+  });
+});
\ No newline at end of file